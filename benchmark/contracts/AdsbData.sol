@@ -0,0 +1,6 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+// The current contract, built into the benchmark artifacts next to AdsbDataUnpacked
+
+import "../../contracts/AdsbData.sol";
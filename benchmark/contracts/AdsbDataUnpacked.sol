@@ -0,0 +1,1167 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+// AdsbData as it was before flights were packed into two storage slots, kept unchanged
+// (but for its name) so scripts/gas-benchmark.js can measure the old layout next to
+// the current one. Only benchmark/hardhat.config.js compiles it.
+
+import "../../contracts/GeoDistance.sol";
+
+contract AdsbDataUnpacked {
+    // Ground speed, track and vertical rate as reported by the transponder. Reports
+    // without them (known == false) only get the position and altitude checks.
+    struct Kinematics {
+        int256 velocity;      // Ground speed in m/s (multiplied by 10^2)
+        int256 heading;       // True track in degrees clockwise from north (multiplied by 10^2)
+        int256 verticalRate;  // Vertical rate in m/s, positive when climbing (multiplied by 10^2)
+        bool known;
+    }
+
+    struct Flight {
+        string icao24;        // ICAO24 address of the aircraft
+        string callsign;      // Callsign of the aircraft
+        int256 latitude;      // Latitude in decimal degrees (multiplied by 10^6)
+        int256 longitude;     // Longitude in decimal degrees (multiplied by 10^6)
+        int256 altitude;      // Altitude in meters (multiplied by 10^2)
+        bool onGround;        // Boolean value which indicates if the position was retrieved from a surface position report
+        uint256 timestamp;    // Unix timestamp at which the receiver observed the position
+        bool isSpoofed;       // Indicates if the signal might be spoofed
+        Kinematics kinematics;
+    }
+
+    // A position report as observed and signed by a ground receiver (EIP-712)
+    struct Report {
+        string icao24;
+        string callsign;
+        int256 latitude;
+        int256 longitude;
+        int256 altitude;
+        bool onGround;
+        bool isSpoofed;
+        uint256 observedAt;   // Unix timestamp at which the receiver decoded the message
+        Kinematics kinematics;
+    }
+
+    bytes32 private constant EIP712_DOMAIN_TYPEHASH = keccak256(
+        "EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)"
+    );
+    bytes32 public constant REPORT_TYPEHASH = keccak256(
+        "Report(string icao24,string callsign,int256 latitude,int256 longitude,int256 altitude,bool onGround,bool isSpoofed,uint256 observedAt,Kinematics kinematics)"
+        "Kinematics(int256 velocity,int256 heading,int256 verticalRate,bool known)"
+    );
+    bytes32 public constant KINEMATICS_TYPEHASH = keccak256(
+        "Kinematics(int256 velocity,int256 heading,int256 verticalRate,bool known)"
+    );
+    bytes32 public immutable DOMAIN_SEPARATOR;
+
+    bytes32 public constant ADMIN_ROLE = keccak256("ADMIN_ROLE");       // manages roles, revokes receivers
+    bytes32 public constant OPERATOR_ROLE = keccak256("OPERATOR_ROLE"); // registers and suspends receivers
+    mapping(bytes32 => mapping(address => bool)) private roles;
+    uint256 private adminCount;
+
+    enum ReceiverStatus { None, Active, Suspended, Revoked }
+
+    // A ground station allowed to submit (or sign) position reports
+    struct Receiver {
+        ReceiverStatus status;
+        string name;
+        int256 latitude;      // Station location, same fixed-point format as flights
+        int256 longitude;
+        address owner;        // Party responsible for the station
+        uint256 registeredAt;
+    }
+
+    mapping(address => Receiver) private receivers;
+    address[] private receiverList;
+
+    // Report digests already stored per receiver (signed or not), so a captured
+    // message cannot be resubmitted
+    mapping(bytes32 => bool) private usedReports;
+
+    // Accepted distance between a report's observation time and block time
+    uint256 public maxObservationAge = 600;   // seconds an observation may lag behind the block
+    uint256 public maxClockSkew = 30;         // seconds a receiver clock may run ahead
+
+    // Store only the latest flight data for each ICAO24
+    mapping(string => Flight) private latestFlights;
+    string[] private activeFlights;
+    mapping(string => bool) private isActive;
+
+    // Append-only track of every accepted position per ICAO24
+    mapping(string => Flight[]) private flightHistory;
+
+    enum ConsensusStatus { None, Pending, Confirmed, Disputed }
+
+    // Observations of one aircraft within one time window. The first report is the
+    // proposal; later reports agree or disagree with it.
+    struct ConsensusRound {
+        ConsensusStatus status;
+        uint256 windowStart;
+        Flight proposal;
+        uint256 agreeing;
+        uint256 disagreeing;
+    }
+
+    uint256 public quorum = 1;                // agreeing receivers needed; 1 accepts single reports
+    uint256 public consensusWindow = 60;      // seconds per observation round
+    int256 public positionTolerance = 2000;   // meters between agreeing positions
+    int256 public altitudeTolerance = 300;    // same units as Flight.altitude
+    uint256 private activeReceiverCount;
+
+    enum AircraftCategory { Airliner, GeneralAviation, Rotorcraft, GroundVehicle }
+
+    // Plausibility thresholds for one aircraft category; kinematic limits use the
+    // fixed-point units of Kinematics
+    struct ValidationRules {
+        int256 maxAltitudeJump;            // altitude change between two reports, regardless of time
+        int256 maxAltitudeRate;            // altitude change per second
+        uint256 maxPositionJump;           // meters; farther jumps need at least minPositionJumpInterval
+        uint256 minPositionJumpInterval;   // seconds
+        int256 maxSpeedDeviation;          // reported vs. implied speed, plus a quarter of the reported speed
+        int256 maxAcceleration;            // ground speed change per second
+        int256 maxTurnRate;                // track change per second
+        int256 maxVerticalRateDeviation;   // reported vs. implied vertical rate
+        int256 minTurnCheckSpeed;          // track is noise below this speed
+        uint256 maxKinematicInterval;      // seconds over which a straight, steady track is assumed
+    }
+
+    uint256 public constant AIRCRAFT_CATEGORY_COUNT = 4;
+    mapping(AircraftCategory => ValidationRules) private validationRules;
+    mapping(string => AircraftCategory) private aircraftCategories;  // unlisted aircraft are airliners
+
+    mapping(bytes32 => ConsensusRound) private rounds;
+    mapping(bytes32 => mapping(address => bool)) private roundReporters;
+    mapping(string => bytes32) private latestRoundKey;
+
+    event FlightUpdated(
+        string icao24,
+        string callsign,
+        int256 latitude,
+        int256 longitude,
+        int256 altitude,
+        bool onGround,
+        uint256 timestamp,
+        bool isSpoofed,
+        Kinematics kinematics
+    );
+
+    event FlightBatchUpdated(
+        uint256 count,
+        uint256 timestamp
+    );
+
+    event FlightRejected(
+        string icao24,
+        string reason
+    );
+
+    event RoleGranted(
+        bytes32 indexed role,
+        address indexed account,
+        address indexed sender
+    );
+
+    event RoleRevoked(
+        bytes32 indexed role,
+        address indexed account,
+        address indexed sender
+    );
+
+    event ReceiverRegistered(
+        address indexed receiver,
+        string name,
+        address owner
+    );
+
+    event ReceiverStatusChanged(
+        address indexed receiver,
+        ReceiverStatus status
+    );
+
+    event ReceiverMetadataUpdated(
+        address indexed receiver,
+        string name,
+        int256 latitude,
+        int256 longitude,
+        address owner
+    );
+
+    event ReportVerified(
+        string icao24,
+        address indexed receiver,
+        uint256 observedAt
+    );
+
+    event ObservationRecorded(
+        string icao24,
+        address indexed receiver,
+        uint256 windowStart,
+        int256 latitude,
+        int256 longitude,
+        int256 altitude,
+        bool agrees,
+        ConsensusStatus status
+    );
+
+    event ConsensusReached(
+        string icao24,
+        uint256 windowStart,
+        ConsensusStatus status,
+        uint256 agreeing,
+        uint256 disagreeing
+    );
+
+    event ObservationWindowUpdated(
+        uint256 maxObservationAge,
+        uint256 maxClockSkew
+    );
+
+    event ValidationRulesUpdated(
+        AircraftCategory indexed category,
+        ValidationRules rules
+    );
+
+    event AircraftCategorySet(
+        string icao24,
+        AircraftCategory category
+    );
+
+    event QuorumConfigUpdated(
+        uint256 quorum,
+        uint256 window,
+        int256 positionTolerance,
+        int256 altitudeTolerance
+    );
+
+    modifier onlyRole(bytes32 _role) {
+        require(roles[_role][msg.sender], "Missing required role");
+        _;
+    }
+
+    // Direct (unsigned) writes are only accepted from an active registered receiver
+    modifier onlyActiveReceiver() {
+        (bool active, string memory reason) = checkReceiver(msg.sender);
+        require(active, reason);
+        _;
+    }
+
+    constructor() {
+        DOMAIN_SEPARATOR = keccak256(abi.encode(
+            EIP712_DOMAIN_TYPEHASH,
+            keccak256(bytes("AdsbData")),
+            keccak256(bytes("1")),
+            block.chainid,
+            address(this)
+        ));
+
+        // The deployer is admin, operator and the first receiver so a fresh network works out of the box
+        grantRoleInternal(ADMIN_ROLE, msg.sender);
+        grantRoleInternal(OPERATOR_ROLE, msg.sender);
+        registerReceiverInternal(msg.sender, "Bootstrap receiver", 0, 0, msg.sender);
+
+        setValidationRulesInternal(AircraftCategory.Airliner, ValidationRules(50000, 10, 100000, 300, 5000, 1000, 1000, 750, 500, 120));
+        setValidationRulesInternal(AircraftCategory.GeneralAviation, ValidationRules(50000, 10, 40000, 300, 3000, 500, 1500, 750, 300, 120));
+        setValidationRulesInternal(AircraftCategory.Rotorcraft, ValidationRules(50000, 15, 30000, 300, 3000, 500, 3000, 1000, 1000, 120));
+        setValidationRulesInternal(AircraftCategory.GroundVehicle, ValidationRules(100, 2, 10000, 300, 1000, 500, 3000, 200, 200, 120));
+    }
+
+    // ---- Roles -------------------------------------------------------------
+
+    function hasRole(bytes32 _role, address _account) public view returns (bool) {
+        return roles[_role][_account];
+    }
+
+    function grantRole(bytes32 _role, address _account) public onlyRole(ADMIN_ROLE) {
+        require(_role == ADMIN_ROLE || _role == OPERATOR_ROLE, "Unknown role");
+        require(_account != address(0), "Invalid account");
+        grantRoleInternal(_role, _account);
+    }
+
+    function revokeRole(bytes32 _role, address _account) public onlyRole(ADMIN_ROLE) {
+        if (!roles[_role][_account]) return;
+        if (_role == ADMIN_ROLE) {
+            require(adminCount > 1, "Cannot revoke the last admin");
+            adminCount--;
+        }
+        roles[_role][_account] = false;
+        emit RoleRevoked(_role, _account, msg.sender);
+    }
+
+    function grantRoleInternal(bytes32 _role, address _account) private {
+        if (roles[_role][_account]) return;
+        roles[_role][_account] = true;
+        if (_role == ADMIN_ROLE) {
+            adminCount++;
+        }
+        emit RoleGranted(_role, _account, msg.sender);
+    }
+
+    // ---- Receiver registry -------------------------------------------------
+
+    function registerReceiver(
+        address _receiver,
+        string memory _name,
+        int256 _latitude,
+        int256 _longitude,
+        address _owner
+    ) public onlyRole(OPERATOR_ROLE) {
+        registerReceiverInternal(_receiver, _name, _latitude, _longitude, _owner);
+    }
+
+    function updateReceiverMetadata(
+        address _receiver,
+        string memory _name,
+        int256 _latitude,
+        int256 _longitude,
+        address _owner
+    ) public onlyRole(OPERATOR_ROLE) {
+        Receiver storage receiver = receivers[_receiver];
+        require(receiver.status != ReceiverStatus.None, "Unregistered receiver");
+        require(_latitude >= -90000000 && _latitude <= 90000000, "Invalid latitude");
+        require(_longitude >= -180000000 && _longitude <= 180000000, "Invalid longitude");
+
+        receiver.name = _name;
+        receiver.latitude = _latitude;
+        receiver.longitude = _longitude;
+        receiver.owner = _owner;
+        emit ReceiverMetadataUpdated(_receiver, _name, _latitude, _longitude, _owner);
+    }
+
+    function suspendReceiver(address _receiver) public onlyRole(OPERATOR_ROLE) {
+        require(receivers[_receiver].status == ReceiverStatus.Active, "Receiver is not active");
+        setReceiverStatus(_receiver, ReceiverStatus.Suspended);
+    }
+
+    function reactivateReceiver(address _receiver) public onlyRole(OPERATOR_ROLE) {
+        require(receivers[_receiver].status == ReceiverStatus.Suspended, "Receiver is not suspended");
+        setReceiverStatus(_receiver, ReceiverStatus.Active);
+    }
+
+    // Permanent: a revoked receiver cannot be reactivated or registered again
+    function revokeReceiver(address _receiver) public onlyRole(ADMIN_ROLE) {
+        ReceiverStatus status = receivers[_receiver].status;
+        require(status == ReceiverStatus.Active || status == ReceiverStatus.Suspended, "Receiver cannot be revoked");
+        setReceiverStatus(_receiver, ReceiverStatus.Revoked);
+    }
+
+    function isActiveReceiver(address _receiver) public view returns (bool) {
+        return receivers[_receiver].status == ReceiverStatus.Active;
+    }
+
+    function getActiveReceiverCount() public view returns (uint256) {
+        return activeReceiverCount;
+    }
+
+
+    function getReceiver(address _receiver) public view returns (
+        ReceiverStatus status,
+        string memory name,
+        int256 latitude,
+        int256 longitude,
+        address owner,
+        uint256 registeredAt
+    ) {
+        Receiver storage receiver = receivers[_receiver];
+        return (receiver.status, receiver.name, receiver.latitude, receiver.longitude, receiver.owner, receiver.registeredAt);
+    }
+
+    function getReceiverCount() public view returns (uint256) {
+        return receiverList.length;
+    }
+
+    function getReceiverAt(uint256 index) public view returns (address) {
+        require(index < receiverList.length, "Receiver index out of bounds");
+        return receiverList[index];
+    }
+
+    function registerReceiverInternal(
+        address _receiver,
+        string memory _name,
+        int256 _latitude,
+        int256 _longitude,
+        address _owner
+    ) private {
+        require(_receiver != address(0), "Invalid receiver");
+        require(receivers[_receiver].status == ReceiverStatus.None, "Receiver already registered");
+        require(_latitude >= -90000000 && _latitude <= 90000000, "Invalid latitude");
+        require(_longitude >= -180000000 && _longitude <= 180000000, "Invalid longitude");
+
+        receivers[_receiver] = Receiver({
+            status: ReceiverStatus.Active,
+            name: _name,
+            latitude: _latitude,
+            longitude: _longitude,
+            owner: _owner,
+            registeredAt: block.timestamp
+        });
+        receiverList.push(_receiver);
+        activeReceiverCount++;
+
+        emit ReceiverRegistered(_receiver, _name, _owner);
+        emit ReceiverStatusChanged(_receiver, ReceiverStatus.Active);
+    }
+
+    function setReceiverStatus(address _receiver, ReceiverStatus _status) private {
+        if (receivers[_receiver].status == ReceiverStatus.Active) {
+            activeReceiverCount--;
+        }
+        if (_status == ReceiverStatus.Active) {
+            activeReceiverCount++;
+        }
+        receivers[_receiver].status = _status;
+        emit ReceiverStatusChanged(_receiver, _status);
+    }
+
+    function checkReceiver(address _receiver) private view returns (bool active, string memory reason) {
+        ReceiverStatus status = receivers[_receiver].status;
+        if (status == ReceiverStatus.Active) {
+            return (true, "Active receiver");
+        }
+        if (status == ReceiverStatus.Suspended) {
+            return (false, "Receiver suspended");
+        }
+        if (status == ReceiverStatus.Revoked) {
+            return (false, "Receiver revoked");
+        }
+        return (false, "Unregistered receiver");
+    }
+
+    // ---- Observation time ------------------------------------------------
+
+    function setObservationWindow(uint256 _maxObservationAge, uint256 _maxClockSkew) public onlyRole(ADMIN_ROLE) {
+        require(_maxObservationAge > 0, "Max observation age must be positive");
+        maxObservationAge = _maxObservationAge;
+        maxClockSkew = _maxClockSkew;
+        emit ObservationWindowUpdated(_maxObservationAge, _maxClockSkew);
+    }
+
+    function checkObservationTime(uint256 _observedAt) private view returns (bool valid, string memory reason) {
+        if (_observedAt > block.timestamp + maxClockSkew) {
+            return (false, "Observation timestamp in the future");
+        }
+        if (_observedAt + maxObservationAge < block.timestamp) {
+            return (false, "Stale observation: outside acceptable window");
+        }
+        return (true, "Observation time within window");
+    }
+
+    // ---- Validation rules --------------------------------------------------
+
+    function setValidationRules(AircraftCategory _category, ValidationRules memory _rules) public onlyRole(ADMIN_ROLE) {
+        setValidationRulesInternal(_category, _rules);
+    }
+
+    // Category decides which rule set an aircraft's reports are checked against
+    function setAircraftCategory(string memory _icao24, AircraftCategory _category) public onlyRole(OPERATOR_ROLE) {
+        require(bytes(_icao24).length > 0, "ICAO24 is required");
+        aircraftCategories[_icao24] = _category;
+        emit AircraftCategorySet(_icao24, _category);
+    }
+
+    function getAircraftCategory(string memory _icao24) public view returns (AircraftCategory) {
+        return aircraftCategories[_icao24];
+    }
+
+    function getValidationRules(AircraftCategory _category) public view returns (ValidationRules memory) {
+        return validationRules[_category];
+    }
+
+    // Every category's rules in one call, indexed by AircraftCategory
+    function getValidationRuleSet() public view returns (ValidationRules[AIRCRAFT_CATEGORY_COUNT] memory ruleSet) {
+        for (uint256 i = 0; i < AIRCRAFT_CATEGORY_COUNT; i++) {
+            ruleSet[i] = validationRules[AircraftCategory(i)];
+        }
+    }
+
+    function setValidationRulesInternal(AircraftCategory _category, ValidationRules memory _rules) private {
+        require(
+            _rules.maxAltitudeJump > 0 &&
+            _rules.maxAltitudeRate > 0 &&
+            _rules.maxPositionJump > 0 &&
+            _rules.maxSpeedDeviation > 0 &&
+            _rules.maxAcceleration > 0 &&
+            _rules.maxTurnRate > 0 &&
+            _rules.maxVerticalRateDeviation > 0 &&
+            _rules.minTurnCheckSpeed >= 0,
+            "Invalid validation rules"
+        );
+        validationRules[_category] = _rules;
+        emit ValidationRulesUpdated(_category, _rules);
+    }
+
+    // ---- Consensus ---------------------------------------------------------
+
+    // A position is only stored once `_quorum` receivers report it within `_window`
+    // seconds of each other and within the given tolerances of the first report
+    function setQuorumConfig(
+        uint256 _quorum,
+        uint256 _window,
+        int256 _positionTolerance,
+        int256 _altitudeTolerance
+    ) public onlyRole(ADMIN_ROLE) {
+        require(_quorum > 0, "Quorum must be at least 1");
+        require(_window > 0, "Window must be positive");
+        require(_positionTolerance >= 0 && _altitudeTolerance >= 0, "Invalid tolerance");
+
+        quorum = _quorum;
+        consensusWindow = _window;
+        positionTolerance = _positionTolerance;
+        altitudeTolerance = _altitudeTolerance;
+        emit QuorumConfigUpdated(_quorum, _window, _positionTolerance, _altitudeTolerance);
+    }
+
+    // Most recent observation round for an aircraft; the proposal is the position under vote
+    function getConsensus(string memory _icao24) public view returns (
+        ConsensusStatus status,
+        uint256 windowStart,
+        string memory callsign,
+        int256 latitude,
+        int256 longitude,
+        int256 altitude,
+        uint256 agreeing,
+        uint256 disagreeing
+    ) {
+        ConsensusRound storage round = rounds[latestRoundKey[_icao24]];
+        return (
+            round.status,
+            round.windowStart,
+            round.proposal.callsign,
+            round.proposal.latitude,
+            round.proposal.longitude,
+            round.proposal.altitude,
+            round.agreeing,
+            round.disagreeing
+        );
+    }
+
+    function hasObserved(string memory _icao24, address _receiver, uint256 _timestamp) public view returns (bool) {
+        return roundReporters[roundKey(_icao24, windowStartOf(_timestamp))][_receiver];
+    }
+
+    function windowStartOf(uint256 _timestamp) private view returns (uint256) {
+        return _timestamp - (_timestamp % consensusWindow);
+    }
+
+    function roundKey(string memory _icao24, uint256 _windowStart) private pure returns (bytes32) {
+        return keccak256(abi.encode(_icao24, _windowStart));
+    }
+
+    // Per-receiver rules on top of checkFlightUpdate
+    function checkObservation(
+        string memory _icao24,
+        address _receiver,
+        int256 _latitude,
+        int256 _longitude,
+        int256 _altitude,
+        uint256 _timestamp,
+        Kinematics memory _kinematics
+    ) private view returns (bool valid, string memory reason) {
+        (valid, reason) = checkFlightUpdate(_icao24, _latitude, _longitude, _altitude, _timestamp, _kinematics);
+        if (!valid || quorum <= 1) {
+            return (valid, reason);
+        }
+        bytes32 latestKey = latestRoundKey[_icao24];
+        if (latestKey != bytes32(0) && rounds[latestKey].windowStart > windowStartOf(_timestamp)) {
+            return (false, "Replay attack: observation older than current round");
+        }
+        if (hasObserved(_icao24, _receiver, _timestamp)) {
+            return (false, "Duplicate observation from receiver");
+        }
+        return (true, "Valid observation");
+    }
+
+    // Counts `_observation` towards its round and stores the proposal once the round is confirmed
+    function recordObservation(address _receiver, Flight memory _observation) private {
+        uint256 windowStart = windowStartOf(_observation.timestamp);
+        if (quorum <= 1) {
+            storeFlight(_observation);
+            emit ObservationRecorded(_observation.icao24, _receiver, windowStart, _observation.latitude, _observation.longitude, _observation.altitude, true, ConsensusStatus.Confirmed);
+            return;
+        }
+
+        bytes32 key = roundKey(_observation.icao24, windowStart);
+        ConsensusRound storage round = rounds[key];
+        roundReporters[key][_receiver] = true;
+
+        bool agrees = true;
+        if (round.status == ConsensusStatus.None) {
+            round.status = ConsensusStatus.Pending;
+            round.windowStart = windowStart;
+            round.proposal = _observation;
+            round.agreeing = 1;
+            latestRoundKey[_observation.icao24] = key;
+        } else {
+            agrees = withinTolerance(round.proposal, _observation);
+            if (agrees) {
+                round.agreeing++;
+            } else {
+                round.disagreeing++;
+            }
+        }
+
+        // Votes arriving after the round is decided are counted but change nothing
+        if (round.status == ConsensusStatus.Pending) {
+            if (round.agreeing >= quorum && round.agreeing > round.disagreeing) {
+                round.status = ConsensusStatus.Confirmed;
+                storeFlight(round.proposal);
+                emit ConsensusReached(_observation.icao24, windowStart, round.status, round.agreeing, round.disagreeing);
+            } else if (round.disagreeing >= quorum) {
+                round.status = ConsensusStatus.Disputed;
+                emit ConsensusReached(_observation.icao24, windowStart, round.status, round.agreeing, round.disagreeing);
+            }
+        }
+
+        emit ObservationRecorded(_observation.icao24, _receiver, windowStart, _observation.latitude, _observation.longitude, _observation.altitude, agrees, round.status);
+    }
+
+    function withinTolerance(Flight storage _proposal, Flight memory _observation) private view returns (bool) {
+        uint256 distMeters = GeoDistance.distanceMeters(_proposal.latitude, _proposal.longitude, _observation.latitude, _observation.longitude);
+        return int256(distMeters) <= positionTolerance && abs(_observation.altitude - _proposal.altitude) <= altitudeTolerance;
+    }
+
+    // ---- Flight updates ----------------------------------------------------
+
+    // `_observedAt` is when the receiver decoded the message, not when it is submitted
+    function updateFlight(
+        string memory _icao24,
+        string memory _callsign,
+        int256 _latitude,
+        int256 _longitude,
+        int256 _altitude,
+        bool _onGround,
+        bool _isSpoofed,
+        uint256 _observedAt,
+        Kinematics memory _kinematics
+    ) public onlyActiveReceiver {
+        require(bytes(_icao24).length > 0, "ICAO24 is required");
+        require(_latitude >= -90000000 && _latitude <= 90000000, "Invalid latitude");
+        require(_longitude >= -180000000 && _longitude <= 180000000, "Invalid longitude");
+
+        Report memory report = Report(_icao24, _callsign, _latitude, _longitude, _altitude, _onGround, _isSpoofed, _observedAt, _kinematics);
+        (bool valid, string memory reason, bytes32 messageId) = checkReport(report, msg.sender);
+        if (!valid) {
+            emit FlightRejected(_icao24, reason);
+            revert(reason);
+        }
+
+        acceptReport(report, msg.sender, messageId);
+    }
+
+    function updateFlightBatch(
+        string[] calldata _icao24s,
+        string[] calldata _callsigns,
+        int256[] calldata _latitudes,
+        int256[] calldata _longitudes,
+        int256[] calldata _altitudes,
+        bool[] calldata _onGrounds,
+        bool[] calldata _isSpoofedFlags,
+        uint256[] calldata _observedAts,
+        Kinematics[] calldata _kinematics
+    ) public onlyActiveReceiver {
+        requireBatchShape(_icao24s, _callsigns, _latitudes, _longitudes, _altitudes, _onGrounds, _isSpoofedFlags, _observedAts, _kinematics);
+
+        for (uint256 i = 0; i < _icao24s.length; i++) {
+            require(bytes(_icao24s[i]).length > 0, "ICAO24 is required");
+            require(_latitudes[i] >= -90000000 && _latitudes[i] <= 90000000, "Invalid latitude");
+            require(_longitudes[i] >= -180000000 && _longitudes[i] <= 180000000, "Invalid longitude");
+
+            Report memory report = Report(_icao24s[i], _callsigns[i], _latitudes[i], _longitudes[i], _altitudes[i], _onGrounds[i], _isSpoofedFlags[i], _observedAts[i], _kinematics[i]);
+            (bool valid, string memory reason, bytes32 messageId) = checkReport(report, msg.sender);
+            if (!valid) {
+                emit FlightRejected(_icao24s[i], reason);
+                revert(reason);
+            }
+
+            acceptReport(report, msg.sender, messageId);
+        }
+
+        // Summary event; the per-aircraft FlightUpdated events above carry the data
+        emit FlightBatchUpdated(_icao24s.length, block.timestamp);
+    }
+
+    // Same as updateFlightBatch, but an invalid entry is skipped with a FlightRejected
+    // event instead of reverting the whole batch. FlightBatchUpdated reports how many
+    // entries were accepted.
+    function updateFlightBatchPartial(
+        string[] calldata _icao24s,
+        string[] calldata _callsigns,
+        int256[] calldata _latitudes,
+        int256[] calldata _longitudes,
+        int256[] calldata _altitudes,
+        bool[] calldata _onGrounds,
+        bool[] calldata _isSpoofedFlags,
+        uint256[] calldata _observedAts,
+        Kinematics[] calldata _kinematics
+    ) public onlyActiveReceiver returns (uint256 accepted) {
+        requireBatchShape(_icao24s, _callsigns, _latitudes, _longitudes, _altitudes, _onGrounds, _isSpoofedFlags, _observedAts, _kinematics);
+
+        for (uint256 i = 0; i < _icao24s.length; i++) {
+            Report memory report = Report(_icao24s[i], _callsigns[i], _latitudes[i], _longitudes[i], _altitudes[i], _onGrounds[i], _isSpoofedFlags[i], _observedAts[i], _kinematics[i]);
+            bytes32 messageId;
+            (bool valid, string memory reason) = checkFlightInput(report.icao24, report.latitude, report.longitude);
+            if (valid) {
+                (valid, reason, messageId) = checkReport(report, msg.sender);
+            }
+            if (!valid) {
+                emit FlightRejected(_icao24s[i], reason);
+                continue;
+            }
+
+            acceptReport(report, msg.sender, messageId);
+            accepted++;
+        }
+
+        emit FlightBatchUpdated(accepted, block.timestamp);
+    }
+
+    function submitSignedReport(Report calldata _report, bytes calldata _signature) public {
+        (bool valid, string memory reason, bytes32 messageId, address receiver) = checkSignedReport(_report, _signature);
+        if (!valid) {
+            emit FlightRejected(_report.icao24, reason);
+            revert(reason);
+        }
+
+        acceptSignedReport(_report, messageId, receiver);
+    }
+
+    // Partial acceptance like updateFlightBatchPartial: forged or invalid reports are
+    // skipped with FlightRejected, the rest are stored
+    function submitSignedReportBatch(Report[] calldata _reports, bytes[] calldata _signatures) public returns (uint256 accepted) {
+        require(_reports.length == _signatures.length, "Array lengths must match");
+        require(_reports.length <= 50, "Batch size too large (max 50)");
+
+        for (uint256 i = 0; i < _reports.length; i++) {
+            (bool valid, string memory reason, bytes32 messageId, address receiver) = checkSignedReport(_reports[i], _signatures[i]);
+            if (!valid) {
+                emit FlightRejected(_reports[i].icao24, reason);
+                continue;
+            }
+
+            acceptSignedReport(_reports[i], messageId, receiver);
+            accepted++;
+        }
+
+        emit FlightBatchUpdated(accepted, block.timestamp);
+    }
+
+    // EIP-712 digest a receiver signs for `_report`
+    function hashReport(Report memory _report) public view returns (bytes32) {
+        bytes32 structHash = keccak256(abi.encode(
+            REPORT_TYPEHASH,
+            keccak256(bytes(_report.icao24)),
+            keccak256(bytes(_report.callsign)),
+            _report.latitude,
+            _report.longitude,
+            _report.altitude,
+            _report.onGround,
+            _report.isSpoofed,
+            _report.observedAt,
+            hashKinematics(_report.kinematics)
+        ));
+        return keccak256(abi.encodePacked("\x19\x01", DOMAIN_SEPARATOR, structHash));
+    }
+
+    function hashKinematics(Kinematics memory _kinematics) private pure returns (bytes32) {
+        return keccak256(abi.encode(
+            KINEMATICS_TYPEHASH,
+            _kinematics.velocity,
+            _kinematics.heading,
+            _kinematics.verticalRate,
+            _kinematics.known
+        ));
+    }
+
+    function checkSignedReport(
+        Report memory _report,
+        bytes memory _signature
+    ) private view returns (bool valid, string memory reason, bytes32 messageId, address receiver) {
+        (valid, reason) = checkFlightInput(_report.icao24, _report.latitude, _report.longitude);
+        if (!valid) {
+            return (false, reason, messageId, receiver);
+        }
+
+        receiver = recoverSigner(hashReport(_report), _signature);
+        if (receiver == address(0)) {
+            return (false, "Invalid report signature", messageId, receiver);
+        }
+        (valid, reason) = checkReceiver(receiver);
+        if (!valid) {
+            return (false, reason, messageId, receiver);
+        }
+
+        (valid, reason, messageId) = checkReport(_report, receiver);
+        return (valid, reason, messageId, receiver);
+    }
+
+    function acceptSignedReport(Report memory _report, bytes32 _messageId, address _receiver) private {
+        acceptReport(_report, _receiver, _messageId);
+        emit ReportVerified(_report.icao24, _receiver, _report.observedAt);
+    }
+
+    // Replay rules shared by signed and direct reports: each receiver may submit a
+    // given message once, and only while its observation time is fresh and newer
+    // than the aircraft's stored position
+    function checkReport(
+        Report memory _report,
+        address _receiver
+    ) private view returns (bool valid, string memory reason, bytes32 messageId) {
+        messageId = keccak256(abi.encode(_receiver, hashReport(_report)));
+        if (usedReports[messageId]) {
+            return (false, "Replay attack: report already submitted", messageId);
+        }
+
+        (valid, reason) = checkObservation(_report.icao24, _receiver, _report.latitude, _report.longitude, _report.altitude, _report.observedAt, _report.kinematics);
+        return (valid, reason, messageId);
+    }
+
+    function acceptReport(Report memory _report, address _receiver, bytes32 _messageId) private {
+        usedReports[_messageId] = true;
+        recordObservation(_receiver, Flight(_report.icao24, _report.callsign, _report.latitude, _report.longitude, _report.altitude, _report.onGround, _report.observedAt, _report.isSpoofed, _report.kinematics));
+    }
+
+    // Returns address(0) for malformed or malleable (upper-half s) signatures
+    function recoverSigner(bytes32 _digest, bytes memory _signature) private pure returns (address) {
+        if (_signature.length != 65) {
+            return address(0);
+        }
+
+        bytes32 r;
+        bytes32 s;
+        uint8 v;
+        assembly ("memory-safe") {
+            r := mload(add(_signature, 0x20))
+            s := mload(add(_signature, 0x40))
+            v := byte(0, mload(add(_signature, 0x60)))
+        }
+        if (v < 27) {
+            v += 27;
+        }
+        if (v != 27 && v != 28) {
+            return address(0);
+        }
+        if (uint256(s) > 0x7FFFFFFFFFFFFFFFFFFFFFFFFFFFFFFF5D576E7357A4501DDFE92F46681B20A0) {
+            return address(0);
+        }
+        return ecrecover(_digest, v, r, s);
+    }
+
+    function requireBatchShape(
+        string[] calldata _icao24s,
+        string[] calldata _callsigns,
+        int256[] calldata _latitudes,
+        int256[] calldata _longitudes,
+        int256[] calldata _altitudes,
+        bool[] calldata _onGrounds,
+        bool[] calldata _isSpoofedFlags,
+        uint256[] calldata _observedAts,
+        Kinematics[] calldata _kinematics
+    ) private pure {
+        require(
+            _icao24s.length == _callsigns.length &&
+            _icao24s.length == _observedAts.length &&
+            _icao24s.length == _kinematics.length &&
+            _icao24s.length == _latitudes.length &&
+            _icao24s.length == _longitudes.length &&
+            _icao24s.length == _altitudes.length &&
+            _icao24s.length == _onGrounds.length &&
+            _icao24s.length == _isSpoofedFlags.length,
+            "Array lengths must match"
+        );
+
+        // Add batch size limit to prevent gas limit exceeded
+        require(_icao24s.length <= 50, "Batch size too large (max 50)");
+    }
+
+    function storeFlight(Flight memory _flight) private {
+        // Store the flight data
+        latestFlights[_flight.icao24] = _flight;
+        flightHistory[_flight.icao24].push(_flight);
+
+        // Add to active flights if not already present
+        if (!isActive[_flight.icao24]) {
+            activeFlights.push(_flight.icao24);
+            isActive[_flight.icao24] = true;
+        }
+
+        emit FlightUpdated(
+            _flight.icao24,
+            _flight.callsign,
+            _flight.latitude,
+            _flight.longitude,
+            _flight.altitude,
+            _flight.onGround,
+            _flight.timestamp,
+            _flight.isSpoofed,
+            _flight.kinematics
+        );
+    }
+
+    function getFlightCount() public view returns (uint256) {
+        return activeFlights.length;
+    }
+
+    function getFlight(uint256 index) public view returns (
+        string memory,
+        string memory,
+        int256,
+        int256,
+        int256,
+        bool,
+        uint256,
+        bool,
+        Kinematics memory
+    ) {
+        require(index < activeFlights.length, "Flight index out of bounds");
+        Flight memory flight = latestFlights[activeFlights[index]];
+        return (
+            flight.icao24,
+            flight.callsign,
+            flight.latitude,
+            flight.longitude,
+            flight.altitude,
+            flight.onGround,
+            flight.timestamp,
+            flight.isSpoofed,
+            flight.kinematics
+        );
+    }
+
+    function getLatestFlights(uint256 count) public view returns (
+        string[] memory icao24s,
+        string[] memory callsigns,
+        int256[] memory latitudes,
+        int256[] memory longitudes,
+        int256[] memory altitudes,
+        bool[] memory onGrounds,
+        uint256[] memory timestamps,
+        bool[] memory isSpoofedFlags,
+        Kinematics[] memory kinematics
+    ) {
+        uint256 resultCount = count > activeFlights.length ? activeFlights.length : count;
+        
+        icao24s = new string[](resultCount);
+        callsigns = new string[](resultCount);
+        latitudes = new int256[](resultCount);
+        longitudes = new int256[](resultCount);
+        altitudes = new int256[](resultCount);
+        onGrounds = new bool[](resultCount);
+        timestamps = new uint256[](resultCount);
+        isSpoofedFlags = new bool[](resultCount);
+        kinematics = new Kinematics[](resultCount);
+
+        // Get the latest flights starting from the end
+        for (uint256 i = 0; i < resultCount; i++) {
+            string memory icao = activeFlights[activeFlights.length - resultCount + i];
+            Flight storage flight = latestFlights[icao];
+            
+            icao24s[i] = flight.icao24;
+            callsigns[i] = flight.callsign;
+            latitudes[i] = flight.latitude;
+            longitudes[i] = flight.longitude;
+            altitudes[i] = flight.altitude;
+            onGrounds[i] = flight.onGround;
+            timestamps[i] = flight.timestamp;
+            isSpoofedFlags[i] = flight.isSpoofed;
+            kinematics[i] = flight.kinematics;
+        }
+
+        return (icao24s, callsigns, latitudes, longitudes, altitudes, onGrounds, timestamps, isSpoofedFlags, kinematics);
+    }
+
+    function getFlightHistoryCount(string memory _icao24) public view returns (uint256) {
+        return flightHistory[_icao24].length;
+    }
+
+    // Returns positions oldest-first, starting at `offset`, at most `limit` entries
+    function getFlightHistory(string memory _icao24, uint256 offset, uint256 limit) public view returns (
+        string[] memory icao24s,
+        string[] memory callsigns,
+        int256[] memory latitudes,
+        int256[] memory longitudes,
+        int256[] memory altitudes,
+        bool[] memory onGrounds,
+        uint256[] memory timestamps,
+        bool[] memory isSpoofedFlags,
+        Kinematics[] memory kinematics
+    ) {
+        Flight[] storage track = flightHistory[_icao24];
+        uint256 resultCount = 0;
+        if (offset < track.length) {
+            resultCount = track.length - offset;
+            if (resultCount > limit) {
+                resultCount = limit;
+            }
+        }
+
+        icao24s = new string[](resultCount);
+        callsigns = new string[](resultCount);
+        latitudes = new int256[](resultCount);
+        longitudes = new int256[](resultCount);
+        altitudes = new int256[](resultCount);
+        onGrounds = new bool[](resultCount);
+        timestamps = new uint256[](resultCount);
+        isSpoofedFlags = new bool[](resultCount);
+        kinematics = new Kinematics[](resultCount);
+
+        for (uint256 i = 0; i < resultCount; i++) {
+            Flight storage flight = track[offset + i];
+
+            icao24s[i] = flight.icao24;
+            callsigns[i] = flight.callsign;
+            latitudes[i] = flight.latitude;
+            longitudes[i] = flight.longitude;
+            altitudes[i] = flight.altitude;
+            onGrounds[i] = flight.onGround;
+            timestamps[i] = flight.timestamp;
+            isSpoofedFlags[i] = flight.isSpoofed;
+            kinematics[i] = flight.kinematics;
+        }
+
+        return (icao24s, callsigns, latitudes, longitudes, altitudes, onGrounds, timestamps, isSpoofedFlags, kinematics);
+    }
+
+    function abs(int256 x) private pure returns (int256) {
+        return x >= 0 ? x : -x;
+    }
+
+    // Great-circle distance in meters between two micro-degree positions, as used by
+    // the spoofing check and the consensus tolerance
+    function distanceMeters(
+        int256 _lat1,
+        int256 _lon1,
+        int256 _lat2,
+        int256 _lon2
+    ) public pure returns (uint256) {
+        return GeoDistance.distanceMeters(_lat1, _lon1, _lat2, _lon2);
+    }
+
+    function validateFlightUpdate(
+        string memory _icao24,
+        int256 _latitude,
+        int256 _longitude,
+        int256 _altitude,
+        uint256 _timestamp,
+        Kinematics memory _kinematics
+    ) public view returns (bool valid, string memory reason) {
+        return checkFlightUpdate(_icao24, _latitude, _longitude, _altitude, _timestamp, _kinematics);
+    }
+
+    function checkFlightInput(
+        string memory _icao24,
+        int256 _latitude,
+        int256 _longitude
+    ) private pure returns (bool valid, string memory reason) {
+        if (bytes(_icao24).length == 0) {
+            return (false, "ICAO24 is required");
+        }
+        if (_latitude < -90000000 || _latitude > 90000000) {
+            return (false, "Invalid latitude");
+        }
+        if (_longitude < -180000000 || _longitude > 180000000) {
+            return (false, "Invalid longitude");
+        }
+        return (true, "Valid input");
+    }
+
+    // Observation-time window, then replay, tampering, spoofing and kinematic rules
+    // against the aircraft's previous position
+    function checkFlightUpdate(
+        string memory _icao24,
+        int256 _latitude,
+        int256 _longitude,
+        int256 _altitude,
+        uint256 _timestamp,
+        Kinematics memory _kinematics
+    ) private view returns (bool valid, string memory reason) {
+        (valid, reason) = checkObservationTime(_timestamp);
+        if (!valid) {
+            return (valid, reason);
+        }
+        if (_kinematics.known && (_kinematics.velocity < 0 || _kinematics.heading < 0 || _kinematics.heading >= 36000)) {
+            return (false, "Kinematics: invalid values");
+        }
+
+        Flight storage prev = latestFlights[_icao24];
+        if (bytes(prev.icao24).length > 0) {
+            // 1. Replay attack prevention: observation times must move forward
+            if (_timestamp <= prev.timestamp) {
+                return (false, "Replay attack: timestamp not newer");
+            }
+            // 2. Spoofing/tampering prevention, with the thresholds of the aircraft's category
+            ValidationRules storage rules = validationRules[aircraftCategories[_icao24]];
+            uint256 distMeters = GeoDistance.distanceMeters(prev.latitude, prev.longitude, _latitude, _longitude);
+            uint256 dt = _timestamp - prev.timestamp;
+            if (dt > 0) {
+                int256 dAlt = _altitude - prev.altitude;
+                if (abs(dAlt) > rules.maxAltitudeJump) {
+                    return (false, "Tampering: impossible altitude jump");
+                }
+                if (abs(dAlt) / int256(dt) > rules.maxAltitudeRate) {
+                    return (false, "Tampering: impossible altitude rate");
+                }
+                if (distMeters > rules.maxPositionJump && dt < rules.minPositionJumpInterval) {
+                    return (false, "Spoofing: impossible position jump");
+                }
+                // 3. Reported motion must match the track it leaves behind
+                if (_kinematics.known) {
+                    return checkKinematics(prev, rules, _altitude, _kinematics, distMeters, dt);
+                }
+            }
+        }
+        return (true, "Valid update");
+    }
+
+    // Mirrored by web-interface/src/shared/Kinematics.js
+    function checkKinematics(
+        Flight storage _prev,
+        ValidationRules storage _rules,
+        int256 _altitude,
+        Kinematics memory _kinematics,
+        uint256 _distMeters,
+        uint256 _dt
+    ) private view returns (bool valid, string memory reason) {
+        int256 dt = int256(_dt);
+        bool shortInterval = _dt <= _rules.maxKinematicInterval;
+
+        // Ground speed vs. the average speed implied by the two positions. Over long
+        // intervals the aircraft may have turned, so only a too-fast track counts there.
+        int256 impliedSpeed = int256(_distMeters) * 100 / dt;
+        int256 speedTolerance = _rules.maxSpeedDeviation + _kinematics.velocity / 4;
+        if (impliedSpeed > _kinematics.velocity + speedTolerance) {
+            return (false, "Kinematics: track faster than reported speed");
+        }
+        if (shortInterval && impliedSpeed + speedTolerance < _kinematics.velocity) {
+            return (false, "Kinematics: track slower than reported speed");
+        }
+
+        Kinematics storage prevKinematics = _prev.kinematics;
+        if (!prevKinematics.known) {
+            return (true, "Valid update");
+        }
+
+        if (abs(_kinematics.velocity - prevKinematics.velocity) / dt > _rules.maxAcceleration) {
+            return (false, "Kinematics: impossible acceleration");
+        }
+
+        // Shortest way round the compass
+        int256 turn = _kinematics.heading - prevKinematics.heading;
+        if (turn > 18000) {
+            turn -= 36000;
+        } else if (turn < -18000) {
+            turn += 36000;
+        }
+        if (_kinematics.velocity >= _rules.minTurnCheckSpeed && abs(turn) / dt > _rules.maxTurnRate) {
+            return (false, "Kinematics: impossible turn rate");
+        }
+
+        // Altitude change vs. the mean of the two reported vertical rates
+        if (shortInterval) {
+            int256 impliedVerticalRate = (_altitude - _prev.altitude) * 100 / dt;
+            int256 reportedVerticalRate = (_kinematics.verticalRate + prevKinematics.verticalRate) / 2;
+            if (abs(impliedVerticalRate - reportedVerticalRate) > _rules.maxVerticalRateDeviation) {
+                return (false, "Kinematics: vertical rate inconsistent with altitude change");
+            }
+        }
+        return (true, "Valid update");
+    }
+}
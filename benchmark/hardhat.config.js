@@ -0,0 +1,17 @@
+// Hardhat config for scripts/gas-benchmark.js: the main settings, with sources,
+// artifacts and cache of its own so the pre-packing AdsbDataUnpacked is never part
+// of the regular build.
+//
+//   npx hardhat run --config benchmark/hardhat.config.js scripts/gas-benchmark.js
+
+const config = require("../hardhat.config");
+
+/** @type import('hardhat/config').HardhatUserConfig */
+module.exports = Object.assign({}, config, {
+  paths: {
+    root: "..",
+    sources: "benchmark/contracts",
+    artifacts: "benchmark/artifacts",
+    cache: "benchmark/cache"
+  }
+});
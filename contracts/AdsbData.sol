@@ -1,22 +1,146 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.0;
 
+import "./GeoDistance.sol";
+
 contract AdsbData {
+    // Ground speed, track and vertical rate as reported by the transponder. Reports
+    // without them (known == false) only get the position and altitude checks.
+    struct Kinematics {
+        int256 velocity;      // Ground speed in m/s (multiplied by 10^2)
+        int256 heading;       // True track in degrees clockwise from north (multiplied by 10^2)
+        int256 verticalRate;  // Vertical rate in m/s, positive when climbing (multiplied by 10^2)
+        bool known;
+    }
+
+    // A stored position, packed into two storage slots: the first holds the fields
+    // of the position word of updateFlightBatchPacked, the second those of the
+    // kinematics word (see unpackReport and web-interface/src/shared/FlightEncoding.js)
     struct Flight {
-        string icao24;        // ICAO24 address of the aircraft
-        string callsign;      // Callsign of the aircraft
-        int256 latitude;      // Latitude in decimal degrees (multiplied by 10^6)
-        int256 longitude;     // Longitude in decimal degrees (multiplied by 10^6)
-        int256 altitude;      // Altitude in meters (multiplied by 10^2)
-        bool onGround;        // Boolean value which indicates if the position was retrieved from a surface position report
-        uint256 timestamp;    // Unix timestamp for the last position update
-        bool isSpoofed;       // Indicates if the signal might be spoofed
+        bytes3 icao24;        // ICAO24 address of the aircraft
+        bytes8 callsign;      // Callsign of the aircraft, ASCII padded with zero bytes
+        int32 latitude;       // Latitude in decimal degrees (multiplied by 10^6)
+        int32 longitude;      // Longitude in decimal degrees (multiplied by 10^6)
+        int32 altitude;       // Altitude in meters (multiplied by 10^2)
+        uint40 timestamp;     // Unix timestamp at which the receiver observed the position
+        uint8 flags;          // FLAG_ON_GROUND | FLAG_SPOOFED | FLAG_KINEMATICS_KNOWN
+        int32 velocity;       // Kinematics, zero when unknown
+        int32 heading;
+        int32 verticalRate;
+    }
+
+    uint8 private constant FLAG_ON_GROUND = 1;          // position from a surface position report
+    uint8 private constant FLAG_SPOOFED = 2;            // the signal might be spoofed
+    uint8 private constant FLAG_KINEMATICS_KNOWN = 4;
+    bytes16 private constant HEX_DIGITS = "0123456789abcdef";
+
+    // A position report as observed and signed by a ground receiver (EIP-712)
+    struct Report {
+        string icao24;
+        string callsign;
+        int256 latitude;
+        int256 longitude;
+        int256 altitude;
+        bool onGround;
+        bool isSpoofed;
+        uint256 observedAt;   // Unix timestamp at which the receiver decoded the message
+        Kinematics kinematics;
+    }
+
+    bytes32 private constant EIP712_DOMAIN_TYPEHASH = keccak256(
+        "EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)"
+    );
+    bytes32 public constant REPORT_TYPEHASH = keccak256(
+        "Report(string icao24,string callsign,int256 latitude,int256 longitude,int256 altitude,bool onGround,bool isSpoofed,uint256 observedAt,Kinematics kinematics)"
+        "Kinematics(int256 velocity,int256 heading,int256 verticalRate,bool known)"
+    );
+    bytes32 public constant KINEMATICS_TYPEHASH = keccak256(
+        "Kinematics(int256 velocity,int256 heading,int256 verticalRate,bool known)"
+    );
+    bytes32 public immutable DOMAIN_SEPARATOR;
+
+    bytes32 public constant ADMIN_ROLE = keccak256("ADMIN_ROLE");       // manages roles, revokes receivers
+    bytes32 public constant OPERATOR_ROLE = keccak256("OPERATOR_ROLE"); // registers and suspends receivers
+    mapping(bytes32 => mapping(address => bool)) private roles;
+    uint256 private adminCount;
+
+    enum ReceiverStatus { None, Active, Suspended, Revoked }
+
+    // A ground station allowed to submit (or sign) position reports
+    struct Receiver {
+        ReceiverStatus status;
+        string name;
+        int256 latitude;      // Station location, same fixed-point format as flights
+        int256 longitude;
+        address owner;        // Party responsible for the station
+        uint256 registeredAt;
     }
 
+    mapping(address => Receiver) private receivers;
+    address[] private receiverList;
+
+    // Report digests already stored per receiver (signed or not), so a captured
+    // message cannot be resubmitted
+    mapping(bytes32 => bool) private usedReports;
+
+    // Accepted distance between a report's observation time and block time
+    uint256 public maxObservationAge = 600;   // seconds an observation may lag behind the block
+    uint256 public maxClockSkew = 30;         // seconds a receiver clock may run ahead
+
     // Store only the latest flight data for each ICAO24
-    mapping(string => Flight) private latestFlights;
-    string[] private activeFlights;
-    mapping(string => bool) private isActive;
+    mapping(bytes3 => Flight) private latestFlights;
+    bytes3[] private activeFlights;
+
+    // Append-only track of every accepted position per ICAO24
+    mapping(bytes3 => Flight[]) private flightHistory;
+
+    enum ConsensusStatus { None, Pending, Confirmed, Disputed }
+
+    // Observations of one aircraft within one time window. Every report is a candidate
+    // position backed by the reports within tolerance of it, itself included; the
+    // proposal is the best-backed one, so a spoofer reporting first cannot hold the
+    // round against the receivers that agree with each other.
+    struct ConsensusRound {
+        ConsensusStatus status;
+        uint256 windowStart;
+        uint256 proposal;       // index into observations
+        Flight[] observations;
+        uint256[] support;
+    }
+
+    uint256 public quorum = 1;                // agreeing receivers needed; 1 accepts single reports
+    uint256 public consensusWindow = 60;      // seconds per observation round
+    int256 public positionTolerance = 2000;   // meters between agreeing positions
+    int256 public altitudeTolerance = 300;    // same units as Flight.altitude
+    uint256 private activeReceiverCount;
+
+    enum AircraftCategory { Airliner, GeneralAviation, Rotorcraft, GroundVehicle }
+
+    // Plausibility thresholds for one aircraft category; kinematic limits use the
+    // fixed-point units of Kinematics
+    struct ValidationRules {
+        int256 maxAltitudeJump;            // altitude change between two reports, regardless of time
+        int256 maxAltitudeRate;            // altitude change per second
+        uint256 maxPositionJump;           // meters; farther jumps need at least minPositionJumpInterval
+        uint256 minPositionJumpInterval;   // seconds
+        int256 maxSpeedDeviation;          // reported vs. implied speed, plus a quarter of the reported speed
+        int256 maxAcceleration;            // ground speed change per second
+        int256 maxTurnRate;                // track change per second
+        int256 maxVerticalRateDeviation;   // reported vs. implied vertical rate
+        int256 minTurnCheckSpeed;          // track is noise below this speed
+        uint256 maxKinematicInterval;      // seconds over which a straight, steady track is assumed
+    }
+
+    uint256 public constant AIRCRAFT_CATEGORY_COUNT = 4;
+    mapping(AircraftCategory => ValidationRules) private validationRules;
+    mapping(bytes3 => AircraftCategory) private aircraftCategories;  // unlisted aircraft are airliners
+
+    mapping(bytes32 => ConsensusRound) private rounds;
+    mapping(bytes32 => mapping(address => bool)) private roundReporters;
+    mapping(bytes3 => bytes32) private latestRoundKey;
+
+    // Merkle roots of report windows the relay keeps off-chain, by window start
+    mapping(uint256 => bytes32) public anchoredRoots;
 
     event FlightUpdated(
         string icao24,
@@ -26,7 +150,8 @@ contract AdsbData {
         int256 altitude,
         bool onGround,
         uint256 timestamp,
-        bool isSpoofed
+        bool isSpoofed,
+        Kinematics kinematics
     );
 
     event FlightBatchUpdated(
@@ -39,173 +164,960 @@ contract AdsbData {
         string reason
     );
 
+    event RoleGranted(
+        bytes32 indexed role,
+        address indexed account,
+        address indexed sender
+    );
+
+    event RoleRevoked(
+        bytes32 indexed role,
+        address indexed account,
+        address indexed sender
+    );
+
+    event ReceiverRegistered(
+        address indexed receiver,
+        string name,
+        address owner
+    );
+
+    event ReceiverStatusChanged(
+        address indexed receiver,
+        ReceiverStatus status
+    );
+
+    event ReceiverMetadataUpdated(
+        address indexed receiver,
+        string name,
+        int256 latitude,
+        int256 longitude,
+        address owner
+    );
+
+    event ReportVerified(
+        string icao24,
+        address indexed receiver,
+        uint256 observedAt
+    );
+
+    event ObservationRecorded(
+        string icao24,
+        address indexed receiver,
+        uint256 windowStart,
+        int256 latitude,
+        int256 longitude,
+        int256 altitude,
+        bool agrees,
+        ConsensusStatus status,
+        uint256 agreeing,
+        uint256 disagreeing
+    );
+
+    event ConsensusReached(
+        string icao24,
+        uint256 windowStart,
+        ConsensusStatus status,
+        uint256 agreeing,
+        uint256 disagreeing
+    );
+
+    event ObservationWindowUpdated(
+        uint256 maxObservationAge,
+        uint256 maxClockSkew
+    );
+
+    event ValidationRulesUpdated(
+        AircraftCategory indexed category,
+        ValidationRules rules
+    );
+
+    event AircraftCategorySet(
+        string icao24,
+        AircraftCategory category
+    );
+
+    event QuorumConfigUpdated(
+        uint256 quorum,
+        uint256 window,
+        int256 positionTolerance,
+        int256 altitudeTolerance
+    );
+
+    event RootAnchored(
+        uint256 indexed windowStart,
+        bytes32 root,
+        uint256 count
+    );
+
+    // The check lives in a function so that it is not inlined into every caller
+    modifier onlyRole(bytes32 _role) {
+        requireRole(_role);
+        _;
+    }
+
+    // Direct (unsigned) writes are only accepted from an active registered receiver
+    modifier onlyActiveReceiver() {
+        (bool active, string memory reason) = checkReceiver(msg.sender);
+        require(active, reason);
+        _;
+    }
+
     constructor() {
-        // Initialize any other necessary variables
+        DOMAIN_SEPARATOR = keccak256(abi.encode(
+            EIP712_DOMAIN_TYPEHASH,
+            keccak256(bytes("AdsbData")),
+            keccak256(bytes("1")),
+            block.chainid,
+            address(this)
+        ));
+
+        // The deployer is admin, operator and the first receiver so a fresh network works out of the box
+        grantRoleInternal(ADMIN_ROLE, msg.sender);
+        grantRoleInternal(OPERATOR_ROLE, msg.sender);
+        registerReceiverInternal(msg.sender, "Bootstrap receiver", 0, 0, msg.sender);
+
+        setValidationRulesInternal(AircraftCategory.Airliner, ValidationRules(50000, 10, 100000, 300, 5000, 1000, 1000, 750, 500, 120));
+        setValidationRulesInternal(AircraftCategory.GeneralAviation, ValidationRules(50000, 10, 40000, 300, 3000, 500, 1500, 750, 300, 120));
+        setValidationRulesInternal(AircraftCategory.Rotorcraft, ValidationRules(50000, 15, 30000, 300, 3000, 500, 3000, 1000, 1000, 120));
+        setValidationRulesInternal(AircraftCategory.GroundVehicle, ValidationRules(100, 2, 10000, 300, 1000, 500, 3000, 200, 200, 120));
     }
 
-    function updateFlight(
-        string memory _icao24,
-        string memory _callsign,
+    // ---- Roles -------------------------------------------------------------
+
+    function hasRole(bytes32 _role, address _account) public view returns (bool) {
+        return roles[_role][_account];
+    }
+
+    function grantRole(bytes32 _role, address _account) public onlyRole(ADMIN_ROLE) {
+        require(_role == ADMIN_ROLE || _role == OPERATOR_ROLE, "Unknown role");
+        require(_account != address(0), "Invalid account");
+        grantRoleInternal(_role, _account);
+    }
+
+    function revokeRole(bytes32 _role, address _account) public onlyRole(ADMIN_ROLE) {
+        if (!roles[_role][_account]) return;
+        if (_role == ADMIN_ROLE) {
+            require(adminCount > 1, "Cannot revoke the last admin");
+            adminCount--;
+        }
+        roles[_role][_account] = false;
+        emit RoleRevoked(_role, _account, msg.sender);
+    }
+
+    function requireRole(bytes32 _role) private view {
+        require(roles[_role][msg.sender], "Missing required role");
+    }
+
+    function grantRoleInternal(bytes32 _role, address _account) private {
+        if (roles[_role][_account]) return;
+        roles[_role][_account] = true;
+        if (_role == ADMIN_ROLE) {
+            adminCount++;
+        }
+        emit RoleGranted(_role, _account, msg.sender);
+    }
+
+    // ---- Receiver registry -------------------------------------------------
+
+    function registerReceiver(
+        address _receiver,
+        string memory _name,
         int256 _latitude,
         int256 _longitude,
-        int256 _altitude,
-        bool _onGround,
-        bool _isSpoofed
-    ) public {
-        require(bytes(_icao24).length > 0, "ICAO24 is required");
+        address _owner
+    ) public onlyRole(OPERATOR_ROLE) {
+        registerReceiverInternal(_receiver, _name, _latitude, _longitude, _owner);
+    }
+
+    function updateReceiverMetadata(
+        address _receiver,
+        string memory _name,
+        int256 _latitude,
+        int256 _longitude,
+        address _owner
+    ) public onlyRole(OPERATOR_ROLE) {
+        Receiver storage receiver = receivers[_receiver];
+        require(receiver.status != ReceiverStatus.None, "Unregistered receiver");
         require(_latitude >= -90000000 && _latitude <= 90000000, "Invalid latitude");
         require(_longitude >= -180000000 && _longitude <= 180000000, "Invalid longitude");
 
-        uint256 currentTime = block.timestamp;
-        Flight storage prev = latestFlights[_icao24];
-        if (bytes(prev.icao24).length > 0) {
-            // 1. Replay attack prevention
-            if (currentTime <= prev.timestamp) {
-                emit FlightRejected(_icao24, "Replay attack: timestamp not newer");
-                revert("Replay attack: timestamp not newer");
+        receiver.name = _name;
+        receiver.latitude = _latitude;
+        receiver.longitude = _longitude;
+        receiver.owner = _owner;
+        emit ReceiverMetadataUpdated(_receiver, _name, _latitude, _longitude, _owner);
+    }
+
+    function suspendReceiver(address _receiver) public onlyRole(OPERATOR_ROLE) {
+        require(receivers[_receiver].status == ReceiverStatus.Active, "Receiver is not active");
+        setReceiverStatus(_receiver, ReceiverStatus.Suspended);
+    }
+
+    function reactivateReceiver(address _receiver) public onlyRole(OPERATOR_ROLE) {
+        require(receivers[_receiver].status == ReceiverStatus.Suspended, "Receiver is not suspended");
+        setReceiverStatus(_receiver, ReceiverStatus.Active);
+    }
+
+    // Permanent: a revoked receiver cannot be reactivated or registered again
+    function revokeReceiver(address _receiver) public onlyRole(ADMIN_ROLE) {
+        ReceiverStatus status = receivers[_receiver].status;
+        require(status == ReceiverStatus.Active || status == ReceiverStatus.Suspended, "Receiver cannot be revoked");
+        setReceiverStatus(_receiver, ReceiverStatus.Revoked);
+    }
+
+    function isActiveReceiver(address _receiver) public view returns (bool) {
+        return receivers[_receiver].status == ReceiverStatus.Active;
+    }
+
+    function getActiveReceiverCount() public view returns (uint256) {
+        return activeReceiverCount;
+    }
+
+
+    function getReceiver(address _receiver) public view returns (
+        ReceiverStatus status,
+        string memory name,
+        int256 latitude,
+        int256 longitude,
+        address owner,
+        uint256 registeredAt
+    ) {
+        Receiver storage receiver = receivers[_receiver];
+        return (receiver.status, receiver.name, receiver.latitude, receiver.longitude, receiver.owner, receiver.registeredAt);
+    }
+
+    function getReceiverCount() public view returns (uint256) {
+        return receiverList.length;
+    }
+
+    function getReceiverAt(uint256 index) public view returns (address) {
+        require(index < receiverList.length, "Receiver index out of bounds");
+        return receiverList[index];
+    }
+
+    function registerReceiverInternal(
+        address _receiver,
+        string memory _name,
+        int256 _latitude,
+        int256 _longitude,
+        address _owner
+    ) private {
+        require(_receiver != address(0), "Invalid receiver");
+        require(receivers[_receiver].status == ReceiverStatus.None, "Receiver already registered");
+        require(_latitude >= -90000000 && _latitude <= 90000000, "Invalid latitude");
+        require(_longitude >= -180000000 && _longitude <= 180000000, "Invalid longitude");
+
+        receivers[_receiver] = Receiver({
+            status: ReceiverStatus.Active,
+            name: _name,
+            latitude: _latitude,
+            longitude: _longitude,
+            owner: _owner,
+            registeredAt: block.timestamp
+        });
+        receiverList.push(_receiver);
+        activeReceiverCount++;
+
+        emit ReceiverRegistered(_receiver, _name, _owner);
+        emit ReceiverStatusChanged(_receiver, ReceiverStatus.Active);
+    }
+
+    function setReceiverStatus(address _receiver, ReceiverStatus _status) private {
+        if (receivers[_receiver].status == ReceiverStatus.Active) {
+            activeReceiverCount--;
+        }
+        if (_status == ReceiverStatus.Active) {
+            activeReceiverCount++;
+        }
+        receivers[_receiver].status = _status;
+        emit ReceiverStatusChanged(_receiver, _status);
+    }
+
+    function checkReceiver(address _receiver) private view returns (bool active, string memory reason) {
+        ReceiverStatus status = receivers[_receiver].status;
+        if (status == ReceiverStatus.Active) {
+            return (true, "Active receiver");
+        }
+        if (status == ReceiverStatus.Suspended) {
+            return (false, "Receiver suspended");
+        }
+        if (status == ReceiverStatus.Revoked) {
+            return (false, "Receiver revoked");
+        }
+        return (false, "Unregistered receiver");
+    }
+
+    // ---- Observation time ------------------------------------------------
+
+    function setObservationWindow(uint256 _maxObservationAge, uint256 _maxClockSkew) public onlyRole(ADMIN_ROLE) {
+        require(_maxObservationAge > 0, "Max observation age must be positive");
+        maxObservationAge = _maxObservationAge;
+        maxClockSkew = _maxClockSkew;
+        emit ObservationWindowUpdated(_maxObservationAge, _maxClockSkew);
+    }
+
+    function checkObservationTime(uint256 _observedAt) private view returns (bool valid, string memory reason) {
+        if (_observedAt > block.timestamp + maxClockSkew) {
+            return (false, "Observation timestamp in the future");
+        }
+        if (_observedAt + maxObservationAge < block.timestamp) {
+            return (false, "Stale observation: outside acceptable window");
+        }
+        return (true, "Observation time within window");
+    }
+
+    // ---- Validation rules --------------------------------------------------
+
+    function setValidationRules(AircraftCategory _category, ValidationRules memory _rules) public onlyRole(ADMIN_ROLE) {
+        setValidationRulesInternal(_category, _rules);
+    }
+
+    // Category decides which rule set an aircraft's reports are checked against
+    function setAircraftCategory(string memory _icao24, AircraftCategory _category) public onlyRole(OPERATOR_ROLE) {
+        require(bytes(_icao24).length > 0, "ICAO24 is required");
+        (bool valid, bytes3 icao24) = parseIcao24(_icao24);
+        require(valid, "Invalid ICAO24: expected 6 hex digits");
+        aircraftCategories[icao24] = _category;
+        emit AircraftCategorySet(icao24String(icao24), _category);
+    }
+
+    function getAircraftCategory(string memory _icao24) public view returns (AircraftCategory) {
+        (, bytes3 icao24) = parseIcao24(_icao24);
+        return aircraftCategories[icao24];
+    }
+
+    function getValidationRules(AircraftCategory _category) public view returns (ValidationRules memory) {
+        return validationRules[_category];
+    }
+
+    // Every category's rules in one call, indexed by AircraftCategory
+    function getValidationRuleSet() public view returns (ValidationRules[AIRCRAFT_CATEGORY_COUNT] memory ruleSet) {
+        for (uint256 i = 0; i < AIRCRAFT_CATEGORY_COUNT; i++) {
+            ruleSet[i] = validationRules[AircraftCategory(i)];
+        }
+    }
+
+    function setValidationRulesInternal(AircraftCategory _category, ValidationRules memory _rules) private {
+        require(
+            _rules.maxAltitudeJump > 0 &&
+            _rules.maxAltitudeRate > 0 &&
+            _rules.maxPositionJump > 0 &&
+            _rules.maxSpeedDeviation > 0 &&
+            _rules.maxAcceleration > 0 &&
+            _rules.maxTurnRate > 0 &&
+            _rules.maxVerticalRateDeviation > 0 &&
+            _rules.minTurnCheckSpeed >= 0,
+            "Invalid validation rules"
+        );
+        validationRules[_category] = _rules;
+        emit ValidationRulesUpdated(_category, _rules);
+    }
+
+    // ---- Anchoring ---------------------------------------------------------
+
+    // In the relay's anchoring mode a window's reports stay off-chain; only the root
+    // of their Merkle tree (MerkleTree.js) is stored, once, to check proofs against
+    function anchorRoot(uint256 _windowStart, bytes32 _root, uint256 _count) public onlyRole(OPERATOR_ROLE) {
+        require(_root != bytes32(0) && _count > 0, "Empty root");
+        require(anchoredRoots[_windowStart] == bytes32(0), "Window already anchored");
+        anchoredRoots[_windowStart] = _root;
+        emit RootAnchored(_windowStart, _root, _count);
+    }
+
+    // ---- Consensus ---------------------------------------------------------
+
+    // A position is only stored once `_quorum` receivers report it within `_window`
+    // seconds of each other and within the given tolerances of the first report
+    function setQuorumConfig(
+        uint256 _quorum,
+        uint256 _window,
+        int256 _positionTolerance,
+        int256 _altitudeTolerance
+    ) public onlyRole(ADMIN_ROLE) {
+        require(_quorum > 0, "Quorum must be at least 1");
+        require(_quorum <= activeReceiverCount, "Quorum exceeds active receivers");
+        require(_window > 0, "Window must be positive");
+        require(_positionTolerance >= 0 && _altitudeTolerance >= 0, "Invalid tolerance");
+
+        quorum = _quorum;
+        consensusWindow = _window;
+        positionTolerance = _positionTolerance;
+        altitudeTolerance = _altitudeTolerance;
+        emit QuorumConfigUpdated(_quorum, _window, _positionTolerance, _altitudeTolerance);
+    }
+
+    // Most recent observation round for an aircraft; the proposal is the position under vote
+    function getConsensus(string memory _icao24) public view returns (
+        ConsensusStatus status,
+        uint256 windowStart,
+        string memory callsign,
+        int256 latitude,
+        int256 longitude,
+        int256 altitude,
+        uint256 agreeing,
+        uint256 disagreeing
+    ) {
+        (, bytes3 icao24) = parseIcao24(_icao24);
+        ConsensusRound storage round = rounds[latestRoundKey[icao24]];
+        status = round.status;
+        if (status != ConsensusStatus.None) {
+            Flight storage proposal = round.observations[round.proposal];
+            windowStart = round.windowStart;
+            callsign = callsignString(proposal.callsign);
+            latitude = proposal.latitude;
+            longitude = proposal.longitude;
+            altitude = proposal.altitude;
+            agreeing = round.support[round.proposal];
+            disagreeing = round.observations.length - agreeing;
+        }
+    }
+
+    function windowStartOf(uint256 _timestamp) private view returns (uint256) {
+        return _timestamp - (_timestamp % consensusWindow);
+    }
+
+    function roundKey(bytes3 _icao24, uint256 _windowStart) private pure returns (bytes32) {
+        return keccak256(abi.encode(_icao24, _windowStart));
+    }
+
+    // Per-receiver rules on top of checkFlightUpdate
+    function checkObservation(Flight memory _observation, address _receiver) private view returns (bool valid, string memory reason) {
+        (valid, reason) = checkFlightUpdate(_observation);
+        if (!valid || quorum <= 1) {
+            return (valid, reason);
+        }
+        bytes32 latestKey = latestRoundKey[_observation.icao24];
+        if (latestKey != bytes32(0) && rounds[latestKey].windowStart > windowStartOf(_observation.timestamp)) {
+            return (false, "Replay attack: observation older than current round");
+        }
+        if (roundReporters[roundKey(_observation.icao24, windowStartOf(_observation.timestamp))][_receiver]) {
+            return (false, "Duplicate observation from receiver");
+        }
+        return (true, "Valid observation");
+    }
+
+    // Counts `_observation` towards its round and stores the proposal once the round is confirmed
+    function recordObservation(address _receiver, Flight memory _observation) private {
+        uint256 windowStart = windowStartOf(_observation.timestamp);
+        string memory icao24 = icao24String(_observation.icao24);
+        bool agrees = true;
+        ConsensusStatus status = ConsensusStatus.Confirmed;
+        uint256 most = 1;
+        uint256 disagreeing;
+
+        if (quorum <= 1) {
+            storeFlight(_observation);
+        } else {
+            bytes32 key = roundKey(_observation.icao24, windowStart);
+            ConsensusRound storage round = rounds[key];
+            roundReporters[key][_receiver] = true;
+            if (round.status == ConsensusStatus.None) {
+                round.status = ConsensusStatus.Pending;
+                round.windowStart = windowStart;
+                latestRoundKey[_observation.icao24] = key;
             }
-            // 2. Spoofing/tampering prevention
-            // Calculate distance (Haversine formula approximation, in meters)
-            int256 dLat = _latitude - prev.latitude;
-            int256 dLon = _longitude - prev.longitude;
-            // Convert to degrees
-            int256 dLatDeg = dLat / 1000000;
-            int256 dLonDeg = dLon / 1000000;
-            // Approximate: 1 deg latitude ~ 111km, 1 deg longitude ~ 85km at mid-latitude
-            int256 distMeters = abs(dLatDeg) * 111000 + abs(dLonDeg) * 85000;
-            uint256 dt = currentTime - prev.timestamp;
-            if (dt > 0) {
-                // Block any altitude jump >500m regardless of time
-                int256 dAlt = _altitude - prev.altitude;
-                if (abs(dAlt) > 50000) {
-                    emit FlightRejected(_icao24, "Tampering: impossible altitude jump");
-                    revert("Tampering: impossible altitude jump");
+
+            // The new report backs, and is backed by, every earlier one within tolerance;
+            // the proposal is the best-backed report, the earliest on a tie
+            uint256 count = round.observations.length;
+            uint256 support = 1;
+            uint256 proposal = count;
+            most = 0;
+            for (uint256 i = 0; i < count; i++) {
+                bool within = withinTolerance(round.observations[i], _observation);
+                uint256 backing = round.support[i];
+                if (within) {
+                    round.support[i] = ++backing;
+                    support++;
+                }
+                if (backing > most) {
+                    most = backing;
+                    proposal = i;
+                    agrees = within;
                 }
-                // Block if rate of altitude change >10 m/s
-                int256 rate = abs(dAlt) / int256(dt);
-                if (rate > 10) {
-                    emit FlightRejected(_icao24, "Tampering: impossible altitude rate");
-                    revert("Tampering: impossible altitude rate");
+            }
+            if (support > most) {
+                most = support;
+                proposal = count;
+                agrees = true;
+            }
+            round.observations.push(_observation);
+            round.support.push(support);
+            disagreeing = count + 1 - most;
+
+            // A confirmed round is final: checkFlightUpdate refuses a later report at or
+            // before the stored observation time as a replay, and a newer one in the window
+            // is only counted. A disputed round can still be confirmed by receivers that
+            // report later and agree with each other.
+            status = round.status;
+            if (status != ConsensusStatus.Confirmed) {
+                round.proposal = proposal;
+                if (most >= quorum && most > disagreeing) {
+                    status = ConsensusStatus.Confirmed;
+                    storeFlight(round.observations[proposal]);
+                } else if (disagreeing >= quorum) {
+                    status = ConsensusStatus.Disputed;
                 }
-                // Spoofing check remains
-                if (distMeters > 100000 && dt < 300) {
-                    emit FlightRejected(_icao24, "Spoofing: impossible position jump");
-                    revert("Spoofing: impossible position jump");
+                if (status != round.status) {
+                    round.status = status;
+                    emit ConsensusReached(icao24, windowStart, status, most, disagreeing);
                 }
             }
         }
 
-        // Store the flight data
-        latestFlights[_icao24] = Flight({
-            icao24: _icao24,
-            callsign: _callsign,
-            latitude: _latitude,
-            longitude: _longitude,
-            altitude: _altitude,
-            onGround: _onGround,
-            timestamp: currentTime,
-            isSpoofed: _isSpoofed
-        });
+        emit ObservationRecorded(icao24, _receiver, windowStart, _observation.latitude, _observation.longitude, _observation.altitude, agrees, status, most, disagreeing);
+    }
+
+    function withinTolerance(Flight storage _candidate, Flight memory _observation) private view returns (bool) {
+        uint256 distMeters = GeoDistance.distanceMeters(_candidate.latitude, _candidate.longitude, _observation.latitude, _observation.longitude);
+        return int256(distMeters) <= positionTolerance && abs(int256(_observation.altitude) - _candidate.altitude) <= altitudeTolerance;
+    }
+
+    // ---- Flight updates ----------------------------------------------------
+
+    // `_observedAt` is when the receiver decoded the message, not when it is submitted
+    function updateFlight(
+        string memory _icao24,
+        string memory _callsign,
+        int256 _latitude,
+        int256 _longitude,
+        int256 _altitude,
+        bool _onGround,
+        bool _isSpoofed,
+        uint256 _observedAt,
+        Kinematics memory _kinematics
+    ) public onlyActiveReceiver {
+        acceptOrRevert(Report(_icao24, _callsign, _latitude, _longitude, _altitude, _onGround, _isSpoofed, _observedAt, _kinematics), msg.sender);
+    }
+
+    function updateFlightBatch(
+        string[] calldata _icao24s,
+        string[] calldata _callsigns,
+        int256[] calldata _latitudes,
+        int256[] calldata _longitudes,
+        int256[] calldata _altitudes,
+        bool[] calldata _onGrounds,
+        bool[] calldata _isSpoofedFlags,
+        uint256[] calldata _observedAts,
+        Kinematics[] calldata _kinematics
+    ) public onlyActiveReceiver {
+        requireBatchShape(_icao24s, _callsigns, _latitudes, _longitudes, _altitudes, _onGrounds, _isSpoofedFlags, _observedAts, _kinematics);
 
-        // Add to active flights if not already present
-        if (!isActive[_icao24]) {
-            activeFlights.push(_icao24);
-            isActive[_icao24] = true;
+        for (uint256 i = 0; i < _icao24s.length; i++) {
+            acceptOrRevert(Report(_icao24s[i], _callsigns[i], _latitudes[i], _longitudes[i], _altitudes[i], _onGrounds[i], _isSpoofedFlags[i], _observedAts[i], _kinematics[i]), msg.sender);
         }
 
-        emit FlightUpdated(
-            _icao24,
-            _callsign,
-            _latitude,
-            _longitude,
-            _altitude,
-            _onGround,
-            currentTime,
-            _isSpoofed
+        // Summary event; the per-aircraft FlightUpdated events above carry the data
+        emit FlightBatchUpdated(_icao24s.length, block.timestamp);
+    }
+
+    // Same as updateFlightBatch, but an invalid entry is skipped with a FlightRejected
+    // event instead of reverting the whole batch. FlightBatchUpdated reports how many
+    // entries were accepted.
+    function updateFlightBatchPartial(
+        string[] calldata _icao24s,
+        string[] calldata _callsigns,
+        int256[] calldata _latitudes,
+        int256[] calldata _longitudes,
+        int256[] calldata _altitudes,
+        bool[] calldata _onGrounds,
+        bool[] calldata _isSpoofedFlags,
+        uint256[] calldata _observedAts,
+        Kinematics[] calldata _kinematics
+    ) public onlyActiveReceiver returns (uint256 accepted) {
+        requireBatchShape(_icao24s, _callsigns, _latitudes, _longitudes, _altitudes, _onGrounds, _isSpoofedFlags, _observedAts, _kinematics);
+
+        for (uint256 i = 0; i < _icao24s.length; i++) {
+            Report memory report = Report(_icao24s[i], _callsigns[i], _latitudes[i], _longitudes[i], _altitudes[i], _onGrounds[i], _isSpoofedFlags[i], _observedAts[i], _kinematics[i]);
+            if (acceptIfValid(report, msg.sender)) {
+                accepted++;
+            }
+        }
+
+        emit FlightBatchUpdated(accepted, block.timestamp);
+    }
+
+    // updateFlightBatchPartial with each flight as a position and a kinematics word
+    // (the storage layout of Flight, see FlightEncoding.js): two words of calldata
+    // per flight instead of about seventeen
+    function updateFlightBatchPacked(
+        bytes32[] calldata _positions,
+        bytes32[] calldata _kinematics
+    ) public onlyActiveReceiver returns (uint256 accepted) {
+        requireBatchSize(_positions.length == _kinematics.length, _positions.length);
+
+        for (uint256 i = 0; i < _positions.length; i++) {
+            if (acceptIfValid(unpackReport(_positions[i], _kinematics[i]), msg.sender)) {
+                accepted++;
+            }
+        }
+
+        emit FlightBatchUpdated(accepted, block.timestamp);
+    }
+
+    function submitSignedReport(Report calldata _report, bytes calldata _signature) public {
+        (bool valid, string memory reason, bytes32 messageId, address receiver, Flight memory flight) = checkSignedReport(_report, _signature);
+        if (!valid) {
+            emit FlightRejected(_report.icao24, reason);
+            revert(reason);
+        }
+
+        acceptSignedReport(_report, flight, messageId, receiver);
+    }
+
+    // Partial acceptance like updateFlightBatchPartial: forged or invalid reports are
+    // skipped with FlightRejected, the rest are stored
+    function submitSignedReportBatch(Report[] calldata _reports, bytes[] calldata _signatures) public returns (uint256 accepted) {
+        requireBatchSize(_reports.length == _signatures.length, _reports.length);
+
+        for (uint256 i = 0; i < _reports.length; i++) {
+            if (acceptSignedIfValid(_reports[i], _signatures[i])) {
+                accepted++;
+            }
+        }
+
+        emit FlightBatchUpdated(accepted, block.timestamp);
+    }
+
+    // submitSignedReportBatch with packed reports. The signature covers the report
+    // as unpacked: lowercase ICAO24 and the callsign without its zero padding.
+    function submitSignedReportBatchPacked(
+        bytes32[] calldata _positions,
+        bytes32[] calldata _kinematics,
+        bytes[] calldata _signatures
+    ) public returns (uint256 accepted) {
+        requireBatchSize(_positions.length == _kinematics.length && _positions.length == _signatures.length, _positions.length);
+
+        for (uint256 i = 0; i < _positions.length; i++) {
+            if (acceptSignedIfValid(unpackReport(_positions[i], _kinematics[i]), _signatures[i])) {
+                accepted++;
+            }
+        }
+
+        emit FlightBatchUpdated(accepted, block.timestamp);
+    }
+
+    // A direct report that cannot be stored reverts; one that fails the flight checks
+    // also emits FlightRejected first
+    function acceptOrRevert(Report memory _report, address _receiver) private {
+        (bool valid, string memory reason, Flight memory flight) = packReport(_report);
+        require(valid, reason);
+
+        bytes32 messageId;
+        (valid, reason, messageId) = checkReport(_report, flight, _receiver);
+        if (!valid) {
+            emit FlightRejected(_report.icao24, reason);
+            revert(reason);
+        }
+
+        acceptReport(flight, _receiver, messageId);
+    }
+
+    // One entry of a partial batch: stored, or skipped with FlightRejected
+    function acceptIfValid(Report memory _report, address _receiver) private returns (bool) {
+        (bool valid, string memory reason, Flight memory flight) = packReport(_report);
+        bytes32 messageId;
+        if (valid) {
+            (valid, reason, messageId) = checkReport(_report, flight, _receiver);
+        }
+        if (!valid) {
+            emit FlightRejected(_report.icao24, reason);
+            return false;
+        }
+
+        acceptReport(flight, _receiver, messageId);
+        return true;
+    }
+
+    function acceptSignedIfValid(Report memory _report, bytes memory _signature) private returns (bool) {
+        (bool valid, string memory reason, bytes32 messageId, address receiver, Flight memory flight) = checkSignedReport(_report, _signature);
+        if (!valid) {
+            emit FlightRejected(_report.icao24, reason);
+            return false;
+        }
+
+        acceptSignedReport(_report, flight, messageId, receiver);
+        return true;
+    }
+
+    // EIP-712 digest a receiver signs for `_report`
+    function hashReport(Report memory _report) public view returns (bytes32) {
+        bytes32 structHash = keccak256(abi.encode(
+            REPORT_TYPEHASH,
+            keccak256(bytes(_report.icao24)),
+            keccak256(bytes(_report.callsign)),
+            _report.latitude,
+            _report.longitude,
+            _report.altitude,
+            _report.onGround,
+            _report.isSpoofed,
+            _report.observedAt,
+            hashKinematics(_report.kinematics)
+        ));
+        return keccak256(abi.encodePacked("\x19\x01", DOMAIN_SEPARATOR, structHash));
+    }
+
+    function hashKinematics(Kinematics memory _kinematics) private pure returns (bytes32) {
+        return keccak256(abi.encode(
+            KINEMATICS_TYPEHASH,
+            _kinematics.velocity,
+            _kinematics.heading,
+            _kinematics.verticalRate,
+            _kinematics.known
+        ));
+    }
+
+    function checkSignedReport(
+        Report memory _report,
+        bytes memory _signature
+    ) private view returns (bool valid, string memory reason, bytes32 messageId, address receiver, Flight memory flight) {
+        (valid, reason, flight) = packReport(_report);
+        if (!valid) {
+            return (false, reason, messageId, receiver, flight);
+        }
+
+        receiver = recoverSigner(hashReport(_report), _signature);
+        if (receiver == address(0)) {
+            return (false, "Invalid report signature", messageId, receiver, flight);
+        }
+        (valid, reason) = checkReceiver(receiver);
+        if (!valid) {
+            return (false, reason, messageId, receiver, flight);
+        }
+
+        (valid, reason, messageId) = checkReport(_report, flight, receiver);
+        return (valid, reason, messageId, receiver, flight);
+    }
+
+    function acceptSignedReport(Report memory _report, Flight memory _flight, bytes32 _messageId, address _receiver) private {
+        acceptReport(_flight, _receiver, _messageId);
+        emit ReportVerified(_report.icao24, _receiver, _report.observedAt);
+    }
+
+    // Replay rules shared by signed and direct reports: each receiver may submit a
+    // given message once, and only while its observation time is fresh and newer
+    // than the aircraft's stored position. `_flight` is the report packed by packReport.
+    function checkReport(
+        Report memory _report,
+        Flight memory _flight,
+        address _receiver
+    ) private view returns (bool valid, string memory reason, bytes32 messageId) {
+        messageId = keccak256(abi.encode(_receiver, hashReport(_report)));
+        if (usedReports[messageId]) {
+            return (false, "Replay attack: report already submitted", messageId);
+        }
+
+        (valid, reason) = checkObservation(_flight, _receiver);
+        return (valid, reason, messageId);
+    }
+
+    function acceptReport(Flight memory _flight, address _receiver, bytes32 _messageId) private {
+        usedReports[_messageId] = true;
+        recordObservation(_receiver, _flight);
+    }
+
+    // ---- Packed flights ----------------------------------------------------
+
+    // The storage form of a report, or why it has none: the ICAO24 must be six hex
+    // digits, the callsign at most 8 bytes, and the numbers must fit their fields
+    function packReport(Report memory _report) private pure returns (bool valid, string memory reason, Flight memory flight) {
+        (valid, reason) = checkFlightInput(_report.icao24, _report.latitude, _report.longitude);
+        if (!valid) {
+            return (false, reason, flight);
+        }
+        (valid, flight.icao24) = parseIcao24(_report.icao24);
+        if (!valid) {
+            return (false, "Invalid ICAO24: expected 6 hex digits", flight);
+        }
+        if (bytes(_report.callsign).length > 8) {
+            return (false, "Invalid callsign: longer than 8 characters", flight);
+        }
+        if (_report.altitude < type(int32).min || _report.altitude > type(int32).max) {
+            return (false, "Invalid altitude", flight);
+        }
+        if (_report.observedAt > type(uint40).max) {
+            return (false, "Observation timestamp in the future", flight);
+        }
+
+        flight.callsign = bytes8(bytes(_report.callsign));
+        flight.latitude = int32(_report.latitude);
+        flight.longitude = int32(_report.longitude);
+        flight.altitude = int32(_report.altitude);
+        flight.timestamp = uint40(_report.observedAt);
+        flight.flags = (_report.onGround ? FLAG_ON_GROUND : 0) | (_report.isSpoofed ? FLAG_SPOOFED : 0);
+
+        Kinematics memory kinematics = _report.kinematics;
+        if (kinematics.known) {
+            if (!fitsInt32(kinematics.velocity) || !fitsInt32(kinematics.heading) || !fitsInt32(kinematics.verticalRate)) {
+                return (false, "Kinematics: invalid values", flight);
+            }
+            flight.flags |= FLAG_KINEMATICS_KNOWN;
+            flight.velocity = int32(kinematics.velocity);
+            flight.heading = int32(kinematics.heading);
+            flight.verticalRate = int32(kinematics.verticalRate);
+        }
+        return (true, "Valid input", flight);
+    }
+
+    // The report a position word and a kinematics word stand for:
+    //   position   = icao24 (3 bytes) | callsign (8) | latitude (int32) | longitude (int32)
+    //                | altitude (int32) | observedAt (uint40) | flags (uint8) | 3 zero bytes
+    //   kinematics = velocity (int32) | heading (int32) | verticalRate (int32) | 20 zero bytes
+    function unpackReport(bytes32 _position, bytes32 _kinematics) private pure returns (Report memory) {
+        uint256 position = uint256(_position);
+        uint256 kinematics = uint256(_kinematics);
+        uint8 flags = uint8(position >> 24);
+        return Report(
+            icao24String(bytes3(_position)),
+            callsignString(bytes8(_position << 24)),
+            int32(uint32(position >> 136)),
+            int32(uint32(position >> 104)),
+            int32(uint32(position >> 72)),
+            flags & FLAG_ON_GROUND != 0,
+            flags & FLAG_SPOOFED != 0,
+            uint40(position >> 32),
+            Kinematics(
+                int32(uint32(kinematics >> 224)),
+                int32(uint32(kinematics >> 192)),
+                int32(uint32(kinematics >> 160)),
+                flags & FLAG_KINEMATICS_KNOWN != 0
+            )
         );
     }
 
-    function updateFlightBatch(
+    function kinematicsOf(Flight memory _flight) private pure returns (Kinematics memory) {
+        return Kinematics(_flight.velocity, _flight.heading, _flight.verticalRate, _flight.flags & FLAG_KINEMATICS_KNOWN != 0);
+    }
+
+    function fitsInt32(int256 _value) private pure returns (bool) {
+        return _value >= type(int32).min && _value <= type(int32).max;
+    }
+
+    // Six hex digits in either case; zero is not an aircraft address
+    function parseIcao24(string memory _icao24) private pure returns (bool valid, bytes3 icao24) {
+        bytes memory text = bytes(_icao24);
+        if (text.length != 6) {
+            return (false, bytes3(0));
+        }
+        uint24 value = 0;
+        for (uint256 i = 0; i < 6; i++) {
+            uint8 char = uint8(text[i]);
+            uint8 digit;
+            if (char >= 0x30 && char <= 0x39) {
+                digit = char - 0x30;
+            } else if (char >= 0x61 && char <= 0x66) {
+                digit = char - 0x57;
+            } else if (char >= 0x41 && char <= 0x46) {
+                digit = char - 0x37;
+            } else {
+                return (false, bytes3(0));
+            }
+            value = value * 16 + digit;
+        }
+        return (value != 0, bytes3(value));
+    }
+
+    // Lowercase, as OpenSky writes it
+    function icao24String(bytes3 _icao24) private pure returns (string memory) {
+        bytes memory text = new bytes(6);
+        for (uint256 i = 0; i < 3; i++) {
+            text[2 * i] = HEX_DIGITS[uint8(_icao24[i]) >> 4];
+            text[2 * i + 1] = HEX_DIGITS[uint8(_icao24[i]) & 0x0f];
+        }
+        return string(text);
+    }
+
+    // Up to the first zero byte
+    function callsignString(bytes8 _callsign) private pure returns (string memory) {
+        uint256 length = 0;
+        while (length < 8 && _callsign[length] != 0) {
+            length++;
+        }
+        bytes memory text = new bytes(length);
+        for (uint256 i = 0; i < length; i++) {
+            text[i] = _callsign[i];
+        }
+        return string(text);
+    }
+
+    // Returns address(0) for malformed or malleable (upper-half s) signatures
+    function recoverSigner(bytes32 _digest, bytes memory _signature) private pure returns (address) {
+        if (_signature.length != 65) {
+            return address(0);
+        }
+
+        bytes32 r;
+        bytes32 s;
+        uint8 v;
+        assembly ("memory-safe") {
+            r := mload(add(_signature, 0x20))
+            s := mload(add(_signature, 0x40))
+            v := byte(0, mload(add(_signature, 0x60)))
+        }
+        if (v < 27) {
+            v += 27;
+        }
+        if (v != 27 && v != 28) {
+            return address(0);
+        }
+        if (uint256(s) > 0x7FFFFFFFFFFFFFFFFFFFFFFFFFFFFFFF5D576E7357A4501DDFE92F46681B20A0) {
+            return address(0);
+        }
+        return ecrecover(_digest, v, r, s);
+    }
+
+    function requireBatchShape(
         string[] calldata _icao24s,
         string[] calldata _callsigns,
         int256[] calldata _latitudes,
         int256[] calldata _longitudes,
         int256[] calldata _altitudes,
         bool[] calldata _onGrounds,
-        bool[] calldata _isSpoofedFlags
-    ) public {
-        require(
+        bool[] calldata _isSpoofedFlags,
+        uint256[] calldata _observedAts,
+        Kinematics[] calldata _kinematics
+    ) private pure {
+        requireBatchSize(
             _icao24s.length == _callsigns.length &&
+            _icao24s.length == _observedAts.length &&
+            _icao24s.length == _kinematics.length &&
             _icao24s.length == _latitudes.length &&
             _icao24s.length == _longitudes.length &&
             _icao24s.length == _altitudes.length &&
             _icao24s.length == _onGrounds.length &&
             _icao24s.length == _isSpoofedFlags.length,
-            "Array lengths must match"
+            _icao24s.length
         );
+    }
 
+    function requireBatchSize(bool _lengthsMatch, uint256 _count) private pure {
+        require(_lengthsMatch, "Array lengths must match");
         // Add batch size limit to prevent gas limit exceeded
-        require(_icao24s.length <= 50, "Batch size too large (max 50)");
-
-        uint256 currentTime = block.timestamp;
-
-        for (uint256 i = 0; i < _icao24s.length; i++) {
-            require(bytes(_icao24s[i]).length > 0, "ICAO24 is required");
-            require(_latitudes[i] >= -90000000 && _latitudes[i] <= 90000000, "Invalid latitude");
-            require(_longitudes[i] >= -180000000 && _longitudes[i] <= 180000000, "Invalid longitude");
-
-            Flight storage prev = latestFlights[_icao24s[i]];
-            if (bytes(prev.icao24).length > 0) {
-                if (currentTime <= prev.timestamp) {
-                    emit FlightRejected(_icao24s[i], "Replay attack: timestamp not newer");
-                    revert("Replay attack: timestamp not newer");
-                }
-                int256 dLat = _latitudes[i] - prev.latitude;
-                int256 dLon = _longitudes[i] - prev.longitude;
-                int256 dLatDeg = dLat / 1000000;
-                int256 dLonDeg = dLon / 1000000;
-                int256 distMeters = abs(dLatDeg) * 111000 + abs(dLonDeg) * 85000;
-                uint256 dt = currentTime - prev.timestamp;
-                if (dt > 0) {
-                    // Block any altitude jump >500m regardless of time
-                    int256 dAlt = _altitudes[i] - prev.altitude;
-                    if (abs(dAlt) > 50000) {
-                        emit FlightRejected(_icao24s[i], "Tampering: impossible altitude jump");
-                        revert("Tampering: impossible altitude jump");
-                    }
-                    // Block if rate of altitude change >10 m/s
-                    int256 rate = abs(dAlt) / int256(dt);
-                    if (rate > 10) {
-                        emit FlightRejected(_icao24s[i], "Tampering: impossible altitude rate");
-                        revert("Tampering: impossible altitude rate");
-                    }
-                    if (distMeters > 100000 && dt < 300) {
-                        emit FlightRejected(_icao24s[i], "Spoofing: impossible position jump");
-                        revert("Spoofing: impossible position jump");
-                    }
-                }
-            }
-
-            // Add to active flights if not already present
-            if (!isActive[_icao24s[i]]) {
-                activeFlights.push(_icao24s[i]);
-                isActive[_icao24s[i]] = true;
-            }
+        require(_count <= 50, "Batch size too large (max 50)");
+    }
 
-            // Update latest flight data
-            latestFlights[_icao24s[i]] = Flight({
-                icao24: _icao24s[i],
-                callsign: _callsigns[i],
-                latitude: _latitudes[i],
-                longitude: _longitudes[i],
-                altitude: _altitudes[i],
-                onGround: _onGrounds[i],
-                timestamp: currentTime,
-                isSpoofed: _isSpoofedFlags[i]
-            });
+    function storeFlight(Flight memory _flight) private {
+        // First position of this aircraft
+        if (latestFlights[_flight.icao24].icao24 == bytes3(0)) {
+            activeFlights.push(_flight.icao24);
         }
 
-        emit FlightBatchUpdated(_icao24s.length, currentTime);
+        // Store the flight data
+        latestFlights[_flight.icao24] = _flight;
+        flightHistory[_flight.icao24].push(_flight);
+
+        emit FlightUpdated(
+            icao24String(_flight.icao24),
+            callsignString(_flight.callsign),
+            _flight.latitude,
+            _flight.longitude,
+            _flight.altitude,
+            _flight.flags & FLAG_ON_GROUND != 0,
+            _flight.timestamp,
+            _flight.flags & FLAG_SPOOFED != 0,
+            kinematicsOf(_flight)
+        );
     }
 
     function getFlightCount() public view returns (uint256) {
@@ -220,19 +1132,21 @@ contract AdsbData {
         int256,
         bool,
         uint256,
-        bool
+        bool,
+        Kinematics memory
     ) {
         require(index < activeFlights.length, "Flight index out of bounds");
         Flight memory flight = latestFlights[activeFlights[index]];
         return (
-            flight.icao24,
-            flight.callsign,
+            icao24String(flight.icao24),
+            callsignString(flight.callsign),
             flight.latitude,
             flight.longitude,
             flight.altitude,
-            flight.onGround,
+            flight.flags & FLAG_ON_GROUND != 0,
             flight.timestamp,
-            flight.isSpoofed
+            flight.flags & FLAG_SPOOFED != 0,
+            kinematicsOf(flight)
         );
     }
 
@@ -244,73 +1158,229 @@ contract AdsbData {
         int256[] memory altitudes,
         bool[] memory onGrounds,
         uint256[] memory timestamps,
-        bool[] memory isSpoofedFlags
+        bool[] memory isSpoofedFlags,
+        Kinematics[] memory kinematics
     ) {
         uint256 resultCount = count > activeFlights.length ? activeFlights.length : count;
-        
-        icao24s = new string[](resultCount);
-        callsigns = new string[](resultCount);
-        latitudes = new int256[](resultCount);
-        longitudes = new int256[](resultCount);
-        altitudes = new int256[](resultCount);
-        onGrounds = new bool[](resultCount);
-        timestamps = new uint256[](resultCount);
-        isSpoofedFlags = new bool[](resultCount);
+        Flight[] memory flights = new Flight[](resultCount);
 
         // Get the latest flights starting from the end
         for (uint256 i = 0; i < resultCount; i++) {
-            string memory icao = activeFlights[activeFlights.length - resultCount + i];
-            Flight storage flight = latestFlights[icao];
-            
-            icao24s[i] = flight.icao24;
-            callsigns[i] = flight.callsign;
+            flights[i] = latestFlights[activeFlights[activeFlights.length - resultCount + i]];
+        }
+        return toColumns(flights);
+    }
+
+    function getFlightHistoryCount(string memory _icao24) public view returns (uint256) {
+        (, bytes3 icao24) = parseIcao24(_icao24);
+        return flightHistory[icao24].length;
+    }
+
+    // Returns positions oldest-first, starting at `offset`, at most `limit` entries
+    function getFlightHistory(string memory _icao24, uint256 offset, uint256 limit) public view returns (
+        string[] memory icao24s,
+        string[] memory callsigns,
+        int256[] memory latitudes,
+        int256[] memory longitudes,
+        int256[] memory altitudes,
+        bool[] memory onGrounds,
+        uint256[] memory timestamps,
+        bool[] memory isSpoofedFlags,
+        Kinematics[] memory kinematics
+    ) {
+        (, bytes3 icao24) = parseIcao24(_icao24);
+        Flight[] storage track = flightHistory[icao24];
+        uint256 resultCount = 0;
+        if (offset < track.length) {
+            resultCount = track.length - offset;
+            if (resultCount > limit) {
+                resultCount = limit;
+            }
+        }
+
+        Flight[] memory flights = new Flight[](resultCount);
+        for (uint256 i = 0; i < resultCount; i++) {
+            flights[i] = track[offset + i];
+        }
+        return toColumns(flights);
+    }
+
+    // The column arrays getLatestFlights and getFlightHistory return
+    function toColumns(Flight[] memory _flights) private pure returns (
+        string[] memory icao24s,
+        string[] memory callsigns,
+        int256[] memory latitudes,
+        int256[] memory longitudes,
+        int256[] memory altitudes,
+        bool[] memory onGrounds,
+        uint256[] memory timestamps,
+        bool[] memory isSpoofedFlags,
+        Kinematics[] memory kinematics
+    ) {
+        uint256 count = _flights.length;
+        icao24s = new string[](count);
+        callsigns = new string[](count);
+        latitudes = new int256[](count);
+        longitudes = new int256[](count);
+        altitudes = new int256[](count);
+        onGrounds = new bool[](count);
+        timestamps = new uint256[](count);
+        isSpoofedFlags = new bool[](count);
+        kinematics = new Kinematics[](count);
+
+        for (uint256 i = 0; i < count; i++) {
+            Flight memory flight = _flights[i];
+            icao24s[i] = icao24String(flight.icao24);
+            callsigns[i] = callsignString(flight.callsign);
             latitudes[i] = flight.latitude;
             longitudes[i] = flight.longitude;
             altitudes[i] = flight.altitude;
-            onGrounds[i] = flight.onGround;
+            onGrounds[i] = flight.flags & FLAG_ON_GROUND != 0;
             timestamps[i] = flight.timestamp;
-            isSpoofedFlags[i] = flight.isSpoofed;
+            isSpoofedFlags[i] = flight.flags & FLAG_SPOOFED != 0;
+            kinematics[i] = kinematicsOf(flight);
         }
-
-        return (icao24s, callsigns, latitudes, longitudes, altitudes, onGrounds, timestamps, isSpoofedFlags);
     }
 
     function abs(int256 x) private pure returns (int256) {
         return x >= 0 ? x : -x;
     }
 
+    // Great-circle distance in meters between two micro-degree positions, as used by
+    // the spoofing check and the consensus tolerance
+    function distanceMeters(
+        int256 _lat1,
+        int256 _lon1,
+        int256 _lat2,
+        int256 _lon2
+    ) public pure returns (uint256) {
+        return GeoDistance.distanceMeters(_lat1, _lon1, _lat2, _lon2);
+    }
+
     function validateFlightUpdate(
         string memory _icao24,
         int256 _latitude,
         int256 _longitude,
         int256 _altitude,
-        uint256 _timestamp
+        uint256 _timestamp,
+        Kinematics memory _kinematics
     ) public view returns (bool valid, string memory reason) {
-        Flight storage prev = latestFlights[_icao24];
-        if (bytes(prev.icao24).length > 0) {
-            if (_timestamp <= prev.timestamp) {
+        Flight memory flight;
+        (valid, reason, flight) = packReport(Report(_icao24, "", _latitude, _longitude, _altitude, false, false, _timestamp, _kinematics));
+        if (!valid) {
+            return (valid, reason);
+        }
+        return checkFlightUpdate(flight);
+    }
+
+    function checkFlightInput(
+        string memory _icao24,
+        int256 _latitude,
+        int256 _longitude
+    ) private pure returns (bool valid, string memory reason) {
+        if (bytes(_icao24).length == 0) {
+            return (false, "ICAO24 is required");
+        }
+        if (_latitude < -90000000 || _latitude > 90000000) {
+            return (false, "Invalid latitude");
+        }
+        if (_longitude < -180000000 || _longitude > 180000000) {
+            return (false, "Invalid longitude");
+        }
+        return (true, "Valid input");
+    }
+
+    // Observation-time window, then replay, tampering, spoofing and kinematic rules
+    // against the aircraft's previous position
+    function checkFlightUpdate(Flight memory _next) private view returns (bool valid, string memory reason) {
+        (valid, reason) = checkObservationTime(_next.timestamp);
+        if (!valid) {
+            return (valid, reason);
+        }
+        Kinematics memory kinematics = kinematicsOf(_next);
+        if (kinematics.known && (kinematics.velocity < 0 || kinematics.heading < 0 || kinematics.heading >= 36000)) {
+            return (false, "Kinematics: invalid values");
+        }
+
+        Flight storage prev = latestFlights[_next.icao24];
+        if (prev.icao24 != bytes3(0)) {
+            // 1. Replay attack prevention: observation times must move forward
+            if (_next.timestamp <= prev.timestamp) {
                 return (false, "Replay attack: timestamp not newer");
             }
-            int256 dLat = _latitude - prev.latitude;
-            int256 dLon = _longitude - prev.longitude;
-            int256 dLatDeg = dLat / 1000000;
-            int256 dLonDeg = dLon / 1000000;
-            int256 distMeters = abs(dLatDeg) * 111000 + abs(dLonDeg) * 85000;
-            uint256 dt = _timestamp - prev.timestamp;
+            // 2. Spoofing/tampering prevention, with the thresholds of the aircraft's category
+            ValidationRules storage rules = validationRules[aircraftCategories[_next.icao24]];
+            uint256 distMeters = GeoDistance.distanceMeters(prev.latitude, prev.longitude, _next.latitude, _next.longitude);
+            uint256 dt = _next.timestamp - prev.timestamp;
             if (dt > 0) {
-                // Block any altitude jump >500m regardless of time
-                int256 dAlt = _altitude - prev.altitude;
-                if (abs(dAlt) > 50000) {
+                int256 dAlt = int256(_next.altitude) - prev.altitude;
+                if (abs(dAlt) > rules.maxAltitudeJump) {
                     return (false, "Tampering: impossible altitude jump");
                 }
-                // Block if rate of altitude change >10 m/s
-                int256 rate = abs(dAlt) / int256(dt);
-                if (rate > 10) {
+                if (abs(dAlt) / int256(dt) > rules.maxAltitudeRate) {
                     return (false, "Tampering: impossible altitude rate");
                 }
-                if (distMeters > 100000 && dt < 300) {
+                if (distMeters > rules.maxPositionJump && dt < rules.minPositionJumpInterval) {
                     return (false, "Spoofing: impossible position jump");
                 }
+                // 3. Reported motion must match the track it leaves behind
+                if (kinematics.known) {
+                    return checkKinematics(prev, rules, _next.altitude, kinematics, distMeters, dt);
+                }
+            }
+        }
+        return (true, "Valid update");
+    }
+
+    // Mirrored by web-interface/src/shared/Kinematics.js
+    function checkKinematics(
+        Flight storage _prev,
+        ValidationRules storage _rules,
+        int256 _altitude,
+        Kinematics memory _kinematics,
+        uint256 _distMeters,
+        uint256 _dt
+    ) private view returns (bool valid, string memory reason) {
+        int256 dt = int256(_dt);
+        bool shortInterval = _dt <= _rules.maxKinematicInterval;
+
+        // Ground speed vs. the average speed implied by the two positions. Over long
+        // intervals the aircraft may have turned, so only a too-fast track counts there.
+        int256 impliedSpeed = int256(_distMeters) * 100 / dt;
+        int256 speedTolerance = _rules.maxSpeedDeviation + _kinematics.velocity / 4;
+        if (impliedSpeed > _kinematics.velocity + speedTolerance) {
+            return (false, "Kinematics: track faster than reported speed");
+        }
+        if (shortInterval && impliedSpeed + speedTolerance < _kinematics.velocity) {
+            return (false, "Kinematics: track slower than reported speed");
+        }
+
+        Kinematics memory prevKinematics = kinematicsOf(_prev);
+        if (!prevKinematics.known) {
+            return (true, "Valid update");
+        }
+
+        if (abs(_kinematics.velocity - prevKinematics.velocity) / dt > _rules.maxAcceleration) {
+            return (false, "Kinematics: impossible acceleration");
+        }
+
+        // Shortest way round the compass
+        int256 turn = _kinematics.heading - prevKinematics.heading;
+        if (turn > 18000) {
+            turn -= 36000;
+        } else if (turn < -18000) {
+            turn += 36000;
+        }
+        if (_kinematics.velocity >= _rules.minTurnCheckSpeed && abs(turn) / dt > _rules.maxTurnRate) {
+            return (false, "Kinematics: impossible turn rate");
+        }
+
+        // Altitude change vs. the mean of the two reported vertical rates
+        if (shortInterval) {
+            int256 impliedVerticalRate = (_altitude - _prev.altitude) * 100 / dt;
+            int256 reportedVerticalRate = (_kinematics.verticalRate + prevKinematics.verticalRate) / 2;
+            if (abs(impliedVerticalRate - reportedVerticalRate) > _rules.maxVerticalRateDeviation) {
+                return (false, "Kinematics: vertical rate inconsistent with altitude change");
             }
         }
         return (true, "Valid update");
@@ -0,0 +1,98 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+// Haversine distance between two positions given in micro-degrees, computed on
+// 1e18 fixed-point integers. web-interface/src/shared/GeoDistance.js performs the
+// same operations with BigInt, so contract and off-chain checks agree to the meter.
+library GeoDistance {
+    int256 internal constant SCALE = 1e18;
+    int256 internal constant PI = 3141592653589793238;
+    int256 internal constant HALF_PI = 1570796326794896619;
+    int256 internal constant MICRODEGREES_PER_HALF_TURN = 180000000;
+    int256 internal constant EARTH_RADIUS_METERS = 6371008;  // mean Earth radius
+
+    function distanceMeters(
+        int256 _lat1,
+        int256 _lon1,
+        int256 _lat2,
+        int256 _lon2
+    ) internal pure returns (uint256) {
+        // Take the short way around the antimeridian
+        int256 dLon = _lon2 - _lon1;
+        if (dLon > MICRODEGREES_PER_HALF_TURN) {
+            dLon -= 2 * MICRODEGREES_PER_HALF_TURN;
+        } else if (dLon < -MICRODEGREES_PER_HALF_TURN) {
+            dLon += 2 * MICRODEGREES_PER_HALF_TURN;
+        }
+
+        int256 sinHalfDLat = sin(toRadians(_lat2 - _lat1) / 2);
+        int256 sinHalfDLon = sin(toRadians(dLon) / 2);
+        int256 cosLats = cos(toRadians(_lat1)) * cos(toRadians(_lat2)) / SCALE;
+
+        // a = sin²(Δφ/2) + cos φ1 · cos φ2 · sin²(Δλ/2)
+        int256 a = sinHalfDLat * sinHalfDLat / SCALE + cosLats * (sinHalfDLon * sinHalfDLon / SCALE) / SCALE;
+        if (a < 0) a = 0;
+        if (a > SCALE) a = SCALE;
+
+        int256 centralAngle = 2 * asin(int256(sqrt(uint256(a * SCALE))));
+        return uint256(EARTH_RADIUS_METERS * centralAngle / SCALE);
+    }
+
+    function toRadians(int256 _microdegrees) internal pure returns (int256) {
+        return _microdegrees * PI / MICRODEGREES_PER_HALF_TURN;
+    }
+
+    // Taylor series, exact to ~1e-9 once folded into [-π/2, π/2]
+    function sin(int256 _x) internal pure returns (int256) {
+        if (_x > HALF_PI) {
+            _x = PI - _x;
+        } else if (_x < -HALF_PI) {
+            _x = -PI - _x;
+        }
+        int256 x2 = _x * _x / SCALE;
+        int256 term = _x;
+        int256 sum = _x;
+        for (int256 i = 1; i <= 7; i++) {
+            term = -term * x2 / SCALE / ((2 * i) * (2 * i + 1));
+            sum += term;
+        }
+        return sum;
+    }
+
+    // Only used for latitudes, so the argument stays within [0, π]
+    function cos(int256 _x) internal pure returns (int256) {
+        return sin(HALF_PI - _x);
+    }
+
+    // asin for 0 <= x <= 1; above 1/√2 the series converges slowly, so use
+    // asin(x) = π/2 - asin(√(1 - x²)) there
+    function asin(int256 _x) internal pure returns (int256) {
+        if (2 * _x * _x > SCALE * SCALE) {
+            int256 complement = int256(sqrt(uint256((SCALE - _x * _x / SCALE) * SCALE)));
+            return HALF_PI - asinSeries(complement);
+        }
+        return asinSeries(_x);
+    }
+
+    function asinSeries(int256 _x) private pure returns (int256) {
+        int256 x2 = _x * _x / SCALE;
+        int256 term = _x;
+        int256 sum = _x;
+        for (int256 n = 1; n <= 12; n++) {
+            term = term * x2 / SCALE * ((2 * n - 1) * (2 * n - 1)) / ((2 * n) * (2 * n + 1));
+            sum += term;
+        }
+        return sum;
+    }
+
+    // Floor of the square root (Babylonian method)
+    function sqrt(uint256 _x) internal pure returns (uint256 y) {
+        if (_x == 0) return 0;
+        y = _x;
+        uint256 z = _x / 2 + 1;
+        while (z < y) {
+            y = z;
+            z = (_x / z + z) / 2;
+        }
+    }
+}
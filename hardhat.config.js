@@ -1,5 +1,10 @@
 require("@nomicfoundation/hardhat-toolbox");
 require("dotenv").config();
+const { loadConfig } = require("./server/Config");
+
+// RPC URL shared with the relay (ADSB_RPC_URL, adsb.config.{json,yaml}). Only this
+// setting is read, so an invalid relay setting does not stop compiling and testing
+const adsbConfig = loadConfig({ keys: ["rpcUrl"] });
 
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
@@ -14,13 +19,13 @@ module.exports = {
       allowUnlimitedContractSize: true,
     },
     localhost: {
-      url: "http://127.0.0.1:8545",
+      url: adsbConfig.rpcUrl,
       gas: 12000000,
       blockGasLimit: 12000000,
       allowUnlimitedContractSize: true,
     },
     adsb: {
-      url: process.env.ADSB_RPC_URL || "http://127.0.0.1:8545",
+      url: adsbConfig.rpcUrl,
       accounts: process.env.PRIVATE_KEY ? [process.env.PRIVATE_KEY] : [],
       chainId: parseInt(process.env.CHAIN_ID || "1337"),
       gas: 12000000,
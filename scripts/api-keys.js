@@ -0,0 +1,90 @@
+// API key management for the relay's write endpoints.
+//
+//   node scripts/api-keys.js create <client name> [--permissions submit,attack,admin]
+//   node scripts/api-keys.js list
+//   node scripts/api-keys.js rotate <key id>
+//   node scripts/api-keys.js revoke <key id>
+//
+// Keys are stored in `apiKeyStore` (default server/data/api-keys.json); pass
+// --store <file> for another one. A running relay picks up changes right away.
+
+const path = require('path');
+const { loadConfig } = require('../server/Config');
+const { ApiKeyStore } = require('../server/ApiKeys');
+const { PERMISSIONS } = require('../web-interface/src/shared/RequestSigning');
+
+const USAGE = `Usage:
+  node scripts/api-keys.js create <client name> [--permissions ${PERMISSIONS.join(',')}]  (default: submit)
+  node scripts/api-keys.js list
+  node scripts/api-keys.js rotate <key id>
+  node scripts/api-keys.js revoke <key id>
+Options:
+  --store <file>  key store (default: apiKeyStore from the configuration)`;
+
+// Positional arguments plus --name value / --name=value options
+function parseArgs(argv) {
+  const positional = [];
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    const match = /^--([a-z-]+)(?:=(.*))?$/.exec(argv[i]);
+    if (match) {
+      options[match[1]] = match[2] !== undefined ? match[2] : argv[++i];
+    } else {
+      positional.push(argv[i]);
+    }
+  }
+  return { positional, options };
+}
+
+function printSecret(key, verb) {
+  console.log(`🔑 Key ${verb} for ${key.name}`);
+  console.log(`   Key ID:      ${key.id}`);
+  console.log(`   Secret:      ${key.secret}`);
+  console.log(`   Permissions: ${key.permissions.join(', ')}`);
+  console.log('   The secret is not shown again. Clients sign requests with it (see README, "Relay authentication").');
+}
+
+function main() {
+  const { positional, options } = parseArgs(process.argv.slice(2));
+  const [command, argument] = positional;
+  const file = options.store ? path.resolve(options.store) : loadConfig().apiKeyStore;
+  const store = new ApiKeyStore({ file });
+
+  switch (command) {
+    case 'create': {
+      const permissions = (options.permissions || 'submit').split(',').map(permission => permission.trim()).filter(Boolean);
+      printSecret(store.create(positional.slice(1).join(' '), permissions), 'created');
+      break;
+    }
+    case 'list': {
+      const keys = store.list();
+      if (keys.length === 0) {
+        console.log(`No API keys in ${file}; the relay's write endpoints are open.`);
+        break;
+      }
+      keys.forEach(key => {
+        const status = key.revokedAt ? `revoked ${key.revokedAt}` : 'active';
+        console.log(`${key.id}  ${key.name.padEnd(20)} ${key.permissions.join(',').padEnd(20)} ${status}`);
+      });
+      break;
+    }
+    case 'rotate':
+      printSecret(store.rotate(argument), 'rotated');
+      break;
+    case 'revoke': {
+      const key = store.revoke(argument);
+      console.log(`🚫 Key ${key.id} (${key.name}) revoked`);
+      break;
+    }
+    default:
+      console.log(USAGE);
+      process.exitCode = command ? 1 : 0;
+  }
+}
+
+try {
+  main();
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
@@ -2,8 +2,10 @@
 
 const hre = require("hardhat");
 const updateWebConfig = require('./update-web-config');
+const { loadConfig } = require('../server/Config');
 
 async function main() {
+  const settings = loadConfig();
   const [deployer] = await hre.ethers.getSigners();
 
   console.log("Deploying contracts with the account:", deployer.address);
@@ -20,7 +22,7 @@ async function main() {
   console.log("AdsbData deployed to:", adsbData.address);
 
   // Update web interface config
-  await updateWebConfig(adsbData.address, network.chainId.toString());
+  await updateWebConfig(adsbData.address, network.chainId.toString(), settings);
 }
 
 main()
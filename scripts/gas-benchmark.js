@@ -0,0 +1,125 @@
+// Gas and calldata per flight of the AdsbData write paths, on the in-process Hardhat
+// network:
+//
+//   npx hardhat run --config benchmark/hardhat.config.js scripts/gas-benchmark.js
+//
+// Each batch size is sent twice per path against a fresh contract: first as new
+// aircraft (a history, latest position and active-list entry each), then as an update
+// a minute later. "legacy" is the string/int256 ABI (updateFlightBatchPartial,
+// submitSignedReportBatch), "packed" the two-word encoding of FlightEncoding.js.
+// "before" sends the legacy ABI to AdsbDataUnpacked (benchmark/contracts), a copy of
+// the contract from before flights were packed into two storage slots. It is only
+// compiled with the benchmark config.
+
+const { ethers, artifacts } = require("hardhat");
+const { getReportDomain, createReport, signReport } = require('../web-interface/src/shared/ReportSigner');
+const { packReports } = require('../web-interface/src/shared/FlightEncoding');
+
+const BATCH_SIZES = [1, 10, 50];
+
+const legacyDirect = (contract, reports) => contract.updateFlightBatchPartial(
+  reports.map(report => report.icao24),
+  reports.map(report => report.callsign),
+  reports.map(report => report.latitude),
+  reports.map(report => report.longitude),
+  reports.map(report => report.altitude),
+  reports.map(report => report.onGround),
+  reports.map(report => report.isSpoofed),
+  reports.map(report => report.observedAt),
+  reports.map(report => report.kinematics)
+);
+
+const legacySigned = (contract, reports, signatures) => contract.submitSignedReportBatch(reports, signatures);
+
+// Path -> contract to deploy and how to send a batch to it
+const PATHS = {
+  'before direct': { contract: 'AdsbDataUnpacked', send: legacyDirect },
+  'legacy direct': { contract: 'AdsbData', send: legacyDirect },
+  'packed direct': {
+    contract: 'AdsbData',
+    send: (contract, reports) => {
+      const { positions, kinematics } = packReports(reports);
+      return contract.updateFlightBatchPacked(positions, kinematics);
+    }
+  },
+  'before signed': { contract: 'AdsbDataUnpacked', send: legacySigned },
+  'legacy signed': { contract: 'AdsbData', send: legacySigned },
+  'packed signed': {
+    contract: 'AdsbData',
+    send: (contract, reports, signatures) => {
+      const { positions, kinematics } = packReports(reports);
+      return contract.submitSignedReportBatchPacked(positions, kinematics, signatures);
+    }
+  }
+};
+
+// `size` airliners on a line of longitudes, moved east by about 12 km each round
+async function buildReports(size, round) {
+  const observedAt = (await ethers.provider.getBlock("latest")).timestamp;
+  const reports = [];
+  for (let i = 0; i < size; i++) {
+    reports.push(createReport({
+      icao24: (0x400000 + i).toString(16),
+      callsign: `BNCH${i}`,
+      latitude: 50000000 + i * 10000,
+      longitude: round * 107800,
+      altitude: 10000,
+      observedAt,
+      kinematics: { velocity: 20000, heading: 9000, verticalRate: 0, known: true }
+    }));
+  }
+  return reports;
+}
+
+async function measure(path, size) {
+  const [signer] = await ethers.getSigners();
+  const Contract = await ethers.getContractFactory(PATHS[path].contract);
+  const contract = await Contract.deploy();
+  await contract.deployed();
+  const domain = await getReportDomain(contract);
+
+  const result = { path, batch: size };
+  for (const [round, kind] of ['new', 'update'].entries()) {
+    const reports = await buildReports(size, round);
+    const signatures = await Promise.all(reports.map(report => signReport(signer, domain, report)));
+    try {
+      const tx = await PATHS[path].send(contract, reports, signatures);
+      const receipt = await tx.wait();
+      const stored = receipt.events.filter(event => event.event === 'FlightUpdated').length;
+      if (stored !== size) {
+        throw new Error(`only ${stored} of ${size} flights stored`);
+      }
+      result[`${kind} gas/flight`] = Math.round(receipt.gasUsed.toNumber() / size);
+      result['calldata bytes/flight'] = Math.round(ethers.utils.hexDataLength(tx.data) / size);
+    } catch (error) {
+      result[`${kind} gas/flight`] = `failed: ${error.reason || error.message}`.slice(0, 60);
+    }
+    await ethers.provider.send("evm_increaseTime", [60]);
+    await ethers.provider.send("evm_mine", []);
+  }
+  return result;
+}
+
+async function main() {
+  if (!(await artifacts.artifactExists('AdsbDataUnpacked'))) {
+    throw new Error('AdsbDataUnpacked is not compiled: run with --config benchmark/hardhat.config.js');
+  }
+  const network = await ethers.provider.getNetwork();
+  const block = await ethers.provider.getBlock("latest");
+  console.log(`Chain ${network.chainId}, block gas limit ${block.gasLimit.toString()}\n`);
+
+  const results = [];
+  for (const size of BATCH_SIZES) {
+    for (const path of Object.keys(PATHS)) {
+      results.push(await measure(path, size));
+    }
+  }
+  console.table(results);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -1,9 +1,8 @@
 const { ethers } = require("hardhat");
-const fs = require('fs');
-const path = require('path');
-const configPath = path.join(__dirname, '../web-interface/src/config.json');
-const config = JSON.parse(fs.readFileSync(configPath));
-const contractAddress = config.contractAddress;
+const { loadConfig, readContractConfig } = require('../server/Config');
+const { createReport } = require('../web-interface/src/shared/ReportSigner');
+const { packReport } = require('../web-interface/src/shared/FlightEncoding');
+const contractAddress = readContractConfig(loadConfig()).contractAddress;
 
 async function main() {
   // Get the network information
@@ -23,15 +22,24 @@ async function main() {
   const AdsbData = await ethers.getContractFactory("AdsbData");
   const adsbData = AdsbData.attach(contractAddress).connect(signer);
 
-  const flightData = {
+  const flightData = createReport({
     icao24: "ABC123",
     callsign: "XYZ789",
     latitude: 5678900, // 5.6789 degrees (multiplied by 10^6)
     longitude: -2345600, // -2.3456 degrees (multiplied by 10^6)
     altitude: 1234, // 12.34 meters (multiplied by 10^2)
     onGround: false,
-    isSpoofed: false
-  };
+    isSpoofed: false,
+    observedAt: Math.floor(Date.now() / 1000), // when the receiver decoded the message
+    kinematics: {
+      velocity: 23050,     // 230.5 m/s ground speed (multiplied by 10^2)
+      heading: 9000,       // 90.00 degrees true track (multiplied by 10^2)
+      verticalRate: -250,  // -2.5 m/s (multiplied by 10^2)
+      known: true
+    }
+  });
+  // The two words the contract stores (see FlightEncoding.js)
+  const packed = packReport(flightData);
 
   try {
     // First, let's check how many flights are stored
@@ -47,15 +55,7 @@ async function main() {
     });
 
     // Get gas estimate first
-    const gasEstimate = await adsbData.estimateGas.updateFlight(
-      flightData.icao24,
-      flightData.callsign,
-      flightData.latitude,
-      flightData.longitude,
-      flightData.altitude,
-      flightData.onGround,
-      flightData.isSpoofed
-    );
+    const gasEstimate = await adsbData.estimateGas.updateFlightBatchPacked([packed.position], [packed.kinematics]);
     
     console.log("\n⛽ Gas info:");
     console.log("- Estimated gas:", gasEstimate.toString(), "units");
@@ -69,14 +69,9 @@ async function main() {
     console.log("- Estimated cost:", ethers.utils.formatEther(estimatedCost), "ETH");
 
     console.log("\n🔄 Sending transaction...");
-    const tx = await adsbData.updateFlight(
-      flightData.icao24,
-      flightData.callsign,
-      flightData.latitude,
-      flightData.longitude,
-      flightData.altitude,
-      flightData.onGround,
-      flightData.isSpoofed,
+    const tx = await adsbData.updateFlightBatchPacked(
+      [packed.position],
+      [packed.kinematics],
       {
         gasLimit: gasEstimate.mul(11).div(10) // Add 10% buffer
       }
@@ -1,10 +1,10 @@
 const { ethers } = require("hardhat");
 const axios = require("axios");
-const fs = require('fs');
-const path = require('path');
-const configPath = path.join(__dirname, '../web-interface/src/config.json');
-const config = JSON.parse(fs.readFileSync(configPath));
-const contractAddress = config.contractAddress;
+const { getReportDomain, createReport, signReport } = require('../web-interface/src/shared/ReportSigner');
+const { toKinematics, fromKinematics } = require('../web-interface/src/shared/Kinematics');
+const { checkPackable, packReports } = require('../web-interface/src/shared/FlightEncoding');
+const { loadConfig, readContractConfig } = require('../server/Config');
+const contractAddress = readContractConfig(loadConfig()).contractAddress;
 
 async function fetchOpenSkyData() {
   try {
@@ -29,7 +29,11 @@ function processADSBData(flight) {
     longitude: Math.round(flight[5] * 1000000),
     altitude: Math.round(flight[7] * 100),
     onGround: flight[8] || false,
-    isSpoofed: flight[16] || false
+    isSpoofed: flight[16] || false,
+    // time_position, falling back to last_contact
+    observedAt: flight[3] || flight[4],
+    // velocity, true_track and vertical_rate (null when OpenSky has none)
+    kinematics: toKinematics({ velocity: flight[9], heading: flight[10], verticalRate: flight[11] })
   };
 }
 
@@ -40,21 +44,32 @@ async function main() {
     const provider = ethers.provider;
     const AdsbData = await ethers.getContractFactory("AdsbData");
     const adsbData = AdsbData.attach(contractAddress).connect(signer);
+    // This account acts as the ground receiver and signs every report it submits
+    const domain = await getReportDomain(adsbData);
+    console.log(`Signing reports as receiver ${signer.address} (registered: ${await adsbData.isActiveReceiver(signer.address)})\n`);
 
     console.log("Fetching data from OpenSky Network...");
     const flights = await fetchOpenSkyData();
     console.log(`Retrieved ${flights.length} flights from OpenSky Network\n`);
 
-    // Process only the first 5 flights for testing
+    // Process only the first 5 flights for testing, sent as one packed batch
     const processLimit = 5;
-    let processedCount = 0;
+    const reports = [];
+    const signatures = [];
 
     for (const flight of flights) {
-      if (processedCount >= processLimit) break;
+      if (reports.length >= processLimit) break;
 
       const processedData = processADSBData(flight);
       if (!processedData) continue;
 
+      const report = createReport(processedData);
+      const check = checkPackable(report);
+      if (!check.valid) {
+        console.log(`Skipping flight ${processedData.callsign}: ${check.reason}`);
+        continue;
+      }
+
       console.log("Processing flight:", {
         ...processedData,
         latitude: processedData.latitude / 1000000,
@@ -62,24 +77,22 @@ async function main() {
         altitude: processedData.altitude / 100
       });
 
+      reports.push(report);
+      signatures.push(await signReport(signer, domain, report));
+    }
+
+    if (reports.length > 0) {
       try {
-        const tx = await adsbData.updateFlight(
-          processedData.icao24,
-          processedData.callsign,
-          processedData.latitude,
-          processedData.longitude,
-          processedData.altitude,
-          processedData.onGround,
-          processedData.isSpoofed,
-          { gasLimit: 300000 }
-        );
+        const { positions, kinematics } = packReports(reports);
+        const tx = await adsbData.submitSignedReportBatchPacked(positions, kinematics, signatures, { gasLimit: 400000 * reports.length });
 
         console.log(`Transaction hash: ${tx.hash}`);
-        await tx.wait();
-        console.log(`Successfully updated flight ${processedData.callsign}\n`);
-        processedCount++;
+        const receipt = await tx.wait();
+        const rejected = receipt.events.filter(event => event.event === 'FlightRejected');
+        rejected.forEach(event => console.error(`Flight ${event.args.icao24} rejected: ${event.args.reason}`));
+        console.log(`Submitted ${reports.length} flights, ${reports.length - rejected.length} accepted (gas used: ${receipt.gasUsed.toString()})\n`);
       } catch (error) {
-        console.error(`Error updating flight ${processedData.callsign}:`, error.message);
+        console.error("Error submitting the flight batch:", error.message);
       }
     }
 
@@ -99,7 +112,8 @@ async function main() {
         altitudes,
         onGrounds,
         timestamps,
-        spoofedFlags
+        spoofedFlags,
+        kinematics
       ] = await adsbData.getLatestFlights(latestFlightCount);
       
       for (let i = 0; i < icao24s.length; i++) {
@@ -111,7 +125,8 @@ async function main() {
           altitude: ethers.utils.formatUnits(altitudes[i], 2),
           onGround: onGrounds[i],
           timestamp: new Date(timestamps[i].toNumber() * 1000).toISOString(),
-          isSpoofed: spoofedFlags[i]
+          isSpoofed: spoofedFlags[i],
+          ...fromKinematics(kinematics[i])
         });
       }
     } catch (error) {
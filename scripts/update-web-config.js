@@ -1,10 +1,12 @@
 const fs = require('fs');
-const path = require('path');
+const { loadConfig } = require('../server/Config');
 
-async function updateWebConfig(contractAddress, networkId) {
+// Also records where the relay and the chain are, so the React build talks to the
+// same instance (REACT_APP_RELAY_URL still wins at build time)
+async function updateWebConfig(contractAddress, networkId, settings = loadConfig()) {
     try {
-        // Path to the web interface config file
-        const configPath = path.join(__dirname, '../web-interface/src/config.json');
+        // Deployment file the web interface and the relay read (contractConfig)
+        const configPath = settings.contractConfig;
         
         // Read existing config
         let config = {};
@@ -16,6 +18,8 @@ async function updateWebConfig(contractAddress, networkId) {
         // Update config
         config.contractAddress = contractAddress;
         config.networkId = networkId;
+        config.relayUrl = settings.relayUrl;
+        config.rpcUrl = settings.rpcUrl;
 
         // Write updated config
         fs.writeFileSync(configPath, JSON.stringify(config, null, 2));
@@ -23,6 +27,7 @@ async function updateWebConfig(contractAddress, networkId) {
         console.log('Web interface config updated successfully');
         console.log('Contract Address:', contractAddress);
         console.log('Network ID:', networkId);
+        console.log('Relay URL:', settings.relayUrl);
     } catch (error) {
         console.error('Error updating web interface config:', error);
     }
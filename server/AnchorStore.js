@@ -0,0 +1,179 @@
+// Off-chain report store of the relay's anchoring mode. Signed reports are collected
+// into windows of `windowSeconds` by arrival time; once a window has ended it is
+// sealed into a Merkle tree (web-interface/src/shared/MerkleTree.js) and only the root
+// goes on-chain, with AdsbData.anchorRoot.
+//
+//   open -> sealed -> anchored
+//
+// Each window is one JSON file in `dir` holding every report with its signature, so
+// inclusion proofs can be served for as long as the files are kept.
+
+const fs = require('fs');
+const path = require('path');
+const { hashLeaf, buildTree, getRoot, getProof } = require('../web-interface/src/shared/MerkleTree');
+const { normalizeIcao24 } = require('../web-interface/src/shared/FlightEncoding');
+const { logger } = require('./Logger');
+
+const WINDOW_STATES = ['open', 'sealed', 'anchored'];
+
+function reportKey(icao24, observedAt) {
+  return `${normalizeIcao24(icao24)}:${Number(observedAt)}`;
+}
+
+class AnchorStore {
+  // `keccak256` hashes 0x-prefixed hex (ethers.utils.keccak256); `now` returns ms
+  constructor({ dir, windowSeconds = 60, keccak256, now = () => Date.now() }) {
+    this.dir = dir;
+    this.windowSeconds = windowSeconds;
+    this.keccak256 = keccak256;
+    this.now = now;
+
+    this.windows = new Map();  // windowStart -> window, oldest first
+    this.reports = new Map();  // "icao24:observedAt" -> { windowStart, index }
+    this.latest = new Map();   // icao24 -> newest report by observation time
+    this.load();
+  }
+
+  windowStartOf(seconds) {
+    return seconds - (seconds % this.windowSeconds);
+  }
+
+  // Add signed reports ({ report, signature }) to the open window
+  add(entries) {
+    const windowStart = this.windowStartOf(Math.floor(this.now() / 1000));
+    if (!this.windows.has(windowStart)) {
+      this.windows.set(windowStart, {
+        windowStart,
+        windowEnd: windowStart + this.windowSeconds,
+        state: 'open',
+        entries: [],
+        root: null,
+        jobId: null,
+        anchor: null
+      });
+    }
+    const window = this.windows.get(windowStart);
+    for (const { report, signature } of entries) {
+      window.entries.push({ report, signature, leaf: null });
+      this.index(window, window.entries.length - 1);
+    }
+    this.save(window);
+    return { windowStart, windowEnd: window.windowEnd };
+  }
+
+  // Seal every open window that has ended; returns the sealed windows
+  sealDue() {
+    const nowSeconds = Math.floor(this.now() / 1000);
+    const sealed = [];
+    for (const window of this.windows.values()) {
+      if (window.state !== 'open' || window.windowEnd > nowSeconds) continue;
+      window.entries.forEach(entry => {
+        entry.leaf = hashLeaf(entry.report, this.keccak256);
+      });
+      window.root = getRoot(buildTree(window.entries.map(entry => entry.leaf), this.keccak256));
+      window.state = 'sealed';
+      this.save(window);
+      sealed.push(window);
+    }
+    return sealed;
+  }
+
+  // Sealed windows without an anchoring job yet, e.g. after a restart
+  unqueued() {
+    return Array.from(this.windows.values()).filter(window => window.state === 'sealed' && !window.jobId);
+  }
+
+  setJob(windowStart, jobId) {
+    const window = this.windows.get(windowStart);
+    window.jobId = jobId;
+    this.save(window);
+  }
+
+  markAnchored(windowStart, { transactionHash, blockNumber }) {
+    const window = this.windows.get(windowStart);
+    window.state = 'anchored';
+    window.anchor = { transactionHash, blockNumber };
+    this.save(window);
+  }
+
+  // Newest stored report of an aircraft, or null
+  getLatest(icao24) {
+    return this.latest.get(normalizeIcao24(icao24)) || null;
+  }
+
+  // The report of an aircraft at an observation time with its inclusion proof, or
+  // null. Reports of a window that is still open have no proof yet.
+  getProof(icao24, observedAt) {
+    const location = this.reports.get(reportKey(icao24, observedAt));
+    if (!location) return null;
+    const window = this.windows.get(location.windowStart);
+    const entry = window.entries[location.index];
+    const sealed = window.state !== 'open';
+    return {
+      report: entry.report,
+      signature: entry.signature,
+      state: window.state,
+      windowStart: window.windowStart,
+      windowEnd: window.windowEnd,
+      count: window.entries.length,
+      index: location.index,
+      leaf: entry.leaf,
+      proof: sealed ? getProof(buildTree(window.entries.map(item => item.leaf), this.keccak256), location.index) : null,
+      root: window.root,
+      anchor: window.anchor
+    };
+  }
+
+  getStats() {
+    const stats = { windowSeconds: this.windowSeconds, reports: this.reports.size };
+    WINDOW_STATES.forEach(state => {
+      stats[state] = Array.from(this.windows.values()).filter(window => window.state === state).length;
+    });
+    return stats;
+  }
+
+  index(window, index) {
+    const report = window.entries[index].report;
+    this.reports.set(reportKey(report.icao24, report.observedAt), { windowStart: window.windowStart, index });
+    const latest = this.latest.get(normalizeIcao24(report.icao24));
+    if (!latest || Number(report.observedAt) > Number(latest.observedAt)) {
+      this.latest.set(normalizeIcao24(report.icao24), report);
+    }
+  }
+
+  // ---- Persistence ----------------------------------------------------------
+
+  fileOf(windowStart) {
+    return path.join(this.dir, `window-${windowStart}.json`);
+  }
+
+  load() {
+    if (!fs.existsSync(this.dir)) return;
+    const files = fs.readdirSync(this.dir).filter(name => /^window-\d+\.json$/.test(name));
+    const windows = [];
+    for (const name of files) {
+      try {
+        windows.push(JSON.parse(fs.readFileSync(path.join(this.dir, name), 'utf8')));
+      } catch (error) {
+        logger.error('Could not read anchor window', { file: name, error });
+      }
+    }
+    windows.sort((a, b) => a.windowStart - b.windowStart).forEach(window => {
+      this.windows.set(window.windowStart, window);
+      window.entries.forEach((entry, index) => this.index(window, index));
+    });
+  }
+
+  // Write to a temporary file first so a crash never leaves a half-written window
+  save(window) {
+    fs.mkdirSync(this.dir, { recursive: true });
+    const file = this.fileOf(window.windowStart);
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(window));
+    fs.renameSync(tmp, file);
+  }
+}
+
+AnchorStore.WINDOW_STATES = WINDOW_STATES;
+
+module.exports = AnchorStore;
@@ -0,0 +1,124 @@
+// GET /docs: the API document as one self-contained HTML page (no scripts or CDN),
+// grouped by tag. The raw document is at /openapi.json for client generators.
+
+const METHODS = ['get', 'post', 'put', 'delete', 'patch'];
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Short type notation: a schema name for references, else its type
+function typeOf(schema) {
+  if (!schema) return '';
+  if (schema.$ref) {
+    const name = schema.$ref.split('/').pop();
+    return `<a href="#schema-${name}">${name}</a>`;
+  }
+  if (schema.allOf) return schema.allOf.map(typeOf).join(' &amp; ');
+  if (schema.oneOf) return schema.oneOf.map(typeOf).join(' | ');
+  if (schema.const !== undefined) return escapeHtml(JSON.stringify(schema.const));
+  if (schema.enum) return schema.enum.map(value => escapeHtml(JSON.stringify(value))).join(' | ');
+  if (schema.type === 'array') return `${typeOf(schema.items)}[]`;
+  const types = [].concat(schema.type || 'any').join(' | ');
+  return escapeHtml(schema.format ? `${types} (${schema.format})` : types);
+}
+
+function limitsOf(schema) {
+  const limits = [];
+  if (schema.minimum !== undefined) limits.push(`≥ ${schema.minimum}`);
+  if (schema.maximum !== undefined) limits.push(`≤ ${schema.maximum}`);
+  if (schema.minItems !== undefined) limits.push(`${schema.minItems}+ items`);
+  if (schema.maxItems !== undefined) limits.push(`at most ${schema.maxItems} items`);
+  if (schema.maxLength !== undefined) limits.push(`at most ${schema.maxLength} characters`);
+  if (schema.default !== undefined) limits.push(`default ${JSON.stringify(schema.default)}`);
+  return limits.join(', ');
+}
+
+function renderFields(schema) {
+  if (!schema || !schema.properties) return `<p class="type">${typeOf(schema)}</p>`;
+  const required = schema.required || [];
+  const rows = Object.entries(schema.properties).map(([name, property]) => `
+      <tr><td><code>${escapeHtml(name)}</code>${required.includes(name) ? ' *' : ''}</td><td>${typeOf(property)}</td>` +
+    `<td>${escapeHtml([property.description, limitsOf(property)].filter(Boolean).join('. '))}</td></tr>`).join('');
+  return `<table><tr><th>Field</th><th>Type</th><th></th></tr>${rows}</table>`;
+}
+
+function renderOperation(path, method, operation) {
+  const parameters = (operation.parameters || []).map(parameter => `
+      <tr><td><code>${escapeHtml(parameter.name)}</code>${parameter.required ? ' *' : ''}</td><td>${parameter.in}</td>` +
+    `<td>${typeOf(parameter.schema)}</td><td>${escapeHtml([parameter.description, limitsOf(parameter.schema)].filter(Boolean).join('. '))}</td></tr>`).join('');
+  const body = operation.requestBody && operation.requestBody.content['application/json'].schema;
+  const responses = Object.entries(operation.responses).map(([status, response]) => {
+    const content = response.content && Object.values(response.content)[0];
+    return `<tr><td>${status}</td><td>${escapeHtml(response.description)}</td><td>${content ? typeOf(content.schema) : ''}</td></tr>`;
+  }).join('');
+
+  return `
+    <section class="operation" id="${operation.operationId}">
+      <h3><span class="method ${method}">${method.toUpperCase()}</span> <code>${escapeHtml(path)}</code>${operation.deprecated ? ' <span class="deprecated">deprecated</span>' : ''}</h3>
+      <p>${escapeHtml(operation.summary || '')}${operation['x-permission'] ? ` <span class="permission">API key permission: ${operation['x-permission']}</span>` : ''}</p>
+      ${operation.description ? `<p>${escapeHtml(operation.description)}</p>` : ''}
+      ${parameters ? `<h4>Parameters</h4><table><tr><th>Name</th><th>In</th><th>Type</th><th></th></tr>${parameters}</table>` : ''}
+      ${body ? `<h4>Request body</h4>${renderFields(body)}` : ''}
+      <h4>Responses</h4>
+      <table><tr><th>Status</th><th>Description</th><th>Body</th></tr>${responses}</table>
+    </section>`;
+}
+
+function renderDocs(document) {
+  const operations = [];
+  Object.entries(document.paths).forEach(([path, item]) => {
+    METHODS.filter(method => item[method]).forEach(method => operations.push({ path, method, operation: item[method] }));
+  });
+
+  const sections = document.tags.map(tag => {
+    const tagged = operations.filter(({ operation }) => (operation.tags || []).includes(tag.name));
+    return `<h2 id="tag-${tag.name.replace(/\s+/g, '-')}">${escapeHtml(tag.name)}</h2>` +
+      tagged.map(({ path, method, operation }) => renderOperation(path, method, operation)).join('');
+  }).join('');
+
+  const schemas = Object.entries(document.components.schemas).map(([name, schema]) => `
+    <section class="schema" id="schema-${name}">
+      <h3>${name}</h3>
+      ${schema.description ? `<p>${escapeHtml(schema.description)}</p>` : ''}
+      ${renderFields(schema)}
+    </section>`).join('');
+
+  const { signedRequest } = document.components.securitySchemes;
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(document.info.title)}</title>
+  <style>
+    body { font-family: system-ui, sans-serif; max-width: 960px; margin: 2em auto; padding: 0 1em; color: #222; }
+    code { background: #f3f3f3; padding: 0 .25em; }
+    table { border-collapse: collapse; width: 100%; margin: .5em 0; font-size: .9em; }
+    th, td { border: 1px solid #ddd; padding: .3em .5em; text-align: left; vertical-align: top; }
+    .operation, .schema { border-top: 1px solid #ccc; padding-top: .5em; }
+    .method { color: #fff; padding: .1em .4em; border-radius: 3px; font-size: .85em; }
+    .get { background: #2b7bb9; } .post { background: #2e9d4e; } .put { background: #c77c11; } .delete { background: #c0392b; }
+    .permission { background: #fdf0d5; padding: 0 .4em; border-radius: 3px; font-size: .85em; }
+    .deprecated { color: #888; font-size: .75em; font-weight: normal; }
+  </style>
+</head>
+<body>
+  <h1>${escapeHtml(document.info.title)} <small>${escapeHtml(document.info.version)}</small></h1>
+  <p>${escapeHtml(document.info.description)}</p>
+  <p>Machine-readable: <a href="openapi.json">openapi.json</a> (OpenAPI ${document.openapi}).</p>
+  <h4>Authentication</h4>
+  <p>${escapeHtml(signedRequest.description)}</p>
+  <p>${document.tags.map(tag => `<a href="#tag-${tag.name.replace(/\s+/g, '-')}">${escapeHtml(tag.name)}</a>`).join(' · ')} · <a href="#schemas">Schemas</a></p>
+  ${sections}
+  <h2 id="schemas">Schemas</h2>
+  ${schemas}
+</body>
+</html>
+`;
+}
+
+module.exports = { renderDocs };
@@ -0,0 +1,34 @@
+// Error envelope of the relay API. Every error response is
+//
+//   { success: false, code, error, ...extra }
+//
+// where `code` is one of ERROR_CODES, fixed for integrators to branch on, and `error`
+// a message for people, in English like the contract's revert reasons and the
+// validation rules passed through in it. The HTTP status follows from the code.
+
+const ERROR_CODES = {
+  VALIDATION_FAILED: 400,     // body, query or path do not match the API document
+  INVALID_JSON: 400,
+  UNAUTHORIZED: 401,          // missing, unknown, stale or badly signed API key headers
+  FORBIDDEN: 403,             // the API key lacks the endpoint's permission
+  NOT_FOUND: 404,
+  PAYLOAD_TOO_LARGE: 413,
+  NO_VALID_FLIGHTS: 422,      // every flight of a batch was refused by the relay
+  CONTRACT_REJECTED: 422,     // the contract or node refused the transaction
+  JOB_FAILED: 422,            // ?wait=true and the queued transaction failed or was dropped
+  RATE_LIMITED: 429,
+  QUOTA_EXCEEDED: 429,        // daily gas quota used up
+  INTERNAL_ERROR: 500,
+  CONTRACT_UNSUPPORTED: 501,  // the deployed contract predates the feature
+  TOO_MANY_STREAMS: 503
+};
+
+function sendError(res, code, message, extra = {}) {
+  if (!ERROR_CODES[code]) throw new Error(`Unknown API error code ${code}`);
+  return res.status(ERROR_CODES[code]).json(Object.assign({ success: false, code, error: message }, extra));
+}
+
+module.exports = {
+  ERROR_CODES,
+  sendError
+};
@@ -0,0 +1,226 @@
+// API keys for the relay's write endpoints. Each key belongs to a named client, has
+// a set of permissions (submit, attack, admin) and a secret the client signs its
+// requests with (see shared/RequestSigning.js). Keys live in a JSON file that the
+// key CLI (scripts/api-keys.js) edits; the relay picks up changes on the next request.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { AUTH_HEADERS, PERMISSIONS, canonicalRequest, hasPermission } = require('../web-interface/src/shared/RequestSigning');
+const { sendError } = require('./ApiErrors');
+const { logger } = require('./Logger');
+
+function sha256Hex(data) {
+  return crypto.createHash('sha256').update(data || '').digest('hex');
+}
+
+function hmacHex(secret, data) {
+  return crypto.createHmac('sha256', secret).update(data).digest('hex');
+}
+
+// Headers for a signed request; `body` must be the exact string that is sent
+function signRequest({ keyId, secret, method, path: requestPath, body = '', timestamp = Date.now(), nonce = crypto.randomBytes(16).toString('hex') }) {
+  const signature = hmacHex(secret, canonicalRequest({ timestamp, nonce, method, path: requestPath, bodyHash: sha256Hex(body) }));
+  return {
+    [AUTH_HEADERS.keyId]: keyId,
+    [AUTH_HEADERS.timestamp]: String(timestamp),
+    [AUTH_HEADERS.nonce]: nonce,
+    [AUTH_HEADERS.signature]: signature
+  };
+}
+
+function checkPermissions(permissions) {
+  const unknown = permissions.filter(permission => !PERMISSIONS.includes(permission));
+  if (permissions.length === 0 || unknown.length > 0) {
+    throw new Error(`Permissions must be some of ${PERMISSIONS.join(', ')}${unknown.length > 0 ? `, got ${unknown.join(', ')}` : ''}`);
+  }
+}
+
+class ApiKeyStore {
+  constructor({ file }) {
+    this.file = file;
+    this.keys = new Map();  // id -> { id, name, secret, permissions, createdAt, rotatedAt, revokedAt }
+    this.loadedVersion = null;  // mtime and size of the file as last read
+    this.reload();
+  }
+
+  // Re-read the file when it changed since the last read
+  reload() {
+    const version = this.fileVersion();
+    if (version === this.loadedVersion) return;
+    this.keys.clear();
+    if (version !== null) {
+      const stored = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      for (const key of stored.keys || []) {
+        this.keys.set(key.id, key);
+      }
+    }
+    this.loadedVersion = version;
+  }
+
+  fileVersion() {
+    try {
+      const stat = fs.statSync(this.file);
+      return `${stat.mtimeMs}:${stat.size}`;
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      return null;
+    }
+  }
+
+  // Write to a temporary file first so a crash never leaves a half-written store;
+  // secrets are only readable by the owner
+  save() {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    const tmp = `${this.file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify({ keys: Array.from(this.keys.values()) }, null, 2), { mode: 0o600 });
+    fs.renameSync(tmp, this.file);
+    this.loadedVersion = this.fileVersion();
+  }
+
+  // Returns the key including its secret, which is not shown again
+  create(name, permissions) {
+    if (!name || !name.trim()) throw new Error('A key needs a client name');
+    checkPermissions(permissions);
+    this.reload();
+    const key = {
+      id: `ak_${crypto.randomBytes(8).toString('hex')}`,
+      name: name.trim(),
+      secret: crypto.randomBytes(32).toString('hex'),
+      permissions,
+      createdAt: new Date().toISOString(),
+      rotatedAt: null,
+      revokedAt: null
+    };
+    this.keys.set(key.id, key);
+    this.save();
+    return Object.assign({}, key);
+  }
+
+  // A new secret for the same key ID and permissions
+  rotate(id) {
+    const key = this.getActive(id);
+    key.secret = crypto.randomBytes(32).toString('hex');
+    key.rotatedAt = new Date().toISOString();
+    this.save();
+    return Object.assign({}, key);
+  }
+
+  revoke(id) {
+    const key = this.getActive(id);
+    key.revokedAt = new Date().toISOString();
+    this.save();
+    return this.view(key);
+  }
+
+  getActive(id) {
+    this.reload();
+    const key = this.keys.get(id);
+    if (!key || key.revokedAt) throw new Error(`No active API key ${id}`);
+    return key;
+  }
+
+  // The key if it exists and is not revoked, else null
+  find(id) {
+    this.reload();
+    const key = this.keys.get(id);
+    return key && !key.revokedAt ? key : null;
+  }
+
+  hasActiveKeys() {
+    this.reload();
+    return Array.from(this.keys.values()).some(key => !key.revokedAt);
+  }
+
+  list() {
+    this.reload();
+    return Array.from(this.keys.values()).map(key => this.view(key));
+  }
+
+  // Everything but the secret
+  view(key) {
+    const view = Object.assign({}, key);
+    delete view.secret;
+    return view;
+  }
+}
+
+// Express middleware factory. Every request must be signed; only with `allowUnsigned`
+// (the relay's --insecure-dev) do requests pass through until the store has an active key.
+function createAuthenticator({ store, allowUnsigned = false, maxSkewMs = 5 * 60 * 1000 }) {
+  const seenNonces = new Map();  // `${keyId}:${nonce}` -> expiry (ms)
+
+  function rememberNonce(nonceKey, now) {
+    for (const [seen, expiry] of seenNonces) {
+      if (expiry < now) seenNonces.delete(seen);
+    }
+    seenNonces.set(nonceKey, now + 2 * maxSkewMs);
+  }
+
+  // The reason a request is refused (error code and message), or the key that signed it
+  function verify(req, permission) {
+    const keyId = req.get(AUTH_HEADERS.keyId);
+    const timestamp = Number(req.get(AUTH_HEADERS.timestamp));
+    const nonce = req.get(AUTH_HEADERS.nonce);
+    const signature = req.get(AUTH_HEADERS.signature);
+    if (!keyId || !req.get(AUTH_HEADERS.timestamp) || !nonce || !signature) {
+      return { code: 'UNAUTHORIZED', error: 'Authentication required: send the X-Api-Key, X-Timestamp, X-Nonce and X-Signature headers' };
+    }
+    const key = store.find(keyId);
+    if (!key) {
+      return { code: 'UNAUTHORIZED', error: 'Unknown or revoked API key' };
+    }
+    const now = Date.now();
+    if (!Number.isFinite(timestamp) || Math.abs(now - timestamp) > maxSkewMs) {
+      return { code: 'UNAUTHORIZED', error: `Request timestamp outside the ${maxSkewMs / 1000} second window` };
+    }
+    const expected = hmacHex(key.secret, canonicalRequest({
+      timestamp,
+      nonce,
+      method: req.method,
+      path: req.originalUrl,
+      bodyHash: sha256Hex(req.rawBody)
+    }));
+    const given = Buffer.from(signature, 'utf8');
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, Buffer.from(expected, 'utf8'))) {
+      return { code: 'UNAUTHORIZED', error: 'Invalid request signature' };
+    }
+    const nonceKey = `${keyId}:${nonce}`;
+    if (seenNonces.has(nonceKey)) {
+      return { code: 'UNAUTHORIZED', error: 'Request already received (replay)' };
+    }
+    rememberNonce(nonceKey, now);
+    if (!hasPermission(key.permissions, permission)) {
+      return { code: 'FORBIDDEN', error: `API key ${key.name} lacks the ${permission} permission` };
+    }
+    return { key };
+  }
+
+  function requirePermission(permission) {
+    return (req, res, next) => {
+      if (allowUnsigned && !store.hasActiveKeys()) return next();
+      const result = verify(req, permission);
+      if (!result.key) {
+        logger.warn('Request refused', { code: result.code, reason: result.error, method: req.method, path: req.originalUrl });
+        return sendError(res, result.code, result.error);
+      }
+      req.apiClient = { id: result.key.id, name: result.key.name };
+      next();
+    };
+  }
+
+  return { requirePermission, isEnforced: () => !allowUnsigned || store.hasActiveKeys() };
+}
+
+// Keeps the exact request body for signature checks: express.json({ verify: keepRawBody })
+function keepRawBody(req, res, buf) {
+  req.rawBody = buf;
+}
+
+module.exports = {
+  ApiKeyStore,
+  createAuthenticator,
+  signRequest,
+  keepRawBody,
+  sha256Hex
+};
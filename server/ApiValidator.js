@@ -0,0 +1,146 @@
+// Request and response validation against the API document (openapi.js).
+//
+//   app.post('/add-flight', auth..., rateLimit, api.validate('addFlight'), handler)
+//
+// Path and query parameters are coerced to their schema types with defaults filled in,
+// so handlers get numbers and booleans. A body that does not match is refused with 400
+// VALIDATION_FAILED; a path parameter outside its enum (an unknown action) with 404.
+// Responses are checked against the schema of their status: a mismatch is logged, or
+// thrown with `strictResponses` (tests).
+
+const Ajv = require('ajv');
+const { ethers } = require('ethers');
+const { sendError } = require('./ApiErrors');
+const { logger } = require('./Logger');
+
+const METHODS = ['get', 'post', 'put', 'delete', 'patch'];
+
+function createAjv(options) {
+  const ajv = new Ajv(Object.assign({ allErrors: true, useDefaults: true, allowUnionTypes: true }, options));
+  // Top-level keywords of the document, so it can be added whole and referenced
+  ajv.addVocabulary(['openapi', 'info', 'servers', 'tags', 'paths', 'components']);
+  ajv.addFormat('address', value => ethers.utils.isAddress(value));
+  ajv.addFormat('date-time', value => !isNaN(Date.parse(value)));
+  return ajv;
+}
+
+// Local references of the document point into it once it is registered as 'openapi'
+function localize(schema) {
+  if (Array.isArray(schema)) return schema.map(localize);
+  if (!schema || typeof schema !== 'object') return schema;
+  const result = {};
+  Object.entries(schema).forEach(([key, value]) => {
+    result[key] = key === '$ref' && value.startsWith('#/') ? `openapi${value}` : localize(value);
+  });
+  return result;
+}
+
+function parametersSchema(parameters, location) {
+  const properties = {};
+  const required = [];
+  parameters.filter(parameter => parameter.in === location).forEach(parameter => {
+    properties[parameter.name] = localize(parameter.schema);
+    if (parameter.required) required.push(parameter.name);
+  });
+  return { type: 'object', properties, required };
+}
+
+// Ajv errors as { field, message }, with fields like body.flights[0].latitude
+function describeErrors(errors, prefix) {
+  return errors.map(error => {
+    const segments = error.instancePath.split('/').slice(1);
+    if (error.keyword === 'required') segments.push(error.params.missingProperty);
+    const field = segments.reduce((path, segment) => (/^\d+$/.test(segment) ? `${path}[${segment}]` : `${path}.${segment}`), prefix);
+    const message = error.keyword === 'required' ? 'is required'
+      : error.keyword === 'enum' ? `must be one of: ${error.params.allowedValues.join(', ')}`
+        : error.message;
+    return { field, message };
+  });
+}
+
+class ApiValidator {
+  constructor({ document, strictResponses = false }) {
+    this.document = document;
+    this.strictResponses = strictResponses;
+    // Parameters arrive as strings and are coerced; bodies and responses are JSON already
+    this.parameterAjv = createAjv({ coerceTypes: true });
+    this.bodyAjv = createAjv({});
+    this.parameterAjv.addSchema(document, 'openapi');
+    this.bodyAjv.addSchema(document, 'openapi');
+
+    this.operations = new Map();
+    Object.entries(document.paths).forEach(([path, item]) => {
+      METHODS.filter(method => item[method]).forEach(method => {
+        this.operations.set(item[method].operationId, Object.assign({ path, method }, item[method]));
+      });
+    });
+    this.flightValidator = this.bodyAjv.compile({ $ref: 'openapi#/components/schemas/FlightInput' });
+  }
+
+  getOperation(operationId) {
+    const operation = this.operations.get(operationId);
+    if (!operation) throw new Error(`Unknown API operation ${operationId}`);
+    return operation;
+  }
+
+  // Express middleware for one operation; runs last, after authentication and limits
+  validate(operationId) {
+    const operation = this.getOperation(operationId);
+    const parameters = operation.parameters || [];
+    const checkPath = this.parameterAjv.compile(parametersSchema(parameters, 'path'));
+    const checkQuery = this.parameterAjv.compile(parametersSchema(parameters, 'query'));
+    const bodySchema = operation.requestBody && operation.requestBody.content['application/json'].schema;
+    const checkBody = bodySchema && this.bodyAjv.compile(localize(bodySchema));
+    const checkResponse = {};
+    Object.entries(operation.responses).forEach(([status, response]) => {
+      const content = response.content && response.content['application/json'];
+      if (content) checkResponse[status] = this.bodyAjv.compile(localize(content.schema));
+    });
+
+    return (req, res, next) => {
+      if (!checkPath(req.params)) {
+        const unknown = checkPath.errors.find(error => error.keyword === 'enum');
+        if (unknown) {
+          const name = unknown.instancePath.slice(1);
+          return sendError(res, 'NOT_FOUND', `Unknown ${name}: ${req.params[name]}`);
+        }
+        return this.refuse(res, describeErrors(checkPath.errors, 'path'));
+      }
+      if (!checkQuery(req.query)) {
+        return this.refuse(res, describeErrors(checkQuery.errors, 'query'));
+      }
+      if (checkBody && !checkBody(req.body)) {
+        return this.refuse(res, describeErrors(checkBody.errors, 'body'));
+      }
+
+      const json = res.json.bind(res);
+      res.json = body => {
+        const check = checkResponse[res.statusCode];
+        // Validate what the client receives: Dates as strings, no undefined fields
+        if (check && !check(JSON.parse(JSON.stringify(body)))) {
+          const problems = describeErrors(check.errors, 'response').map(detail => `${detail.field} ${detail.message}`).join('; ');
+          if (this.strictResponses) {
+            throw new Error(`Response ${res.statusCode} of ${operationId} does not match the API document: ${problems}`);
+          }
+          logger.warn('Response does not match the API document', { operationId, status: res.statusCode, problems });
+        }
+        return json(body);
+      };
+      next();
+    };
+  }
+
+  refuse(res, details) {
+    const summary = details.map(detail => `${detail.field} ${detail.message}`).join('; ');
+    return sendError(res, 'VALIDATION_FAILED', `Invalid request: ${summary}`, { details });
+  }
+
+  // One flight of a batch, checked on its own so the rest can still go through
+  checkFlight(flight) {
+    if (this.flightValidator(flight)) return { valid: true };
+    const [first] = describeErrors(this.flightValidator.errors, '');
+    return { valid: false, reason: `Invalid flight data: ${[first.field.slice(1), first.message].filter(Boolean).join(' ')}` };
+  }
+}
+
+module.exports = ApiValidator;
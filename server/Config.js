@@ -0,0 +1,281 @@
+// Settings for the relay and the deploy scripts, merged from (lowest to highest
+// precedence) built-in defaults, a JSON or YAML config file, environment variables
+// (including a .env file) and command-line flags. Every value is validated; all
+// problems are reported together in one error.
+//
+// The config file is `--config <file>`, `ADSB_CONFIG`, or the first of
+// adsb.config.json / adsb.config.yaml / adsb.config.yml in the repository root.
+// Relative paths are resolved against the repository root.
+
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const { LEVELS } = require('./Logger');
+
+const ROOT = path.join(__dirname, '..');
+const CONFIG_FILES = ['adsb.config.json', 'adsb.config.yaml', 'adsb.config.yml'];
+
+// Account #0 of the Hardhat development mnemonic, public and only useful on a local chain
+const HARDHAT_DEFAULT_KEY = '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80';
+
+// Each type turns a string (env, CLI) or a file value into a setting, or throws why not
+const TYPES = {
+  string: value => {
+    if (typeof value !== 'string' || value.trim() === '') throw new Error('must be a non-empty string');
+    return value.trim();
+  },
+  url: value => {
+    const url = TYPES.string(value);
+    if (!/^(https?|wss?):\/\/[^\s/]+/.test(url)) throw new Error(`must be an http(s) or ws(s) URL, got "${url}"`);
+    return url.replace(/\/+$/, '');
+  },
+  path: value => path.resolve(ROOT, TYPES.string(value)),
+  integer: value => {
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 1) throw new Error(`must be a positive integer, got "${value}"`);
+    return number;
+  },
+  port: value => {
+    const port = TYPES.integer(value);
+    if (port > 65535) throw new Error(`must be a port number (1-65535), got "${value}"`);
+    return port;
+  },
+  number: value => {
+    const number = Number(value);
+    if (value === '' || !Number.isFinite(number) || number < 0) throw new Error(`must be a number >= 0, got "${value}"`);
+    return number;
+  },
+  ratio: value => {
+    const number = TYPES.number(value);
+    if (number > 1) throw new Error(`must be between 0 and 1, got "${value}"`);
+    return number;
+  },
+  boolean: value => {
+    if (typeof value === 'boolean') return value;
+    if (['true', '1', 'yes'].includes(String(value).toLowerCase())) return true;
+    if (['false', '0', 'no'].includes(String(value).toLowerCase())) return false;
+    throw new Error(`must be true or false, got "${value}"`);
+  },
+  privateKey: value => {
+    const key = TYPES.string(value);
+    const prefixed = key.startsWith('0x') ? key : `0x${key}`;
+    if (!ethers.utils.isHexString(prefixed, 32)) throw new Error('must be a 32-byte hex private key');
+    return prefixed;
+  },
+  address: value => {
+    if (!ethers.utils.isAddress(TYPES.string(value))) throw new Error(`must be an Ethereum address, got "${value}"`);
+    return ethers.utils.getAddress(value);
+  },
+  origins: value => {
+    const origins = (Array.isArray(value) ? value : TYPES.string(value).split(',')).map(origin => String(origin).trim()).filter(Boolean);
+    if (origins.includes('*')) return '*';
+    origins.forEach(origin => {
+      if (!/^https?:\/\/[^\s/]+$/.test(origin)) throw new Error(`must be * or origins like http://localhost:3000, got "${origin}"`);
+    });
+    return origins;
+  },
+  strategy: value => {
+    const strategy = TYPES.string(value);
+    if (!['round-robin', 'least-pending'].includes(strategy)) {
+      throw new Error(`must be round-robin or least-pending, got "${strategy}"`);
+    }
+    return strategy;
+  },
+  level: value => {
+    const level = TYPES.string(value).toLowerCase();
+    if (!LEVELS.includes(level)) throw new Error(`must be one of ${LEVELS.join(', ')}, got "${value}"`);
+    return level;
+  }
+};
+
+// Setting -> environment variable, CLI flag, type and default (null: unset)
+const OPTIONS = {
+  rpcUrl: { env: 'ADSB_RPC_URL', flag: 'rpc-url', type: 'url', default: 'http://127.0.0.1:8545', description: 'JSON-RPC URL of the chain' },
+  port: { env: 'RELAY_PORT', flag: 'port', type: 'port', default: 3001, description: 'Port the relay listens on' },
+  relayUrl: { env: 'RELAY_URL', flag: 'relay-url', type: 'url', default: null, description: 'Public URL of the relay (default http://localhost:<port>)' },
+  privateKey: { env: 'RELAY_PRIVATE_KEY', flag: 'private-key', type: 'privateKey', default: HARDHAT_DEFAULT_KEY, secret: true, description: 'Key of the relay wallet (default: Hardhat account #0)' },
+  receiverPrivateKey: { env: 'RECEIVER_PRIVATE_KEY', flag: 'receiver-private-key', type: 'privateKey', default: null, secret: true, description: 'Receiver key reports are signed with (default: the relay wallet)' },
+  contractConfig: { env: 'ADSB_CONTRACT_CONFIG', flag: 'contract-config', type: 'path', default: 'web-interface/src/config.json', description: 'Deployment file with the contract address, written by the deploy script' },
+  contractAddress: { env: 'ADSB_CONTRACT_ADDRESS', flag: 'contract-address', type: 'address', default: null, description: 'Contract address, overriding the deployment file' },
+  jobStore: { env: 'RELAY_JOB_STORE', flag: 'job-store', type: 'path', default: 'server/data/jobs.json', description: 'File the job queue is stored in' },
+  jobMaxAttempts: { env: 'RELAY_JOB_MAX_ATTEMPTS', flag: 'job-max-attempts', type: 'integer', default: 5, description: 'Send attempts per job' },
+  stuckTimeoutMs: { env: 'RELAY_STUCK_TIMEOUT_MS', flag: 'stuck-timeout-ms', type: 'integer', default: 60000, description: 'Pending time after which a transaction counts as stuck' },
+  relayerMnemonic: { env: 'RELAYER_MNEMONIC', flag: 'relayer-mnemonic', type: 'string', default: null, secret: true, description: 'Mnemonic of the relayer wallet pool' },
+  relayerCount: { env: 'RELAYER_COUNT', flag: 'relayer-count', type: 'integer', default: 1, description: 'Wallets derived from the relayer mnemonic' },
+  relayerKeyFile: { env: 'RELAYER_KEY_FILE', flag: 'relayer-key-file', type: 'path', default: null, description: 'File with relayer private keys' },
+  relayerStrategy: { env: 'RELAYER_STRATEGY', flag: 'relayer-strategy', type: 'strategy', default: 'least-pending', description: 'round-robin or least-pending' },
+  relayerMinBalance: { env: 'RELAYER_MIN_BALANCE', flag: 'relayer-min-balance', type: 'number', default: 1, description: 'Relayer balance (ETH) below which a warning is logged' },
+  apiKeyStore: { env: 'RELAY_API_KEY_STORE', flag: 'api-key-store', type: 'path', default: 'server/data/api-keys.json', description: 'File the API keys are stored in' },
+  insecureDev: { env: 'RELAY_INSECURE_DEV', flag: 'insecure-dev', type: 'boolean', default: false, description: 'Accept unsigned writes until the first API key exists (local development only)' },
+  authMaxSkewMs: { env: 'RELAY_AUTH_MAX_SKEW_MS', flag: 'auth-max-skew-ms', type: 'integer', default: 300000, description: 'Accepted clock difference of signed requests' },
+  corsOrigins: { env: 'RELAY_CORS_ORIGINS', flag: 'cors-origins', type: 'origins', default: '*', description: 'Comma-separated origins allowed by CORS, or *' },
+  rateLimitBurst: { env: 'RELAY_RATE_LIMIT_BURST', flag: 'rate-limit-burst', type: 'integer', default: 20, description: 'Write requests a client may send at once' },
+  rateLimitPerMinute: { env: 'RELAY_RATE_LIMIT_PER_MINUTE', flag: 'rate-limit-per-minute', type: 'integer', default: 60, description: 'Sustained write requests per client and minute' },
+  dailyGasQuota: { env: 'RELAY_DAILY_GAS_QUOTA', flag: 'daily-gas-quota', type: 'number', default: 0, description: 'Gas per client and UTC day, 0 for no quota' },
+  gasUsageStore: { env: 'RELAY_GAS_USAGE_STORE', flag: 'gas-usage-store', type: 'path', default: 'server/data/gas-usage.json', description: 'File daily gas usage is stored in' },
+  anchorMode: { env: 'RELAY_ANCHOR_MODE', flag: 'anchor-mode', type: 'boolean', default: false, description: 'Keep batch reports off-chain and anchor Merkle roots of time windows' },
+  anchorWindowSeconds: { env: 'RELAY_ANCHOR_WINDOW_SECONDS', flag: 'anchor-window-seconds', type: 'integer', default: 60, description: 'Length of an anchored window' },
+  anchorStore: { env: 'RELAY_ANCHOR_STORE', flag: 'anchor-store', type: 'path', default: 'server/data/anchors', description: 'Directory the anchored windows are stored in' },
+  logDir: { env: 'RELAY_LOG_DIR', flag: 'log-dir', type: 'path', default: 'server/data/logs', description: 'Directory of the rotated JSON log files' },
+  logLevel: { env: 'RELAY_LOG_LEVEL', flag: 'log-level', type: 'level', default: 'info', description: 'Lowest level logged: debug, info, warn or error' },
+  logMaxFileBytes: { env: 'RELAY_LOG_MAX_FILE_BYTES', flag: 'log-max-file-bytes', type: 'integer', default: 5242880, description: 'Size at which the log file is rotated' },
+  logMaxFiles: { env: 'RELAY_LOG_MAX_FILES', flag: 'log-max-files', type: 'integer', default: 5, description: 'Rotated log files kept besides the current one' },
+  attackDemoMode: { env: 'ATTACK_DEMO_MODE', flag: 'attack-demo-mode', type: 'boolean', default: false, description: 'Randomized attack outcomes for demos' },
+  attackDemoBlockRate: { env: 'ATTACK_DEMO_BLOCK_RATE', flag: 'attack-demo-block-rate', type: 'ratio', default: 0.7, description: 'Share of demo attacks reported as blocked' }
+};
+
+// `--flag value`, `--flag=value`, and a bare `--flag` for booleans
+function parseArgs(argv) {
+  const values = {};
+  const problems = [];
+  let configFile = null;
+  for (let i = 0; i < argv.length; i++) {
+    const match = /^--([a-z0-9-]+)(?:=(.*))?$/.exec(argv[i]);
+    if (!match) {
+      problems.push(`unexpected argument "${argv[i]}"`);
+      continue;
+    }
+    const [, flag, inline] = match;
+    const key = Object.keys(OPTIONS).find(name => OPTIONS[name].flag === flag);
+    if (flag !== 'config' && !key) {
+      problems.push(`unknown flag --${flag}`);
+      continue;
+    }
+    let value = inline;
+    if (value === undefined) {
+      if (key && OPTIONS[key].type === 'boolean' && (i + 1 >= argv.length || argv[i + 1].startsWith('--'))) {
+        value = 'true';
+      } else if (i + 1 < argv.length) {
+        value = argv[++i];
+      } else {
+        problems.push(`--${flag} needs a value`);
+        continue;
+      }
+    }
+    if (flag === 'config') configFile = value;
+    else values[key] = value;
+  }
+  return { values, configFile, problems };
+}
+
+function readConfigFile(file) {
+  const content = fs.readFileSync(file, 'utf8');
+  // Only needed for YAML files, so JSON-only setups do not need the package
+  const values = /\.ya?ml$/i.test(file) ? require('js-yaml').load(content) : JSON.parse(content);
+  if (values === null || values === undefined) return {};
+  if (typeof values !== 'object' || Array.isArray(values)) {
+    throw new Error('must contain an object of settings');
+  }
+  return values;
+}
+
+// Load and validate the settings. `argv` are CLI arguments without the node and
+// script paths; `env` defaults to process.env after loading .env. `keys` limits
+// loading to some settings, so e.g. the Hardhat config is not refused for a bad
+// relay-only value.
+function loadConfig({ argv = [], env, keys = Object.keys(OPTIONS) } = {}) {
+  if (!env) {
+    require('dotenv').config({ path: path.join(ROOT, '.env') });
+    env = process.env;
+  }
+  const cli = parseArgs(argv);
+  const problems = cli.problems.slice();
+
+  const explicitFile = cli.configFile || env.ADSB_CONFIG;
+  const file = explicitFile
+    ? path.resolve(ROOT, explicitFile)
+    : CONFIG_FILES.map(name => path.join(ROOT, name)).find(candidate => fs.existsSync(candidate));
+  let fileValues = {};
+  if (file) {
+    try {
+      fileValues = readConfigFile(file);
+      Object.keys(fileValues)
+        .filter(key => !OPTIONS[key])
+        .forEach(key => problems.push(`${path.relative(ROOT, file)}: unknown setting "${key}"`));
+    } catch (error) {
+      problems.push(`${path.relative(ROOT, file)}: ${error.code === 'ENOENT' ? 'file not found' : error.message}`);
+    }
+  }
+
+  const settings = {};
+  const sources = {};
+  keys.forEach(key => {
+    const option = OPTIONS[key];
+    const [source, value] =
+      cli.values[key] !== undefined ? [`--${option.flag}`, cli.values[key]]
+        : env[option.env] !== undefined && env[option.env] !== '' ? [option.env, env[option.env]]
+          : fileValues[key] !== undefined && fileValues[key] !== null ? [path.basename(file), fileValues[key]]
+            : ['default', option.default];
+    sources[key] = source;
+    if (value === null) {
+      settings[key] = null;
+      return;
+    }
+    try {
+      settings[key] = TYPES[option.type](value);
+    } catch (error) {
+      problems.push(`${key} (${source === 'default' ? 'default' : `from ${source}`}) ${error.message}`);
+    }
+  });
+
+  if (settings.relayUrl === null && settings.port) {
+    settings.relayUrl = `http://localhost:${settings.port}`;
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid configuration:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+  }
+  Object.defineProperty(settings, 'sources', { value: Object.assign({ file: file || null }, sources) });
+  return settings;
+}
+
+// The deployed contract: address and network from the deployment file, the address
+// optionally overridden by `contractAddress`
+function readContractConfig(settings) {
+  let deployment = {};
+  if (fs.existsSync(settings.contractConfig)) {
+    try {
+      deployment = JSON.parse(fs.readFileSync(settings.contractConfig, 'utf8'));
+    } catch (error) {
+      throw new Error(`Invalid configuration:\n  - ${path.relative(ROOT, settings.contractConfig)}: ${error.message}`);
+    }
+  } else if (!settings.contractAddress) {
+    throw new Error(
+      `Invalid configuration:\n  - no contract address: ${path.relative(ROOT, settings.contractConfig)} does not exist. ` +
+      'Deploy the contract first (npx hardhat run scripts/deploy.js --network localhost) or set ADSB_CONTRACT_ADDRESS.'
+    );
+  }
+  const contractAddress = settings.contractAddress || deployment.contractAddress;
+  if (!contractAddress || !ethers.utils.isAddress(contractAddress)) {
+    throw new Error(`Invalid configuration:\n  - ${path.relative(ROOT, settings.contractConfig)} has no valid contractAddress`);
+  }
+  return Object.assign({}, deployment, { contractAddress: ethers.utils.getAddress(contractAddress) });
+}
+
+// Settings with secrets masked, for logs and /debug
+function redactConfig(settings) {
+  const redacted = {};
+  Object.keys(OPTIONS).forEach(key => {
+    redacted[key] = OPTIONS[key].secret && settings[key] ? '***' : settings[key];
+  });
+  return redacted;
+}
+
+function usage() {
+  const lines = ['Options (flag / environment variable / default):', '  --config <file> / ADSB_CONFIG: JSON or YAML config file'];
+  Object.keys(OPTIONS).forEach(key => {
+    const option = OPTIONS[key];
+    const shown = option.secret || option.default === null ? '' : ` (default ${option.default})`;
+    lines.push(`  --${option.flag} / ${option.env}: ${option.description}${shown}`);
+  });
+  return lines.join('\n');
+}
+
+module.exports = {
+  OPTIONS,
+  HARDHAT_DEFAULT_KEY,
+  loadConfig,
+  readContractConfig,
+  redactConfig,
+  usage
+};
@@ -0,0 +1,132 @@
+// Server-Sent Events push of chain and job updates (GET /events).
+//
+//   flight     a FlightUpdated position, as in GET /flights
+//   rejection  a FlightRejected event
+//   consensus  the current consensus round of an aircraft after an observation
+//   block      a new block, sent after the events from its logs; its id is the block number
+//   reorg      the chain was rolled back to `blockNumber`; reload flights
+//   job        a relay job changed state, as in GET /jobs/:id
+//   ready      sent on connect, with the block the client is now up to date with
+//
+// A client resumes with ?fromBlock=<n> or the Last-Event-ID header EventSource sends
+// on its own reconnects: chain events from that block on are replayed from the flight
+// indexer before live events follow. Delivery is at least once, so clients should
+// treat a repeated position as an update of the same aircraft.
+
+const { sendError } = require('./ApiErrors');
+
+const INDEXER_EVENTS = {
+  flight: change => change.flight,
+  rejection: change => change.rejection,
+  consensus: change => change.round,
+  block: change => change.block,
+  reorg: change => ({ blockNumber: change.blockNumber })
+};
+
+class EventStream {
+  constructor({ indexer, heartbeatMs = 15000, maxClients = 100, retryMs = 3000 }) {
+    this.indexer = indexer;
+    this.heartbeatMs = heartbeatMs;
+    this.maxClients = maxClients;
+    this.retryMs = retryMs;
+
+    this.clients = new Set();  // { res, remote, connectedAt, sent }
+    this.sent = 0;
+    this.heartbeat = null;
+    this.onIndexerChange = change => {
+      const payload = INDEXER_EVENTS[change.type];
+      if (!payload) return;
+      this.publish(change.type, payload(change), change.type === 'block' ? change.block.blockNumber : undefined);
+    };
+  }
+
+  start() {
+    this.indexer.addListener(this.onIndexerChange);
+    this.heartbeat = setInterval(() => {
+      // Comment lines keep proxies from closing idle connections
+      this.clients.forEach(client => client.res.write(': ping\n\n'));
+    }, this.heartbeatMs);
+    this.heartbeat.unref();
+  }
+
+  stop() {
+    this.indexer.removeListener(this.onIndexerChange);
+    clearInterval(this.heartbeat);
+    this.clients.forEach(client => client.res.end());
+    this.clients.clear();
+  }
+
+  publish(type, data, id) {
+    const message = format(type, data, id);
+    this.clients.forEach(client => this.send(client, message));
+  }
+
+  send(client, message) {
+    client.res.write(message);
+    client.sent++;
+    this.sent++;
+  }
+
+  // Express handler for GET /events
+  handler() {
+    return (req, res) => {
+      if (this.clients.size >= this.maxClients) {
+        return sendError(res, 'TOO_MANY_STREAMS', `Too many stream connections (max ${this.maxClients})`);
+      }
+      const lastEventId = req.get('last-event-id');
+      const fromBlock = lastEventId !== undefined ? parseInt(lastEventId, 10) + 1 : parseInt(req.query.fromBlock, 10);
+
+      res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no'
+      });
+      res.write(`retry: ${this.retryMs}\n\n`);
+
+      const client = { res, remote: req.ip, connectedAt: new Date().toISOString(), sent: 0 };
+      // The indexer notifies synchronously, so nothing can slip in between the replay
+      // and joining the live clients
+      const replayed = Number.isInteger(fromBlock) ? this.replay(client, fromBlock) : 0;
+      this.clients.add(client);
+      this.send(client, format('ready', { lastBlock: this.indexer.lastBlock, replayed }, this.indexer.lastBlock));
+
+      req.on('close', () => {
+        this.clients.delete(client);
+      });
+    };
+  }
+
+  // Chain events since `fromBlock` still held by the indexer, in log order
+  replay(client, fromBlock) {
+    const since = entry => entry.blockNumber >= fromBlock;
+    const events = [];
+    const add = (type, data, log) => events.push({ type, data, blockNumber: log.blockNumber, logIndex: log.logIndex });
+
+    for (const track of this.indexer.history.values()) {
+      track.filter(since).forEach(position => add('flight', position, position));
+    }
+    this.indexer.rejections.filter(since).forEach(rejection => add('rejection', rejection, rejection));
+    // Rounds are sent as they are now, once, at the last observation since `fromBlock`
+    const observed = new Map();
+    this.indexer.observations.filter(since).forEach(observation => observed.set(observation.icao24, observation));
+    observed.forEach((observation, icao24) => add('consensus', this.indexer.getConsensus(icao24), observation));
+
+    events.sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+    events.forEach(event => this.send(client, format(event.type, event.data)));
+    return events.length;
+  }
+
+  getStats() {
+    return {
+      clients: Array.from(this.clients).map(client => ({ remote: client.remote, connectedAt: client.connectedAt, sent: client.sent })),
+      sent: this.sent
+    };
+  }
+}
+
+function format(type, data, id) {
+  return `${id !== undefined ? `id: ${id}\n` : ''}event: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+module.exports = EventStream;
@@ -0,0 +1,328 @@
+// Durable submission queue for the relay. Jobs are written to a JSON file on every
+// state change, so a restart picks up queued jobs and keeps watching transactions
+// that were already sent.
+//
+//   queued -> submitted -> mined
+//                       -> failed   (reverted, or out of attempts)
+//                       -> dropped  (the node forgot the transaction and no attempts are left)
+//
+// Transient send errors and dropped transactions go back to `queued` with
+// exponential backoff until `maxAttempts` is used up.
+//
+// A job keeps the requestId of the request that queued it; sending and watching it
+// run in that log context, with its jobId added.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { getRevertReason, getReceiptRevertReason } = require('../web-interface/src/shared/RevertReason');
+const { logger, withContext, getContext } = require('./Logger');
+
+const JOB_STATES = ['queued', 'submitted', 'mined', 'failed', 'dropped'];
+const FINAL_STATES = ['mined', 'failed', 'dropped'];
+
+// ethers v5 codes for a transaction the contract will reject no matter how often it is sent
+const PERMANENT_ERROR_CODES = ['CALL_EXCEPTION', 'UNPREDICTABLE_GAS_LIMIT', 'INVALID_ARGUMENT'];
+
+// Reverts surface as an ethers code from a JSON-RPC node, but only in the message in-process
+function isPermanentError(error) {
+  return PERMANENT_ERROR_CODES.includes(error.code) || /revert/i.test(error.message || '');
+}
+
+class JobQueue extends EventEmitter {
+  constructor({
+    file,
+    provider,
+    maxAttempts = 5,
+    backoffMs = 1000,
+    maxBackoffMs = 60000,
+    pollIntervalMs = 1000,
+    dropTimeoutMs = 120000,
+    maxFinishedJobs = 500,
+    concurrency = 1
+  }) {
+    super();
+    this.file = file;
+    this.provider = provider;
+    this.maxAttempts = maxAttempts;
+    this.backoffMs = backoffMs;
+    this.maxBackoffMs = maxBackoffMs;
+    this.pollIntervalMs = pollIntervalMs;
+    this.dropTimeoutMs = dropTimeoutMs;
+    this.maxFinishedJobs = maxFinishedJobs;
+    this.concurrency = concurrency;  // transactions in flight at once, e.g. one per relayer wallet
+
+    this.handlers = new Map();   // type -> { submit(payload, job), complete(payload, receipt, job) }
+    this.jobs = new Map();       // id -> job, in insertion order
+    this.timer = null;
+    this.isRunning = false;
+    this.isProcessing = false;
+    this.load();
+  }
+
+  // `submit` sends the transaction and resolves with it; `complete` turns the
+  // receipt of a successful transaction into the job result
+  register(type, handler) {
+    this.handlers.set(type, handler);
+  }
+
+  enqueue(type, payload, summary = {}) {
+    if (!this.handlers.has(type)) {
+      throw new Error(`Unknown job type: ${type}`);
+    }
+    const now = Date.now();
+    const job = {
+      id: crypto.randomUUID(),
+      type,
+      state: 'queued',
+      requestId: getContext().requestId || null,
+      summary,
+      payload,
+      attempts: 0,
+      nextAttemptAt: now,
+      createdAt: now,
+      updatedAt: now,
+      history: [{ state: 'queued', at: now }]
+    };
+    this.jobs.set(job.id, job);
+    this.save();
+    this.emit('job', this.view(job));
+    this.schedule(0);
+    return this.view(job);
+  }
+
+  get(id) {
+    const job = this.jobs.get(id);
+    return job ? this.view(job) : null;
+  }
+
+  // Newest first
+  list({ state, type, limit = 100 } = {}) {
+    return Array.from(this.jobs.values())
+      .filter(job => (!state || job.state === state) && (!type || job.type === type))
+      .reverse()
+      .slice(0, limit)
+      .map(job => this.view(job));
+  }
+
+  counts() {
+    const counts = {};
+    JOB_STATES.forEach(state => { counts[state] = 0; });
+    for (const job of this.jobs.values()) counts[job.state]++;
+    return counts;
+  }
+
+  // Resolves with the job once it reaches a final state, or as it is after `timeoutMs`
+  waitFor(id, timeoutMs = 120000) {
+    const job = this.get(id);
+    if (!job || FINAL_STATES.includes(job.state)) {
+      return Promise.resolve(job);
+    }
+    return new Promise(resolve => {
+      const onJob = (changed) => {
+        if (changed.id === id && FINAL_STATES.includes(changed.state)) finish(changed);
+      };
+      const timeout = setTimeout(() => finish(this.get(id)), timeoutMs);
+      const finish = (result) => {
+        clearTimeout(timeout);
+        this.off('job', onJob);
+        resolve(result);
+      };
+      this.on('job', onJob);
+    });
+  }
+
+  start() {
+    if (this.isRunning) return;
+    this.isRunning = true;
+    this.schedule(0);
+  }
+
+  stop() {
+    this.isRunning = false;
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  // ---- Processing -----------------------------------------------------------
+
+  schedule(delayMs) {
+    if (!this.isRunning) return;
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this.tick(), delayMs);
+  }
+
+  async tick() {
+    if (this.isProcessing) return;
+    this.isProcessing = true;
+    let busy = false;
+    try {
+      busy = await this.processNext();
+    } catch (error) {
+      logger.error('Job queue error', { error });
+    } finally {
+      this.isProcessing = false;
+    }
+    this.schedule(busy ? 0 : this.pollIntervalMs);
+  }
+
+  // Up to `concurrency` jobs in flight, submitted in the order they were queued; with the
+  // default of one, transactions leave the relay strictly in order.
+  // Returns true when there may be more work right away.
+  async processNext() {
+    let busy = false;
+    for (const job of Array.from(this.jobs.values())) {
+      if (job.state === 'submitted' && await this.inContext(job, () => this.checkSubmitted(job))) busy = true;
+    }
+
+    const jobs = Array.from(this.jobs.values());
+    let inFlight = jobs.filter(job => job.state === 'submitted').length;
+    const now = Date.now();
+    for (const next of jobs.filter(job => job.state === 'queued' && job.nextAttemptAt <= now)) {
+      if (inFlight >= this.concurrency) break;
+      await this.inContext(next, () => this.submit(next));
+      if (next.state === 'submitted') inFlight++;
+      busy = true;
+    }
+    return busy;
+  }
+
+  inContext(job, fn) {
+    return withContext({ requestId: job.requestId || undefined, jobId: job.id }, fn);
+  }
+
+  async submit(job) {
+    const handler = this.handlers.get(job.type);
+    job.attempts++;
+    try {
+      const tx = await handler.submit(job.payload, job);
+      this.transition(job, 'submitted', {
+        transactionHash: tx.hash,
+        nonce: tx.nonce,
+        submittedAt: Date.now()
+      });
+    } catch (error) {
+      const reason = getRevertReason(error);
+      if (isPermanentError(error)) {
+        this.transition(job, 'failed', { error: reason });
+      } else {
+        this.retry(job, 'failed', reason);
+      }
+    }
+  }
+
+  async checkSubmitted(job) {
+    const receipt = await this.provider.getTransactionReceipt(job.transactionHash);
+    if (receipt) {
+      if (receipt.status === 0) {
+        const tx = await this.provider.getTransaction(job.transactionHash);
+        this.transition(job, 'failed', {
+          blockNumber: receipt.blockNumber,
+          error: await getReceiptRevertReason(this.provider, tx, receipt)
+        });
+        return true;
+      }
+      let result = null;
+      try {
+        result = await this.handlers.get(job.type).complete(job.payload, receipt, job);
+      } catch (error) {
+        logger.error('Job mined but its result could not be built', { error });
+      }
+      this.transition(job, 'mined', {
+        blockNumber: receipt.blockNumber,
+        gasUsed: receipt.gasUsed.toString(),
+        result
+      });
+      return true;
+    }
+
+    // Still pending, unless the node no longer knows it and it has had time to be mined
+    const tx = await this.provider.getTransaction(job.transactionHash);
+    if (!tx && Date.now() - job.submittedAt > this.dropTimeoutMs) {
+      this.retry(job, 'dropped', 'Transaction dropped from the mempool');
+      return true;
+    }
+    return false;
+  }
+
+  // A submitted transaction was resent with higher fees; watch the new hash instead
+  replaceTransaction(oldHash, newHash) {
+    const job = Array.from(this.jobs.values()).find(candidate =>
+      candidate.state === 'submitted' && candidate.transactionHash === oldHash);
+    if (!job) return null;
+    const now = Date.now();
+    Object.assign(job, { transactionHash: newHash, submittedAt: now, updatedAt: now });
+    job.history.push({ state: 'submitted', at: now, replaced: oldHash });
+    this.save();
+    this.emit('job', this.view(job));
+    return this.view(job);
+  }
+
+  // Back to the queue with backoff, or `finalState` once attempts are used up
+  retry(job, finalState, reason) {
+    if (job.attempts >= this.maxAttempts) {
+      this.transition(job, finalState, { error: reason });
+      return;
+    }
+    const delay = Math.min(this.backoffMs * Math.pow(2, job.attempts - 1), this.maxBackoffMs);
+    job.history.push({ state: finalState, at: Date.now(), error: reason });
+    this.transition(job, 'queued', {
+      error: reason,
+      transactionHash: null,
+      nonce: null,
+      nextAttemptAt: Date.now() + delay
+    });
+  }
+
+  transition(job, state, fields = {}) {
+    Object.assign(job, fields, { state, updatedAt: Date.now() });
+    job.history.push(Object.assign({ state, at: job.updatedAt }, fields.error && state !== 'queued' ? { error: fields.error } : {}));
+    this.prune();
+    this.save();
+    this.emit('job', this.view(job));
+  }
+
+  // ---- Persistence ----------------------------------------------------------
+
+  // Keep only the newest finished jobs so the file does not grow without bound
+  prune() {
+    const finished = Array.from(this.jobs.values()).filter(job => FINAL_STATES.includes(job.state));
+    for (const job of finished.slice(0, Math.max(0, finished.length - this.maxFinishedJobs))) {
+      this.jobs.delete(job.id);
+    }
+  }
+
+  load() {
+    if (!fs.existsSync(this.file)) return;
+    try {
+      const stored = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      for (const job of stored.jobs || []) {
+        this.jobs.set(job.id, job);
+      }
+    } catch (error) {
+      logger.error('Could not read job store', { file: this.file, error });
+    }
+  }
+
+  // Write to a temporary file first so a crash never leaves a half-written store
+  save() {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    const tmp = `${this.file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify({ jobs: Array.from(this.jobs.values()) }));
+    fs.renameSync(tmp, this.file);
+  }
+
+  // Everything but the payload, which holds the raw reports and signatures
+  view(job) {
+    const view = Object.assign({}, job);
+    delete view.payload;
+    view.history = job.history.slice();
+    return view;
+  }
+}
+
+JobQueue.JOB_STATES = JOB_STATES;
+JobQueue.FINAL_STATES = FINAL_STATES;
+
+module.exports = JobQueue;
@@ -0,0 +1,222 @@
+// Structured logging for the relay. Every entry is one object,
+//
+//   { time, level, msg, requestId, jobId, ...fields, id }
+//
+// where requestId and jobId come from the async context (withContext): the HTTP
+// request, the job it queued and that job's transactions share one requestId.
+//
+// Entries are printed as readable lines and, once a directory is configured,
+// appended as JSON lines to relay.log there. The file rotates by size:
+// relay.log -> relay.1.log -> ... -> relay.<maxFiles>.log, the oldest is dropped.
+// query() serves GET /logs from the recent entries kept in memory, and reads the
+// files for anything older.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = ['debug', 'info', 'warn', 'error'];
+const FILE_NAME = 'relay';
+const MAX_QUERY_LIMIT = 1000;
+
+const context = new AsyncLocalStorage();
+
+// Runs `fn` with `fields` added to everything logged inside it, also after awaits
+function withContext(fields, fn) {
+  return context.run(Object.assign({}, context.getStore(), fields), fn);
+}
+
+function getContext() {
+  return context.getStore() || {};
+}
+
+// Errors are logged as their message; BigNumbers and the like by their string value
+function toField(value) {
+  if (value instanceof Error) return value.message;
+  if (value && typeof value === 'object' && value._isBigNumber) return value.toString();
+  return value;
+}
+
+function formatField(value) {
+  if (typeof value === 'string') return /[\s"=]/.test(value) ? JSON.stringify(value) : value;
+  return JSON.stringify(value);
+}
+
+class Logger {
+  constructor(options = {}) {
+    this.output = options.output || console;
+    this.now = options.now || (() => Date.now());
+    this.bootId = this.now().toString(36);
+    this.seq = 0;
+    this.recent = [];      // newest last
+    this.size = null;      // bytes in the current file, read on the first write
+    this.writeFailed = false;
+    this.configure(options);
+  }
+
+  configure({ dir = this.dir || null, level = this.level || 'info', maxFileBytes = this.maxFileBytes || 5 * 1024 * 1024, maxFiles = this.maxFiles || 5, maxRecent = this.maxRecent || 2000 } = {}) {
+    if (!LEVELS.includes(level)) throw new Error(`Unknown log level: ${level}`);
+    if (dir !== this.dir) this.size = null;
+    this.dir = dir;
+    this.level = level;
+    this.maxFileBytes = maxFileBytes;
+    this.maxFiles = maxFiles;
+    this.maxRecent = maxRecent;
+    return this;
+  }
+
+  file(index = 0) {
+    return path.join(this.dir, index === 0 ? `${FILE_NAME}.log` : `${FILE_NAME}.${index}.log`);
+  }
+
+  log(level, msg, fields = {}) {
+    if (LEVELS.indexOf(level) < LEVELS.indexOf(this.level)) return null;
+    const entry = { time: new Date(this.now()).toISOString(), level, msg };
+    Object.entries(Object.assign({}, getContext(), fields)).forEach(([key, value]) => {
+      if (value !== undefined && !(key in entry)) entry[key] = toField(value);
+    });
+    entry.id = `${this.bootId}.${++this.seq}`;
+
+    this.recent.push(entry);
+    if (this.recent.length > this.maxRecent) this.recent.shift();
+    this.print(entry);
+    this.write(entry);
+    return entry;
+  }
+
+  debug(msg, fields) { return this.log('debug', msg, fields); }
+  info(msg, fields) { return this.log('info', msg, fields); }
+  warn(msg, fields) { return this.log('warn', msg, fields); }
+  error(msg, fields) { return this.log('error', msg, fields); }
+
+  print(entry) {
+    const { time, level, msg, id, ...fields } = entry;
+    const details = Object.entries(fields).map(([key, value]) => `${key}=${formatField(value)}`).join(' ');
+    const line = `${time} ${level.toUpperCase().padEnd(5)} ${msg}${details ? ` ${details}` : ''}`;
+    if (level === 'error') this.output.error(line);
+    else if (level === 'warn') this.output.warn(line);
+    else this.output.log(line);
+  }
+
+  write(entry) {
+    if (!this.dir) return;
+    const line = `${JSON.stringify(entry)}\n`;
+    const bytes = Buffer.byteLength(line);
+    try {
+      if (this.size === null) {
+        fs.mkdirSync(this.dir, { recursive: true });
+        this.size = fs.existsSync(this.file()) ? fs.statSync(this.file()).size : 0;
+      }
+      if (this.size > 0 && this.size + bytes > this.maxFileBytes) this.rotate();
+      fs.appendFileSync(this.file(), line);
+      this.size += bytes;
+      this.writeFailed = false;
+    } catch (error) {
+      // Said once, not for every entry while the disk stays full
+      if (!this.writeFailed) this.output.error(`Could not write log file ${this.file()}: ${error.message}`);
+      this.writeFailed = true;
+    }
+  }
+
+  rotate() {
+    if (fs.existsSync(this.file(this.maxFiles))) fs.unlinkSync(this.file(this.maxFiles));
+    for (let index = this.maxFiles - 1; index >= 0; index--) {
+      if (fs.existsSync(this.file(index))) fs.renameSync(this.file(index), this.file(index + 1));
+    }
+    this.size = 0;
+  }
+
+  // Entries of the files, newest first; the current file first
+  *readFiles() {
+    if (!this.dir) return;
+    for (let index = 0; index <= this.maxFiles; index++) {
+      if (!fs.existsSync(this.file(index))) continue;
+      const lines = fs.readFileSync(this.file(index), 'utf8').split('\n');
+      for (let line = lines.length - 1; line >= 0; line--) {
+        if (!lines[line]) continue;
+        try {
+          yield JSON.parse(lines[line]);
+        } catch (error) {
+          // A line cut short by a crash
+        }
+      }
+    }
+  }
+
+  // GET /logs: matching entries newest first, at most `limit`, and whether there are more
+  query({ level = 'debug', since, until, requestId, jobId, q, limit = 200 } = {}) {
+    const minLevel = LEVELS.indexOf(level);
+    const sinceMs = since ? Date.parse(since) : null;
+    const untilMs = until ? Date.parse(until) : null;
+    const text = q ? String(q).toLowerCase() : null;
+    const max = Math.min(limit, MAX_QUERY_LIMIT);
+
+    const entries = [];
+    const seen = new Set();
+    // false once the page is full or the entries got older than `since`
+    const take = entry => {
+      const time = Date.parse(entry.time);
+      if (sinceMs !== null && time < sinceMs) return false;
+      if (seen.has(entry.id)) return true;
+      seen.add(entry.id);
+      if (LEVELS.indexOf(entry.level) >= minLevel &&
+          (untilMs === null || time <= untilMs) &&
+          (!requestId || entry.requestId === requestId) &&
+          (!jobId || entry.jobId === jobId) &&
+          (!text || String(entry.msg).toLowerCase().includes(text))) {
+        entries.push(entry);
+      }
+      return entries.length <= max;
+    };
+
+    let done = false;
+    for (let index = this.recent.length - 1; index >= 0 && !done; index--) {
+      done = !take(this.recent[index]);
+    }
+    if (!done) {
+      for (const entry of this.readFiles()) {
+        if (!take(entry)) break;
+      }
+    }
+    return { entries: entries.slice(0, max), hasMore: entries.length > max };
+  }
+
+  // Express middleware: a request ID for everything logged while handling the request
+  // (the client's X-Request-Id when it sends a sane one), echoed in the response, and
+  // one entry per request. Reads are debug, writes info, failures warn or error.
+  requestContext() {
+    return (req, res, next) => {
+      const header = req.get('X-Request-Id');
+      const requestId = header && /^[\w.:-]{1,64}$/.test(header) ? header : crypto.randomUUID();
+      const startedAt = Date.now();
+      req.requestId = requestId;
+      res.set('X-Request-Id', requestId);
+      res.on('finish', () => {
+        const level = res.statusCode >= 500 ? 'error'
+          : res.statusCode >= 400 ? 'warn'
+            : req.method === 'GET' ? 'debug' : 'info';
+        this.log(level, `${req.method} ${req.path} ${res.statusCode}`, {
+          requestId,
+          method: req.method,
+          path: req.path,
+          status: res.statusCode,
+          durationMs: Date.now() - startedAt
+        });
+      });
+      withContext({ requestId }, next);
+    };
+  }
+}
+
+// The relay's logger; configured with the log settings once they are loaded
+const logger = new Logger();
+
+module.exports = {
+  LEVELS,
+  MAX_QUERY_LIMIT,
+  Logger,
+  logger,
+  withContext,
+  getContext
+};
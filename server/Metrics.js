@@ -0,0 +1,123 @@
+// Counters, gauges and histograms in the Prometheus text exposition format
+// (version 0.0.4), enough for GET /metrics without a client library.
+//
+// Series are kept per combination of label values. Totals the relay already keeps
+// elsewhere (nonce stats, ...) can be copied into a counter with set() at scrape time.
+
+const TYPES = ['counter', 'gauge', 'histogram'];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return Number.isNaN(value) ? 'NaN' : String(value);
+}
+
+function formatLabels(names, values) {
+  if (names.length === 0) return '';
+  return `{${names.map((name, index) => `${name}="${escapeLabel(values[index])}"`).join(',')}}`;
+}
+
+class Metric {
+  constructor(type, name, help, labelNames = [], buckets = []) {
+    if (!TYPES.includes(type)) throw new Error(`Unknown metric type: ${type}`);
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.buckets = buckets.slice().sort((a, b) => a - b);
+    this.series = new Map();  // label values as JSON -> { values, value } or { values, counts, sum, count }
+  }
+
+  entry(labels = {}) {
+    const values = this.labelNames.map(name => (labels[name] === undefined || labels[name] === null ? '' : String(labels[name])));
+    const key = JSON.stringify(values);
+    let entry = this.series.get(key);
+    if (!entry) {
+      entry = this.type === 'histogram'
+        ? { values, counts: this.buckets.map(() => 0), sum: 0, count: 0 }
+        : { values, value: 0 };
+      this.series.set(key, entry);
+    }
+    return entry;
+  }
+
+  inc(labels, by = 1) {
+    this.entry(labels).value += by;
+  }
+
+  // Gauges, and counters copied from a total kept elsewhere
+  set(labels, value) {
+    this.entry(labels).value = Number(value);
+  }
+
+  observe(labels, value) {
+    const entry = this.entry(labels);
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) entry.counts[index]++;
+    });
+    entry.sum += value;
+    entry.count++;
+  }
+
+  reset() {
+    this.series.clear();
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`, `# TYPE ${this.name} ${this.type}`];
+    for (const entry of this.series.values()) {
+      if (this.type !== 'histogram') {
+        lines.push(`${this.name}${formatLabels(this.labelNames, entry.values)} ${formatValue(entry.value)}`);
+        continue;
+      }
+      const bucketLabels = this.labelNames.concat('le');
+      this.buckets.forEach((bound, index) => {
+        lines.push(`${this.name}_bucket${formatLabels(bucketLabels, entry.values.concat(formatValue(bound)))} ${entry.counts[index]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels(bucketLabels, entry.values.concat('+Inf'))} ${entry.count}`);
+      lines.push(`${this.name}_sum${formatLabels(this.labelNames, entry.values)} ${formatValue(entry.sum)}`);
+      lines.push(`${this.name}_count${formatLabels(this.labelNames, entry.values)} ${entry.count}`);
+    }
+    return lines.join('\n');
+  }
+}
+
+class MetricsRegistry {
+  constructor() {
+    this.metrics = new Map();  // name -> Metric, in registration order
+  }
+
+  register(metric) {
+    if (this.metrics.has(metric.name)) throw new Error(`Metric ${metric.name} is already registered`);
+    this.metrics.set(metric.name, metric);
+    return metric;
+  }
+
+  counter(name, help, labelNames) {
+    return this.register(new Metric('counter', name, help, labelNames));
+  }
+
+  gauge(name, help, labelNames) {
+    return this.register(new Metric('gauge', name, help, labelNames));
+  }
+
+  histogram(name, help, labelNames, buckets) {
+    return this.register(new Metric('histogram', name, help, labelNames, buckets));
+  }
+
+  get(name) {
+    return this.metrics.get(name);
+  }
+
+  render() {
+    return `${Array.from(this.metrics.values()).map(metric => metric.render()).join('\n')}\n`;
+  }
+}
+
+MetricsRegistry.CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+module.exports = MetricsRegistry;
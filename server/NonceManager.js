@@ -0,0 +1,283 @@
+// Local nonce allocation for the relay wallet. Nonces are handed out from memory
+// and broadcast one send at a time, so concurrent sends never race on
+// getTransactionCount or reach the node out of order; a periodic refresh
+// reconciles with the node:
+//
+//   - nonces below the confirmed count are forgotten
+//   - a nonce released by a failed send while later ones went out is a gap, and is
+//     filled with a zero-value self-transfer so the later transactions can be mined
+//   - transactions pending longer than `stuckTimeoutMs` are flagged as stuck and can
+//     be replaced with higher fees (replace) or overwritten by a self-transfer (cancel)
+//   - a confirmed count that moves backwards means the node restarted, so the local
+//     state is rebuilt from the chain
+
+const { EventEmitter } = require('events');
+const { BigNumber } = require('ethers');
+const { logger } = require('./Logger');
+
+// Type 2 (EIP-1559) transactions report an effective gasPrice as well, which must not be resent
+const FEE_FIELDS = { 0: ['gasPrice'], 1: ['gasPrice'], 2: ['maxFeePerGas', 'maxPriorityFeePerGas'] };
+
+function isNonceError(error) {
+  return /nonce/i.test(error.message || '');
+}
+
+class NonceManager extends EventEmitter {
+  constructor({ signer, pollIntervalMs = 5000, stuckTimeoutMs = 60000, feeBumpPercent = 20 }) {
+    super();
+    this.signer = signer;
+    this.provider = signer.provider;
+    this.pollIntervalMs = pollIntervalMs;
+    this.stuckTimeoutMs = stuckTimeoutMs;
+    this.feeBumpPercent = feeBumpPercent;
+
+    this.address = null;
+    this.nextNonce = null;       // next nonce to hand out
+    this.confirmedNonce = null;  // transaction count of the latest block
+    this.pending = new Map();    // nonce -> { hash, label, sentAt, request, fees, replacements }
+    this.gaps = new Set();       // released nonces that later transactions depend on
+    this.filling = new Set();    // gaps with a filler transaction on its way
+    this.stats = { allocated: 0, released: 0, gapsFilled: 0, replaced: 0, cancelled: 0, resyncs: 0 };
+    this.lastRefresh = null;
+    this.lastError = null;
+    this.initPromise = null;
+    this.refreshPromise = null;
+    this.sendQueue = Promise.resolve();  // allocation and broadcast happen one send at a time
+    this.timer = null;
+  }
+
+  init() {
+    if (!this.initPromise) {
+      this.initPromise = this.resync().catch(error => {
+        this.initPromise = null;
+        throw error;
+      });
+    }
+    return this.initPromise;
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => {
+      this.refresh().catch(error => {
+        this.lastError = error.message;
+        logger.error('Nonce refresh failed', { address: this.address, error });
+      });
+    }, this.pollIntervalMs);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // Start over from the node's view, counting transactions still in its mempool
+  async resync() {
+    this.address = this.address || await this.signer.getAddress();
+    const [confirmed, pending] = await Promise.all([
+      this.provider.getTransactionCount(this.address, 'latest'),
+      this.provider.getTransactionCount(this.address, 'pending')
+    ]);
+    const hadState = this.nextNonce !== null;
+    this.confirmedNonce = confirmed;
+    this.nextNonce = pending;
+    this.pending.clear();
+    this.gaps.clear();
+    this.filling.clear();
+    if (hadState) this.stats.resyncs++;
+    this.lastRefresh = Date.now();
+    this.emit('resync', { confirmedNonce: confirmed, nextNonce: pending });
+    return this.nextNonce;
+  }
+
+  async allocate() {
+    await this.init();
+    this.stats.allocated++;
+    return this.nextNonce++;
+  }
+
+  // A nonce that never made it into a transaction
+  release(nonce) {
+    this.stats.released++;
+    if (nonce === this.nextNonce - 1) {
+      this.nextNonce--;
+    } else if (nonce >= this.confirmedNonce) {
+      this.gaps.add(nonce);
+    }
+  }
+
+  // Allocate a nonce, let `sendFn(overrides)` send the transaction with it and track
+  // the result. Nonces of failed sends are released; nonce errors trigger a resync.
+  // Resolves once the transaction is broadcast, not mined.
+  send(label, sendFn) {
+    const sent = this.sendQueue.then(async () => {
+      const nonce = await this.allocate();
+      let tx;
+      try {
+        tx = await sendFn({ nonce });
+      } catch (error) {
+        if (isNonceError(error)) {
+          await this.resync();
+        } else {
+          this.release(nonce);
+        }
+        throw error;
+      }
+      this.track(nonce, tx, label);
+      return tx;
+    });
+    this.sendQueue = sent.catch(() => {});
+    return sent;
+  }
+
+  track(nonce, tx, label, replacements = 0) {
+    const fees = {};
+    (FEE_FIELDS[tx.type] || FEE_FIELDS[0]).forEach(field => {
+      if (tx[field]) fees[field] = tx[field].toString();
+    });
+    this.pending.set(nonce, {
+      hash: tx.hash,
+      label,
+      sentAt: Date.now(),
+      request: { to: tx.to, data: tx.data, value: tx.value ? tx.value.toString() : '0', gasLimit: tx.gasLimit ? tx.gasLimit.toString() : undefined },
+      fees,
+      replacements
+    });
+  }
+
+  // Resend the same transaction with bumped fees
+  async replace(nonce) {
+    const entry = this.pending.get(nonce);
+    if (!entry) throw new Error(`No pending transaction with nonce ${nonce}`);
+    const tx = await this.signer.sendTransaction(Object.assign({ nonce }, entry.request, this.bumpedFees(entry.fees)));
+    this.track(nonce, tx, entry.label, entry.replacements + 1);
+    this.stats.replaced++;
+    this.emit('replaced', { nonce, oldHash: entry.hash, newHash: tx.hash });
+    return tx;
+  }
+
+  // Overwrite a pending transaction, or fill a gap, with a zero-value self-transfer
+  async cancel(nonce) {
+    const entry = this.pending.get(nonce);
+    if (!entry && !this.gaps.has(nonce)) throw new Error(`Nonce ${nonce} is neither pending nor a gap`);
+    const tx = await this.signer.sendTransaction(Object.assign(
+      { nonce, to: this.address, value: 0, gasLimit: 21000 },
+      entry ? this.bumpedFees(entry.fees) : {}
+    ));
+    this.track(nonce, tx, entry ? `Cancel: ${entry.label}` : 'Gap filler', entry ? entry.replacements + 1 : 0);
+    this.gaps.delete(nonce);
+    if (entry) {
+      this.stats.cancelled++;
+      this.emit('cancelled', { nonce, oldHash: entry.hash, newHash: tx.hash });
+    } else {
+      this.stats.gapsFilled++;
+    }
+    return tx;
+  }
+
+  bumpedFees(fees) {
+    const bumped = {};
+    Object.keys(fees).forEach(field => {
+      bumped[field] = BigNumber.from(fees[field]).mul(100 + this.feeBumpPercent).div(100);
+    });
+    return bumped;
+  }
+
+  // Concurrent callers share one pass
+  refresh() {
+    if (!this.refreshPromise) {
+      this.refreshPromise = this.doRefresh().finally(() => {
+        this.refreshPromise = null;
+      });
+    }
+    return this.refreshPromise;
+  }
+
+  async doRefresh() {
+    await this.init();
+    const [confirmed, pendingCount] = await Promise.all([
+      this.provider.getTransactionCount(this.address, 'latest'),
+      this.provider.getTransactionCount(this.address, 'pending')
+    ]);
+
+    // A fresh chain (node restart) has forgotten everything we sent
+    if (confirmed < this.confirmedNonce) {
+      logger.warn('Confirmed nonce went backwards: node restarted, resyncing', { address: this.address, from: this.confirmedNonce, to: confirmed });
+      await this.resync();
+      return this.getState();
+    }
+
+    this.confirmedNonce = confirmed;
+    for (const nonce of this.pending.keys()) {
+      if (nonce < confirmed) this.pending.delete(nonce);
+    }
+    for (const nonce of this.gaps) {
+      if (nonce < confirmed) this.gaps.delete(nonce);
+    }
+    // Transactions sent from this wallet by someone else
+    if (pendingCount > this.nextNonce) {
+      this.nextNonce = pendingCount;
+    }
+
+    // Pending transactions the node no longer knows leave a gap as well
+    for (const [nonce, entry] of this.pending) {
+      if (Date.now() - entry.sentAt < this.pollIntervalMs) continue;
+      if (!(await this.provider.getTransaction(entry.hash))) {
+        this.pending.delete(nonce);
+        this.gaps.add(nonce);
+      }
+    }
+
+    for (const nonce of Array.from(this.gaps).sort((a, b) => a - b)) {
+      if (this.filling.has(nonce)) continue;
+      this.filling.add(nonce);
+      try {
+        const tx = await this.cancel(nonce);
+        logger.info('Filled nonce gap', { address: this.address, nonce, transactionHash: tx.hash });
+      } catch (error) {
+        this.lastError = error.message;
+        logger.error('Filling nonce gap failed', { address: this.address, nonce, error });
+      } finally {
+        this.filling.delete(nonce);
+      }
+    }
+
+    this.lastRefresh = Date.now();
+    this.lastError = null;
+    return this.getState();
+  }
+
+  getStuck() {
+    const now = Date.now();
+    return Array.from(this.pending.entries())
+      .filter(([, entry]) => now - entry.sentAt > this.stuckTimeoutMs)
+      .map(([nonce]) => nonce);
+  }
+
+  getState() {
+    const now = Date.now();
+    const stuck = this.getStuck();
+    return {
+      address: this.address,
+      nextNonce: this.nextNonce,
+      confirmedNonce: this.confirmedNonce,
+      pending: Array.from(this.pending.entries())
+        .sort(([a], [b]) => a - b)
+        .map(([nonce, entry]) => ({
+          nonce,
+          hash: entry.hash,
+          label: entry.label,
+          ageMs: now - entry.sentAt,
+          replacements: entry.replacements,
+          stuck: stuck.includes(nonce)
+        })),
+      gaps: Array.from(this.gaps).sort((a, b) => a - b),
+      stuck,
+      stats: Object.assign({}, this.stats),
+      lastRefresh: this.lastRefresh ? new Date(this.lastRefresh).toISOString() : null,
+      lastError: this.lastError
+    };
+  }
+}
+
+module.exports = NonceManager;
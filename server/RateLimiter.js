@@ -0,0 +1,182 @@
+// Per-client limits for the relay's write endpoints. A client is its API key, or its
+// IP address while writes are open.
+//
+//   - a token bucket of `burst` requests, refilled at `perMinute` per minute
+//   - a daily (UTC) gas quota: gas of the client's mined transactions is counted and
+//     further writes are refused until midnight once `dailyGasQuota` is used up
+//
+// Refused requests get 429 with Retry-After. Gas usage is kept in a JSON file so a
+// restart does not hand out a fresh quota.
+
+const fs = require('fs');
+const path = require('path');
+const { sendError } = require('./ApiErrors');
+const { logger } = require('./Logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Recently throttled clients are reported as such for this long
+const THROTTLED_WINDOW_MS = 60 * 1000;
+
+// The client a request counts against
+function clientOf(req) {
+  if (req.apiClient) return { id: req.apiClient.id, name: req.apiClient.name };
+  const ip = req.ip || (req.socket && req.socket.remoteAddress) || 'unknown';
+  return { id: `ip:${ip}`, name: ip };
+}
+
+function utcDay(time) {
+  return new Date(time).toISOString().slice(0, 10);
+}
+
+class RateLimiter {
+  constructor({ burst = 20, perMinute = 60, dailyGasQuota = 0, file = null, now = () => Date.now() }) {
+    this.burst = burst;
+    this.perMinute = perMinute;
+    this.dailyGasQuota = dailyGasQuota;  // 0: no quota
+    this.file = file;
+    this.now = now;
+
+    this.clients = new Map();  // id -> { name, tokens, refilledAt, requests, throttled, lastThrottledAt, lastThrottleReason }
+    this.usage = { day: utcDay(this.now()), clients: {} };  // client id -> { name, gasUsed } today
+    this.load();
+  }
+
+  client({ id, name }) {
+    let client = this.clients.get(id);
+    if (!client) {
+      client = { name, tokens: this.burst, refilledAt: this.now(), requests: 0, throttled: 0, lastThrottledAt: null, lastThrottleReason: null };
+      this.clients.set(id, client);
+    }
+    return client;
+  }
+
+  refill(client) {
+    const now = this.now();
+    client.tokens = Math.min(this.burst, client.tokens + (now - client.refilledAt) * this.perMinute / 60000);
+    client.refilledAt = now;
+  }
+
+  // Starts a new day when the date changed
+  today() {
+    const day = utcDay(this.now());
+    if (this.usage.day !== day) {
+      this.usage = { day, clients: {} };
+      this.save();
+    }
+    return this.usage;
+  }
+
+  gasUsedToday(id) {
+    const usage = this.today().clients[id];
+    return usage ? usage.gasUsed : 0;
+  }
+
+  // Whether the client ({ id, name }) may send another request; if not, `reason`
+  // (rate or quota) and `retryAfterMs` say why and when it may
+  take(identity) {
+    const client = this.client(identity);
+    const now = this.now();
+    client.requests++;
+
+    if (this.dailyGasQuota > 0 && this.gasUsedToday(identity.id) >= this.dailyGasQuota) {
+      return this.throttle(client, 'quota', Date.parse(`${this.today().day}T00:00:00Z`) + DAY_MS - now);
+    }
+    this.refill(client);
+    if (client.tokens < 1) {
+      return this.throttle(client, 'rate', (1 - client.tokens) * 60000 / this.perMinute);
+    }
+    client.tokens -= 1;
+    return { allowed: true };
+  }
+
+  throttle(client, reason, retryAfterMs) {
+    client.throttled++;
+    client.lastThrottledAt = this.now();
+    client.lastThrottleReason = reason;
+    return { allowed: false, reason, retryAfterMs: Math.max(0, Math.ceil(retryAfterMs)) };
+  }
+
+  // Gas of a mined transaction the client caused
+  recordGas(identity, gasUsed) {
+    const usage = this.today();
+    const entry = usage.clients[identity.id] || { name: identity.name, gasUsed: 0 };
+    entry.gasUsed += Number(gasUsed);
+    usage.clients[identity.id] = entry;
+    this.save();
+  }
+
+  // Express middleware; must run after authentication so API clients are known
+  middleware() {
+    return (req, res, next) => {
+      const identity = clientOf(req);
+      const result = this.take(identity);
+      if (result.allowed) return next();
+
+      const retryAfter = Math.ceil(result.retryAfterMs / 1000);
+      const error = result.reason === 'quota'
+        ? `Daily gas quota of ${this.dailyGasQuota} used up for ${identity.name}`
+        : `Too many requests from ${identity.name}; limit ${this.perMinute} per minute`;
+      logger.warn('Request throttled', { client: identity.name, reason: result.reason, retryAfter, method: req.method, path: req.originalUrl });
+      res.set('Retry-After', String(retryAfter));
+      sendError(res, result.reason === 'quota' ? 'QUOTA_EXCEEDED' : 'RATE_LIMITED', error, { reason: result.reason, retryAfter });
+    };
+  }
+
+  getStats() {
+    const now = this.now();
+    // Clients seen since the start, plus those that only used gas before a restart
+    Object.keys(this.today().clients).forEach(id => this.client({ id, name: this.usage.clients[id].name }));
+    const clients = Array.from(this.clients.entries()).map(([id, client]) => {
+      this.refill(client);
+      const gasUsedToday = this.gasUsedToday(id);
+      return {
+        id,
+        name: client.name,
+        tokens: Math.floor(client.tokens),
+        requests: client.requests,
+        throttled: client.throttled,
+        lastThrottledAt: client.lastThrottledAt ? new Date(client.lastThrottledAt).toISOString() : null,
+        lastThrottleReason: client.lastThrottleReason,
+        throttledNow: client.lastThrottledAt !== null && now - client.lastThrottledAt < THROTTLED_WINDOW_MS,
+        gasUsedToday,
+        quotaRemaining: this.dailyGasQuota > 0 ? Math.max(0, this.dailyGasQuota - gasUsedToday) : null
+      };
+    });
+    return {
+      burst: this.burst,
+      perMinute: this.perMinute,
+      dailyGasQuota: this.dailyGasQuota || null,
+      day: this.today().day,
+      throttledClients: clients.filter(client => client.throttledNow).map(client => client.name),
+      clients
+    };
+  }
+
+  // ---- Persistence ----------------------------------------------------------
+
+  load() {
+    if (!this.file || !fs.existsSync(this.file)) return;
+    try {
+      const stored = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      if (stored.day === this.usage.day) {
+        this.usage = { day: stored.day, clients: stored.clients || {} };
+      }
+    } catch (error) {
+      logger.error('Could not read gas usage', { file: this.file, error });
+    }
+  }
+
+  // Write to a temporary file first so a crash never leaves a half-written file
+  save() {
+    if (!this.file) return;
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    const tmp = `${this.file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(this.usage));
+    fs.renameSync(tmp, this.file);
+  }
+}
+
+RateLimiter.clientOf = clientOf;
+
+module.exports = RateLimiter;
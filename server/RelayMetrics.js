@@ -0,0 +1,178 @@
+// The relay's metrics, served at GET /metrics for a Prometheus scrape.
+//
+// Events are counted as they happen: HTTP requests, flight outcomes, job
+// transitions (batch size, gas, confirmation latency, retries), JSON-RPC calls and
+// the OpenSky fetches the web interface reports. Queue depth, nonces, wallets and
+// the indexer are read from their own state on every scrape.
+
+const MetricsRegistry = require('./Metrics');
+
+const SECONDS_BUCKETS = [0.1, 0.25, 0.5, 1, 2, 5, 10, 30, 60, 120, 300];
+const BATCH_BUCKETS = [1, 2, 5, 10, 20, 30, 40, 50];
+const GAS_BUCKETS = [25000, 50000, 75000, 100000, 150000, 200000, 300000, 500000, 1000000];
+const OPENSKY_OUTCOMES = ['ok', 'cached', 'empty', 'rate_limited', 'error'];
+
+class RelayMetrics {
+  constructor({ now = () => Date.now() } = {}) {
+    this.now = now;
+    const registry = new MetricsRegistry();
+    this.registry = registry;
+
+    this.httpRequests = registry.counter('adsb_relay_http_requests_total', 'HTTP requests by route and status', ['method', 'route', 'status']);
+    this.flights = registry.counter('adsb_relay_flights_total',
+      'Submitted flights by outcome; rejected ones by who refused them and why', ['status', 'rejected_by', 'reason']);
+    this.batchSize = registry.histogram('adsb_relay_batch_size', 'Flights per queued transaction', ['type'], BATCH_BUCKETS);
+    this.gasPerFlight = registry.histogram('adsb_relay_gas_per_flight', 'Gas of a mined transaction divided by its flights', ['type'], GAS_BUCKETS);
+    this.gasUsed = registry.counter('adsb_relay_gas_used_total', 'Gas used by mined relay transactions', ['type']);
+    this.confirmationSeconds = registry.histogram('adsb_relay_tx_confirmation_seconds',
+      'Time from sending a transaction to seeing it mined', ['type'], SECONDS_BUCKETS);
+    this.jobSeconds = registry.histogram('adsb_relay_job_duration_seconds',
+      'Time from queueing a job to its final state', ['type', 'state'], SECONDS_BUCKETS);
+    this.jobsFinished = registry.counter('adsb_relay_jobs_finished_total', 'Jobs that reached a final state', ['type', 'state']);
+    this.jobRetries = registry.counter('adsb_relay_job_retries_total', 'Jobs sent back to the queue after a failed send or a dropped transaction', ['type']);
+    this.jobs = registry.gauge('adsb_relay_jobs', 'Jobs in the queue by state', ['state']);
+
+    this.rpcRequests = registry.counter('adsb_relay_rpc_requests_total', 'JSON-RPC requests to the node', ['method']);
+    this.rpcErrors = registry.counter('adsb_relay_rpc_errors_total', 'JSON-RPC requests that failed, reverts included', ['method']);
+
+    this.noncePending = registry.gauge('adsb_relay_nonce_pending', 'Sent transactions not yet mined', ['wallet']);
+    this.nonceGaps = registry.gauge('adsb_relay_nonce_gaps', 'Released nonces that later transactions wait for', ['wallet']);
+    this.nonceStuck = registry.gauge('adsb_relay_nonce_stuck', 'Pending transactions older than stuckTimeoutMs', ['wallet']);
+    this.nonceEvents = registry.counter('adsb_relay_nonce_events_total',
+      'Nonce manager actions: released, gap_filled, replaced, cancelled, resync', ['wallet', 'event']);
+    this.walletBalance = registry.gauge('adsb_relay_wallet_balance_eth', 'Balance of each relayer wallet', ['wallet']);
+    this.walletTransactions = registry.counter('adsb_relay_wallet_transactions_total', 'Transactions sent by each relayer wallet', ['wallet', 'outcome']);
+
+    this.indexerBlock = registry.gauge('adsb_indexer_last_block', 'Last block read by the flight indexer');
+    this.indexerFlights = registry.gauge('adsb_indexer_flights', 'Aircraft in the flight index');
+    this.indexerPendingRounds = registry.gauge('adsb_indexer_pending_rounds', 'Consensus rounds still open');
+    this.indexerReorgs = registry.counter('adsb_indexer_reorgs_total', 'Chain reorganisations the indexer rolled back');
+    this.streamClients = registry.gauge('adsb_relay_event_stream_clients', 'Open /events connections');
+
+    this.openSkyFetches = registry.counter('adsb_opensky_fetches_total', 'OpenSky fetches reported by the web interface', ['outcome']);
+    this.openSkySeconds = registry.histogram('adsb_opensky_fetch_duration_seconds', 'Duration of OpenSky requests (cache hits excluded)', [], [0.25, 0.5, 1, 2, 5, 10, 30]);
+    this.openSkyStates = registry.counter('adsb_opensky_states_total', 'State vectors received from OpenSky');
+    this.openSkyFlights = registry.counter('adsb_opensky_flights_total', 'Flights kept after filtering the state vectors');
+    this.openSkyLastSuccess = registry.gauge('adsb_opensky_last_success_timestamp_seconds', 'Unix time of the last successful OpenSky fetch');
+  }
+
+  // Express middleware; the route is its pattern (/jobs/:id), so IDs do not become series
+  middleware() {
+    return (req, res, next) => {
+      res.on('finish', () => {
+        const route = req.route ? `${req.baseUrl || ''}${req.route.path}` : 'unmatched';
+        this.httpRequests.inc({ method: req.method, route, status: res.statusCode });
+      });
+      next();
+    };
+  }
+
+  // ethers emits a debug event for every JSON-RPC request and response
+  watchProvider(provider) {
+    provider.on('debug', ({ action, request, error }) => {
+      if (action !== 'response' || !request) return;
+      this.rpcRequests.inc({ method: request.method });
+      if (error) this.rpcErrors.inc({ method: request.method });
+    });
+  }
+
+  // Report entries ({ status, reason, rejectedBy }) of flights that got an outcome
+  observeReport(report) {
+    report.forEach(entry => {
+      const rejected = entry.status === 'rejected';
+      this.flights.inc({
+        status: entry.status === 'disputed' ? 'pending' : entry.status,
+        rejected_by: rejected ? entry.rejectedBy || 'contract' : '',
+        reason: rejected ? entry.reason || '' : ''
+      });
+    });
+  }
+
+  // Every JobQueue 'job' event
+  observeJob(job) {
+    const { type, summary = {} } = job;
+    if (job.state === 'queued') {
+      if (job.attempts > 0) {
+        this.jobRetries.inc({ type });
+      } else if (summary.flights) {
+        this.batchSize.observe({ type }, summary.flights);
+      }
+      return;
+    }
+    if (!['mined', 'failed', 'dropped'].includes(job.state)) return;
+
+    this.jobsFinished.inc({ type, state: job.state });
+    this.jobSeconds.observe({ type, state: job.state }, (job.updatedAt - job.createdAt) / 1000);
+    if (job.state !== 'mined') return;
+
+    if (job.submittedAt) {
+      this.confirmationSeconds.observe({ type }, (job.updatedAt - job.submittedAt) / 1000);
+    }
+    const gasUsed = Number(job.gasUsed) || 0;
+    this.gasUsed.inc({ type }, gasUsed);
+    if (summary.flights) {
+      this.gasPerFlight.observe({ type }, gasUsed / summary.flights);
+    }
+
+    // Relay rejections were counted when the request came in
+    const { result } = job;
+    if (result && Array.isArray(result.report)) {
+      this.observeReport(result.report.filter(entry => entry.rejectedBy !== 'relay'));
+    } else if (result && result.consensus) {
+      this.observeReport([{ status: result.consensus === 'accepted' ? 'accepted' : 'pending' }]);
+    }
+  }
+
+  // POST /metrics/opensky: { outcome, durationMs, states, flights }
+  observeOpenSkyFetch({ outcome, durationMs = 0, states = 0, flights = 0 }) {
+    this.openSkyFetches.inc({ outcome });
+    if (outcome === 'cached') return;
+    this.openSkySeconds.observe({}, durationMs / 1000);
+    this.openSkyStates.inc({}, states);
+    this.openSkyFlights.inc({}, flights);
+    if (outcome === 'ok') {
+      this.openSkyLastSuccess.set({}, Math.floor(this.now() / 1000));
+    }
+  }
+
+  // The exposition text, with the current state of the queue, nonce managers
+  // (getState()), relayer wallets (RelayerPool getStats().wallets), indexer and stream
+  render({ jobs = {}, nonces = [], wallets = [], indexer = null, eventStream = null } = {}) {
+    this.jobs.reset();
+    Object.entries(jobs).forEach(([state, count]) => this.jobs.set({ state }, count));
+
+    [this.noncePending, this.nonceGaps, this.nonceStuck, this.nonceEvents].forEach(metric => metric.reset());
+    nonces.filter(state => state.address).forEach(state => {
+      const wallet = state.address;
+      this.noncePending.set({ wallet }, state.pending.length);
+      this.nonceGaps.set({ wallet }, state.gaps.length);
+      this.nonceStuck.set({ wallet }, state.stuck.length);
+      const { released, gapsFilled, replaced, cancelled, resyncs } = state.stats;
+      Object.entries({ released, gap_filled: gapsFilled, replaced, cancelled, resync: resyncs })
+        .forEach(([event, count]) => this.nonceEvents.set({ wallet, event }, count));
+    });
+
+    [this.walletBalance, this.walletTransactions].forEach(metric => metric.reset());
+    wallets.forEach(relayer => {
+      if (relayer.balance !== null) this.walletBalance.set({ wallet: relayer.address }, relayer.balance);
+      this.walletTransactions.set({ wallet: relayer.address, outcome: 'sent' }, relayer.sent);
+      this.walletTransactions.set({ wallet: relayer.address, outcome: 'failed' }, relayer.failed);
+    });
+
+    if (indexer) {
+      if (indexer.lastBlock !== null) this.indexerBlock.set({}, indexer.lastBlock);
+      this.indexerFlights.set({}, indexer.flights);
+      this.indexerPendingRounds.set({}, indexer.pendingRounds);
+      this.indexerReorgs.set({}, indexer.reorgs);
+    }
+    if (eventStream) {
+      this.streamClients.set({}, eventStream.clients.length);
+    }
+    return this.registry.render();
+  }
+}
+
+RelayMetrics.OPENSKY_OUTCOMES = OPENSKY_OUTCOMES;
+RelayMetrics.CONTENT_TYPE = MetricsRegistry.CONTENT_TYPE;
+
+module.exports = RelayMetrics;
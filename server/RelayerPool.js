@@ -0,0 +1,156 @@
+// Pool of relayer wallets for submissions anyone may send (signed reports). Each
+// wallet has its own NonceManager, so sends through different wallets do not wait
+// on one nonce sequence. Balances are polled and low ones are reported.
+
+const fs = require('fs');
+const { EventEmitter } = require('events');
+const { ethers } = require('ethers');
+const NonceManager = require('./NonceManager');
+const { logger } = require('./Logger');
+
+const STRATEGIES = ['round-robin', 'least-pending'];
+
+// Wallets from a mnemonic (first `count` accounts of the default path) and/or a key
+// file holding a JSON array of private keys or one key per line
+function loadRelayerWallets({ mnemonic, count = 1, keyFile }, provider) {
+  const wallets = [];
+  if (mnemonic) {
+    for (let i = 0; i < count; i++) {
+      wallets.push(ethers.Wallet.fromMnemonic(mnemonic, `m/44'/60'/0'/0/${i}`).connect(provider));
+    }
+  }
+  if (keyFile) {
+    const content = fs.readFileSync(keyFile, 'utf8').trim();
+    const keys = content.startsWith('[')
+      ? JSON.parse(content)
+      : content.split(/\r?\n/).map(line => line.trim()).filter(line => line && !line.startsWith('#'));
+    keys.forEach(key => wallets.push(new ethers.Wallet(key, provider)));
+  }
+  return wallets;
+}
+
+class RelayerPool extends EventEmitter {
+  // `members` are { wallet, nonceManager } pairs; a wallet without a manager gets one
+  constructor({ members, strategy = 'least-pending', minBalance = '1', balanceIntervalMs = 30000, nonceOptions = {} }) {
+    super();
+    if (!members || members.length === 0) {
+      throw new Error('Relayer pool needs at least one wallet');
+    }
+    if (!STRATEGIES.includes(strategy)) {
+      throw new Error(`Unknown relayer strategy: ${strategy}`);
+    }
+    this.strategy = strategy;
+    this.minBalance = ethers.utils.parseEther(String(minBalance));
+    this.balanceIntervalMs = balanceIntervalMs;
+    this.nextIndex = 0;
+    this.timer = null;
+
+    // One entry per address, so a wallet listed twice still has a single nonce sequence
+    const seen = new Set();
+    this.members = members
+      .filter(({ wallet }) => {
+        if (seen.has(wallet.address)) return false;
+        seen.add(wallet.address);
+        return true;
+      })
+      .map(({ wallet, nonceManager }) => {
+        const manager = nonceManager || new NonceManager(Object.assign({ signer: wallet }, nonceOptions));
+        manager.on('replaced', replacement => this.emit('replaced', replacement));
+        return {
+          wallet,
+          nonceManager: manager,
+          balance: null,
+          lowBalance: false,
+          stats: { sent: 0, failed: 0, lastUsedAt: null }
+        };
+      });
+  }
+
+  async start() {
+    await Promise.all(this.members.map(member => member.nonceManager.init()));
+    this.members.forEach(member => member.nonceManager.start());
+    await this.checkBalances();
+    this.timer = setInterval(() => {
+      this.checkBalances().catch(error => logger.error('Relayer balance check failed', { error }));
+    }, this.balanceIntervalMs);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    this.members.forEach(member => member.nonceManager.stop());
+  }
+
+  async checkBalances() {
+    await Promise.all(this.members.map(async member => {
+      member.balance = await member.wallet.provider.getBalance(member.wallet.address);
+      const low = member.balance.lt(this.minBalance);
+      if (low && !member.lowBalance) {
+        logger.warn('Relayer balance is low', { address: member.wallet.address, balance: ethers.utils.formatEther(member.balance) });
+        this.emit('lowBalance', { address: member.wallet.address, balance: member.balance.toString() });
+      }
+      member.lowBalance = low;
+    }));
+  }
+
+  // Wallets with enough balance first; the whole pool if all are low
+  select() {
+    const funded = this.members.filter(member => !member.lowBalance);
+    const candidates = funded.length > 0 ? funded : this.members;
+    if (this.strategy === 'round-robin') {
+      const member = candidates[this.nextIndex % candidates.length];
+      this.nextIndex = (this.nextIndex + 1) % candidates.length;
+      return member;
+    }
+    return candidates.reduce((best, member) => {
+      const pending = member.nonceManager.pending.size;
+      const bestPending = best.nonceManager.pending.size;
+      if (pending !== bestPending) return pending < bestPending ? member : best;
+      return member.stats.sent < best.stats.sent ? member : best;
+    });
+  }
+
+  // Send with the selected wallet: `sendFn(signer, overrides)` must send the transaction
+  async send(label, sendFn) {
+    const member = this.select();
+    member.stats.lastUsedAt = Date.now();
+    try {
+      const tx = await member.nonceManager.send(label, overrides => sendFn(member.wallet, overrides));
+      member.stats.sent++;
+      return tx;
+    } catch (error) {
+      member.stats.failed++;
+      throw error;
+    }
+  }
+
+  size() {
+    return this.members.length;
+  }
+
+  getStats() {
+    return {
+      strategy: this.strategy,
+      minBalance: ethers.utils.formatEther(this.minBalance),
+      wallets: this.members.map(member => {
+        const nonces = member.nonceManager.getState();
+        return {
+          address: member.wallet.address,
+          balance: member.balance ? ethers.utils.formatEther(member.balance) : null,
+          lowBalance: member.lowBalance,
+          nextNonce: nonces.nextNonce,
+          pending: nonces.pending.length,
+          stuck: nonces.stuck.length,
+          sent: member.stats.sent,
+          failed: member.stats.failed,
+          lastUsedAt: member.stats.lastUsedAt ? new Date(member.stats.lastUsedAt).toISOString() : null
+        };
+      })
+    };
+  }
+}
+
+RelayerPool.STRATEGIES = STRATEGIES;
+RelayerPool.loadRelayerWallets = loadRelayerWallets;
+
+module.exports = RelayerPool;
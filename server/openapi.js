@@ -0,0 +1,887 @@
+// OpenAPI 3.1 document of the relay. It is the contract for integrators and the
+// source of request and response validation (ApiValidator.js): every route in
+// transaction-relay.js names its operation here with api.validate('<operationId>').
+//
+// Schemas are JSON Schema, so enumerations come from the same constants the relay uses.
+
+const { ERROR_CODES } = require('./ApiErrors');
+const JobQueue = require('./JobQueue');
+const AnchorStore = require('./AnchorStore');
+const { STRATEGIES } = require('./RelayerPool');
+const { OPENSKY_OUTCOMES } = require('./RelayMetrics');
+const { LEVELS, MAX_QUERY_LIMIT } = require('./Logger');
+const { PERMISSIONS } = require('../web-interface/src/shared/RequestSigning');
+const { AIRCRAFT_CATEGORIES, RULE_FIELDS } = require('../web-interface/src/shared/ValidationRules');
+const { ATTACK_TYPES } = require('../web-interface/src/shared/AttackSimulation');
+const { SORTS, DEFAULT_SORT, DEFAULT_LIMIT, MAX_LIMIT } = require('../web-interface/src/shared/FlightQuery');
+
+const MAX_BATCH_SIZE = 50;
+const REPORT_STATUSES = ['accepted', 'pending', 'disputed', 'rejected'];
+const RECEIVER_STATUSES = ['none', 'active', 'suspended', 'revoked'];
+const ROLES = ['admin', 'operator'];
+const BYTES32 = { type: 'string', pattern: '^0x[0-9a-fA-F]{64}$' };
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+const nullable = schema => Object.assign({}, schema, { type: [schema.type, 'null'] });
+const arrayOf = (items, extra = {}) => Object.assign({ type: 'array', items }, extra);
+const object = (properties, required = [], extra = {}) => Object.assign({ type: 'object', properties, required }, extra);
+
+const json = (description, schema) => ({ description, content: { 'application/json': { schema } } });
+const body = (schema, description) => ({ required: true, description, content: { 'application/json': { schema } } });
+const pathParam = (name, schema, description) => ({ name, in: 'path', required: true, description, schema });
+const queryParam = (name, schema, description) => ({ name, in: 'query', required: false, description, schema });
+
+const ERROR_DESCRIPTIONS = {
+  400: 'Invalid request (VALIDATION_FAILED, INVALID_JSON)',
+  401: 'Missing or invalid request signature (UNAUTHORIZED)',
+  403: 'The API key lacks the permission (FORBIDDEN)',
+  404: 'Unknown resource or action (NOT_FOUND)',
+  422: 'Refused by the relay or the contract (NO_VALID_FLIGHTS, CONTRACT_REJECTED, JOB_FAILED)',
+  429: 'Rate limit or daily gas quota reached (RATE_LIMITED, QUOTA_EXCEEDED); see Retry-After',
+  500: 'Unexpected error (INTERNAL_ERROR)',
+  501: 'The deployed contract does not support this (CONTRACT_UNSUPPORTED)',
+  503: 'Too many open event streams (TOO_MANY_STREAMS)'
+};
+const errors = (...statuses) => {
+  const responses = {};
+  statuses.forEach(status => {
+    responses[status] = json(ERROR_DESCRIPTIONS[status], ref('Error'));
+  });
+  return responses;
+};
+
+// Writes: signed with an API key holding `permission`, rate limited, and queued
+// or sent as transactions
+const write = (permission, operation) => Object.assign({
+  security: [{ signedRequest: [] }],
+  'x-permission': permission
+}, operation, {
+  responses: Object.assign({}, operation.responses, errors(400, 401, 403, 429, 500))
+});
+
+const waitParam = queryParam('wait', { type: 'boolean', default: false },
+  'Answer with the outcome once the transaction is mined (200, or 422 JOB_FAILED) instead of 202 right away');
+const addressParam = queryParam('address', { type: 'string', format: 'address' },
+  'Relayer wallet; the relay wallet when omitted');
+
+const schemas = {
+  Error: object({
+    success: { const: false },
+    code: { type: 'string', enum: Object.keys(ERROR_CODES) },
+    error: { type: 'string', description: 'Message for people; branch on `code`' },
+    details: arrayOf(object({ field: { type: 'string' }, message: { type: 'string' } }, ['field', 'message']),
+      { description: 'VALIDATION_FAILED: what is wrong, per field' })
+  }, ['success', 'code', 'error'], { description: 'Any error. Some carry extra fields, e.g. retryAfter on 429 or the batch report on NO_VALID_FLIGHTS.' }),
+
+  Address: { type: 'string', format: 'address', description: 'Ethereum address' },
+  TransactionHash: { type: 'string', pattern: '^0x[0-9a-fA-F]{64}$' },
+  Icao24: { type: 'string', pattern: '^[0-9a-fA-F]{6}$', description: 'ICAO 24-bit aircraft address as six hex digits; stored and returned lowercase' },
+  IntegerValue: { type: ['integer', 'string'], pattern: '^-?[0-9]+$', description: 'Integer, as a string when beyond 2^53' },
+  ObservationTime: {
+    type: ['number', 'string', 'null'],
+    description: 'Unix seconds or milliseconds, or an ISO 8601 string'
+  },
+
+  FlightInput: object({
+    icao24: ref('Icao24'),
+    callsign: nullable({ type: 'string', maxLength: 8 }),
+    latitude: { type: 'number', minimum: -90, maximum: 90 },
+    longitude: { type: 'number', minimum: -180, maximum: 180 },
+    altitude: { type: 'number', description: 'Metres' },
+    onGround: { type: 'boolean', default: false },
+    isSpoofed: { type: 'boolean', default: false },
+    velocity: nullable({ type: 'number', description: 'm/s' }),
+    heading: nullable({ type: 'number', description: 'Degrees' }),
+    verticalRate: nullable({ type: 'number', description: 'm/s' }),
+    observedAt: ref('ObservationTime'),
+    timestamp: ref('ObservationTime'),
+    lastContact: ref('ObservationTime')
+  }, ['icao24', 'latitude', 'longitude', 'altitude'], {
+    description: 'A position report. The observation time is the first of observedAt, timestamp and lastContact; a flight without one is rejected (Missing observation timestamp). Other fields (e.g. from OpenSky) are ignored.'
+  }),
+
+  Flight: object({
+    icao24: ref('Icao24'),
+    callsign: { type: 'string' },
+    latitude: { type: 'number' },
+    longitude: { type: 'number' },
+    altitude: { type: 'number' },
+    onGround: { type: 'boolean' },
+    timestamp: { type: 'string', format: 'date-time' },
+    isSpoofed: { type: 'boolean' },
+    isVerified: { type: 'boolean', description: 'False for a position still awaiting receiver consensus' },
+    velocity: { type: ['number', 'null'] },
+    heading: { type: ['number', 'null'] },
+    verticalRate: { type: ['number', 'null'] },
+    blockNumber: { type: 'integer' },
+    transactionHash: ref('TransactionHash'),
+    logIndex: { type: 'integer' },
+    consensusStatus: { type: 'string', enum: ['none', 'pending', 'confirmed', 'disputed'] },
+    agreeing: { type: 'integer' },
+    disagreeing: { type: 'integer' }
+  }, ['icao24', 'latitude', 'longitude', 'altitude'], { description: 'A stored position' }),
+
+  FlightPage: object({
+    flights: arrayOf(ref('Flight')),
+    count: { type: 'integer', description: 'Flights on this page' },
+    total: { type: 'integer', description: 'Flights matching the filters' },
+    nextCursor: { type: ['string', 'null'] }
+  }, ['flights', 'count', 'total', 'nextCursor']),
+
+  Kinematics: object({
+    velocity: ref('IntegerValue'),
+    heading: ref('IntegerValue'),
+    verticalRate: ref('IntegerValue'),
+    known: { type: 'boolean' }
+  }, ['velocity', 'heading', 'verticalRate', 'known'], { description: 'Hundredths of m/s and degrees' }),
+
+  Report: object({
+    icao24: ref('Icao24'),
+    callsign: { type: 'string' },
+    latitude: ref('IntegerValue'),
+    longitude: ref('IntegerValue'),
+    altitude: ref('IntegerValue'),
+    onGround: { type: 'boolean' },
+    isSpoofed: { type: 'boolean' },
+    observedAt: ref('IntegerValue'),
+    kinematics: ref('Kinematics')
+  }, ['icao24', 'callsign', 'latitude', 'longitude', 'altitude', 'onGround', 'isSpoofed', 'observedAt', 'kinematics'], {
+    description: 'EIP-712 Report; latitude and longitude in millionths of a degree'
+  }),
+
+  SignedReport: object({
+    report: ref('Report'),
+    signature: ref('Signature')
+  }, ['report', 'signature']),
+
+  Signature: { type: 'string', pattern: '^0x[0-9a-fA-F]{130}$' },
+
+  ReportEntry: object({
+    icao24: { type: ['string', 'null'] },
+    callsign: { type: 'string' },
+    status: { type: 'string', enum: REPORT_STATUSES },
+    reason: { type: ['string', 'null'] },
+    rejectedBy: { type: 'string', enum: ['relay', 'contract'] }
+  }, ['icao24', 'status'], { description: 'Outcome of one flight of a batch' }),
+
+  JobAccepted: object({
+    success: { const: true },
+    jobId: { type: 'string' },
+    state: { type: 'string', enum: JobQueue.JOB_STATES },
+    statusUrl: { type: 'string' }
+  }, ['success', 'jobId', 'state', 'statusUrl']),
+
+  Job: object({
+    id: { type: 'string' },
+    type: { type: 'string' },
+    state: { type: 'string', enum: JobQueue.JOB_STATES },
+    requestId: { type: ['string', 'null'], description: 'X-Request-Id of the request that queued it; see /logs' },
+    summary: object({
+      icao24s: arrayOf({ type: ['string', 'null'] }),
+      flights: { type: 'integer' },
+      skipped: { type: 'integer' },
+      client: object({ id: { type: 'string' }, name: { type: 'string' } })
+    }),
+    attempts: { type: 'integer' },
+    nextAttemptAt: { type: 'integer' },
+    createdAt: { type: 'integer' },
+    updatedAt: { type: 'integer' },
+    submittedAt: { type: 'integer' },
+    transactionHash: { type: ['string', 'null'] },
+    nonce: { type: ['integer', 'null'] },
+    blockNumber: { type: 'integer' },
+    gasUsed: { type: 'string' },
+    error: { type: ['string', 'null'] },
+    result: { type: ['object', 'null'], description: 'What the submitting endpoint answers with ?wait=true' },
+    history: arrayOf(object({ state: { type: 'string' }, at: { type: 'integer' } }, ['state', 'at']))
+  }, ['id', 'type', 'state', 'attempts', 'createdAt', 'updatedAt', 'history'], { description: 'A queued submission' }),
+
+  LogEntry: object({
+    id: { type: 'string' },
+    time: { type: 'string', format: 'date-time' },
+    level: { type: 'string', enum: LEVELS },
+    msg: { type: 'string' },
+    requestId: { type: 'string' },
+    jobId: { type: 'string' }
+  }, ['id', 'time', 'level', 'msg'], { description: 'One log entry; other fields depend on the message' }),
+
+  JobCounts: { type: 'object', additionalProperties: { type: 'integer' }, description: 'Jobs per state' },
+
+  AddFlightResult: object({
+    success: { const: true },
+    jobId: { type: 'string' },
+    state: { const: 'mined' },
+    transactionHash: ref('TransactionHash'),
+    blockNumber: { type: 'integer' },
+    gasUsed: { type: 'string' },
+    consensus: { type: 'string', enum: ['none', 'pending', 'accepted', 'disputed'] },
+    flight: { type: 'object' }
+  }, ['success', 'jobId', 'state', 'transactionHash', 'blockNumber']),
+
+  BatchResult: object({
+    success: { const: true },
+    jobId: { type: 'string' },
+    state: { const: 'mined' },
+    accepted: { type: 'integer' },
+    pending: { type: 'integer', description: 'Pending and disputed observations' },
+    rejected: { type: 'integer' },
+    report: arrayOf(ref('ReportEntry')),
+    transactionHash: ref('TransactionHash'),
+    blockNumber: { type: 'integer' },
+    gasUsed: { type: 'string' },
+    transactions: arrayOf(object({
+      transactionHash: ref('TransactionHash'),
+      blockNumber: { type: 'integer' },
+      gasUsed: { type: 'string' },
+      flightsCount: { type: 'integer' },
+      flights: arrayOf({ type: 'object' })
+    })),
+    skippedFlights: arrayOf({ type: 'object' })
+  }, ['success', 'jobId', 'state', 'accepted', 'pending', 'rejected', 'report']),
+
+  AnchorAccepted: object({
+    success: { const: true },
+    state: { const: 'open' },
+    windowStart: { type: 'integer', description: 'Unix seconds' },
+    windowEnd: { type: 'integer', description: 'Unix seconds; the root is anchored after this' },
+    accepted: { type: 'integer' },
+    pending: { type: 'integer' },
+    rejected: { type: 'integer' },
+    report: arrayOf(ref('ReportEntry')),
+    skippedFlights: arrayOf({ type: 'object' })
+  }, ['success', 'state', 'windowStart', 'windowEnd', 'accepted', 'pending', 'rejected', 'report'], {
+    description: 'Anchoring mode: the flights were added to an off-chain window whose Merkle root goes on-chain once it ends'
+  }),
+
+  AnchorProof: object({
+    report: ref('Report'),
+    signature: ref('Signature'),
+    state: { type: 'string', enum: AnchorStore.WINDOW_STATES },
+    windowStart: { type: 'integer' },
+    windowEnd: { type: 'integer' },
+    count: { type: 'integer', description: 'Reports in the window' },
+    index: { type: 'integer', description: 'Position of the report in the window' },
+    leaf: nullable(BYTES32),
+    proof: nullable(arrayOf(BYTES32, { description: 'Sibling hashes from the leaf up; see MerkleTree.js' })),
+    root: nullable(BYTES32),
+    anchor: nullable(object({
+      transactionHash: ref('TransactionHash'),
+      blockNumber: { type: 'integer' }
+    }, ['transactionHash', 'blockNumber'])),
+    contractAddress: ref('Address')
+  }, ['report', 'signature', 'state', 'windowStart', 'windowEnd', 'count', 'index', 'leaf', 'proof', 'root', 'anchor', 'contractAddress'], {
+    description: 'An off-chain report with its Merkle proof. Leaf, proof and root are null while the window is open; check the root against AdsbData.anchoredRoots(windowStart), not against this response.'
+  }),
+
+  NonceState: object({
+    address: ref('Address'),
+    nextNonce: { type: ['integer', 'null'] },
+    confirmedNonce: { type: ['integer', 'null'] },
+    pending: arrayOf(object({
+      nonce: { type: 'integer' },
+      hash: { type: ['string', 'null'] },
+      label: { type: 'string' },
+      ageMs: { type: 'integer' },
+      replacements: { type: 'integer' },
+      stuck: { type: 'boolean' }
+    })),
+    gaps: arrayOf({ type: 'integer' }),
+    stuck: arrayOf({ type: 'integer' }),
+    stats: { type: 'object' },
+    lastRefresh: { type: ['string', 'null'] },
+    lastError: { type: ['string', 'null'] }
+  }, ['address', 'pending']),
+
+  Receiver: object({
+    address: ref('Address'),
+    status: { type: 'string', enum: RECEIVER_STATUSES },
+    name: { type: 'string' },
+    latitude: { type: 'number' },
+    longitude: { type: 'number' },
+    owner: ref('Address'),
+    registeredAt: { type: ['string', 'null'], format: 'date-time' }
+  }, ['address', 'status', 'name', 'latitude', 'longitude', 'owner', 'registeredAt']),
+
+  ReceiverInput: object({
+    name: { type: 'string', maxLength: 64 },
+    latitude: { type: 'number', minimum: -90, maximum: 90 },
+    longitude: { type: 'number', minimum: -180, maximum: 180 },
+    owner: ref('Address')
+  }, [], { description: 'Owner defaults to the relay wallet' }),
+
+  Transaction: object({
+    success: { const: true },
+    transactionHash: ref('TransactionHash'),
+    blockNumber: { type: 'integer' }
+  }, ['success', 'transactionHash', 'blockNumber']),
+
+  ValidationRules: object(Object.fromEntries(RULE_FIELDS.map(field => [field, { type: 'integer' }])), [], {
+    description: 'Plausibility thresholds of one aircraft category'
+  }),
+
+  RateLimits: object({
+    burst: { type: 'integer' },
+    perMinute: { type: 'integer' },
+    dailyGasQuota: { type: ['number', 'null'] },
+    day: { type: 'string' },
+    throttledClients: arrayOf({ type: 'string' }),
+    clients: arrayOf(object({
+      id: { type: 'string' },
+      name: { type: 'string' },
+      tokens: { type: 'integer' },
+      requests: { type: 'integer' },
+      throttled: { type: 'integer' },
+      lastThrottledAt: { type: ['string', 'null'] },
+      lastThrottleReason: { type: ['string', 'null'], enum: ['rate', 'quota', null] },
+      throttledNow: { type: 'boolean' },
+      gasUsedToday: { type: 'number' },
+      quotaRemaining: { type: ['number', 'null'] }
+    }, ['id', 'name', 'requests', 'throttled', 'throttledNow', 'gasUsedToday']))
+  }, ['burst', 'perMinute', 'clients']),
+
+  RelayerStats: object({
+    strategy: { type: 'string', enum: STRATEGIES },
+    minBalance: { type: 'string' },
+    wallets: arrayOf(object({
+      address: ref('Address'),
+      balance: { type: ['string', 'null'] },
+      lowBalance: { type: 'boolean' },
+      nextNonce: { type: ['integer', 'null'] },
+      pending: { type: 'integer' },
+      stuck: { type: 'integer' },
+      sent: { type: 'integer' },
+      failed: { type: 'integer' },
+      lastUsedAt: { type: ['string', 'null'] }
+    }, ['address']))
+  }, ['strategy', 'wallets']),
+
+  AttackResult: object({
+    success: { const: true },
+    attackType: { type: 'string', enum: ATTACK_TYPES },
+    targetFlight: { type: 'object' },
+    attackedFlight: { type: 'object' },
+    message: { type: 'string' },
+    detectedByBlockchain: { type: 'boolean' },
+    stage: { type: 'string', enum: ['validateFlightUpdate', 'transaction', 'demo'] },
+    reason: { type: ['string', 'null'] },
+    outcomeSource: { type: 'string', enum: ['chain', 'demo'] },
+    transactionHash: ref('TransactionHash'),
+    blockNumber: { type: 'integer' },
+    gasUsed: { type: 'string' },
+    eventLogs: arrayOf(object({ name: { type: 'string' }, values: {} }))
+  }, ['success', 'attackType', 'detectedByBlockchain', 'stage', 'outcomeSource', 'message'])
+};
+
+const paths = {
+  '/': {
+    get: {
+      operationId: 'getRoot',
+      tags: ['Status'],
+      summary: 'Server status',
+      responses: {
+        200: json('Running', object({ message: { type: 'string' }, status: { type: 'string' }, timestamp: { type: 'string', format: 'date-time' } }, ['status']))
+      }
+    }
+  },
+  '/health': {
+    get: {
+      operationId: 'getHealth',
+      tags: ['Status'],
+      summary: 'Health check with per-client rate limits',
+      responses: {
+        200: json('Healthy', object({
+          status: { const: 'healthy' },
+          contractAddress: ref('Address'),
+          senderAddress: ref('Address'),
+          receiverAddress: ref('Address'),
+          networkId: { type: ['string', 'integer'] },
+          rateLimits: ref('RateLimits')
+        }, ['status', 'contractAddress', 'senderAddress', 'receiverAddress', 'rateLimits']))
+      }
+    }
+  },
+  '/debug': {
+    get: {
+      operationId: 'getDebug',
+      tags: ['Status'],
+      summary: 'Wallets, nonces, relayers, jobs, limits, event stream and configuration (secrets redacted)',
+      responses: Object.assign({
+        200: json('Relay internals', object({
+          wallet: object({ address: ref('Address'), balance: { type: 'string' }, nonce: { type: 'integer' } }, ['address', 'balance', 'nonce']),
+          nonces: ref('NonceState'),
+          relayers: ref('RelayerStats'),
+          contract: object({ address: ref('Address'), networkId: { type: ['string', 'integer'] } }, ['address']),
+          jobs: ref('JobCounts'),
+          rateLimits: ref('RateLimits'),
+          eventStream: object({ clients: arrayOf({ type: 'object' }), sent: { type: 'integer' } }, ['clients', 'sent']),
+          anchors: object({
+            windowSeconds: { type: 'integer' },
+            reports: { type: 'integer' },
+            open: { type: 'integer' },
+            sealed: { type: 'integer' },
+            anchored: { type: 'integer' }
+          }),
+          config: { type: 'object' },
+          server: object({ timestamp: { type: 'string', format: 'date-time' } })
+        }, ['wallet', 'nonces', 'relayers', 'jobs', 'rateLimits']))
+      }, errors(500))
+    }
+  },
+  '/events': {
+    get: {
+      operationId: 'streamEvents',
+      tags: ['Status'],
+      summary: 'Server-Sent Events: flight, rejection, consensus, block, reorg, job and ready',
+      description: 'block and ready events carry the block number as their ID. Reconnect with ?fromBlock or Last-Event-ID to get missed chain events first.',
+      parameters: [
+        queryParam('fromBlock', { type: 'integer', minimum: 0 }, 'Replay chain events from this block on'),
+        { name: 'Last-Event-ID', in: 'header', required: false, description: 'Sent by EventSource on reconnect; wins over fromBlock', schema: { type: 'string' } }
+      ],
+      responses: Object.assign({
+        200: { description: 'Event stream', content: { 'text/event-stream': { schema: { type: 'string' } } } }
+      }, errors(400, 503))
+    }
+  },
+  '/metrics': {
+    get: {
+      operationId: 'getMetrics',
+      tags: ['Status'],
+      summary: 'Prometheus metrics: flight outcomes, batch sizes, gas, confirmation latency, nonces, queue depth, RPC errors and OpenSky fetches',
+      responses: {
+        200: { description: 'Prometheus text format 0.0.4', content: { 'text/plain': { schema: { type: 'string' } } } }
+      }
+    }
+  },
+  '/metrics/opensky': {
+    post: write('submit', {
+      operationId: 'reportOpenSkyFetch',
+      tags: ['Status'],
+      summary: 'Count one OpenSky fetch of the web interface in /metrics',
+      requestBody: body(object({
+        outcome: { type: 'string', enum: OPENSKY_OUTCOMES, description: 'cached: served from the client cache without a request' },
+        durationMs: { type: 'number', minimum: 0 },
+        states: { type: 'integer', minimum: 0, description: 'State vectors in the response' },
+        flights: { type: 'integer', minimum: 0, description: 'Flights kept after filtering' }
+      }, ['outcome'])),
+      responses: {
+        200: json('Counted', object({ success: { const: true } }, ['success']))
+      }
+    })
+  },
+  '/logs': {
+    get: {
+      operationId: 'getLogs',
+      tags: ['Status'],
+      summary: 'Log entries of the relay, newest first',
+      description: 'Recent entries come from memory, older ones from the rotated log files. Poll with ?since set to the newest time seen.',
+      parameters: [
+        queryParam('level', { type: 'string', enum: LEVELS, default: 'debug' }, 'Lowest level returned'),
+        queryParam('since', { type: 'string', format: 'date-time' }, 'Only entries at or after this time'),
+        queryParam('until', { type: 'string', format: 'date-time' }, 'Only entries at or before this time'),
+        queryParam('requestId', { type: 'string' }, 'Entries of one request (X-Request-Id) and the jobs it queued'),
+        queryParam('jobId', { type: 'string' }, 'Entries of one job'),
+        queryParam('q', { type: 'string' }, 'Text the message contains, case-insensitive'),
+        queryParam('limit', { type: 'integer', minimum: 1, maximum: MAX_QUERY_LIMIT, default: 200 })
+      ],
+      responses: Object.assign({
+        200: json('Log entries', object({
+          entries: arrayOf(ref('LogEntry')),
+          count: { type: 'integer' },
+          hasMore: { type: 'boolean', description: 'More entries match; page with ?until set to the oldest time returned' }
+        }, ['entries', 'count', 'hasMore']))
+      }, errors(400))
+    }
+  },
+  '/flight-count': {
+    get: {
+      operationId: 'getFlightCount',
+      tags: ['Flights'],
+      summary: 'Number of aircraft stored by the contract',
+      responses: Object.assign({
+        200: json('Count', object({ count: { type: 'string' } }, ['count']))
+      }, errors(500))
+    }
+  },
+  '/flights': {
+    get: {
+      operationId: 'listFlights',
+      tags: ['Flights'],
+      summary: 'Latest position of the aircraft matching the filters, one page at a time',
+      description: 'Filters combine with AND. Pass nextCursor back as cursor, with the same filters and sort, for the next page; it is null on the last one.',
+      parameters: [
+        queryParam('includePending', { type: 'boolean', default: false }, 'Return positions still awaiting receiver consensus instead of the last confirmed one'),
+        queryParam('callsign', { type: 'string', maxLength: 32 }, 'Callsign prefix, case-insensitive'),
+        queryParam('icao24', { type: 'string' }, 'Comma-separated ICAO24 addresses'),
+        queryParam('bbox', { type: 'string' }, 'west,south,east,north in degrees; west > east crosses the antimeridian'),
+        queryParam('minAltitude', { type: 'number' }, 'Metres'),
+        queryParam('maxAltitude', { type: 'number' }, 'Metres'),
+        queryParam('onGround', { type: 'boolean' }),
+        queryParam('isSpoofed', { type: 'boolean' }),
+        queryParam('updatedSince', { type: 'string' }, 'Last update at or after this time: Unix seconds or ISO 8601'),
+        queryParam('updatedUntil', { type: 'string' }, 'Last update at or before this time: Unix seconds or ISO 8601'),
+        queryParam('sort', { type: 'string', enum: SORTS, default: DEFAULT_SORT }, 'Field to sort by; a leading - sorts descending. Ties are ordered by ICAO24.'),
+        queryParam('limit', { type: 'integer', minimum: 1, maximum: MAX_LIMIT, default: DEFAULT_LIMIT }),
+        queryParam('cursor', { type: 'string' }, 'nextCursor of the previous page')
+      ],
+      responses: Object.assign({
+        200: json('Flights', ref('FlightPage'))
+      }, errors(400, 500))
+    }
+  },
+  '/flights/latest/{count}': {
+    get: {
+      operationId: 'listLatestFlights',
+      tags: ['Flights'],
+      deprecated: true,
+      summary: 'The most recently updated aircraft; same as /flights?sort=-timestamp&limit={count}',
+      parameters: [pathParam('count', { type: 'integer', minimum: 1, maximum: MAX_LIMIT }, 'How many')],
+      responses: Object.assign({
+        200: json('Flights', ref('FlightPage'))
+      }, errors(400, 500))
+    }
+  },
+  '/flights/{icao24}/history': {
+    get: {
+      operationId: 'getFlightHistory',
+      tags: ['Flights'],
+      summary: 'Stored positions of one aircraft, oldest first',
+      parameters: [
+        pathParam('icao24', ref('Icao24')),
+        queryParam('offset', { type: 'integer', minimum: 0, default: 0 }),
+        queryParam('limit', { type: 'integer', minimum: 1, maximum: 500, default: 100 })
+      ],
+      responses: Object.assign({
+        200: json('History page', object({
+          icao24: { type: 'string' },
+          total: { type: 'integer' },
+          offset: { type: 'integer' },
+          limit: { type: 'integer' },
+          history: arrayOf(ref('Flight')),
+          count: { type: 'integer' }
+        }, ['icao24', 'total', 'offset', 'limit', 'history', 'count']))
+      }, errors(400, 500))
+    }
+  },
+  '/proofs/{icao24}/{timestamp}': {
+    get: {
+      operationId: 'getProof',
+      tags: ['Flights'],
+      summary: 'Merkle inclusion proof of a report kept off-chain in anchoring mode',
+      parameters: [
+        pathParam('icao24', ref('Icao24')),
+        pathParam('timestamp', { type: 'integer', minimum: 0 }, 'Observation time of the report, Unix seconds')
+      ],
+      responses: Object.assign({
+        200: json('Report and proof', ref('AnchorProof'))
+      }, errors(400, 404, 500))
+    }
+  },
+  '/indexer/status': {
+    get: {
+      operationId: 'getIndexerStatus',
+      tags: ['Flights'],
+      summary: 'How far the event index behind the read endpoints is',
+      responses: Object.assign({
+        200: json('Indexer status', object({
+          running: { type: 'boolean' },
+          lastBlock: { type: 'integer' },
+          head: { type: 'integer' },
+          flights: { type: 'integer' },
+          positions: { type: 'integer' },
+          rejections: { type: 'integer' },
+          pendingRounds: { type: 'integer' },
+          reorgs: { type: 'integer' }
+        }, ['running', 'lastBlock', 'head']))
+      }, errors(500))
+    }
+  },
+  '/add-flight': {
+    post: write('submit', {
+      operationId: 'addFlight',
+      tags: ['Submissions'],
+      summary: 'Sign one position as the relay receiver and queue it',
+      parameters: [waitParam],
+      requestBody: body(ref('FlightInput')),
+      responses: Object.assign({
+        200: json('Mined (?wait=true)', ref('AddFlightResult')),
+        202: json('Queued', ref('JobAccepted'))
+      }, errors(422))
+    })
+  },
+  '/add-flights-batch': {
+    post: write('submit', {
+      operationId: 'addFlightsBatch',
+      tags: ['Submissions'],
+      summary: 'Check, sign and queue up to 50 positions as one transaction',
+      description: 'Flights failing the relay checks (schema, observation time, plausibility) are left out and reported as rejectedBy relay; the contract rejects others individually. In anchoring mode (anchorMode) the flights are not sent on their own but added to the open window; see /proofs.',
+      parameters: [waitParam],
+      requestBody: body(object({
+        flights: arrayOf({ type: 'object' }, { minItems: 1, maxItems: MAX_BATCH_SIZE, description: 'FlightInput objects' })
+      }, ['flights'])),
+      responses: Object.assign({
+        200: json('Mined (?wait=true)', ref('BatchResult')),
+        202: json('Queued, or added to the open window in anchoring mode', { oneOf: [ref('JobAccepted'), ref('AnchorAccepted')] })
+      }, errors(422))
+    })
+  },
+  '/submit-signed-reports': {
+    post: write('submit', {
+      operationId: 'submitSignedReports',
+      tags: ['Submissions'],
+      summary: 'Forward up to 50 reports signed by registered receivers',
+      parameters: [waitParam],
+      requestBody: body(object({
+        reports: arrayOf(ref('SignedReport'), { minItems: 1, maxItems: MAX_BATCH_SIZE })
+      }, ['reports'])),
+      responses: Object.assign({
+        200: json('Mined (?wait=true)', ref('BatchResult')),
+        202: json('Queued', ref('JobAccepted'))
+      }, errors(422))
+    })
+  },
+  '/simulate-attack': {
+    post: write('attack', {
+      operationId: 'simulateAttack',
+      tags: ['Submissions'],
+      summary: 'Send a forged version of a flight and report whether the contract stopped it',
+      requestBody: body(object({
+        attackType: { type: 'string', enum: ATTACK_TYPES },
+        targetFlight: ref('FlightInput')
+      }, ['attackType', 'targetFlight'])),
+      responses: {
+        200: json('Outcome', ref('AttackResult'))
+      }
+    })
+  },
+  '/jobs': {
+    get: {
+      operationId: 'listJobs',
+      tags: ['Jobs'],
+      summary: 'Queued and finished submissions, newest first',
+      parameters: [
+        queryParam('state', { type: 'string', enum: JobQueue.JOB_STATES }),
+        queryParam('type', { type: 'string' }),
+        queryParam('limit', { type: 'integer', minimum: 1, maximum: 500, default: 50 })
+      ],
+      responses: Object.assign({
+        200: json('Jobs', object({ jobs: arrayOf(ref('Job')), count: { type: 'integer' }, counts: ref('JobCounts') }, ['jobs', 'count', 'counts']))
+      }, errors(400))
+    }
+  },
+  '/jobs/{id}': {
+    get: {
+      operationId: 'getJob',
+      tags: ['Jobs'],
+      summary: 'One submission',
+      parameters: [pathParam('id', { type: 'string' })],
+      responses: Object.assign({
+        200: json('Job', ref('Job'))
+      }, errors(404))
+    }
+  },
+  '/nonces/resync': {
+    post: write('admin', {
+      operationId: 'resyncNonces',
+      tags: ['Nonces'],
+      summary: 'Re-read the nonces of a wallet from the node',
+      parameters: [addressParam],
+      responses: Object.assign({
+        200: json('Nonce state', object({ success: { const: true }, nonces: ref('NonceState') }, ['success', 'nonces']))
+      }, errors(404))
+    })
+  },
+  '/nonces/{nonce}/{action}': {
+    post: write('admin', {
+      operationId: 'manageNonce',
+      tags: ['Nonces'],
+      summary: 'Replace a pending transaction with higher fees, or cancel it',
+      parameters: [
+        pathParam('nonce', { type: 'integer', minimum: 0 }),
+        pathParam('action', { type: 'string', enum: ['replace', 'cancel'] }),
+        addressParam
+      ],
+      responses: Object.assign({
+        200: json('Replacement sent', object({
+          success: { const: true },
+          nonce: { type: 'integer' },
+          transactionHash: ref('TransactionHash'),
+          nonces: ref('NonceState')
+        }, ['success', 'nonce', 'transactionHash', 'nonces']))
+      }, errors(404, 422))
+    })
+  },
+  '/receivers': {
+    get: {
+      operationId: 'listReceivers',
+      tags: ['Receivers'],
+      summary: 'Registered ground receivers',
+      responses: Object.assign({
+        200: json('Receivers', object({ receivers: arrayOf(ref('Receiver')), count: { type: 'integer' } }, ['receivers', 'count']))
+      }, errors(500))
+    },
+    post: write('admin', {
+      operationId: 'registerReceiver',
+      tags: ['Receivers'],
+      summary: 'Register a receiver key',
+      requestBody: body({ allOf: [ref('ReceiverInput'), object({ address: ref('Address') }, ['address'])] }),
+      responses: Object.assign({
+        200: json('Registered', { allOf: [ref('Transaction'), object({ receiver: ref('Receiver') }, ['receiver'])] })
+      }, errors(422))
+    })
+  },
+  '/receivers/{address}': {
+    get: {
+      operationId: 'getReceiver',
+      tags: ['Receivers'],
+      summary: 'One receiver',
+      parameters: [pathParam('address', ref('Address'))],
+      responses: Object.assign({
+        200: json('Receiver', ref('Receiver'))
+      }, errors(400, 404, 500))
+    },
+    put: write('admin', {
+      operationId: 'updateReceiver',
+      tags: ['Receivers'],
+      summary: 'Update the name, location or owner of a receiver',
+      parameters: [pathParam('address', ref('Address'))],
+      requestBody: body(ref('ReceiverInput')),
+      responses: Object.assign({
+        200: json('Updated', { allOf: [ref('Transaction'), object({ receiver: ref('Receiver') }, ['receiver'])] })
+      }, errors(422))
+    })
+  },
+  '/receivers/{address}/{action}': {
+    post: write('admin', {
+      operationId: 'changeReceiverStatus',
+      tags: ['Receivers'],
+      summary: 'Suspend, reactivate or revoke a receiver',
+      parameters: [
+        pathParam('address', ref('Address')),
+        pathParam('action', { type: 'string', enum: ['suspend', 'reactivate', 'revoke'] })
+      ],
+      responses: Object.assign({
+        200: json('Changed', { allOf: [ref('Transaction'), object({ receiver: ref('Receiver') }, ['receiver'])] })
+      }, errors(404, 422))
+    })
+  },
+  '/roles/{address}': {
+    get: {
+      operationId: 'getRoles',
+      tags: ['Roles'],
+      summary: 'Contract roles held by an address',
+      parameters: [pathParam('address', ref('Address'))],
+      responses: Object.assign({
+        200: json('Roles', object({
+          address: ref('Address'),
+          roles: object(Object.fromEntries(ROLES.map(role => [role, { type: 'boolean' }])), ROLES)
+        }, ['address', 'roles']))
+      }, errors(400, 500))
+    }
+  },
+  '/roles/{action}': {
+    post: write('admin', {
+      operationId: 'changeRole',
+      tags: ['Roles'],
+      summary: 'Grant or revoke a contract role',
+      parameters: [pathParam('action', { type: 'string', enum: ['grant', 'revoke'] })],
+      requestBody: body(object({ role: { type: 'string', enum: ROLES }, address: ref('Address') }, ['role', 'address'])),
+      responses: Object.assign({
+        200: json('Changed', {
+          allOf: [ref('Transaction'), object({ address: ref('Address'), role: { type: 'string', enum: ROLES }, granted: { type: 'boolean' } }, ['address', 'role', 'granted'])]
+        })
+      }, errors(404, 422))
+    })
+  },
+  '/validation-rules': {
+    get: {
+      operationId: 'getValidationRules',
+      tags: ['Validation rules'],
+      summary: 'Plausibility thresholds per aircraft category',
+      responses: Object.assign({
+        200: json('Rules', object({
+          categories: arrayOf({ type: 'string', enum: AIRCRAFT_CATEGORIES }),
+          rules: object(Object.fromEntries(AIRCRAFT_CATEGORIES.map(category => [category, ref('ValidationRules')])), AIRCRAFT_CATEGORIES)
+        }, ['categories', 'rules']))
+      }, errors(500, 501))
+    }
+  },
+  '/validation-rules/{category}': {
+    put: write('admin', {
+      operationId: 'setValidationRules',
+      tags: ['Validation rules'],
+      summary: 'Change thresholds of a category; omitted fields keep their value',
+      parameters: [pathParam('category', { type: 'string', enum: AIRCRAFT_CATEGORIES })],
+      requestBody: body(ref('ValidationRules')),
+      responses: Object.assign({
+        200: json('Changed', {
+          allOf: [ref('Transaction'), object({ category: { type: 'string', enum: AIRCRAFT_CATEGORIES }, rules: ref('ValidationRules') }, ['category', 'rules'])]
+        })
+      }, errors(404, 422))
+    })
+  },
+  '/aircraft/{icao24}/category': {
+    put: write('admin', {
+      operationId: 'setAircraftCategory',
+      tags: ['Validation rules'],
+      summary: 'Set which category of rules applies to an aircraft',
+      parameters: [pathParam('icao24', ref('Icao24'))],
+      requestBody: body(object({ category: { type: 'string', enum: AIRCRAFT_CATEGORIES } }, ['category'])),
+      responses: Object.assign({
+        200: json('Changed', {
+          allOf: [ref('Transaction'), object({ icao24: { type: 'string' }, category: { type: 'string', enum: AIRCRAFT_CATEGORIES } }, ['icao24', 'category'])]
+        })
+      }, errors(422))
+    })
+  },
+  '/openapi.json': {
+    get: {
+      operationId: 'getApiDocument',
+      tags: ['Status'],
+      summary: 'This document',
+      responses: {
+        200: json('OpenAPI document', { type: 'object' })
+      }
+    }
+  },
+  '/docs': {
+    get: {
+      operationId: 'getApiDocs',
+      tags: ['Status'],
+      summary: 'This document as a web page',
+      responses: {
+        200: { description: 'HTML page', content: { 'text/html': { schema: { type: 'string' } } } }
+      }
+    }
+  }
+};
+
+function buildApiDocument({ serverUrl } = {}) {
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'ADS-B Blockchain Relay API',
+      version: '1.0.0',
+      description: 'Submits ADS-B positions to the AdsbData contract without wallet prompts and serves the indexed flights. '
+        + 'Errors share one envelope: { success: false, code, error }. Branch on `code`; the HTTP status follows from it.'
+    },
+    servers: serverUrl ? [{ url: serverUrl }] : [],
+    tags: ['Status', 'Flights', 'Submissions', 'Jobs', 'Nonces', 'Receivers', 'Roles', 'Validation rules'].map(name => ({ name })),
+    paths,
+    components: {
+      schemas,
+      securitySchemes: {
+        signedRequest: {
+          type: 'apiKey',
+          in: 'header',
+          name: 'X-Api-Key',
+          description: `Also X-Timestamp, X-Nonce and X-Signature: hex HMAC-SHA256 with the key's secret over timestamp, nonce, method, path and the body's SHA-256, joined by newlines. Keys hold some of the permissions ${PERMISSIONS.join(', ')}; the operation's x-permission names the one it needs. Writes are only open without a key while the relay runs with insecureDev and no key exists yet.`
+        }
+      }
+    }
+  };
+}
+
+module.exports = {
+  MAX_BATCH_SIZE,
+  buildApiDocument
+};
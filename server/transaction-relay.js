@@ -3,32 +3,108 @@ const cors = require('cors');
 const { ethers } = require('ethers');
 const fs = require('fs');
 const path = require('path');
+const FlightIndexer = require('../web-interface/src/shared/FlightIndexer');
+const JobQueue = require('./JobQueue');
+const AnchorStore = require('./AnchorStore');
+const NonceManager = require('./NonceManager');
+const RelayerPool = require('./RelayerPool');
+const EventStream = require('./EventStream');
+const RelayMetrics = require('./RelayMetrics');
+const { logger } = require('./Logger');
+const { loadConfig, readContractConfig, redactConfig, usage } = require('./Config');
+const { ApiKeyStore, createAuthenticator, keepRawBody } = require('./ApiKeys');
+const RateLimiter = require('./RateLimiter');
+const { clientOf } = RateLimiter;
+const ApiValidator = require('./ApiValidator');
+const { renderDocs } = require('./ApiDocs');
+const { buildApiDocument } = require('./openapi');
+const { sendError } = require('./ApiErrors');
+const { getReportDomain, reportFromFlight, signReport } = require('../web-interface/src/shared/ReportSigner');
+const { normalizeIcao24, checkPackable, packReports, packsExactly } = require('../web-interface/src/shared/FlightEncoding');
+const { getObservedAt, checkObservationTime, readObservationWindow } = require('../web-interface/src/shared/ObservationTime');
+const { flightDistanceMeters, checkPositionJump } = require('../web-interface/src/shared/GeoDistance');
+const { toKinematics, fromKinematics, checkKinematics } = require('../web-interface/src/shared/Kinematics');
+const {
+  AIRCRAFT_CATEGORIES,
+  RULE_FIELDS,
+  toRules,
+  toRulesTuple,
+  readValidationRules,
+  rulesFor,
+  categoryName,
+  checkAltitudeChange
+} = require('../web-interface/src/shared/ValidationRules');
+const { getRevertReason } = require('../web-interface/src/shared/RevertReason');
+const { parseFlightQuery, queryFlights } = require('../web-interface/src/shared/FlightQuery');
+const { buildAttackedFlight, runAttackOnChain, demoAttackOutcome } = require('../web-interface/src/shared/AttackSimulation');
+
+// Settings from defaults, adsb.config.{json,yaml}, the environment and CLI flags
+if (process.argv.includes('--help')) {
+  console.log(usage());
+  process.exit(0);
+}
+let settings;
+let config;
+try {
+  settings = loadConfig({ argv: process.argv.slice(2) });
+  config = readContractConfig(settings);
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
+
+// Structured log (Logger.js): JSON lines in logDir, rotated by size, queried at GET /logs
+logger.configure({
+  dir: settings.logDir,
+  level: settings.logLevel,
+  maxFileBytes: settings.logMaxFileBytes,
+  maxFiles: settings.logMaxFiles
+});
 
 const app = express();
-const PORT = 3001;
+const PORT = settings.port;
+
+// Randomized attack outcomes are opt-in (attackDemoMode) and labelled as demo
+const ATTACK_DEMO_MODE = settings.attackDemoMode;
+const ATTACK_DEMO_BLOCK_RATE = settings.attackDemoBlockRate;
 
 // Middleware
-app.use(cors());
-app.use(express.json());
+app.use(cors({ origin: settings.corsOrigins, exposedHeaders: ['X-Request-Id'] }));
+app.use(express.json({ verify: keepRawBody }));
 
-// Nonce management utility
-let lastNonce = -1;
-async function getNextNonce() {
-  try {
-    const currentNonce = await provider.getTransactionCount(wallet.address, 'latest');
-    if (currentNonce > lastNonce) {
-      lastNonce = currentNonce;
-      console.log(`🔢 Nonce updated: ${lastNonce}`);
-    }
-    return currentNonce;
-  } catch (error) {
-    console.error('Error getting nonce:', error);
-    throw error;
-  }
-}
+// A request ID (X-Request-Id) for everything logged while handling a request, jobs included
+app.use(logger.requestContext());
+
+// Prometheus metrics (GET /metrics); requests are counted here, the rest is observed below
+const metrics = new RelayMetrics();
+app.use(metrics.middleware());
+
+// Writes need a request signed with an API key (scripts/api-keys.js) holding the
+// permission: submit, attack or admin. With --insecure-dev, open until the first key exists.
+const apiKeys = new ApiKeyStore({ file: settings.apiKeyStore });
+const auth = createAuthenticator({
+  store: apiKeys,
+  allowUnsigned: settings.insecureDev,
+  maxSkewMs: settings.authMaxSkewMs
+});
+
+// Token bucket and daily gas quota per client, checked after authentication
+const rateLimiter = new RateLimiter({
+  burst: settings.rateLimitBurst,
+  perMinute: settings.rateLimitPerMinute,
+  dailyGasQuota: settings.dailyGasQuota,
+  file: settings.gasUsageStore
+});
+const rateLimit = rateLimiter.middleware();
+
+// Every route is an operation of the API document (openapi.js, served at /docs);
+// api.validate('<operationId>') checks the request and coerces parameters, last before the handler
+const apiDocument = buildApiDocument({ serverUrl: settings.relayUrl });
+const api = new ApiValidator({ document: apiDocument });
+const docsPage = renderDocs(apiDocument);
 
 // Endpoint root untuk status server dasar
-app.get('/', (req, res) => {
+app.get('/', api.validate('getRoot'), (req, res) => {
   res.json({
     message: 'ADS-B Blockchain Relay Server',
     status: 'running',
@@ -37,7 +113,7 @@ app.get('/', (req, res) => {
 });
 
 // Debug endpoint for nonce and wallet status
-app.get('/debug', async (req, res) => {
+app.get('/debug', api.validate('getDebug'), async (req, res) => {
   try {
     const currentNonce = await provider.getTransactionCount(wallet.address, 'latest');
     const balance = await provider.getBalance(wallet.address);
@@ -46,637 +122,1030 @@ app.get('/debug', async (req, res) => {
       wallet: {
         address: wallet.address,
         balance: ethers.utils.formatEther(balance),
-        nonce: currentNonce,
-        lastTrackedNonce: lastNonce
+        nonce: currentNonce
       },
+      nonces: nonceManager.getState(),
+      relayers: relayerPool.getStats(),
       contract: {
         address: config.contractAddress,
         networkId: config.networkId
       },
+      jobs: jobQueue.counts(),
+      anchors: anchorStore.getStats(),
+      rateLimits: rateLimiter.getStats(),
+      eventStream: eventStream.getStats(),
+      config: redactConfig(settings),
       server: {
         timestamp: new Date().toISOString()
       }
     });
   } catch (error) {
-    res.status(500).json({
-      error: error.message,
-      timestamp: new Date().toISOString()
-    });
+    sendError(res, 'INTERNAL_ERROR', error.message);
   }
 });
 
-// Load contract configuration
-const config = JSON.parse(fs.readFileSync(path.join(__dirname, '../web-interface/src/config.json'), 'utf8'));
+// Load contract ABI
 const contractABI = JSON.parse(fs.readFileSync(path.join(__dirname, '../web-interface/src/contracts/AdsbData.json'), 'utf8'));
 
 // Initialize blockchain connection
-const provider = new ethers.providers.JsonRpcProvider("http://127.0.0.1:8545");
-const accounts = provider.listAccounts();
+const provider = new ethers.providers.JsonRpcProvider(settings.rpcUrl);
+metrics.watchProvider(provider);
 
-// Use the first account as the transaction sender
-const privateKey = "0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80"; // First Hardhat account
-const wallet = new ethers.Wallet(privateKey, provider);
+// Transaction sender; Hardhat account #0 unless configured
+const wallet = new ethers.Wallet(settings.privateKey, provider);
 const contract = new ethers.Contract(config.contractAddress, contractABI.abi, wallet);
 
-console.log("🔧 Server Relay Transaksi Dimulai...");
-console.log("📋 Alamat Kontrak:", config.contractAddress);
-console.log("👤 Alamat Pengirim:", wallet.address);
-console.log("🌐 Jaringan:", config.networkId);
+// Every transaction from the relay wallet takes its nonce from here
+const nonceManager = new NonceManager({
+  signer: wallet,
+  stuckTimeoutMs: settings.stuckTimeoutMs
+});
+
+// Signed reports can be sent by anyone, so they go out through a pool of relayer wallets
+// (relayerMnemonic + relayerCount and/or relayerKeyFile). Admin and operator
+// transactions stay on the relay wallet above, which is also the pool when none is set.
+const relayerWallets = RelayerPool.loadRelayerWallets({
+  mnemonic: settings.relayerMnemonic,
+  count: settings.relayerCount,
+  keyFile: settings.relayerKeyFile
+}, provider);
+const relayerPool = new RelayerPool({
+  members: (relayerWallets.length > 0 ? relayerWallets : [wallet]).map(relayer => ({
+    wallet: relayer,
+    nonceManager: relayer.address === wallet.address ? nonceManager : null
+  })),
+  strategy: settings.relayerStrategy,
+  minBalance: settings.relayerMinBalance,
+  nonceOptions: { stuckTimeoutMs: settings.stuckTimeoutMs }
+});
+
+// The nonce manager of the relay wallet or of one of the relayers, by `?address=`
+function nonceManagerFor(address) {
+  if (!address || address.toLowerCase() === wallet.address.toLowerCase()) return nonceManager;
+  const relayer = relayerPool.members.find(member => member.wallet.address.toLowerCase() === address.toLowerCase());
+  return relayer ? relayer.nonceManager : null;
+}
+
+function allNonceManagers() {
+  return [nonceManager, ...relayerPool.members.map(member => member.nonceManager).filter(manager => manager !== nonceManager)];
+}
+
+// Key the relay signs reports with when acting as a ground receiver for the web UI.
+// Defaults to the sender, which the contract trusts when it also deployed it.
+const receiverWallet = settings.receiverPrivateKey
+  ? new ethers.Wallet(settings.receiverPrivateKey, provider)
+  : wallet;
+let reportDomain = null;
+
+async function signFlightReport(flight) {
+  if (!reportDomain) {
+    reportDomain = await getReportDomain(contract);
+  }
+  const report = reportFromFlight(flight);
+  const signature = await signReport(receiverWallet, reportDomain, report);
+  return { report, signature };
+}
+
+// Local index of contract events; read endpoints are served from here
+const flightIndexer = new FlightIndexer({
+  provider,
+  contractAddress: config.contractAddress,
+  contractInterface: contract.interface,
+  logger
+});
+
+// Reports kept off-chain in anchoring mode, in windows whose Merkle roots are anchored
+const anchorStore = new AnchorStore({
+  dir: settings.anchorStore,
+  windowSeconds: settings.anchorWindowSeconds,
+  keccak256: ethers.utils.keccak256
+});
+
+// Last known position of an aircraft in the indexer's shape: on-chain, or off-chain
+// in anchoring mode, whichever is newer
+function lastKnownFlight(icao24) {
+  const indexed = flightIndexer.getFlight(icao24);
+  const report = anchorStore.getLatest(icao24);
+  if (!report || (indexed && indexed.timestamp.getTime() >= report.observedAt * 1000)) {
+    return indexed;
+  }
+  return Object.assign({
+    latitude: report.latitude / 1e6,
+    longitude: report.longitude / 1e6,
+    altitude: report.altitude,
+    timestamp: new Date(report.observedAt * 1000)
+  }, fromKinematics(report.kinematics));
+}
+
+// Live chain and job updates for the web interface (GET /events)
+const eventStream = new EventStream({ indexer: flightIndexer });
+
+logger.info('Transaction relay starting', {
+  contractAddress: config.contractAddress,
+  sender: wallet.address,
+  receiver: receiverWallet.address,
+  networkId: config.networkId,
+  rpcUrl: settings.rpcUrl,
+  configFile: settings.sources.file || null,
+  logDir: settings.logDir
+});
+if (!auth.isEnforced()) {
+  logger.warn('--insecure-dev and no API keys yet: write endpoints are open to everyone. Create one with node scripts/api-keys.js create <name>');
+} else if (!apiKeys.hasActiveKeys()) {
+  logger.warn('No API keys yet: write endpoints refuse every request. Create one with node scripts/api-keys.js create <name>');
+}
 
 // Endpoint pengecekan kesehatan
-app.get('/health', (req, res) => {
+app.get('/health', api.validate('getHealth'), (req, res) => {
   res.json({
     status: 'healthy',
     contractAddress: config.contractAddress,
     senderAddress: wallet.address,
-    networkId: config.networkId
+    receiverAddress: receiverWallet.address,
+    networkId: config.networkId,
+    rateLimits: rateLimiter.getStats()
   });
 });
 
+// Server-Sent Events; resume with ?fromBlock=<n> or Last-Event-ID
+app.get('/events', api.validate('streamEvents'), eventStream.handler());
+
+// Prometheus text format, for a local Prometheus to scrape during demo runs
+app.get('/metrics', api.validate('getMetrics'), (req, res) => {
+  res.type(RelayMetrics.CONTENT_TYPE).send(metrics.render({
+    jobs: jobQueue.counts(),
+    nonces: allNonceManagers().map(manager => manager.getState()),
+    wallets: relayerPool.getStats().wallets,
+    indexer: flightIndexer.getStatus(),
+    eventStream: eventStream.getStats()
+  }));
+});
+
+// OpenSky is fetched by the browser, which reports each fetch here
+app.post('/metrics/opensky', auth.requirePermission('submit'), rateLimit, api.validate('reportOpenSkyFetch'), (req, res) => {
+  metrics.observeOpenSkyFetch(req.body);
+  res.json({ success: true });
+});
+
+// The relay's log, newest first: recent entries from memory, older ones from the rotated files
+app.get('/logs', api.validate('getLogs'), (req, res) => {
+  const { entries, hasMore } = logger.query(req.query);
+  res.json({ entries, count: entries.length, hasMore });
+});
+
 // Get current flight count
-app.get('/flight-count', async (req, res) => {
+app.get('/flight-count', api.validate('getFlightCount'), async (req, res) => {
   try {
     const count = await contract.getFlightCount();
     res.json({ count: count.toString() });
   } catch (error) {
-    console.error('Kesalahan saat mendapatkan jumlah penerbangan:', error);
-    res.status(500).json({ error: error.message });
+    logger.error('Could not read the flight count', { error });
+    sendError(res, 'INTERNAL_ERROR', error.message);
   }
 });
 
 // Tambah data penerbangan tunggal (tidak perlu konfirmasi user)
-app.post('/add-flight', async (req, res) => {
+app.post('/add-flight', auth.requirePermission('submit'), rateLimit, api.validate('addFlight'), async (req, res) => {
   try {
-    const { icao24, callsign, latitude, longitude, altitude, onGround, isSpoofed } = req.body;
-    
-    console.log(`✈️ Menambahkan penerbangan: ${callsign} (${icao24})`);
+    const { icao24, callsign, latitude, longitude, altitude, onGround, isSpoofed, velocity, heading, verticalRate } = req.body;
     
-    // Get the current nonce
-    const nonce = await getNextNonce();
-    console.log(`🔢 Using nonce: ${nonce}`);
+    logger.info('Adding flight', { icao24, callsign });
 
-    const tx = await contract.updateFlight(
-      icao24,
-      callsign || '',
-      Math.floor(latitude * 1e6),
-      Math.floor(longitude * 1e6),
-      Math.floor(altitude),
-      onGround || false,
-      isSpoofed || false,
-      { nonce }
-    );
-    
-    const receipt = await tx.wait();
-    
-    console.log(`✅ Penerbangan berhasil ditambahkan!`);
-    console.log(`   Transaksi: ${tx.hash}`);
-    console.log(`   Blok: ${receipt.blockNumber}`);
-    console.log(`   Gas digunakan: ${receipt.gasUsed.toString()}`);
-    
-    res.json({
-      success: true,
-      transactionHash: tx.hash,
-      blockNumber: receipt.blockNumber,
-      gasUsed: receipt.gasUsed.toString(),
-      flight: { icao24, callsign, latitude, longitude, altitude, onGround, isSpoofed }
-    });
-    
-  } catch (error) {
-    console.error('Kesalahan saat menambah penerbangan:', error);
-    
-    // Handle nonce errors specifically
-    if (error.message.includes('nonce') || error.message.includes('Nonce')) {
-      console.log('🔄 Nonce error detected, this is usually resolved automatically on retry');
+    // Same rule as the batches: a flight without its own observation time is refused
+    // rather than stamped with the submission time
+    if (!getObservedAt(req.body)) {
+      return sendError(res, 'VALIDATION_FAILED', 'Missing observation timestamp');
     }
-    
-    res.status(500).json({ 
-      success: false,
-      error: error.message 
-    });
+
+    const { report, signature } = await signFlightReport(req.body);
+    const flight = { icao24, callsign, latitude, longitude, altitude, onGround, isSpoofed, velocity, heading, verticalRate };
+    const job = jobQueue.enqueue('add-flight', { report, signature, flight }, { icao24s: [icao24], flights: 1, client: clientOf(req) });
+
+    await respondWithJob(req, res, job);
+  } catch (error) {
+    logger.error('Could not add flight', { error });
+    sendError(res, 'INTERNAL_ERROR', error.message);
   }
 });
 
 // Tambah beberapa penerbangan sekaligus (batch, tidak perlu konfirmasi user)
-app.post('/add-flights-batch', async (req, res) => {
+app.post('/add-flights-batch', auth.requirePermission('submit'), rateLimit, api.validate('addFlightsBatch'), async (req, res) => {
   try {
-    const { flights } = req.body;
+    // ICAO24s as the contract and the index keep them
+    const flights = req.body.flights.map(flight => Object.assign({}, flight, { icao24: normalizeIcao24(flight.icao24) }));
     
-    if (!Array.isArray(flights) || flights.length === 0) {
-      return res.status(400).json({ 
-        success: false,
-        error: 'Array penerbangan wajib diisi dan tidak boleh kosong' 
-      });
-    }
-    
-    // Validasi ukuran batch
-    if (flights.length > 50) {
-      return res.status(400).json({
-        success: false,
-        error: 'Ukuran batch terlalu besar (maksimal 50 penerbangan)'
-      });
-    }
-    
-    console.log(`📦 Memproses batch ${flights.length} penerbangan`);
+    logger.info('Processing flight batch', { flights: flights.length });
     
     // Pre-filter flights for data quality issues
     const validFlights = [];
     const invalidFlights = [];
     const skippedFlights = [];
     const prevFlights = {}; // Track previous flights for validation
-    
-    // Try to fetch previous flights from blockchain (simulate with a local cache for now)
-    // In production, you would fetch from the contract or a DB
-    // For demo, just use the first flight as the initial state
+
+    // Same observation-time rule as the contract, against the indexed chain state
+    await flightIndexer.sync();
+    const observationWindow = await readObservationWindow(contract);
+    const ruleSet = await readValidationRules(contract);
+    const now = Math.floor(Date.now() / 1000);
+
     for (const flight of flights) {
-      if (flight.icao24 && 
-          typeof flight.latitude === 'number' && !isNaN(flight.latitude) &&
-          typeof flight.longitude === 'number' && !isNaN(flight.longitude) &&
-          typeof flight.altitude === 'number' && !isNaN(flight.altitude)) {
-        // Pre-filter for altitude rate/jump
+      // Each flight against the FlightInput schema and the fields of a packed flight,
+      // so one bad entry does not fail the batch
+      const apiCheck = api.checkFlight(flight);
+      const schemaCheck = apiCheck.valid ? checkPackable(reportFromFlight(flight)) : apiCheck;
+      if (schemaCheck.valid) {
+        const timestamp = getObservedAt(flight);
+        const indexed = lastKnownFlight(flight.icao24);
         const prev = prevFlights[flight.icao24];
-        const now = Math.floor(Date.now() / 1000);
-        const timestamp = flight.timestamp ? Math.floor(new Date(flight.timestamp).getTime() / 1000) : now;
-        if (prev) {
-          const dt = timestamp - prev.timestamp;
-          const dAlt = flight.altitude - prev.altitude;
-          if (Math.abs(dAlt) > 500) {
-            skippedFlights.push({ ...flight, reason: 'Impossible altitude jump (>500m)' });
+        const previous = prev ? prev.timestamp : (indexed ? Math.floor(indexed.timestamp.getTime() / 1000) : null);
+        const timeCheck = checkObservationTime(timestamp, Object.assign({ now, previous }, observationWindow));
+        if (!timeCheck.valid) {
+          skippedFlights.push({ ...flight, reason: timeCheck.reason });
+          continue;
+        }
+        // Altitude, position jump and kinematics against the last known position,
+        // with the on-chain rules for the aircraft's category
+        const lastPosition = prev || (indexed && Object.assign({}, indexed, { timestamp: previous }));
+        if (lastPosition) {
+          const rules = rulesFor(ruleSet, flightIndexer.getCategory(flight.icao24));
+          const dt = timestamp - lastPosition.timestamp;
+          const altitudeCheck = checkAltitudeChange(Math.floor(lastPosition.altitude), Math.floor(flight.altitude), dt, rules);
+          if (!altitudeCheck.valid) {
+            skippedFlights.push({ ...flight, reason: altitudeCheck.reason });
             continue;
           }
-          if (dt > 0) {
-            const rate = Math.abs(dAlt) / dt;
-            if (rate > 10) {
-              skippedFlights.push({ ...flight, reason: 'Impossible altitude rate (>10m/s)' });
-              continue;
-            }
+          const distMeters = flightDistanceMeters(lastPosition, flight);
+          const jumpCheck = checkPositionJump(distMeters, dt, rules);
+          if (!jumpCheck.valid) {
+            skippedFlights.push({ ...flight, reason: jumpCheck.reason });
+            continue;
+          }
+          const kinematicCheck = checkKinematics(
+            { altitude: Math.floor(lastPosition.altitude), kinematics: toKinematics(lastPosition) },
+            { altitude: Math.floor(flight.altitude), kinematics: toKinematics(flight) },
+            distMeters,
+            dt,
+            rules
+          );
+          if (!kinematicCheck.valid) {
+            skippedFlights.push({ ...flight, reason: kinematicCheck.reason });
+            continue;
           }
         }
         // Save as previous for next check
-        prevFlights[flight.icao24] = { altitude: flight.altitude, timestamp };
+        prevFlights[flight.icao24] = {
+          latitude: flight.latitude,
+          longitude: flight.longitude,
+          altitude: flight.altitude,
+          velocity: flight.velocity,
+          heading: flight.heading,
+          verticalRate: flight.verticalRate,
+          timestamp
+        };
         validFlights.push(flight);
       } else {
-        invalidFlights.push(flight);
-        console.warn('Data penerbangan tidak valid:', flight);
+        invalidFlights.push({ ...flight, reason: schemaCheck.reason });
+        logger.warn('Invalid flight in batch', { icao24: flight.icao24, reason: schemaCheck.reason });
       }
     }
     
+    // Flights dropped before reaching the chain are reported alongside on-chain rejections
+    const relayRejections = [
+      ...invalidFlights.map(flight => ({ icao24: flight.icao24 || null, callsign: flight.callsign || '', status: 'rejected', reason: flight.reason, rejectedBy: 'relay' })),
+      ...skippedFlights.map(flight => ({ icao24: flight.icao24, callsign: flight.callsign || '', status: 'rejected', reason: flight.reason, rejectedBy: 'relay' }))
+    ];
+    metrics.observeReport(relayRejections);
+
     if (validFlights.length === 0) {
-      return res.status(400).json({
-        success: false,
-        error: 'Tidak ada penerbangan valid dalam batch',
+      return sendError(res, 'NO_VALID_FLIGHTS', 'No valid flights in batch', {
+        accepted: 0,
+        rejected: relayRejections.length,
+        report: relayRejections,
         skippedFlights
       });
     }
     
     if (invalidFlights.length > 0) {
-      console.log(`⚠️ ${invalidFlights.length} data penerbangan tidak valid telah difilter`);
+      logger.info('Invalid flights filtered out of the batch', { invalid: invalidFlights.length });
     }
     
     if (skippedFlights.length > 0) {
-      console.log(`⚠️ ${skippedFlights.length} data penerbangan dilewati karena masalah kualitas data`);
+      logger.info('Flights skipped for data quality', { skipped: skippedFlights.length });
+    }
+
+    // Partial-acceptance batch: the contract skips invalid entries with FlightRejected
+    // instead of reverting, so one queued transaction is enough
+    const signed = await Promise.all(validFlights.map(signFlightReport));
+
+    // Anchoring mode: off-chain in the open window until its root is anchored
+    if (settings.anchorMode) {
+      const window = anchorStore.add(signed);
+      const added = signed.map(({ report }) => ({ icao24: report.icao24, callsign: report.callsign, status: 'accepted', reason: null }));
+      const report = [...added, ...relayRejections];
+      metrics.observeReport(added);
+      logger.info('Flights added to anchor window', { flights: added.length, windowStart: window.windowStart });
+      return res.status(202).json(Object.assign({ success: true, state: 'open' }, window, countReportStatuses(report), { report, skippedFlights }));
     }
 
-    // Helper for dynamic batch splitting with proper nonce management
-    async function tryBatch(batch, batchGasLimit, retryCount = 0) {
+    const job = jobQueue.enqueue('add-flights-batch', {
+      reports: signed.map(entry => entry.report),
+      signatures: signed.map(entry => entry.signature),
+      relayRejections,
+      skippedFlights
+    }, { icao24s: validFlights.map(flight => flight.icao24), flights: validFlights.length, skipped: relayRejections.length, client: clientOf(req) });
+
+    await respondWithJob(req, res, job);
+  } catch (error) {
+    logger.error('Could not process flight batch', { error: error.reason || error.message });
+    sendError(res, 'INTERNAL_ERROR', error.reason || error.message);
+  }
+});
+
+// Teruskan laporan yang sudah ditandatangani oleh receiver eksternal (EIP-712)
+app.post('/submit-signed-reports', auth.requirePermission('submit'), rateLimit, api.validate('submitSignedReports'), async (req, res) => {
+  try {
+    const { reports } = req.body;
+
+    logger.info('Forwarding signed reports', { reports: reports.length });
+
+    const job = jobQueue.enqueue('submit-signed-reports', {
+      reports: reports.map(entry => entry.report),
+      signatures: reports.map(entry => entry.signature)
+    }, { icao24s: reports.map(entry => entry.report.icao24), flights: reports.length, client: clientOf(req) });
+
+    await respondWithJob(req, res, job);
+  } catch (error) {
+    logger.error('Could not forward signed reports', { error: error.reason || error.message });
+    sendError(res, 'INTERNAL_ERROR', error.reason || error.message);
+  }
+});
+
+// ---- Submission queue --------------------------------------------------------
+// Writes are queued and sent by the job queue, one in flight per relayer wallet;
+// requests answer with a job ID right away (202) unless they ask to `?wait=true`
+// for the outcome.
+
+const jobQueue = new JobQueue({
+  file: settings.jobStore,
+  provider,
+  maxAttempts: settings.jobMaxAttempts,
+  concurrency: relayerPool.size()
+});
+
+jobQueue.register('add-flight', {
+  submit: ({ report, signature }) => relayerPool.send('Add flight', (relayer, overrides) =>
+    contract.connect(relayer).submitSignedReport(report, signature, overrides)),
+  complete: ({ flight }, receipt) => {
+    const observation = parseContractEvents(receipt).find(event => event.event === 'ObservationRecorded');
+    const consensus = observation ? CONSENSUS_STATUSES[observation.args.status] : 'accepted';
+    logger.info('Flight added', { icao24: flight.icao24, consensus, blockNumber: receipt.blockNumber, transactionHash: receipt.transactionHash });
+    return {
+      transactionHash: receipt.transactionHash,
+      blockNumber: receipt.blockNumber,
+      gasUsed: receipt.gasUsed.toString(),
+      consensus,
+      flight
+    };
+  }
+});
+
+jobQueue.register('add-flights-batch', {
+  submit: ({ reports, signatures }) => sendSignedBatch('Flight batch', reports, signatures),
+  complete: ({ reports, relayRejections, skippedFlights }, receipt) => {
+    const events = parseContractEvents(receipt);
+    const report = [...batchReportFromEvents(events, reports), ...relayRejections];
+    const counts = countReportStatuses(report);
+    logger.info('Flight batch mined', Object.assign({ transactionHash: receipt.transactionHash, blockNumber: receipt.blockNumber }, counts));
+    return Object.assign({}, counts, {
+      report,
+      transactions: [{
+        transactionHash: receipt.transactionHash,
+        blockNumber: receipt.blockNumber,
+        gasUsed: receipt.gasUsed.toString(),
+        flightsCount: reports.length,
+        flights: flightsFromEvents(events)
+      }],
+      skippedFlights
+    });
+  }
+});
+
+jobQueue.register('submit-signed-reports', {
+  submit: ({ reports, signatures }) => sendSignedBatch('Signed reports', reports, signatures),
+  complete: ({ reports }, receipt) => {
+    const report = batchReportFromEvents(parseContractEvents(receipt), reports);
+    return Object.assign({}, countReportStatuses(report), {
+      report,
+      transactionHash: receipt.transactionHash,
+      blockNumber: receipt.blockNumber,
+      gasUsed: receipt.gasUsed.toString()
+    });
+  }
+});
+
+// Sent from the relay wallet, which holds the operator role
+jobQueue.register('anchor-root', {
+  submit: ({ windowStart, root, count }) => nonceManager.send('Anchor root', overrides =>
+    contract.anchorRoot(windowStart, root, count, overrides)),
+  complete: ({ windowStart, root, count }, receipt) => {
+    anchorStore.markAnchored(windowStart, receipt);
+    logger.info('Window anchored', { windowStart, root, count, transactionHash: receipt.transactionHash, blockNumber: receipt.blockNumber });
+    return {
+      windowStart,
+      root,
+      count,
+      transactionHash: receipt.transactionHash,
+      blockNumber: receipt.blockNumber,
+      gasUsed: receipt.gasUsed.toString()
+    };
+  }
+});
+
+// Seal the windows that have ended and queue their roots; also picks up windows
+// sealed before a restart
+function anchorDueWindows() {
+  try {
+    anchorStore.sealDue();
+    for (const window of anchorStore.unqueued()) {
+      const job = jobQueue.enqueue('anchor-root', {
+        windowStart: window.windowStart,
+        root: window.root,
+        count: window.entries.length
+      }, { flights: window.entries.length });
+      anchorStore.setJob(window.windowStart, job.id);
+    }
+  } catch (error) {
+    logger.error('Could not anchor windows', { error });
+  }
+}
+
+jobQueue.on('job', job => {
+  eventStream.publish('job', job);
+  metrics.observeJob(job);
+  // Mined gas counts against the daily quota of the client that queued the job
+  if (job.state === 'mined' && job.summary.client) {
+    rateLimiter.recordGas(job.summary.client, job.gasUsed);
+  }
+  // Logged with the job's own IDs: a replacement is sent from another request's context
+  const ids = { requestId: job.requestId || undefined, jobId: job.id };
+  if (job.state === 'queued' && job.attempts > 0) {
+    logger.warn('Job rescheduled', Object.assign(ids, { attempt: job.attempts + 1, error: job.error }));
+  } else if (job.state === 'queued') {
+    logger.info('Job queued', Object.assign(ids, { type: job.type, flights: job.summary.flights }));
+  } else if (job.state === 'submitted') {
+    logger.info('Job transaction sent', Object.assign(ids, { transactionHash: job.transactionHash, nonce: job.nonce }));
+  } else if (job.state === 'mined') {
+    logger.info('Job mined', Object.assign(ids, { transactionHash: job.transactionHash, blockNumber: job.blockNumber, gasUsed: job.gasUsed }));
+  } else {
+    logger.error(`Job ${job.state}`, Object.assign(ids, { error: job.error }));
+  }
+});
+
+// Replaced transactions keep their job; cancelled ones show up as dropped and are retried
+relayerPool.on('replaced', ({ oldHash, newHash }) => jobQueue.replaceTransaction(oldHash, newHash));
+
+// Like updateFlightBatchPartial, invalid reports are skipped rather than reverting.
+// Sent packed (see FlightEncoding.js) unless a report would not verify that way,
+// e.g. one signed elsewhere with an uppercase ICAO24.
+function sendSignedBatch(label, reports, signatures) {
+  const packed = reports.every(packsExactly);
+  return relayerPool.send(label, (relayer, overrides) => {
+    logger.info('Sending signed report batch', { reports: reports.length, packed, from: relayer.address, nonce: overrides.nonce });
+    const options = Object.assign({ gasLimit: 8000000 }, overrides);
+    if (packed) {
+      const { positions, kinematics } = packReports(reports);
+      return contract.connect(relayer).submitSignedReportBatchPacked(positions, kinematics, signatures, options);
+    }
+    return contract.connect(relayer).submitSignedReportBatch(reports, signatures, options);
+  });
+}
+
+// A job as the submitting endpoint returns it: the outcome when waited for, else 202
+// (also when the wait times out first)
+async function respondWithJob(req, res, job) {
+  const finished = req.query.wait ? await jobQueue.waitFor(job.id) : job;
+  if (finished.state === 'mined') {
+    return res.json(Object.assign({ success: true, jobId: finished.id, state: finished.state }, finished.result));
+  }
+  if (finished.state === 'failed' || finished.state === 'dropped') {
+    return sendError(res, 'JOB_FAILED', finished.error || `Job ${finished.state}`, { jobId: finished.id, state: finished.state });
+  }
+  res.status(202).json({ success: true, jobId: finished.id, state: finished.state, statusUrl: `/jobs/${finished.id}` });
+}
+
+// ---- Nonces ---------------------------------------------------------------------
+
+// `?address=` picks a relayer wallet; the relay wallet otherwise
+app.post('/nonces/resync', auth.requirePermission('admin'), rateLimit, api.validate('resyncNonces'), async (req, res) => {
+  const manager = nonceManagerFor(req.query.address);
+  if (!manager) {
+    return sendError(res, 'NOT_FOUND', `Unknown relayer wallet: ${req.query.address}`);
+  }
+  try {
+    await manager.resync();
+    res.json({ success: true, nonces: manager.getState() });
+  } catch (error) {
+    sendError(res, 'INTERNAL_ERROR', error.message);
+  }
+});
+
+// replace (same transaction, higher fees) | cancel (zero-value self-transfer)
+app.post('/nonces/:nonce/:action', auth.requirePermission('admin'), rateLimit, api.validate('manageNonce'), async (req, res) => {
+  const { nonce, action } = req.params;
+  const manager = nonceManagerFor(req.query.address);
+  if (!manager) {
+    return sendError(res, 'NOT_FOUND', `Unknown relayer wallet: ${req.query.address}`);
+  }
+  try {
+    const tx = action === 'replace' ? await manager.replace(nonce) : await manager.cancel(nonce);
+    logger.info(action === 'replace' ? 'Nonce replaced' : 'Nonce cancelled', { nonce, transactionHash: tx.hash });
+    res.json({ success: true, nonce, transactionHash: tx.hash, nonces: manager.getState() });
+  } catch (error) {
+    sendError(res, 'CONTRACT_REJECTED', getRevertReason(error));
+  }
+});
+
+app.get('/jobs', api.validate('listJobs'), (req, res) => {
+  const { state, type, limit } = req.query;
+  const jobs = jobQueue.list({ state, type, limit });
+  res.json({ jobs, count: jobs.length, counts: jobQueue.counts() });
+});
+
+app.get('/jobs/:id', api.validate('getJob'), (req, res) => {
+  const job = jobQueue.get(req.params.id);
+  if (!job) {
+    return sendError(res, 'NOT_FOUND', 'Job not found');
+  }
+  res.json(job);
+});
+
+// Receipts fetched by hash have raw logs only; decode the ones from our contract
+function parseContractEvents(receipt) {
+  return receipt.logs
+    .filter(log => log.address.toLowerCase() === contract.address.toLowerCase())
+    .map(log => {
       try {
-        // Get fresh nonce for each attempt
-        const nonce = await getNextNonce();
-        
-        const icao24s = batch.map(f => f.icao24);
-        const callsigns = batch.map(f => f.callsign || '');
-        const latitudes = batch.map(f => Math.floor(f.latitude * 1e6));
-        const longitudes = batch.map(f => Math.floor(f.longitude * 1e6));
-        const altitudes = batch.map(f => Math.floor(f.altitude));
-        const onGrounds = batch.map(f => f.onGround || false);
-        const isSpoofedFlags = batch.map(f => f.isSpoofed || false);
-        
-        console.log(`🚀 Mengirim batch sebanyak ${batch.length} penerbangan dengan gasLimit ${batchGasLimit} dan nonce ${nonce} (attempt ${retryCount + 1})`);
-        
-        const tx = await contract.updateFlightBatch(
-          icao24s,
-          callsigns,
-          latitudes,
-          longitudes,
-          altitudes,
-          onGrounds,
-          isSpoofedFlags,
-          { nonce, gasLimit: batchGasLimit }
-        );
-        
-        const receipt = await tx.wait();
-        console.log(`✅ Transaksi batch berhasil! Hash: ${tx.hash}, Nonce: ${nonce}`);
-        
-        return { success: true, tx, receipt, batch };
+        const parsed = contract.interface.parseLog(log);
+        return { event: parsed.name, args: parsed.args };
       } catch (error) {
-        console.error('❌ Batch gagal:', error.message);
-        
-        // Handle nonce errors specifically
-        if (error.message.includes('nonce') || error.message.includes('Nonce')) {
-          if (retryCount < 2) {
-            console.log(`🔄 Retrying batch due to nonce error (attempt ${retryCount + 2})`);
-            // Wait a bit before retrying
-            await new Promise(resolve => setTimeout(resolve, 1000));
-            return tryBatch(batch, batchGasLimit, retryCount + 1);
-          }
-        }
-        
-        return { success: false, error, batch };
+        return null;
       }
+    })
+    .filter(Boolean);
+}
+
+// ConsensusStatus enum in AdsbData.sol; a confirmed observation counts as accepted
+const CONSENSUS_STATUSES = ['none', 'pending', 'accepted', 'disputed'];
+
+// The contract emits exactly one ObservationRecorded or FlightRejected per entry, in order
+function batchReportFromEvents(events, batch) {
+  const outcomes = events
+    .filter(event => event.event === 'ObservationRecorded' || event.event === 'FlightRejected');
+
+  return batch.map((flight, index) => {
+    const outcome = outcomes[index];
+    if (outcome && outcome.event === 'ObservationRecorded') {
+      return {
+        icao24: flight.icao24,
+        callsign: flight.callsign || '',
+        status: CONSENSUS_STATUSES[outcome.args.status] || 'pending',
+        reason: null
+      };
     }
+    return {
+      icao24: flight.icao24,
+      callsign: flight.callsign || '',
+      status: 'rejected',
+      reason: outcome ? outcome.args.reason : 'No outcome event',
+      rejectedBy: 'contract'
+    };
+  });
+}
 
-    // Dynamic batch splitting logic
-    let batchSize = validFlights.length;
-    let batchGasLimit = 8000000;
-    let batches = [validFlights];
-    let allResults = [];
-    let minBatchSize = 1;
-    let maxRetries = 3;
-    let retryCount = 0;
-    while (batches.length > 0 && retryCount < maxRetries) {
-      let nextBatches = [];
-      for (const batch of batches) {
-        if (batch.length === 0) continue;
-        const result = await tryBatch(batch, batchGasLimit, retryCount);
-        if (result.success) {
-          allResults.push(result);
-        } else {
-          // Jika batch gagal dan lebih besar dari minBatchSize, split dan coba lagi
-          if (batch.length > minBatchSize) {
-            const mid = Math.floor(batch.length / 2);
-            nextBatches.push(batch.slice(0, mid));
-            nextBatches.push(batch.slice(mid));
-            console.log(`🔄 Membagi batch ${batch.length} menjadi ${batch.slice(0, mid).length} dan ${batch.slice(mid).length}`);
-          } else {
-            // Jika satu penerbangan gagal, log dan lewati
-            console.warn('⚠️ Melewati penerbangan karena gagal berulang:', batch[0]);
-            allResults.push({ success: false, error: result.error, batch });
-          }
-        }
-      }
-      batches = nextBatches;
-      retryCount++;
+// Pending and disputed observations are neither stored nor rejected yet
+function countReportStatuses(report) {
+  const count = status => report.filter(entry => entry.status === status).length;
+  return {
+    accepted: count('accepted'),
+    pending: count('pending') + count('disputed'),
+    rejected: count('rejected')
+  };
+}
+
+
+// ---- Receiver registry & roles (the relay wallet must hold the matching role) ----
+
+const RECEIVER_STATUSES = ['none', 'active', 'suspended', 'revoked'];
+const ROLE_NAMES = { admin: 'ADMIN_ROLE', operator: 'OPERATOR_ROLE' };
+
+async function readReceiver(address) {
+  const [status, name, latitude, longitude, owner, registeredAt] = await contract.getReceiver(address);
+  return {
+    address,
+    status: RECEIVER_STATUSES[status] || 'none',
+    name,
+    latitude: latitude.toNumber() / 1e6,
+    longitude: longitude.toNumber() / 1e6,
+    owner,
+    registeredAt: registeredAt.toNumber() > 0 ? new Date(registeredAt.toNumber() * 1000) : null
+  };
+}
+
+// Send a registry/role transaction and answer with its outcome
+async function sendManagementTx(res, label, send) {
+  try {
+    const tx = await nonceManager.send(label, send);
+    const receipt = await tx.wait();
+    logger.info(label, { transactionHash: tx.hash, blockNumber: receipt.blockNumber });
+    return { transactionHash: tx.hash, blockNumber: receipt.blockNumber };
+  } catch (error) {
+    const reason = getRevertReason(error);
+    logger.error(`${label} failed`, { reason });
+    sendError(res, 'CONTRACT_REJECTED', reason);
+    return null;
+  }
+}
+
+app.get('/receivers', api.validate('listReceivers'), async (req, res) => {
+  try {
+    const count = (await contract.getReceiverCount()).toNumber();
+    const receivers = [];
+    for (let i = 0; i < count; i++) {
+      receivers.push(await readReceiver(await contract.getReceiverAt(i)));
     }
+    res.json({ receivers, count: receivers.length });
+  } catch (error) {
+    logger.error('Could not list receivers', { error });
+    sendError(res, 'INTERNAL_ERROR', error.message);
+  }
+});
 
-    // Ringkasan hasil
-    const successfulBatches = allResults.filter(r => r.success);
-    const failedBatches = allResults.filter(r => !r.success);
-    console.log(`✅ Batch berhasil: ${successfulBatches.length}, ❌ Batch gagal: ${failedBatches.length}`);
-    
-    if (successfulBatches.length === 0) {
-      return res.status(500).json({
-        success: false,
-        error: 'All batches failed. See server logs for details.',
-        failedBatches: failedBatches.map(fb => ({ error: fb.error?.message, batch: fb.batch })),
-        skippedFlights
-      });
+app.get('/receivers/:address', api.validate('getReceiver'), async (req, res) => {
+  try {
+    const receiver = await readReceiver(ethers.utils.getAddress(req.params.address));
+    if (receiver.status === 'none') {
+      return sendError(res, 'NOT_FOUND', 'Unregistered receiver');
     }
-    
-    // Return info about successful batches
-    return res.json({
-      success: true,
-      successfulBatches: successfulBatches.length,
-      failedBatches: failedBatches.length,
-      transactions: successfulBatches.map(sb => ({
-        transactionHash: sb.tx.hash,
-        blockNumber: sb.receipt.blockNumber,
-        gasUsed: sb.receipt.gasUsed.toString(),
-        flightsCount: sb.batch.length
-      })),
-      failedFlights: failedBatches.flatMap(fb => fb.batch),
-      failedReasons: failedBatches.map(fb => fb.error?.message),
-      skippedFlights
-    });
-    
+    res.json(receiver);
   } catch (error) {
-    // Parse revert reason if possible
-    let errorMessage = error.message;
-    if (error.reason) errorMessage = error.reason;
-    res.status(200).json({
-      success: false,
-      error: errorMessage,
-      details: error.toString()
-    });
+    sendError(res, 'INTERNAL_ERROR', error.message);
   }
 });
 
-// Get all flights from blockchain
-app.get('/flights', async (req, res) => {
+app.post('/receivers', auth.requirePermission('admin'), rateLimit, api.validate('registerReceiver'), async (req, res) => {
+  const { address, name, latitude, longitude, owner } = req.body;
+
   try {
-    const flightCount = await contract.getFlightCount();
-    const flights = [];
-    
-    for (let i = 0; i < flightCount; i++) {
-      const flight = await contract.getFlight(i);
-      flights.push({
-        icao24: flight[0],
-        callsign: flight[1],
-        latitude: flight[2].toNumber() / 1e6,
-        longitude: flight[3].toNumber() / 1e6,
-        altitude: flight[4].toNumber(),
-        onGround: flight[5],
-        timestamp: new Date(flight[6].toNumber() * 1000),
-        isSpoofed: flight[7],
-        isVerified: true
-      });
+    const result = await sendManagementTx(res, `Register receiver ${address}`, overrides =>
+      contract.registerReceiver(address, name || '', Math.floor((latitude || 0) * 1e6), Math.floor((longitude || 0) * 1e6), owner || wallet.address, overrides)
+    );
+    if (result) {
+      res.json({ success: true, ...result, receiver: await readReceiver(ethers.utils.getAddress(address)) });
     }
-    
-    res.json({ flights, count: flights.length });
-    
   } catch (error) {
-    console.error('Kesalahan saat mendapatkan data penerbangan:', error);
-    res.status(500).json({ error: error.message });
+    sendError(res, 'INTERNAL_ERROR', error.message);
   }
 });
 
-// Get latest flights
-app.get('/flights/latest/:count', async (req, res) => {
+app.put('/receivers/:address', auth.requirePermission('admin'), rateLimit, api.validate('updateReceiver'), async (req, res) => {
+  const { address } = req.params;
+  const { name, latitude, longitude, owner } = req.body;
+
   try {
-    const count = parseInt(req.params.count) || 10;
-    const flightCount = await contract.getFlightCount();
-    const actualCount = Math.min(count, flightCount);
-    const flights = [];
-    
-    // Get the latest flights
-    for (let i = flightCount - actualCount; i < flightCount; i++) {
-      const flight = await contract.getFlight(i);
-      flights.push({
-        icao24: flight[0],
-        callsign: flight[1],
-        latitude: flight[2].toNumber() / 1e6,
-        longitude: flight[3].toNumber() / 1e6,
-        altitude: flight[4].toNumber(),
-        onGround: flight[5],
-        timestamp: new Date(flight[6].toNumber() * 1000),
-        isSpoofed: flight[7],
-        isVerified: true
-      });
+    const result = await sendManagementTx(res, `Update receiver ${address}`, overrides =>
+      contract.updateReceiverMetadata(address, name || '', Math.floor((latitude || 0) * 1e6), Math.floor((longitude || 0) * 1e6), owner || wallet.address, overrides)
+    );
+    if (result) {
+      res.json({ success: true, ...result, receiver: await readReceiver(ethers.utils.getAddress(address)) });
     }
-    
-    res.json({ flights, count: flights.length });
-    
   } catch (error) {
-    console.error('Kesalahan saat mendapatkan penerbangan terbaru:', error);
-    res.status(500).json({ error: error.message });
+    sendError(res, 'INTERNAL_ERROR', error.message);
   }
 });
 
-// Simulasi serangan (tidak perlu konfirmasi user)
-app.post('/simulate-attack', async (req, res) => {
-  console.log('ABI untuk updateFlight:', contract.interface.fragments.find(f => f.name === 'updateFlight'));
+// suspend | reactivate | revoke
+app.post('/receivers/:address/:action', auth.requirePermission('admin'), rateLimit, api.validate('changeReceiverStatus'), async (req, res) => {
+  const { address, action } = req.params;
+  const methods = { suspend: 'suspendReceiver', reactivate: 'reactivateReceiver', revoke: 'revokeReceiver' };
+
   try {
-    const { attackType, targetFlight } = req.body;
-    console.log(`⚠️ Mensimulasikan serangan ${attackType} pada ${targetFlight.callsign}`);
-    console.log('Data targetFlight dari frontend:', targetFlight);
-    // Initialize attackedFlight with default values for required properties
-    const attackedFlight = { 
-      ...targetFlight,
-      onGround: targetFlight.onGround || false,
-      isSpoofed: targetFlight.isSpoofed || false,
-      velocity: Number(targetFlight.velocity) || 0,
-      timestamp: targetFlight.timestamp ? new Date(targetFlight.timestamp) : new Date()
-    };
-    console.log('Membangun attackedFlight untuk kontrak:', attackedFlight);
-    console.log('Cek field velocity:', attackedFlight.velocity);
-    // Defensive check: Ensure all required fields are present
-    const requiredFields = [
-      'icao24', 'callsign', 'latitude', 'longitude', 'altitude', 'onGround', 'isSpoofed'
-    ];
-    for (const field of requiredFields) {
-      if (attackedFlight[field] === undefined || attackedFlight[field] === null) {
-        return res.status(400).json({
-          success: false,
-          error: `Missing required field: ${field}`
-        });
-      }
+    const result = await sendManagementTx(res, `${action} receiver ${address}`, overrides =>
+      contract[methods[action]](address, overrides)
+    );
+    if (result) {
+      res.json({ success: true, ...result, receiver: await readReceiver(ethers.utils.getAddress(address)) });
+    }
+  } catch (error) {
+    sendError(res, 'INTERNAL_ERROR', error.message);
+  }
+});
+
+app.get('/roles/:address', api.validate('getRoles'), async (req, res) => {
+  try {
+    const roles = {};
+    for (const [name, constant] of Object.entries(ROLE_NAMES)) {
+      roles[name] = await contract.hasRole(await contract[constant](), req.params.address);
     }
-    attackedFlight.latitude = Number(attackedFlight.latitude) || 0;
-    attackedFlight.longitude = Number(attackedFlight.longitude) || 0;
-    attackedFlight.altitude = Number(attackedFlight.altitude) || 0;
-    console.log('Akan memulai simulasi serangan untuk tipe:', attackType);
-    switch (attackType) {
-      case 'replay':
-        // Make replay attack less severe - only change timestamp slightly
-        attackedFlight.timestamp = new Date(new Date(attackedFlight.timestamp).getTime() - 60000); // Only 1 minute back
-        attackedFlight.latitude = Number(attackedFlight.latitude) + (Math.random() * 0.1 - 0.05); // Smaller position change
-        attackedFlight.longitude = Number(attackedFlight.longitude) + (Math.random() * 0.1 - 0.05);
-        console.log('Replay attack - nilai yang dimutasi:', {
-          latitude: attackedFlight.latitude,
-          longitude: attackedFlight.longitude,
-          timestamp: attackedFlight.timestamp
-        });
-        break;
-      case 'spoofing':
-        // Make spoofing attack less severe - smaller position changes
-        attackedFlight.latitude = Number(attackedFlight.latitude) + (Math.random() * 2 - 1); // Smaller position change
-        attackedFlight.longitude = Number(attackedFlight.longitude) + (Math.random() * 2 - 1);
-        attackedFlight.altitude = Number(attackedFlight.altitude) + Math.floor(Math.random() * 1000); // Smaller altitude change
-        attackedFlight.isSpoofed = true;
-        console.log('Spoofing attack - nilai yang dimutasi:', {
-          latitude: attackedFlight.latitude,
-          longitude: attackedFlight.longitude,
-          altitude: attackedFlight.altitude,
-          isSpoofed: attackedFlight.isSpoofed
-        });
-        break;
-      case 'tampering':
-        console.log('Memulai simulasi serangan tampering...');
-        // Make tampering attack less severe - smaller altitude changes
-        attackedFlight.altitude = Number(attackedFlight.altitude) + (Math.floor(Math.random() * 2000) - 1000); // Smaller altitude change
-        attackedFlight.velocity = Number(attackedFlight.velocity) + Math.floor(Math.random() * 50); // Smaller velocity change
-        console.log('Tampering attack - nilai yang dimutasi:', {
-          altitude: attackedFlight.altitude,
-          velocity: attackedFlight.velocity
-        });
-        break;
-      default:
-        return res.status(400).json({ success: false, error: 'Tipe serangan tidak dikenal' });
+    res.json({ address: req.params.address, roles });
+  } catch (error) {
+    sendError(res, 'INTERNAL_ERROR', error.message);
+  }
+});
+
+// grant | revoke
+app.post('/roles/:action', auth.requirePermission('admin'), rateLimit, api.validate('changeRole'), async (req, res) => {
+  const { action } = req.params;
+  const { role, address } = req.body;
+
+  try {
+    const roleId = await contract[ROLE_NAMES[role]]();
+    const result = await sendManagementTx(res, `${action} ${role} role for ${address}`, overrides =>
+      (action === 'grant' ? contract.grantRole(roleId, address, overrides) : contract.revokeRole(roleId, address, overrides))
+    );
+    if (result) {
+      res.json({ success: true, ...result, address, role, granted: await contract.hasRole(roleId, address) });
     }
-    attackedFlight.latitude = Number(attackedFlight.latitude) || 0;
-    attackedFlight.longitude = Number(attackedFlight.longitude) || 0;
-    attackedFlight.altitude = Number(attackedFlight.altitude) || 0;
-    console.log('Final attackedFlight setelah mutasi:', {
-      icao24: attackedFlight.icao24,
-      callsign: attackedFlight.callsign,
-      latitude: attackedFlight.latitude,
-      longitude: attackedFlight.longitude,
-      altitude: attackedFlight.altitude,
-      onGround: attackedFlight.onGround,
-      isSpoofed: attackedFlight.isSpoofed
+  } catch (error) {
+    sendError(res, 'INTERNAL_ERROR', error.message);
+  }
+});
+
+// Validation thresholds per aircraft category; tuned on-chain without redeploying
+app.get('/validation-rules', api.validate('getValidationRules'), async (req, res) => {
+  try {
+    const ruleSet = await readValidationRules(contract);
+    if (!ruleSet) {
+      return sendError(res, 'CONTRACT_UNSUPPORTED', 'Contract does not support validation rules');
+    }
+    const rules = {};
+    AIRCRAFT_CATEGORIES.forEach((category, index) => {
+      rules[category] = ruleSet[index];
     });
-    if (!attackedFlight.timestamp) {
-      attackedFlight.timestamp = new Date();
+    res.json({ categories: AIRCRAFT_CATEGORIES, rules });
+  } catch (error) {
+    sendError(res, 'INTERNAL_ERROR', error.message);
+  }
+});
+
+// Unlike readValidationRules, a failed read throws rather than falling back to the
+// defaults: these rules are written back to, and reported from, the chain
+async function readRuleSetStrict() {
+  return (await contract.getValidationRuleSet()).map(toRules);
+}
+
+app.put('/validation-rules/:category', auth.requirePermission('admin'), rateLimit, api.validate('setValidationRules'), async (req, res) => {
+  const category = AIRCRAFT_CATEGORIES.indexOf(req.params.category);
+  try {
+    // Unspecified fields keep their current on-chain value
+    const rules = Object.assign({}, (await readRuleSetStrict())[category]);
+    for (const field of RULE_FIELDS) {
+      if (req.body[field] !== undefined) rules[field] = req.body[field];
     }
-    // Randomize: 70% block, 30% allow (loosened for better demonstration)
-    // This randomization is for demonstration purposes to show both successful and prevented attacks
-    // In a real system, the smart contract validation would determine success/failure
-    if (Math.random() < 0.7) {
-      let reason = '';
-      if (attackType === 'replay') {
-        reason = 'Replay attack: timestamp not newer';
-      } else if (attackType === 'tampering') {
-        reason = 'Tampering: impossible altitude rate';
-      } else if (attackType === 'spoofing') {
-        reason = 'Spoofing: invalid callsign';
-      } else {
-        reason = 'Blocked by blockchain validation';
-      }
-      const response = {
-        success: true,
-        attackType,
-        targetFlight,
-        attackedFlight,
-        detectedByBlockchain: true,
-        reason,
-        message: `Serangan Dicegah (pre-validasi): ${reason}`,
-        eventLogs: []
-      };
-      console.log('🛡️ Serangan diblokir oleh randomizer:', response);
-      return res.status(200).json(response);
+
+    const result = await sendManagementTx(res, `Set ${req.params.category} validation rules`, overrides =>
+      contract.setValidationRules(category, toRulesTuple(rules), overrides)
+    );
+    if (result) {
+      res.json({ success: true, ...result, category: req.params.category, rules: (await readRuleSetStrict())[category] });
     }
-    // Pre-validate using the smart contract's validation function
-    let timestamp = Math.floor(new Date(attackedFlight.timestamp).getTime() / 1000);
-    let [valid, reason] = await contract.validateFlightUpdate(
-      attackedFlight.icao24,
-      Math.floor(attackedFlight.latitude * 1e6),
-      Math.floor(attackedFlight.longitude * 1e6),
-      Math.floor(attackedFlight.altitude),
-      timestamp
+  } catch (error) {
+    sendError(res, 'INTERNAL_ERROR', error.message);
+  }
+});
+
+app.put('/aircraft/:icao24/category', auth.requirePermission('admin'), rateLimit, api.validate('setAircraftCategory'), async (req, res) => {
+  const { icao24 } = req.params;
+  const category = AIRCRAFT_CATEGORIES.indexOf(req.body.category);
+
+  try {
+    const result = await sendManagementTx(res, `Set category of ${icao24} to ${req.body.category}`, overrides =>
+      contract.setAircraftCategory(icao24, category, overrides)
     );
-    if (!valid) {
-      const response = {
-        success: true,
-        attackType,
-        targetFlight,
-        attackedFlight,
-        detectedByBlockchain: true,
-        reason,
-        message: `Serangan Dicegah (pre-validasi): ${reason}`,
-        eventLogs: []
-      };
-      console.log('🛡️ Serangan diblokir oleh pre-validasi:', response);
-      return res.status(200).json(response);
+    if (result) {
+      res.json({ success: true, ...result, icao24, category: categoryName(await contract.getAircraftCategory(icao24)) });
     }
-    
-    try {
-      // Log argument values and types before contract call
-      const updateFlightArgs = [
-        attackedFlight.icao24,
-        attackedFlight.callsign || '',
-        Math.floor(attackedFlight.latitude * 1e6),
-        Math.floor(attackedFlight.longitude * 1e6),
-        Math.floor(attackedFlight.altitude),
-        attackedFlight.onGround,
-        attackedFlight.isSpoofed
-      ];
-      console.log('Argumen updateFlight:', updateFlightArgs);
-      console.log('Tipe argumen updateFlight:', updateFlightArgs.map(x => typeof x));
-      console.log('Nilai argumen updateFlight (detail):', {
-        icao24: updateFlightArgs[0],
-        callsign: updateFlightArgs[1],
-        latitude: updateFlightArgs[2],
-        longitude: updateFlightArgs[3],
-        altitude: updateFlightArgs[4],
-        onGround: updateFlightArgs[5],
-        isSpoofed: updateFlightArgs[6]
-      });
-      // Defensive check for NaN or undefined
-      for (let i = 0; i < updateFlightArgs.length; i++) {
-        if (updateFlightArgs[i] === undefined || updateFlightArgs[i] === null || (typeof updateFlightArgs[i] === 'number' && isNaN(updateFlightArgs[i]))) {
-          console.error(`Argumen tidak valid di posisi ${i}:`, updateFlightArgs[i]);
-          return res.status(400).json({
-            success: false,
-            error: `Argumen tidak valid di posisi ${i}: ${updateFlightArgs[i]}`
-          });
-        }
-      }
+  } catch (error) {
+    sendError(res, 'INTERNAL_ERROR', error.message);
+  }
+});
 
-      // Add the attacked flight to blockchain
-      const tx = await contract.updateFlight(
-        attackedFlight.icao24,
-        attackedFlight.callsign || '',
-        Math.floor(attackedFlight.latitude * 1e6),
-        Math.floor(attackedFlight.longitude * 1e6),
-        Math.floor(attackedFlight.altitude),
-        attackedFlight.onGround,
-        attackedFlight.isSpoofed
-      );
-      
-      const receipt = await tx.wait();
-      
-      // Parse event logs (FlightUpdated, etc.)
-      const eventLogs = [];
-      if (receipt && receipt.logs && receipt.logs.length > 0) {
-        for (const log of receipt.logs) {
-          try {
-            const parsed = contract.interface.parseLog(log);
-            eventLogs.push({
-              name: parsed.name,
-              values: parsed.args
-            });
-          } catch (e) {
-            // Not a contract event we care about
-          }
-        }
-      }
+// Per-aircraft FlightUpdated events emitted inside a transaction
+function flightsFromEvents(events) {
+  return events
+    .filter(event => event.event === 'FlightUpdated')
+    .map(event => Object.assign({
+      icao24: event.args.icao24,
+      callsign: event.args.callsign,
+      latitude: event.args.latitude.toNumber() / 1e6,
+      longitude: event.args.longitude.toNumber() / 1e6,
+      altitude: event.args.altitude.toNumber(),
+      onGround: event.args.onGround,
+      isSpoofed: event.args.isSpoofed
+    }, fromKinematics(event.args.kinematics)));
+}
 
-      const response = {
-        success: true,
-        attackType,
-        targetFlight,
-        attackedFlight,
-        transactionHash: tx.hash,
-        blockNumber: receipt.blockNumber,
-        detectedByBlockchain: false,
-        message: "Attack Succeeded: The malicious data was accepted by the blockchain.",
-        eventLogs
-      };
-      console.log('✅ Serangan diterima oleh blockchain:', response);
-      res.status(200).json(response);
+// Latest positions, filtered, sorted and paged (see FlightQuery.js and /docs)
+app.get('/flights', api.validate('listFlights'), async (req, res) => {
+  try {
+    const parsed = parseFlightQuery(req.query);
+    if (!parsed.valid) {
+      return api.refuse(res, [{ field: `query.${parsed.field}`, message: parsed.reason }]);
+    }
+    await flightIndexer.sync();
+    // ?includePending=true also returns positions still awaiting receiver consensus
+    const page = queryFlights(flightIndexer.getAllFlights({ includePending: req.query.includePending }), parsed.query);
+
+    res.json({ flights: page.flights, count: page.flights.length, total: page.total, nextCursor: page.nextCursor });
+
+  } catch (error) {
+    logger.error('Could not query flights', { error });
+    sendError(res, 'INTERNAL_ERROR', error.message);
+  }
+});
 
+// Deprecated: /flights?sort=-timestamp&limit=<count>
+app.get('/flights/latest/:count', api.validate('listLatestFlights'), async (req, res) => {
+  try {
+    await flightIndexer.sync();
+    const { query } = parseFlightQuery({ sort: '-timestamp', limit: req.params.count });
+    const page = queryFlights(flightIndexer.getAllFlights(), query);
+
+    res.json({ flights: page.flights, count: page.flights.length, total: page.total, nextCursor: page.nextCursor });
+
+  } catch (error) {
+    logger.error('Could not read latest flights', { error });
+    sendError(res, 'INTERNAL_ERROR', error.message);
+  }
+});
+
+// Indexer progress, useful to check how far behind the chain head the read endpoints are
+app.get('/indexer/status', api.validate('getIndexerStatus'), async (req, res) => {
+  try {
+    const head = await provider.getBlockNumber();
+    res.json({ ...flightIndexer.getStatus(), head });
+  } catch (error) {
+    sendError(res, 'INTERNAL_ERROR', error.message);
+  }
+});
+
+// Off-chain report of anchoring mode with its Merkle proof. Clients check the root
+// against AdsbData.anchoredRoots(windowStart) themselves rather than trusting the relay.
+app.get('/proofs/:icao24/:timestamp', api.validate('getProof'), (req, res) => {
+  const proof = anchorStore.getProof(req.params.icao24, req.params.timestamp);
+  if (!proof) {
+    return sendError(res, 'NOT_FOUND', `No anchored report for ${req.params.icao24} at ${req.params.timestamp}`);
+  }
+  res.json(Object.assign(proof, { contractAddress: config.contractAddress }));
+});
+
+// Get the recorded position history (oldest first) of one aircraft
+app.get('/flights/:icao24/history', api.validate('getFlightHistory'), async (req, res) => {
+  try {
+    const { icao24 } = req.params;
+    const { offset, limit } = req.query;
+
+    const total = await contract.getFlightHistoryCount(icao24);
+    const [icao24s, callsigns, latitudes, longitudes, altitudes, onGrounds, timestamps, isSpoofedFlags, kinematics] =
+      await contract.getFlightHistory(icao24, offset, limit);
+
+    const history = icao24s.map((_, i) => Object.assign({
+      icao24: icao24s[i],
+      callsign: callsigns[i],
+      latitude: latitudes[i].toNumber() / 1e6,
+      longitude: longitudes[i].toNumber() / 1e6,
+      altitude: altitudes[i].toNumber(),
+      onGround: onGrounds[i],
+      timestamp: new Date(timestamps[i].toNumber() * 1000),
+      isSpoofed: isSpoofedFlags[i],
+      isVerified: true
+    }, fromKinematics(kinematics[i])));
+
+    res.json({
+      icao24,
+      total: total.toNumber(),
+      offset,
+      limit,
+      history,
+      count: history.length
+    });
+
+  } catch (error) {
+    logger.error('Could not read flight history', { error });
+    sendError(res, 'INTERNAL_ERROR', error.message);
+  }
+});
+
+// Simulasi serangan (tidak perlu konfirmasi user)
+app.post('/simulate-attack', auth.requirePermission('attack'), rateLimit, api.validate('simulateAttack'), async (req, res) => {
+  try {
+    const { attackType, targetFlight } = req.body;
+    logger.info('Simulating attack', { attackType, icao24: targetFlight.icao24, callsign: targetFlight.callsign });
+
+    let attackedFlight;
+    try {
+      attackedFlight = buildAttackedFlight(attackType, targetFlight);
     } catch (error) {
-      // Try to parse event logs from the error receipt if available
-      let eventLogs = [];
-      if (error.receipt && error.receipt.logs && error.receipt.logs.length > 0) {
-        for (const log of error.receipt.logs) {
-          try {
-            const parsed = contract.interface.parseLog(log);
-            eventLogs.push({
-              name: parsed.name,
-              values: parsed.args
-            });
-          } catch (e) {
-            // Not a contract event we care about
-          }
-        }
-      }
-      const response = {
-        success: true,
-        attackType,
-        targetFlight,
-        attackedFlight,
-        detectedByBlockchain: true,
-        reason: error.reason || "Transaction reverted by smart contract.",
-        message: "Attack Prevented: The smart contract rejected the malicious transaction.",
-        eventLogs
-      };
-      console.log('🛡️ Serangan diblokir oleh blockchain:', response);
-      res.status(200).json(response);
+      return sendError(res, 'VALIDATION_FAILED', error.message);
     }
-    
+
+    // Demo mode must be switched on explicitly; its outcomes are labelled as such
+    const outcome = (ATTACK_DEMO_MODE && demoAttackOutcome(attackType, ATTACK_DEMO_BLOCK_RATE)) ||
+      await runAttackOnChain(contract, attackedFlight, send => nonceManager.send(`Attack simulation: ${attackType}`, send));
+
+    const response = Object.assign({
+      success: true,
+      attackType,
+      targetFlight,
+      attackedFlight,
+      message: outcome.detectedByBlockchain
+        ? `Attack Prevented (${outcome.stage}): ${outcome.reason}`
+        : 'Attack Succeeded: The malicious data was accepted by the blockchain.'
+    }, outcome);
+
+    if (outcome.gasUsed) {
+      rateLimiter.recordGas(clientOf(req), outcome.gasUsed);
+    }
+    if (outcome.detectedByBlockchain) {
+      logger.info('Attack blocked', { attackType, stage: outcome.stage, outcomeSource: outcome.outcomeSource, reason: outcome.reason });
+    } else {
+      logger.warn('Attack accepted by the blockchain', { attackType, transactionHash: outcome.transactionHash });
+    }
+    res.status(200).json(response);
   } catch (error) {
-    console.error('Kesalahan di endpoint /simulate-attack:', error);
-    res.status(500).json({ 
-      success: false,
-      error: error.message 
-    });
+    logger.error('Attack simulation failed', { error: getRevertReason(error) });
+    sendError(res, 'INTERNAL_ERROR', getRevertReason(error));
   }
 });
 
+// API reference
+app.get('/openapi.json', api.validate('getApiDocument'), (req, res) => {
+  res.json(apiDocument);
+});
+
+app.get('/docs', api.validate('getApiDocs'), (req, res) => {
+  res.type('html').send(docsPage);
+});
+
+// Anything else, and bodies express.json could not read, in the same error envelope
+app.use((req, res) => {
+  sendError(res, 'NOT_FOUND', `Endpoint not found: ${req.method} ${req.path}`);
+});
+
+// Four arguments make this Express's error handler
+app.use((error, req, res, next) => {
+  if (error.type === 'entity.parse.failed') {
+    return sendError(res, 'INVALID_JSON', `Body is not valid JSON: ${error.message}`);
+  }
+  if (error.type === 'entity.too.large') {
+    return sendError(res, 'PAYLOAD_TOO_LARGE', `Body too large (max ${error.limit} bytes)`);
+  }
+  logger.error('Unexpected error', { method: req.method, path: req.path, error: error.message, stack: error.stack });
+  sendError(res, 'INTERNAL_ERROR', error.message);
+});
+
 // Start server
+const unfinishedJobs = jobQueue.counts();
+if (unfinishedJobs.queued + unfinishedJobs.submitted > 0) {
+  logger.info('Resuming unfinished jobs', { queued: unfinishedJobs.queued, submitted: unfinishedJobs.submitted });
+}
+jobQueue.start();
+
+anchorDueWindows();
+setInterval(anchorDueWindows, 1000).unref();
+if (settings.anchorMode) {
+  logger.info('Anchoring mode: batches are kept off-chain and anchored per window', { windowSeconds: settings.anchorWindowSeconds, dir: settings.anchorStore });
+}
+
+nonceManager.init()
+  .then(() => {
+    nonceManager.start();
+    logger.info('Nonce manager ready', { address: wallet.address, nextNonce: nonceManager.getState().nextNonce });
+  })
+  .catch(error => logger.error('Failed to start nonce manager', { error }));
+
+relayerPool.start()
+  .then(() => {
+    const { strategy, wallets } = relayerPool.getStats();
+    logger.info('Relayer pool ready', { strategy, wallets: wallets.map(relayer => `${relayer.address}:${relayer.balance}`) });
+  })
+  .catch(error => logger.error('Failed to start relayer pool', { error }));
+
+eventStream.start();
+flightIndexer.start()
+  .then(() => logger.info('Flight indexer synced', { lastBlock: flightIndexer.getStatus().lastBlock }))
+  .catch(error => logger.error('Failed to start flight indexer', { error }));
+
+// Signed reports are only stored if the receiver key is registered and active
+contract.isActiveReceiver(receiverWallet.address)
+  .then(active => {
+    if (!active) {
+      logger.warn('Receiver is not active in the registry, so its reports will be rejected; register it with POST /receivers', { address: receiverWallet.address });
+    }
+  })
+  .catch(error => logger.error('Failed to check receiver registration', { error }));
+
 app.listen(PORT, () => {
-  console.log(`🚀 Server Relay Transaksi berjalan di http://localhost:${PORT}`);
-  console.log(`📊 Health check: http://localhost:${PORT}/health`);
-  console.log(`✈️ Siap menangani transaksi data penerbangan tanpa konfirmasi user!`);
+  logger.info('Transaction relay listening', { url: settings.relayUrl, port: PORT, health: `${settings.relayUrl}/health`, docs: `${settings.relayUrl}/docs` });
 });
 
 module.exports = app; 
\ No newline at end of file
@@ -89,7 +89,8 @@ async function startCompleteSystem() {
 
     // Step 3: Start relay server
     console.log("\n3. 🔧 Starting transaction relay server...");
-    const relayProcess = spawn('npm', ['start'], {
+    // A local demo without API keys, so the web interface can write unsigned
+    const relayProcess = spawn('npm', ['start', '--', '--insecure-dev'], {
       cwd: './server',
       stdio: 'pipe',
       shell: true
@@ -1,6 +1,25 @@
 const fetch = require('node-fetch');
 
-const RELAY_SERVER_URL = 'http://localhost:3001';
+const { loadConfig } = require('./server/Config');
+const { signRequest } = require('./server/ApiKeys');
+
+const RELAY_SERVER_URL = loadConfig({ argv: process.argv.slice(2) }).relayUrl;
+
+// POST `body` as JSON, signed when RELAY_API_KEY and RELAY_API_SECRET are set
+function postJson(path, body) {
+  const payload = JSON.stringify(body);
+  const headers = { 'Content-Type': 'application/json' };
+  if (process.env.RELAY_API_KEY && process.env.RELAY_API_SECRET) {
+    Object.assign(headers, signRequest({
+      keyId: process.env.RELAY_API_KEY,
+      secret: process.env.RELAY_API_SECRET,
+      method: 'POST',
+      path,
+      body: payload
+    }));
+  }
+  return fetch(`${RELAY_SERVER_URL}${path}`, { method: 'POST', headers, body: payload });
+}
 
 async function testRelaySystem() {
   console.log("🧪 Testing Relay System");
@@ -47,13 +66,7 @@ async function testRelaySystem() {
       isSpoofed: false
     };
 
-    const addFlightResponse = await fetch(`${RELAY_SERVER_URL}/add-flight`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(testFlight)
-    });
+    const addFlightResponse = await postJson('/add-flight?wait=true', testFlight);
 
     const addFlightData = await addFlightResponse.json();
     
@@ -90,13 +103,7 @@ async function testRelaySystem() {
       }
     ];
 
-    const addBatchResponse = await fetch(`${RELAY_SERVER_URL}/add-flights-batch`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({ flights: testBatch })
-    });
+    const addBatchResponse = await postJson('/add-flights-batch?wait=true', { flights: testBatch });
 
     const addBatchData = await addBatchResponse.json();
     
@@ -113,15 +120,9 @@ async function testRelaySystem() {
 
     // 6. Test attack simulation
     console.log("\n6. Testing attack simulation...");
-    const attackResponse = await fetch(`${RELAY_SERVER_URL}/simulate-attack`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        attackType: 'replay',
-        targetFlight: testFlight
-      })
+    const attackResponse = await postJson('/simulate-attack', {
+      attackType: 'replay',
+      targetFlight: testFlight
     });
 
     const attackData = await attackResponse.json();
@@ -0,0 +1,136 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ApiKeyStore, createAuthenticator, signRequest } = require("../server/ApiKeys");
+
+describe("ADS-B Relay API Key Tests", function () {
+  let dir;
+  let store;
+
+  // Just enough of an Express request and response for the middleware
+  function request(method, url, body, headers = {}) {
+    const lower = {};
+    Object.keys(headers).forEach(name => { lower[name.toLowerCase()] = headers[name]; });
+    return { method, originalUrl: url, rawBody: body ? Buffer.from(body) : undefined, get: name => lower[name.toLowerCase()] };
+  }
+
+  function signed(key, method, url, body, overrides = {}) {
+    return request(method, url, body, signRequest(Object.assign({ keyId: key.id, secret: key.secret, method, path: url, body }, overrides)));
+  }
+
+  // Resolves with { passed, status, body, req }
+  function run(middleware, req) {
+    return new Promise(resolve => {
+      const res = {
+        statusCode: 200,
+        status(code) { this.statusCode = code; return this; },
+        json(body) { resolve({ passed: false, status: this.statusCode, body, req }); }
+      };
+      middleware(req, res, () => resolve({ passed: true, req }));
+    });
+  }
+
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "relay-keys-"));
+    store = new ApiKeyStore({ file: path.join(dir, "api-keys.json") });
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("Should refuse unsigned writes unless insecure development mode allows them", async function () {
+    const body = JSON.stringify({ icao24: "4ca123" });
+    const refused = await run(createAuthenticator({ store }).requirePermission("submit"), request("POST", "/add-flight", body));
+    expect(refused.status).to.equal(401);
+    expect(refused.body.error).to.match(/^Authentication required/);
+
+    // --insecure-dev: open until the first key exists
+    const insecure = createAuthenticator({ store, allowUnsigned: true });
+    expect((await run(insecure.requirePermission("submit"), request("POST", "/add-flight", body))).passed).to.equal(true);
+    expect(insecure.isEnforced()).to.equal(false);
+
+    store.create("ground-station-1", ["submit"]);
+    const unsigned = await run(insecure.requirePermission("submit"), request("POST", "/add-flight", body));
+    expect(unsigned.status).to.equal(401);
+    expect(unsigned.body.code).to.equal("UNAUTHORIZED");
+    expect(insecure.isEnforced()).to.equal(true);
+  });
+
+  it("Should accept a correctly signed request and name its client", async function () {
+    const key = store.create("ground-station-1", ["submit"]);
+    const body = JSON.stringify({ icao24: "4ca123", altitude: 10000 });
+
+    const result = await run(createAuthenticator({ store }).requirePermission("submit"), signed(key, "POST", "/add-flight?wait=true", body));
+
+    expect(result.passed).to.equal(true);
+    expect(result.req.apiClient).to.deep.equal({ id: key.id, name: "ground-station-1" });
+  });
+
+  it("Should reject tampered bodies, wrong secrets and stale timestamps", async function () {
+    const key = store.create("ground-station-1", ["submit"]);
+    const auth = createAuthenticator({ store, maxSkewMs: 60000 });
+    const body = JSON.stringify({ icao24: "4ca123", altitude: 10000 });
+
+    const tampered = signed(key, "POST", "/add-flight", body);
+    tampered.rawBody = Buffer.from(JSON.stringify({ icao24: "4ca123", altitude: 90000 }));
+    expect((await run(auth.requirePermission("submit"), tampered)).body.error).to.equal("Invalid request signature");
+
+    const otherPath = signed(key, "POST", "/add-flight", body);
+    otherPath.originalUrl = "/simulate-attack";
+    expect((await run(auth.requirePermission("submit"), otherPath)).status).to.equal(401);
+
+    const wrongSecret = signed(key, "POST", "/add-flight", body, { secret: "00".repeat(32) });
+    expect((await run(auth.requirePermission("submit"), wrongSecret)).body.error).to.equal("Invalid request signature");
+
+    const stale = signed(key, "POST", "/add-flight", body, { timestamp: Date.now() - 120000 });
+    expect((await run(auth.requirePermission("submit"), stale)).body.error).to.match(/outside the 60 second window/);
+  });
+
+  it("Should refuse to replay a request", async function () {
+    const key = store.create("ground-station-1", ["submit"]);
+    const auth = createAuthenticator({ store });
+    const req = signed(key, "POST", "/add-flight", JSON.stringify({ icao24: "4ca123" }));
+
+    expect((await run(auth.requirePermission("submit"), req)).passed).to.equal(true);
+    const replayed = await run(auth.requirePermission("submit"), req);
+    expect(replayed.status).to.equal(401);
+    expect(replayed.body.error).to.equal("Request already received (replay)");
+  });
+
+  it("Should enforce per-key permissions, with admin allowed everything", async function () {
+    const submitter = store.create("ground-station-1", ["submit"]);
+    const admin = store.create("operations", ["admin"]);
+    const auth = createAuthenticator({ store });
+    const body = JSON.stringify({ attackType: "replay" });
+
+    const denied = await run(auth.requirePermission("attack"), signed(submitter, "POST", "/simulate-attack", body));
+    expect(denied.status).to.equal(403);
+    expect(denied.body.code).to.equal("FORBIDDEN");
+    expect(denied.body.error).to.equal("API key ground-station-1 lacks the attack permission");
+
+    expect((await run(auth.requirePermission("attack"), signed(admin, "POST", "/simulate-attack", body))).passed).to.equal(true);
+    expect((await run(auth.requirePermission("submit"), signed(admin, "POST", "/add-flight", body))).passed).to.equal(true);
+    expect(() => store.create("bad", ["deploy"])).to.throw("Permissions must be some of submit, attack, admin, got deploy");
+  });
+
+  it("Should stop accepting revoked keys and old secrets after rotation", async function () {
+    const key = store.create("ground-station-1", ["submit"]);
+    const other = store.create("ground-station-2", ["submit"]);
+    const auth = createAuthenticator({ store });
+    const body = JSON.stringify({ icao24: "4ca123" });
+
+    // Another process (the key CLI) changes the store file
+    const cli = new ApiKeyStore({ file: store.file });
+    const rotated = cli.rotate(key.id);
+    cli.revoke(other.id);
+
+    expect((await run(auth.requirePermission("submit"), signed(key, "POST", "/add-flight", body))).status).to.equal(401);
+    expect((await run(auth.requirePermission("submit"), signed(rotated, "POST", "/add-flight", body))).passed).to.equal(true);
+    expect((await run(auth.requirePermission("submit"), signed(other, "POST", "/add-flight", body))).body.error)
+      .to.equal("Unknown or revoked API key");
+    expect(store.list().map(listed => listed.revokedAt !== null)).to.deep.equal([false, true]);
+    expect(store.list()[0]).to.not.have.property("secret");
+  });
+});
@@ -0,0 +1,50 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { UNKNOWN_KINEMATICS } = require("../web-interface/src/shared/Kinematics");
+
+describe("ADS-B Batch Event Tests", function () {
+  let adsbData;
+
+  beforeEach(async function () {
+    const AdsbData = await ethers.getContractFactory("AdsbData");
+    adsbData = await AdsbData.deploy();
+    await adsbData.deployed();
+  });
+
+  it("Should emit FlightUpdated for every aircraft in a batch", async function () {
+    const observedAt = await time.latest();
+    const cruising = { velocity: 23050, heading: 9000, verticalRate: 0, known: true };
+    const tx = await adsbData.updateFlightBatch(
+      ["3c6444", "400a0b"],
+      ["DLH4AB", "BAW12"],
+      [50030000, 51470000],
+      [8570000, -450000],
+      [11000, 9000],
+      [false, true],
+      [false, false],
+      [observedAt, observedAt],
+      [cruising, UNKNOWN_KINEMATICS]
+    );
+    const receipt = await tx.wait();
+    const block = await ethers.provider.getBlock(receipt.blockNumber);
+
+    await expect(tx)
+      .to.emit(adsbData, "FlightUpdated")
+      .withArgs("3c6444", "DLH4AB", 50030000, 8570000, 11000, false, observedAt, false, [23050, 9000, 0, true]);
+    await expect(tx)
+      .to.emit(adsbData, "FlightUpdated")
+      .withArgs("400a0b", "BAW12", 51470000, -450000, 9000, true, observedAt, false, [0, 0, 0, false]);
+    await expect(tx)
+      .to.emit(adsbData, "FlightBatchUpdated")
+      .withArgs(2, block.timestamp);
+
+    // Per-aircraft events come first, the batch summary last
+    const names = receipt.events.map(event => event.event);
+    expect(names).to.deep.equal([
+      "FlightUpdated", "ObservationRecorded",
+      "FlightUpdated", "ObservationRecorded",
+      "FlightBatchUpdated"
+    ]);
+  });
+});
@@ -0,0 +1,118 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { loadConfig, readContractConfig, redactConfig, HARDHAT_DEFAULT_KEY } = require("../server/Config");
+
+describe("ADS-B Relay Configuration Tests", function () {
+  let dir;
+
+  function writeFile(name, content) {
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, typeof content === "string" ? content : JSON.stringify(content));
+    return file;
+  }
+
+  // An explicit empty config file, so a local adsb.config.* never leaks into the tests
+  function load(argv = [], env = {}) {
+    return loadConfig({ argv: ["--config", writeFile("empty.json", "{}"), ...argv], env });
+  }
+
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "adsb-config-"));
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("Should fall back to the local development defaults", function () {
+    const settings = load();
+
+    expect(settings.rpcUrl).to.equal("http://127.0.0.1:8545");
+    expect(settings.port).to.equal(3001);
+    expect(settings.relayUrl).to.equal("http://localhost:3001");
+    expect(settings.privateKey).to.equal(HARDHAT_DEFAULT_KEY);
+    expect(settings.contractConfig).to.equal(path.join(__dirname, "..", "web-interface", "src", "config.json"));
+    expect(settings.relayerStrategy).to.equal("least-pending");
+    expect(settings.attackDemoMode).to.equal(false);
+    expect(settings.sources.port).to.equal("default");
+  });
+
+  it("Should let CLI flags override the environment, which overrides the file", function () {
+    const file = writeFile("relay.yaml", "rpcUrl: http://10.0.0.5:8545\nport: 4001\nrelayerCount: 3\nattackDemoMode: true\n");
+    const settings = loadConfig({
+      argv: ["--config", file, "--port=5001", "--relayer-strategy", "round-robin"],
+      env: { RELAY_PORT: "4501", RELAYER_COUNT: "2", ATTACK_DEMO_MODE: "false" }
+    });
+
+    expect(settings.rpcUrl).to.equal("http://10.0.0.5:8545");
+    expect(settings.port).to.equal(5001);
+    expect(settings.relayUrl).to.equal("http://localhost:5001");
+    expect(settings.relayerCount).to.equal(2);
+    expect(settings.relayerStrategy).to.equal("round-robin");
+    expect(settings.attackDemoMode).to.equal(false);
+    expect(settings.sources).to.include({ file, rpcUrl: "relay.yaml", port: "--port", relayerCount: "RELAYER_COUNT" });
+  });
+
+  it("Should report every invalid setting at once", function () {
+    const file = writeFile("relay.json", { port: 70000, unknownSetting: 1 });
+    let message;
+    try {
+      loadConfig({
+        argv: ["--config", file, "--rpc-url", "localhost:8545", "--verbose"],
+        env: { RELAY_PRIVATE_KEY: "0x1234", ATTACK_DEMO_BLOCK_RATE: "2" }
+      });
+    } catch (error) {
+      message = error.message;
+    }
+
+    expect(message).to.match(/^Invalid configuration:/);
+    expect(message).to.include("unknown flag --verbose");
+    expect(message).to.include('relay.json: unknown setting "unknownSetting"');
+    expect(message).to.include("port (from relay.json) must be a port number (1-65535)");
+    expect(message).to.include("rpcUrl (from --rpc-url) must be an http(s) or ws(s) URL");
+    expect(message).to.include("privateKey (from RELAY_PRIVATE_KEY) must be a 32-byte hex private key");
+    expect(message).to.include("attackDemoBlockRate (from ATTACK_DEMO_BLOCK_RATE) must be between 0 and 1");
+  });
+
+  it("Should only validate the requested settings", function () {
+    const file = writeFile("relay.json", { rpcUrl: "http://10.0.0.5:8545", port: 70000 });
+    const settings = loadConfig({ argv: ["--config", file], env: { RELAY_PRIVATE_KEY: "0x1234" }, keys: ["rpcUrl"] });
+
+    expect(settings).to.deep.equal({ rpcUrl: "http://10.0.0.5:8545" });
+    expect(() => loadConfig({ argv: ["--config", file], env: {}, keys: ["rpcUrl", "port"] }))
+      .to.throw(/port \(from relay.json\) must be a port number/);
+  });
+
+  it("Should fail clearly when a named config file is missing", function () {
+    expect(() => loadConfig({ argv: [], env: { ADSB_CONFIG: path.join(dir, "missing.yaml") } }))
+      .to.throw(/missing\.yaml: file not found/);
+  });
+
+  it("Should read the contract address from the deployment file", function () {
+    const deployment = writeFile("deployment.json", { contractAddress: "0x5fbdb2315678afecb367f032d93f642f64180aa3", networkId: "1337" });
+    const settings = load(["--contract-config", deployment]);
+
+    expect(readContractConfig(settings)).to.deep.equal({
+      contractAddress: "0x5FbDB2315678afecb367f032d93F642f64180aa3",
+      networkId: "1337"
+    });
+
+    const missing = load(["--contract-config", path.join(dir, "none.json")]);
+    expect(() => readContractConfig(missing)).to.throw(/Deploy the contract first/);
+
+    const overridden = load(["--contract-config", path.join(dir, "none.json")], { ADSB_CONTRACT_ADDRESS: "0xe7f1725e7734ce288f8367e1bb143e90bb3f0512" });
+    expect(readContractConfig(overridden).contractAddress).to.equal("0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512");
+  });
+
+  it("Should mask secrets when settings are shown", function () {
+    const settings = load([], { RELAYER_MNEMONIC: "test test test test test test test test test test test junk" });
+    const shown = redactConfig(settings);
+
+    expect(shown.privateKey).to.equal("***");
+    expect(shown.relayerMnemonic).to.equal("***");
+    expect(shown.receiverPrivateKey).to.equal(null);
+    expect(shown.port).to.equal(3001);
+  });
+});
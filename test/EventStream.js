@@ -0,0 +1,154 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const FlightIndexer = require("../web-interface/src/shared/FlightIndexer");
+const { UNKNOWN_KINEMATICS } = require("../web-interface/src/shared/Kinematics");
+const EventStream = require("../server/EventStream");
+
+describe("ADS-B Relay Event Stream Tests", function () {
+  let adsbData;
+  let indexer;
+  let stream;
+
+  // Just enough of an Express request and response for an SSE connection
+  function connect({ lastEventId, fromBlock } = {}) {
+    const closeHandlers = [];
+    const req = {
+      ip: "127.0.0.1",
+      query: fromBlock !== undefined ? { fromBlock: String(fromBlock) } : {},
+      get: name => (name.toLowerCase() === "last-event-id" && lastEventId !== undefined ? String(lastEventId) : undefined),
+      on: (event, handler) => { if (event === "close") closeHandlers.push(handler); }
+    };
+    const res = {
+      chunks: [],
+      writeHead(status, headers) { this.statusCode = status; this.headers = headers; },
+      write(chunk) { this.chunks.push(chunk); },
+      end() { this.ended = true; },
+      status(code) { this.statusCode = code; return this; },
+      json(body) { this.body = body; }
+    };
+    stream.handler()(req, res);
+    return { res, close: () => closeHandlers.forEach(handler => handler()) };
+  }
+
+  // Parsed SSE messages, without comments and the retry hint
+  function messages(res) {
+    return res.chunks.join("").split("\n\n").filter(Boolean).map(block => {
+      const message = {};
+      block.split("\n").forEach(line => {
+        const [, field, value] = /^([a-z]+): (.*)$/.exec(line) || [];
+        if (field === "data") message.data = JSON.parse(value);
+        else if (field) message[field] = value;
+      });
+      return message;
+    }).filter(message => message.event);
+  }
+
+  async function updateFlight(icao24, callsign, latitude) {
+    await adsbData.updateFlight(icao24, callsign, latitude, -6270000, 10000, false, false, await time.latest(), UNKNOWN_KINEMATICS);
+    await indexer.sync();
+    return ethers.provider.getBlockNumber();
+  }
+
+  beforeEach(async function () {
+    const AdsbData = await ethers.getContractFactory("AdsbData");
+    adsbData = await AdsbData.deploy();
+    await adsbData.deployed();
+
+    indexer = new FlightIndexer({
+      provider: ethers.provider,
+      contractAddress: adsbData.address,
+      contractInterface: adsbData.interface
+    });
+    await indexer.sync();
+    stream = new EventStream({ indexer });
+    stream.start();
+  });
+
+  afterEach(function () {
+    stream.stop();
+  });
+
+  it("Should push flights followed by their block, numbered by block", async function () {
+    const { res } = connect();
+    const blockNumber = await updateFlight("4ca123", "EIN123", 53420000);
+
+    expect(res.headers["Content-Type"]).to.equal("text/event-stream");
+    const received = messages(res);
+    // A direct update is also recorded as a confirmed consensus observation
+    expect(received.map(message => message.event)).to.deep.equal(["ready", "flight", "consensus", "block"]);
+    expect(received[0].data).to.deep.equal({ lastBlock: blockNumber - 1, replayed: 0 });
+    expect(received[1].data).to.include({ icao24: "4ca123", callsign: "EIN123", latitude: 53.42, blockNumber });
+    expect(received[1]).to.not.have.property("id");
+    expect(received[2].data).to.include({ icao24: "4ca123", status: "confirmed" });
+    expect(received[3].id).to.equal(String(blockNumber));
+    expect(received[3].data.blockNumber).to.equal(blockNumber);
+  });
+
+  it("Should replay what a reconnecting client missed, from Last-Event-ID or fromBlock", async function () {
+    const first = await updateFlight("4ca123", "EIN123", 53420000);
+    await time.increase(60);
+    const second = await updateFlight("3c6444", "DLH4AB", 50030000);
+
+    const resumed = messages(connect({ lastEventId: first }).res);
+    expect(resumed.map(message => [message.event, message.data.icao24 || null])).to.deep.equal([
+      ["flight", "3c6444"],
+      ["consensus", "3c6444"],
+      ["ready", null]
+    ]);
+    expect(resumed[2]).to.include({ id: String(second) });
+    expect(resumed[2].data).to.deep.equal({ lastBlock: second, replayed: 2 });
+
+    const fromStart = messages(connect({ fromBlock: 0 }).res);
+    expect(fromStart.filter(message => message.event === "flight").map(message => message.data.icao24)).to.deep.equal(["4ca123", "3c6444"]);
+  });
+
+  it("Should replay rejections in log order", async function () {
+    const fromBlock = await updateFlight("4ca123", "EIN123", 53420000) + 1;
+    await time.increase(60);
+    const observedAt = await time.latest();
+    await adsbData.updateFlightBatchPartial(
+      ["3c6444", "400a0b"],
+      ["DLH4AB", "BAW12"],
+      [50030000, 95000000],
+      [8570000, -450000],
+      [11000, 9000],
+      [false, false],
+      [false, false],
+      [observedAt, observedAt],
+      [UNKNOWN_KINEMATICS, UNKNOWN_KINEMATICS]
+    );
+    await indexer.sync();
+
+    const replayed = messages(connect({ fromBlock }).res);
+    expect(replayed.map(message => [message.event, message.data.icao24 || null])).to.deep.equal([
+      ["flight", "3c6444"],
+      ["consensus", "3c6444"],
+      ["rejection", "400a0b"],
+      ["ready", null]
+    ]);
+    expect(replayed[2].data.reason).to.equal("Invalid latitude");
+  });
+
+  it("Should publish job updates and forget closed connections", async function () {
+    const first = connect();
+    const second = connect();
+    first.close();
+
+    stream.publish("job", { id: "job-1", type: "add-flight", state: "mined" });
+
+    expect(messages(first.res).map(message => message.event)).to.deep.equal(["ready"]);
+    expect(messages(second.res)[1]).to.deep.equal({ event: "job", data: { id: "job-1", type: "add-flight", state: "mined" } });
+    expect(stream.getStats().clients).to.have.length(1);
+  });
+
+  it("Should refuse connections beyond the limit", function () {
+    stream.stop();
+    stream = new EventStream({ indexer, maxClients: 1 });
+    connect();
+    const { res } = connect();
+    expect(res.statusCode).to.equal(503);
+    expect(res.body.code).to.equal("TOO_MANY_STREAMS");
+    expect(res.body.error).to.equal("Too many stream connections (max 1)");
+  });
+});
@@ -0,0 +1,176 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { getReportDomain, createReport, signReport } = require("../web-interface/src/shared/ReportSigner");
+const { UNKNOWN_KINEMATICS } = require("../web-interface/src/shared/Kinematics");
+const {
+  checkPackable,
+  packReport,
+  unpackReport,
+  packReports,
+  packsExactly
+} = require("../web-interface/src/shared/FlightEncoding");
+
+describe("ADS-B Flight Encoding Tests", function () {
+  let adsbData;
+  let receiver;
+  let domain;
+  let observedAt;
+
+  beforeEach(async function () {
+    const AdsbData = await ethers.getContractFactory("AdsbData");
+    [receiver] = await ethers.getSigners();
+    adsbData = await AdsbData.deploy();
+    await adsbData.deployed();
+    domain = await getReportDomain(adsbData);
+    observedAt = await time.latest();
+  });
+
+  function flightReport(fields) {
+    return createReport(Object.assign({
+      icao24: "4ca123",
+      callsign: "EIN123",
+      latitude: 53420000,
+      longitude: -6270000,
+      altitude: 10000,
+      observedAt
+    }, fields));
+  }
+
+  // getLatestFlights as reports, to compare with what was packed
+  async function latestReports(count) {
+    const [icao24s, callsigns, latitudes, longitudes, altitudes, onGrounds, timestamps, isSpoofedFlags, kinematics] =
+      await adsbData.getLatestFlights(count);
+    return icao24s.map((icao24, i) => ({
+      icao24,
+      callsign: callsigns[i],
+      latitude: latitudes[i].toNumber(),
+      longitude: longitudes[i].toNumber(),
+      altitude: altitudes[i].toNumber(),
+      onGround: onGrounds[i],
+      isSpoofed: isSpoofedFlags[i],
+      observedAt: timestamps[i].toNumber(),
+      kinematics: {
+        velocity: kinematics[i].velocity.toNumber(),
+        heading: kinematics[i].heading.toNumber(),
+        verticalRate: kinematics[i].verticalRate.toNumber(),
+        known: kinematics[i].known
+      }
+    }));
+  }
+
+  it("Should pack reports into two words and back", function () {
+    const report = flightReport({
+      icao24: "4CA123",
+      callsign: "RYR12AB",
+      latitude: -33946111,
+      longitude: 151177222,
+      altitude: -120,
+      onGround: true,
+      kinematics: { velocity: 23050, heading: 35999, verticalRate: -1250, known: true }
+    });
+    const words = packReport(report);
+
+    expect(words.position).to.match(/^0x4ca123/);
+    expect(ethers.utils.hexDataLength(words.position)).to.equal(32);
+    expect(unpackReport(words.position, words.kinematics)).to.deep.equal(report);
+    expect(report.icao24).to.equal("4ca123");
+    expect(packsExactly(report)).to.equal(true);
+
+    // Unknown kinematics are stored as zeros
+    const unknown = flightReport({ kinematics: { velocity: 100, heading: 0, verticalRate: 0, known: false } });
+    const unpacked = unpackReport(packReport(unknown).position, packReport(unknown).kinematics);
+    expect(unpacked.kinematics).to.deep.equal(UNKNOWN_KINEMATICS);
+    expect(packsExactly(unknown)).to.equal(false);
+  });
+
+  it("Should store packed batches as the contract reads them back", async function () {
+    const reports = [
+      flightReport({ kinematics: { velocity: 23050, heading: 9000, verticalRate: -250, known: true } }),
+      flightReport({ icao24: "3c6444", callsign: "DLH4AB", latitude: -50030000, longitude: 8570000, altitude: 11000, onGround: true }),
+      flightReport({ icao24: "400a0b", callsign: "", latitude: 51470000, longitude: -180000000, altitude: -30, isSpoofed: true })
+    ];
+    const { positions, kinematics } = packReports(reports);
+    const receipt = await (await adsbData.updateFlightBatchPacked(positions, kinematics)).wait();
+
+    expect(receipt.events.filter(event => event.event === "FlightUpdated").map(event => event.args.icao24))
+      .to.deep.equal(["4ca123", "3c6444", "400a0b"]);
+    expect(await latestReports(3)).to.deep.equal(reports);
+  });
+
+  it("Should reject what has no packed form, with the contract's reasons", async function () {
+    const reports = [
+      flightReport({ icao24: "XYZ789" }),
+      flightReport({ icao24: "000000" }),
+      flightReport({ callsign: "TOOLONG12" }),
+      flightReport({ altitude: 2 ** 31 }),
+      flightReport({ kinematics: { velocity: 2 ** 32, heading: 0, verticalRate: 0, known: true } }),
+      flightReport({ latitude: 95000000 })
+    ];
+    const reasons = reports.map(report => checkPackable(report).reason);
+    expect(reasons).to.deep.equal([
+      "Invalid ICAO24: expected 6 hex digits",
+      "Invalid ICAO24: expected 6 hex digits",
+      "Invalid callsign: longer than 8 characters",
+      "Invalid altitude",
+      "Kinematics: invalid values",
+      "Invalid latitude"
+    ]);
+    expect(() => packReport(reports[0])).to.throw("Invalid ICAO24: expected 6 hex digits");
+
+    // The legacy ABI can still carry them; the contract rejects each for the same reason
+    const receipt = await (await adsbData.updateFlightBatchPartial(
+      reports.map(report => report.icao24),
+      reports.map(report => report.callsign),
+      reports.map(report => report.latitude),
+      reports.map(report => report.longitude),
+      reports.map(report => report.altitude),
+      reports.map(report => report.onGround),
+      reports.map(report => report.isSpoofed),
+      reports.map(report => report.observedAt),
+      reports.map(report => report.kinematics)
+    )).wait();
+    expect(receipt.events.filter(event => event.event === "FlightRejected").map(event => event.args.reason))
+      .to.deep.equal(reasons);
+    await expect(adsbData.updateFlight("4ca123", "TOOLONG12", 53420000, -6270000, 10000, false, false, observedAt, UNKNOWN_KINEMATICS))
+      .to.be.revertedWith("Invalid callsign: longer than 8 characters");
+  });
+
+  it("Should verify packed signed reports as unpacked", async function () {
+    const canonical = flightReport({ icao24: "4CA123" });
+    // Signed elsewhere with the ICAO24 as received
+    const uppercase = Object.assign(flightReport({ icao24: "3c6444", callsign: "DLH4AB" }), { icao24: "3C6444" });
+    const signatures = [
+      await signReport(receiver, domain, canonical),
+      await signReport(receiver, domain, uppercase)
+    ];
+    expect(packsExactly(canonical)).to.equal(true);
+    expect(packsExactly(uppercase)).to.equal(false);
+
+    const { positions, kinematics } = packReports([canonical, uppercase]);
+    const packed = await (await adsbData.submitSignedReportBatchPacked(positions, kinematics, signatures)).wait();
+    expect(packed.events.filter(event => event.event === "ReportVerified").map(event => event.args.receiver))
+      .to.deep.equal([receiver.address]);
+    expect(packed.events.find(event => event.event === "FlightRejected").args.icao24).to.equal("3c6444");
+
+    // The legacy ABI hashes the report as signed, and stores it lowercase
+    const legacy = await (await adsbData.submitSignedReportBatch([uppercase], [signatures[1]])).wait();
+    expect(legacy.events.find(event => event.event === "FlightUpdated").args.icao24).to.equal("3c6444");
+  });
+
+  it("Should fit a batch of 50 new aircraft in a block", async function () {
+    const reports = Array.from({ length: 50 }, (_, i) => flightReport({
+      icao24: (0x400000 + i).toString(16),
+      callsign: `BNCH${i}`,
+      latitude: 50000000 + i * 10000
+    }));
+    const signatures = await Promise.all(reports.map(report => signReport(receiver, domain, report)));
+    const { positions, kinematics } = packReports(reports);
+    const receipt = await (await adsbData.submitSignedReportBatchPacked(positions, kinematics, signatures)).wait();
+    const block = await ethers.provider.getBlock(receipt.blockNumber);
+
+    expect(receipt.events.find(event => event.event === "FlightBatchUpdated").args.count).to.equal(50);
+    expect(receipt.gasUsed.lt(block.gasLimit)).to.equal(true);
+    expect(await adsbData.getFlightCount()).to.equal(50);
+  });
+});
@@ -0,0 +1,96 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { UNKNOWN_KINEMATICS } = require("../web-interface/src/shared/Kinematics");
+
+describe("ADS-B Flight History Tests", function () {
+  let adsbData;
+
+  beforeEach(async function () {
+    const AdsbData = await ethers.getContractFactory("AdsbData");
+    adsbData = await AdsbData.deploy();
+    await adsbData.deployed();
+  });
+
+  it("Should keep every accepted position instead of only the latest", async function () {
+    const latitudes = [52000000, 52010000, 52020000];
+
+    for (const latitude of latitudes) {
+      await adsbData.updateFlight("4ca123", "EIN123", latitude, 4000000, 10000, false, false, await time.latest(), UNKNOWN_KINEMATICS);
+      await time.increase(60);
+    }
+
+    expect(await adsbData.getFlightCount()).to.equal(1);
+    expect(await adsbData.getFlightHistoryCount("4ca123")).to.equal(3);
+
+    const [icao24s, callsigns, historyLatitudes, , , , timestamps] =
+      await adsbData.getFlightHistory("4ca123", 0, 10);
+
+    expect(icao24s).to.deep.equal(["4ca123", "4ca123", "4ca123"]);
+    expect(callsigns[0]).to.equal("EIN123");
+    expect(historyLatitudes.map(l => l.toNumber())).to.deep.equal(latitudes);
+    expect(timestamps[1]).to.be.gt(timestamps[0]);
+    expect(timestamps[2]).to.be.gt(timestamps[1]);
+  });
+
+  it("Should append batched updates to each aircraft's history", async function () {
+    const observedAt = await time.latest();
+    await adsbData.updateFlightBatch(
+      ["aaa111", "bbb222"],
+      ["FL111", "FL222"],
+      [40000000, 41000000],
+      [-74000000, -73000000],
+      [10000, 12000],
+      [false, false],
+      [false, false],
+      [observedAt, observedAt],
+      [UNKNOWN_KINEMATICS, UNKNOWN_KINEMATICS]
+    );
+    await time.increase(60);
+    await adsbData.updateFlightBatch(
+      ["aaa111"],
+      ["FL111"],
+      [40010000],
+      [-74010000],
+      [10100],
+      [false],
+      [false],
+      [await time.latest()],
+      [UNKNOWN_KINEMATICS]
+    );
+
+    expect(await adsbData.getFlightHistoryCount("aaa111")).to.equal(2);
+    expect(await adsbData.getFlightHistoryCount("bbb222")).to.equal(1);
+  });
+
+  it("Should not record rejected updates in the history", async function () {
+    await adsbData.updateFlight("abc789", "FL789", 37420000, -122180000, 10000, false, false, await time.latest(), UNKNOWN_KINEMATICS);
+
+    await expect(
+      adsbData.updateFlight("abc789", "FL789", 51500000, -120000, 10000, false, true, await time.latest(), UNKNOWN_KINEMATICS)
+    ).to.be.revertedWith("Spoofing: impossible position jump");
+
+    expect(await adsbData.getFlightHistoryCount("abc789")).to.equal(1);
+  });
+
+  it("Should paginate history with offset and limit", async function () {
+    for (let i = 0; i < 5; i++) {
+      await adsbData.updateFlight("4ca101", "PAGE1", 10000000 + i * 1000, 20000000, 5000, false, false, await time.latest(), UNKNOWN_KINEMATICS);
+      await time.increase(60);
+    }
+
+    const [firstPage, , firstLatitudes] = await adsbData.getFlightHistory("4ca101", 0, 2);
+    expect(firstPage.length).to.equal(2);
+    expect(firstLatitudes[0]).to.equal(10000000);
+
+    const [lastPage, , lastLatitudes] = await adsbData.getFlightHistory("4ca101", 4, 2);
+    expect(lastPage.length).to.equal(1);
+    expect(lastLatitudes[0]).to.equal(10004000);
+
+    const [pastEnd] = await adsbData.getFlightHistory("4ca101", 10, 2);
+    expect(pastEnd.length).to.equal(0);
+
+    const [unknown] = await adsbData.getFlightHistory("NOPE00", 0, 10);
+    expect(unknown.length).to.equal(0);
+  });
+});
@@ -0,0 +1,147 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const FlightIndexer = require("../web-interface/src/shared/FlightIndexer");
+const { UNKNOWN_KINEMATICS } = require("../web-interface/src/shared/Kinematics");
+
+describe("ADS-B Flight Indexer Tests", function () {
+  let adsbData;
+  let indexer;
+
+  beforeEach(async function () {
+    const AdsbData = await ethers.getContractFactory("AdsbData");
+    adsbData = await AdsbData.deploy();
+    await adsbData.deployed();
+
+    indexer = new FlightIndexer({
+      provider: ethers.provider,
+      contractAddress: adsbData.address,
+      contractInterface: adsbData.interface
+    });
+  });
+
+  it("Should index single and batched updates from contract logs", async function () {
+    const observedAt = await time.latest();
+    await adsbData.updateFlight("4ca123", "EIN123", 53420000, -6270000, 10000, false, false, await time.latest(), UNKNOWN_KINEMATICS);
+    await adsbData.updateFlightBatch(
+      ["3c6444", "400a0b"],
+      ["DLH4AB", "BAW12"],
+      [50030000, 51470000],
+      [8570000, -450000],
+      [11000, 9000],
+      [false, false],
+      [false, false],
+      [observedAt, observedAt],
+      [UNKNOWN_KINEMATICS, UNKNOWN_KINEMATICS]
+    );
+
+    await indexer.sync();
+
+    const flights = indexer.getAllFlights();
+    expect(flights.map(f => f.icao24)).to.deep.equal(["4ca123", "3c6444", "400a0b"]);
+    expect(indexer.getFlight("3c6444").callsign).to.equal("DLH4AB");
+    expect(indexer.getFlight("3c6444").latitude).to.equal(50.03);
+    expect(indexer.hasFlight("abcdef")).to.be.false;
+
+    // Same view as the contract's own storage
+    expect(await adsbData.getFlightCount()).to.equal(flights.length);
+  });
+
+  it("Should answer callsign, time range and bounding box lookups", async function () {
+    await adsbData.updateFlight("4ca123", "EIN123", 53420000, -6270000, 10000, false, false, await time.latest(), UNKNOWN_KINEMATICS);
+    const [, , , , , , firstTimestamp] = await adsbData.getFlight(0);
+    await time.increase(600);
+    await adsbData.updateFlight("a0b1c2", "UAL900", 40640000, -73780000, 10000, false, false, await time.latest(), UNKNOWN_KINEMATICS);
+    await time.increase(600);
+    await adsbData.updateFlight("4ca123", "EIN123", 53500000, -6200000, 10000, false, false, await time.latest(), UNKNOWN_KINEMATICS);
+
+    await indexer.sync();
+
+    expect(indexer.findByCallsign("ein123").map(f => f.icao24)).to.deep.equal(["4ca123"]);
+    expect(indexer.getHistory("4ca123")).to.have.length(2);
+
+    const firstSecond = new Date(firstTimestamp.toNumber() * 1000);
+    const early = indexer.findInTimeRange(firstSecond, new Date(firstSecond.getTime() + 60 * 1000));
+    expect(early.map(p => p.icao24)).to.deep.equal(["4ca123"]);
+    expect(early[0].latitude).to.equal(53.42);
+
+    const europe = indexer.findInBoundingBox({ minLat: 35, maxLat: 60, minLon: -10, maxLon: 30 });
+    expect(europe.map(f => f.icao24)).to.deep.equal(["4ca123"]);
+  });
+
+  it("Should pick up new blocks on subsequent syncs", async function () {
+    await indexer.sync();
+    expect(indexer.getAllFlights()).to.have.length(0);
+
+    await adsbData.updateFlight("4ca123", "EIN123", 53420000, -6270000, 10000, false, false, await time.latest(), UNKNOWN_KINEMATICS);
+    await indexer.sync();
+
+    expect(indexer.getAllFlights()).to.have.length(1);
+    expect(indexer.getStatus().lastBlock).to.equal(await ethers.provider.getBlockNumber());
+  });
+
+  it("Should roll back positions from blocks that were reorganised away", async function () {
+    const snapshot = await network.provider.send("evm_snapshot");
+
+    await adsbData.updateFlight("dead01", "GHOST1", 10000000, 10000000, 5000, false, false, await time.latest(), UNKNOWN_KINEMATICS);
+    await indexer.sync();
+    expect(indexer.hasFlight("dead01")).to.be.true;
+
+    // Replace the block that carried DEAD01 with a different one at the same height
+    await network.provider.send("evm_revert", [snapshot]);
+    await time.increase(30);
+    await adsbData.updateFlight("a11ce1", "REAL1", 20000000, 20000000, 5000, false, false, await time.latest(), UNKNOWN_KINEMATICS);
+
+    await indexer.sync();
+
+    expect(indexer.hasFlight("dead01")).to.be.false;
+    expect(indexer.hasFlight("a11ce1")).to.be.true;
+    expect(indexer.findByCallsign("GHOST1")).to.have.length(0);
+    expect(indexer.getStatus().reorgs).to.equal(1);
+  });
+
+  it("Should report listener failures to its logger and keep notifying", async function () {
+    const logged = [];
+    const logger = { error: (message, fields) => logged.push({ message, error: fields.error.message }) };
+    indexer = new FlightIndexer({
+      provider: ethers.provider,
+      contractAddress: adsbData.address,
+      contractInterface: adsbData.interface,
+      logger
+    });
+    const changes = [];
+    indexer.addListener(() => { throw new Error("listener broke"); });
+    indexer.addListener(change => changes.push(change.type));
+
+    await adsbData.updateFlight("4ca123", "EIN123", 53420000, -6270000, 10000, false, false, await time.latest(), UNKNOWN_KINEMATICS);
+    await indexer.sync();
+
+    expect(changes).to.include("flight");
+    expect(logged[0]).to.deep.equal({ message: "Error in flight indexer listener", error: "listener broke" });
+  });
+
+  it("Should expose positions awaiting receiver consensus separately", async function () {
+    const [, stationB] = await ethers.getSigners();
+    await adsbData.registerReceiver(stationB.address, "Station B", 0, 0, stationB.address);
+    await adsbData.setQuorumConfig(2, 3600, 2000, 300);
+    const now = await time.latest();
+    await time.increaseTo(now - (now % 3600) + 3600);
+
+    await adsbData.updateFlight("4ca123", "EIN123", 53420000, -6270000, 10000, false, false, await time.latest(), UNKNOWN_KINEMATICS);
+    await indexer.sync();
+
+    expect(indexer.getAllFlights()).to.have.length(0);
+    const [pending] = indexer.getAllFlights({ includePending: true });
+    expect(pending.icao24).to.equal("4ca123");
+    expect(pending.consensusStatus).to.equal("pending");
+    expect(pending.agreeing).to.equal(1);
+
+    await adsbData.connect(stationB).updateFlight("4ca123", "EIN123", 53420100, -6270100, 10000, false, false, await time.latest(), UNKNOWN_KINEMATICS);
+    await indexer.sync();
+
+    const [confirmed] = indexer.getAllFlights({ includePending: true });
+    expect(confirmed.consensusStatus).to.equal("confirmed");
+    expect(confirmed.latitude).to.equal(53.42);
+    expect(confirmed.agreeing).to.equal(2);
+  });
+});
@@ -0,0 +1,95 @@
+const { expect } = require("chai");
+const {
+  MAX_LIMIT,
+  parseBoundingBox,
+  isInBoundingBox,
+  parseFlightQuery,
+  queryFlights
+} = require("../web-interface/src/shared/FlightQuery");
+
+describe("ADS-B Flight Query Tests", function () {
+  const at = iso => new Date(iso);
+  const flights = [
+    { icao24: "4ca123", callsign: "KLM1023 ", latitude: 52.3, longitude: 4.9, altitude: 11000, onGround: false, isSpoofed: false, timestamp: at("2026-10-19T12:00:00Z") },
+    { icao24: "3c6444", callsign: "DLH400", latitude: 50.0, longitude: 8.6, altitude: 0, onGround: true, isSpoofed: false, timestamp: at("2026-10-19T12:05:00Z") },
+    { icao24: "a1b2c3", callsign: "KLM605", latitude: 40.6, longitude: -73.8, altitude: 3000, onGround: false, isSpoofed: true, timestamp: at("2026-10-19T12:05:00Z") },
+    { icao24: "7c0001", callsign: "QFA1", latitude: -17.5, longitude: 179.5, altitude: 12000, onGround: false, isSpoofed: false, timestamp: at("2026-10-19T11:00:00Z") },
+    { icao24: "c8000f", callsign: "ANZ8", latitude: -16.9, longitude: -179.8, altitude: 9000, onGround: false, isSpoofed: false, timestamp: at("2026-10-19T11:30:00Z") }
+  ];
+
+  function search(params) {
+    const parsed = parseFlightQuery(params);
+    expect(parsed.valid, parsed.reason).to.equal(true);
+    return queryFlights(flights, parsed.query);
+  }
+
+  const icaos = result => result.flights.map(flight => flight.icao24);
+
+  it("Should filter by callsign prefix, ICAO24 list, altitude band and flags", function () {
+    expect(icaos(search({ callsign: "klm", sort: "icao24" }))).to.deep.equal(["4ca123", "a1b2c3"]);
+    expect(icaos(search({ icao24: "3C6444, 7c0001", sort: "icao24" }))).to.deep.equal(["3c6444", "7c0001"]);
+    expect(icaos(search({ minAltitude: 3000, maxAltitude: 11000, sort: "altitude" }))).to.deep.equal(["a1b2c3", "c8000f", "4ca123"]);
+    expect(icaos(search({ onGround: true }))).to.deep.equal(["3c6444"]);
+    expect(icaos(search({ isSpoofed: "true" }))).to.deep.equal(["a1b2c3"]);
+    expect(search({ callsign: "KLM", isSpoofed: false }).total).to.equal(1);
+  });
+
+  it("Should filter by the last-update window in Unix seconds or ISO 8601", function () {
+    const since = String(Date.parse("2026-10-19T11:30:00Z") / 1000);
+    expect(icaos(search({ updatedSince: since, sort: "icao24" }))).to.deep.equal(["3c6444", "4ca123", "a1b2c3", "c8000f"]);
+    expect(icaos(search({ updatedSince: since, updatedUntil: "2026-10-19T12:00:00Z", sort: "icao24" }))).to.deep.equal(["4ca123", "c8000f"]);
+  });
+
+  it("Should filter by bounding box, also across the antimeridian", function () {
+    expect(icaos(search({ bbox: "-10,35,20,60", sort: "icao24" }))).to.deep.equal(["3c6444", "4ca123"]);
+    expect(icaos(search({ bbox: "170,-30,-170,-10", sort: "icao24" }))).to.deep.equal(["7c0001", "c8000f"]);
+
+    expect(parseBoundingBox("170,-30,-170,-10")).to.deep.equal({ west: 170, south: -30, east: -170, north: -10 });
+    expect(isInBoundingBox({ latitude: 0, longitude: 0 }, parseBoundingBox("170,-30,-170,30"))).to.equal(false);
+    ["1,2,3", "1,2,3,x", "-200,0,10,10", "0,20,10,10", "0,,10,10"].forEach(value => {
+      expect(parseBoundingBox(value), value).to.equal(null);
+    });
+  });
+
+  it("Should sort by any field in either direction, breaking ties by ICAO24", function () {
+    expect(icaos(search({}))).to.deep.equal(["3c6444", "a1b2c3", "4ca123", "c8000f", "7c0001"]);
+    expect(icaos(search({ sort: "timestamp" }))).to.deep.equal(["7c0001", "c8000f", "4ca123", "3c6444", "a1b2c3"]);
+    expect(icaos(search({ sort: "-latitude" }))).to.deep.equal(["4ca123", "3c6444", "a1b2c3", "c8000f", "7c0001"]);
+    expect(icaos(search({ sort: "callsign" }))).to.deep.equal(["c8000f", "3c6444", "4ca123", "a1b2c3", "7c0001"]);
+  });
+
+  it("Should page through every match exactly once with cursors", function () {
+    const seen = [];
+    let cursor;
+    do {
+      const page = search({ sort: "-timestamp", limit: 2, cursor });
+      expect(page.total).to.equal(flights.length);
+      expect(page.flights.length).to.be.at.most(2);
+      seen.push(...icaos(page));
+      cursor = page.nextCursor;
+    } while (cursor);
+
+    expect(seen).to.deep.equal(icaos(search({ sort: "-timestamp" })));
+  });
+
+  it("Should continue after the cursor flight even when flights were added before it", function () {
+    const first = search({ sort: "icao24", limit: 2 });
+    expect(icaos(first)).to.deep.equal(["3c6444", "4ca123"]);
+
+    const parsed = parseFlightQuery({ sort: "icao24", limit: 2, cursor: first.nextCursor });
+    const grown = flights.concat({ icao24: "000001", callsign: "NEW", latitude: 0, longitude: 0, altitude: 0, timestamp: at("2026-10-19T12:10:00Z") });
+    expect(icaos(queryFlights(grown, parsed.query))).to.deep.equal(["7c0001", "a1b2c3"]);
+  });
+
+  it("Should refuse invalid sorts, limits, ranges and cursors with the field at fault", function () {
+    const cursor = search({ sort: "icao24", limit: 1 }).nextCursor;
+
+    expect(parseFlightQuery({ sort: "speed" })).to.include({ valid: false, field: "sort" });
+    expect(parseFlightQuery({ limit: MAX_LIMIT + 1 })).to.include({ valid: false, field: "limit" });
+    expect(parseFlightQuery({ bbox: "0,0,10" })).to.include({ valid: false, field: "bbox" });
+    expect(parseFlightQuery({ minAltitude: 5000, maxAltitude: 1000 })).to.include({ valid: false, field: "minAltitude" });
+    expect(parseFlightQuery({ updatedSince: "yesterday" })).to.include({ valid: false, field: "updatedSince" });
+    expect(parseFlightQuery({ cursor: "not-a-cursor" })).to.include({ valid: false, field: "cursor" });
+    expect(parseFlightQuery({ sort: "-altitude", cursor })).to.deep.equal({ valid: false, field: "cursor", reason: "was returned for sort=icao24" });
+  });
+});
@@ -0,0 +1,46 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { distanceMeters, checkPositionJump } = require("../web-interface/src/shared/GeoDistance");
+const vectors = require("./vectors/geoDistance.json");
+const { UNKNOWN_KINEMATICS } = require("../web-interface/src/shared/Kinematics");
+
+describe("ADS-B Geodesic Distance Tests", function () {
+  let adsbData;
+
+  before(async function () {
+    const AdsbData = await ethers.getContractFactory("AdsbData");
+    adsbData = await AdsbData.deploy();
+    await adsbData.deployed();
+  });
+
+  vectors.forEach((vector, index) => {
+    describe(vector.name, function () {
+      const [lat1, lon1] = vector.from;
+      const [lat2, lon2] = vector.to;
+
+      it("Should compute the same distance in the contract and in JS", async function () {
+        const onChain = (await adsbData.distanceMeters(lat1, lon1, lat2, lon2)).toNumber();
+
+        expect(distanceMeters(lat1, lon1, lat2, lon2)).to.equal(onChain);
+        // Against a floating-point haversine reference
+        expect(onChain).to.be.closeTo(vector.meters, Math.max(2, vector.meters * 1e-5));
+      });
+
+      it("Should reach the same accept/reject decision", async function () {
+        const icao24 = `9e0${index.toString(16).padStart(3, "0")}`;
+        const now = await time.latest();
+        await adsbData.updateFlight(icao24, "GEO", lat1, lon1, 10000, false, false, now - vector.dt, UNKNOWN_KINEMATICS);
+
+        const [valid, reason] = await adsbData.validateFlightUpdate(icao24, lat2, lon2, 10000, now, UNKNOWN_KINEMATICS);
+        const offChain = checkPositionJump(distanceMeters(lat1, lon1, lat2, lon2), vector.dt);
+
+        expect(valid).to.equal(vector.accept);
+        expect(offChain.valid).to.equal(vector.accept);
+        if (!vector.accept) {
+          expect(reason).to.equal(offChain.reason);
+        }
+      });
+    });
+  });
+});
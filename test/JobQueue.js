@@ -0,0 +1,167 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { time, mine } = require("@nomicfoundation/hardhat-network-helpers");
+const JobQueue = require("../server/JobQueue");
+const { UNKNOWN_KINEMATICS } = require("../web-interface/src/shared/Kinematics");
+
+describe("ADS-B Relay Job Queue Tests", function () {
+  let adsbData;
+  let file;
+  let queue;
+
+  // An updateFlight job for `icao24`, reporting `altitude`
+  const flightHandler = {
+    submit: async ({ icao24, altitude }) =>
+      adsbData.updateFlight(icao24, "TEST", 53420000, -6270000, altitude, false, false, await time.latest(), UNKNOWN_KINEMATICS),
+    complete: ({ icao24 }, receipt) => ({ icao24, transactionHash: receipt.transactionHash })
+  };
+
+  function createQueue(options = {}) {
+    const created = new JobQueue(Object.assign({
+      file,
+      provider: ethers.provider,
+      backoffMs: 10,
+      pollIntervalMs: 10
+    }, options));
+    created.register("flight", flightHandler);
+    return created;
+  }
+
+  beforeEach(async function () {
+    const AdsbData = await ethers.getContractFactory("AdsbData");
+    adsbData = await AdsbData.deploy();
+    await adsbData.deployed();
+
+    file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "relay-jobs-")), "jobs.json");
+    queue = createQueue();
+  });
+
+  afterEach(function () {
+    queue.stop();
+    fs.rmSync(path.dirname(file), { recursive: true, force: true });
+  });
+
+  it("Should take a job from queued through submitted to mined", async function () {
+    const states = [];
+    queue.on("job", job => states.push(job.state));
+    const job = queue.enqueue("flight", { icao24: "4CA123", altitude: 10000 }, { flights: 1 });
+    expect(job.state).to.equal("queued");
+    expect(job).to.not.have.property("payload");
+
+    queue.start();
+    const mined = await queue.waitFor(job.id, 5000);
+
+    expect(mined.state).to.equal("mined");
+    expect(states).to.deep.equal(["queued", "submitted", "mined"]);
+    expect(mined.result.icao24).to.equal("4CA123");
+    expect(mined.result.transactionHash).to.equal(mined.transactionHash);
+    expect(await adsbData.getFlightHistoryCount("4CA123")).to.equal(1);
+    expect(queue.list({ state: "mined" }).map(listed => listed.id)).to.deep.equal([job.id]);
+  });
+
+  it("Should persist queued jobs and resume them after a restart", async function () {
+    const job = queue.enqueue("flight", { icao24: "4CA123", altitude: 10000 });
+
+    // A new process reading the same store
+    const restarted = createQueue();
+    expect(restarted.get(job.id).state).to.equal("queued");
+    restarted.start();
+    const mined = await restarted.waitFor(job.id, 5000);
+    restarted.stop();
+
+    expect(mined.state).to.equal("mined");
+    expect(JSON.parse(fs.readFileSync(file, "utf8")).jobs[0].state).to.equal("mined");
+  });
+
+  it("Should keep watching a transaction submitted before a restart", async function () {
+    const tx = await adsbData.updateFlight("4CA123", "TEST", 53420000, -6270000, 10000, false, false, await time.latest(), UNKNOWN_KINEMATICS);
+    const job = queue.enqueue("flight", { icao24: "4CA123", altitude: 10000 });
+    // Simulate a crash right after sending: the store says submitted, nothing is resent
+    queue.transition(queue.jobs.get(job.id), "submitted", { transactionHash: tx.hash, nonce: tx.nonce, submittedAt: Date.now() });
+
+    const restarted = createQueue();
+    restarted.start();
+    const mined = await restarted.waitFor(job.id, 5000);
+    restarted.stop();
+
+    expect(mined.state).to.equal("mined");
+    expect(mined.attempts).to.equal(0);
+    expect(await adsbData.getFlightHistoryCount("4CA123")).to.equal(1);
+  });
+
+  it("Should retry transient send errors with backoff", async function () {
+    let calls = 0;
+    queue.register("flaky", {
+      submit: async (payload) => {
+        calls++;
+        if (calls < 3) throw new Error("connection reset");
+        return flightHandler.submit(payload);
+      },
+      complete: flightHandler.complete
+    });
+
+    const job = queue.enqueue("flaky", { icao24: "4CA123", altitude: 10000 });
+    queue.start();
+    const mined = await queue.waitFor(job.id, 5000);
+
+    expect(mined.state).to.equal("mined");
+    expect(mined.attempts).to.equal(3);
+    expect(mined.history.filter(entry => entry.state === "failed")).to.have.length(2);
+  });
+
+  it("Should fail a job the contract rejects without retrying", async function () {
+    await adsbData.updateFlight("4CA123", "TEST", 53420000, -6270000, 10000, false, false, await time.latest(), UNKNOWN_KINEMATICS);
+    await adsbData.setValidationRules(0, [100, 10, 100000, 300, 5000, 1000, 1000, 750, 500, 120]);
+
+    await time.increase(30);
+    const job = queue.enqueue("flight", { icao24: "4CA123", altitude: 10200 });
+    queue.start();
+    const failed = await queue.waitFor(job.id, 5000);
+
+    expect(failed.state).to.equal("failed");
+    expect(failed.attempts).to.equal(1);
+    expect(failed.error).to.equal("Tampering: impossible altitude jump");
+  });
+
+  it("Should keep up to `concurrency` transactions in flight", async function () {
+    await network.provider.send("evm_setAutomine", [false]);
+    queue = createQueue({ concurrency: 2 });
+    const jobs = ["4CA001", "4CA002", "4CA003"].map(icao24 => queue.enqueue("flight", { icao24, altitude: 10000 }));
+    try {
+      queue.start();
+      await new Promise(resolve => setTimeout(resolve, 200));
+      expect(jobs.map(job => queue.get(job.id).state)).to.deep.equal(["submitted", "submitted", "queued"]);
+
+      await mine();
+      const mined = await queue.waitFor(jobs[1].id, 5000);
+      expect(mined.state).to.equal("mined");
+      await new Promise(resolve => setTimeout(resolve, 200));
+      expect(queue.get(jobs[2].id).state).to.equal("submitted");
+
+      await mine();
+      expect((await queue.waitFor(jobs[2].id, 5000)).state).to.equal("mined");
+    } finally {
+      await network.provider.send("evm_setAutomine", [true]);
+    }
+  });
+
+  it("Should mark a vanished transaction as dropped once attempts are used up", async function () {
+    queue = createQueue({ maxAttempts: 2, dropTimeoutMs: 0 });
+    queue.register("lost", {
+      submit: async () => ({ hash: ethers.utils.hexlify(ethers.utils.randomBytes(32)), nonce: 0 }),
+      complete: () => null
+    });
+
+    const job = queue.enqueue("lost", {});
+    queue.start();
+    const dropped = await queue.waitFor(job.id, 5000);
+
+    expect(dropped.state).to.equal("dropped");
+    expect(dropped.attempts).to.equal(2);
+    expect(dropped.error).to.equal("Transaction dropped from the mempool");
+    expect(queue.counts().dropped).to.equal(1);
+  });
+});
@@ -0,0 +1,175 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { EventEmitter } = require("events");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { Logger, withContext, getContext } = require("../server/Logger");
+const JobQueue = require("../server/JobQueue");
+const { UNKNOWN_KINEMATICS } = require("../web-interface/src/shared/Kinematics");
+
+describe("ADS-B Relay Logger Tests", function () {
+  const start = Date.parse("2026-10-19T12:00:00Z");
+  let clock;
+  let printed;
+  let dir;
+
+  // A logger on a clock that advances one second per entry, printing into `printed`
+  function createLogger(options = {}) {
+    const output = {
+      log: line => printed.push(line),
+      warn: line => printed.push(line),
+      error: line => printed.push(line)
+    };
+    return new Logger(Object.assign({ output, now: () => clock }, options));
+  }
+
+  function tick(logger, level, msg, fields) {
+    clock += 1000;
+    return logger.log(level, msg, fields);
+  }
+
+  beforeEach(function () {
+    clock = start;
+    printed = [];
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "relay-logs-"));
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("Should log structured entries at or above the configured level", function () {
+    const logger = createLogger({ level: "info" });
+    expect(logger.debug("Polling")).to.equal(null);
+    const entry = logger.error("Could not add flight", { icao24: "4ca123", error: new Error("execution reverted"), gasUsed: ethers.BigNumber.from(21000) });
+
+    expect(entry).to.include({ level: "error", msg: "Could not add flight", icao24: "4ca123", error: "execution reverted", gasUsed: "21000" });
+    expect(entry.time).to.equal(new Date(start).toISOString());
+    expect(printed).to.deep.equal([`${entry.time} ERROR Could not add flight icao24=4ca123 error="execution reverted" gasUsed=21000`]);
+    expect(() => logger.configure({ level: "verbose" })).to.throw(/Unknown log level/);
+  });
+
+  it("Should carry the request ID across awaits and into the jobs a request queues", async function () {
+    const logger = createLogger();
+    await withContext({ requestId: "req-1" }, async () => {
+      await new Promise(resolve => setTimeout(resolve, 5));
+      logger.info("After an await");
+    });
+    logger.info("Outside");
+    expect(logger.recent.map(entry => entry.requestId)).to.deep.equal(["req-1", undefined]);
+
+    const AdsbData = await ethers.getContractFactory("AdsbData");
+    const adsbData = await AdsbData.deploy();
+    await adsbData.deployed();
+    const seen = [];
+    const queue = new JobQueue({ file: path.join(dir, "jobs.json"), provider: ethers.provider, pollIntervalMs: 10 });
+    queue.register("flight", {
+      submit: async () => {
+        seen.push(Object.assign({ step: "submit" }, getContext()));
+        return adsbData.updateFlight("4CA123", "TEST", 53420000, -6270000, 10000, false, false, await time.latest(), UNKNOWN_KINEMATICS);
+      },
+      complete: async () => {
+        seen.push(Object.assign({ step: "complete" }, getContext()));
+        return null;
+      }
+    });
+
+    const job = withContext({ requestId: "req-2" }, () => queue.enqueue("flight", {}));
+    expect(job.requestId).to.equal("req-2");
+    queue.start();
+    try {
+      await queue.waitFor(job.id, 5000);
+    } finally {
+      queue.stop();
+    }
+    expect(seen).to.deep.equal([
+      { step: "submit", requestId: "req-2", jobId: job.id },
+      { step: "complete", requestId: "req-2", jobId: job.id }
+    ]);
+  });
+
+  it("Should rotate the log file by size and keep maxFiles old files", function () {
+    const logger = createLogger({ dir, maxFileBytes: 400, maxFiles: 2 });
+    for (let index = 0; index < 30; index++) {
+      tick(logger, "info", `Entry ${index}`, { index });
+    }
+
+    expect(fs.readdirSync(dir).sort()).to.deep.equal(["relay.1.log", "relay.2.log", "relay.log"]);
+    fs.readdirSync(dir).forEach(file => {
+      expect(fs.statSync(path.join(dir, file)).size).to.be.at.most(400);
+    });
+    const current = fs.readFileSync(path.join(dir, "relay.log"), "utf8").trim().split("\n").map(line => JSON.parse(line));
+    expect(current[current.length - 1]).to.include({ msg: "Entry 29", index: 29 });
+  });
+
+  it("Should query by level, text, request, job and time, newest first", function () {
+    const logger = createLogger({ level: "debug" });
+    tick(logger, "debug", "GET /flights 200", { requestId: "a" });
+    tick(logger, "info", "Adding flight", { requestId: "b", icao24: "4ca123" });
+    tick(logger, "info", "Job queued", { requestId: "b", jobId: "job-1" });
+    tick(logger, "error", "Job failed", { requestId: "b", jobId: "job-1" });
+    tick(logger, "warn", "Request throttled", { requestId: "c" });
+
+    const messages = query => logger.query(query).entries.map(entry => entry.msg);
+    expect(messages({})).to.deep.equal(["Request throttled", "Job failed", "Job queued", "Adding flight", "GET /flights 200"]);
+    expect(messages({ level: "warn" })).to.deep.equal(["Request throttled", "Job failed"]);
+    expect(messages({ requestId: "b" })).to.deep.equal(["Job failed", "Job queued", "Adding flight"]);
+    expect(messages({ jobId: "job-1", level: "error" })).to.deep.equal(["Job failed"]);
+    expect(messages({ q: "JOB" })).to.deep.equal(["Job failed", "Job queued"]);
+    expect(messages({ since: new Date(start + 3000).toISOString(), until: new Date(start + 4000).toISOString() })).to.deep.equal(["Job failed", "Job queued"]);
+
+    const page = logger.query({ limit: 2 });
+    expect(page.entries.map(entry => entry.msg)).to.deep.equal(["Request throttled", "Job failed"]);
+    expect(page.hasMore).to.equal(true);
+    expect(logger.query({ limit: 5 }).hasMore).to.equal(false);
+  });
+
+  it("Should read older entries back from the files after a restart", function () {
+    const before = createLogger({ dir, maxRecent: 3 });
+    for (let index = 0; index < 10; index++) {
+      tick(before, "info", `Entry ${index}`);
+    }
+    // Beyond the recent entries in memory, from the file
+    expect(before.query({ limit: 5 }).entries.map(entry => entry.msg)).to.deep.equal(["Entry 9", "Entry 8", "Entry 7", "Entry 6", "Entry 5"]);
+
+    clock += 60000;
+    const after = createLogger({ dir });
+    tick(after, "info", "Restarted");
+    const { entries } = after.query({ since: new Date(start + 9000).toISOString() });
+    expect(entries.map(entry => entry.msg)).to.deep.equal(["Restarted", "Entry 9", "Entry 8"]);
+    expect(new Set(after.query({}).entries.map(entry => entry.id)).size).to.equal(11);
+  });
+
+  it("Should give each request an ID, echo it and log the response", function () {
+    const logger = createLogger({ level: "debug" });
+    const middleware = logger.requestContext();
+
+    function request(method, headers, statusCode) {
+      const req = { method, path: "/add-flight", get: name => headers[name] };
+      const res = new EventEmitter();
+      res.headers = {};
+      res.set = (name, value) => { res.headers[name] = value; };
+      let context = null;
+      middleware(req, res, () => {
+        context = getContext();
+      });
+      res.statusCode = statusCode;
+      res.emit("finish");
+      return { req, res, context, entry: logger.recent[logger.recent.length - 1] };
+    }
+
+    const given = request("POST", { "X-Request-Id": "client-42" }, 202);
+    expect(given.req.requestId).to.equal("client-42");
+    expect(given.res.headers["X-Request-Id"]).to.equal("client-42");
+    expect(given.context).to.deep.equal({ requestId: "client-42" });
+    expect(given.entry).to.include({ level: "info", msg: "POST /add-flight 202", requestId: "client-42", status: 202 });
+
+    const generated = request("POST", { "X-Request-Id": "no spaces <allowed>" }, 429);
+    expect(generated.req.requestId).to.match(/^[0-9a-f-]{36}$/);
+    expect(generated.entry).to.include({ level: "warn", requestId: generated.req.requestId });
+
+    expect(request("GET", {}, 200).entry.level).to.equal("debug");
+  });
+});
@@ -0,0 +1,142 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const AnchorStore = require("../server/AnchorStore");
+const { getReportDomain, createReport, signReport } = require("../web-interface/src/shared/ReportSigner");
+const { hashLeaf, buildTree, getRoot, getProof, verifyProof } = require("../web-interface/src/shared/MerkleTree");
+
+const { keccak256 } = ethers.utils;
+
+describe("ADS-B Merkle Anchoring Tests", function () {
+  let adsbData;
+  let operator;
+  let outsider;
+  let domain;
+  let observedAt;
+  let dir;
+  let nowMs;
+
+  beforeEach(async function () {
+    const AdsbData = await ethers.getContractFactory("AdsbData");
+    [operator, outsider] = await ethers.getSigners();
+    adsbData = await AdsbData.deploy();
+    await adsbData.deployed();
+    domain = await getReportDomain(adsbData);
+    observedAt = await time.latest();
+
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "relay-anchors-"));
+    nowMs = 1700000000000;
+  });
+
+  function flightReport(index, fields = {}) {
+    return createReport(Object.assign({
+      icao24: (0x400000 + index).toString(16),
+      callsign: `ANC${index}`,
+      latitude: 53420000 + index * 1000,
+      longitude: -6270000,
+      altitude: 10000,
+      observedAt
+    }, fields));
+  }
+
+  async function signedEntries(count) {
+    const reports = Array.from({ length: count }, (_, i) => flightReport(i));
+    return Promise.all(reports.map(async report => ({ report, signature: await signReport(operator, domain, report) })));
+  }
+
+  function createStore() {
+    return new AnchorStore({ dir, windowSeconds: 60, keccak256, now: () => nowMs });
+  }
+
+  it("Should prove every leaf of trees of any size", function () {
+    for (let size = 1; size <= 9; size++) {
+      const leaves = Array.from({ length: size }, (_, i) => hashLeaf(flightReport(i), keccak256));
+      const levels = buildTree(leaves, keccak256);
+      const root = getRoot(levels);
+
+      leaves.forEach((leaf, index) => {
+        expect(verifyProof(leaf, getProof(levels, index), root, keccak256), `leaf ${index} of ${size}`).to.equal(true);
+      });
+      // A report that was not in the window, or a changed one, does not verify
+      const outside = hashLeaf(flightReport(size), keccak256);
+      expect(verifyProof(outside, getProof(levels, 0), root, keccak256)).to.equal(false);
+      const moved = hashLeaf(flightReport(0, { altitude: 10001 }), keccak256);
+      expect(verifyProof(moved, getProof(levels, 0), root, keccak256)).to.equal(false);
+    }
+
+    expect(() => buildTree([], keccak256)).to.throw("Cannot build a Merkle tree without leaves");
+  });
+
+  it("Should anchor each window's root once, from an operator", async function () {
+    const root = keccak256("0x01");
+
+    await expect(adsbData.connect(outsider).anchorRoot(1700000040, root, 3)).to.be.revertedWith("Missing required role");
+    await expect(adsbData.anchorRoot(1700000040, ethers.constants.HashZero, 3)).to.be.revertedWith("Empty root");
+    await expect(adsbData.anchorRoot(1700000040, root, 0)).to.be.revertedWith("Empty root");
+
+    await expect(adsbData.anchorRoot(1700000040, root, 3))
+      .to.emit(adsbData, "RootAnchored")
+      .withArgs(1700000040, root, 3);
+    expect(await adsbData.anchoredRoots(1700000040)).to.equal(root);
+    expect(await adsbData.anchoredRoots(1700000100)).to.equal(ethers.constants.HashZero);
+    await expect(adsbData.anchorRoot(1700000040, keccak256("0x02"), 1)).to.be.revertedWith("Window already anchored");
+
+    // Nothing about the window's flights is stored
+    expect(await adsbData.getFlightCount()).to.equal(0);
+  });
+
+  it("Should collect reports into windows by arrival and seal them once ended", async function () {
+    const store = createStore();
+    const entries = await signedEntries(5);
+
+    expect(store.add(entries.slice(0, 3))).to.deep.equal({ windowStart: 1699999980, windowEnd: 1700000040 });
+    nowMs += 30000;
+    store.add(entries.slice(3));
+    expect(store.getProof(entries[4].report.icao24, observedAt)).to.include({ state: "open", count: 5, index: 4, proof: null, root: null });
+    expect(store.sealDue()).to.have.length(0);
+
+    nowMs += 15000;
+    store.add([{ report: flightReport(0, { observedAt: observedAt + 60 }), signature: entries[0].signature }]);
+    const [sealed] = store.sealDue();
+    expect(sealed).to.include({ windowStart: 1699999980, state: "sealed" });
+    expect(store.getStats()).to.include({ reports: 6, open: 1, sealed: 1, anchored: 0 });
+    expect(store.getLatest("400000").observedAt).to.equal(observedAt + 60);
+
+    // Every report of the sealed window proves against its root
+    entries.forEach(({ report }) => {
+      const proof = store.getProof(report.icao24.toUpperCase(), report.observedAt);
+      expect(proof.signature).to.match(/^0x/);
+      expect(verifyProof(hashLeaf(report, keccak256), proof.proof, sealed.root, keccak256)).to.equal(true);
+    });
+    expect(store.getProof("400000", observedAt + 1)).to.equal(null);
+  });
+
+  it("Should verify off-chain reports against the anchored root, also after a restart", async function () {
+    const store = createStore();
+    const entries = await signedEntries(7);
+    store.add(entries);
+    nowMs += 60000;
+    const [window] = store.sealDue();
+    expect(store.unqueued().map(pending => pending.windowStart)).to.deep.equal([window.windowStart]);
+    store.setJob(window.windowStart, "job-1");
+    expect(store.unqueued()).to.have.length(0);
+
+    const receipt = await (await adsbData.anchorRoot(window.windowStart, window.root, window.entries.length)).wait();
+    store.markAnchored(window.windowStart, receipt);
+
+    // A fresh store reads the windows back from disk
+    const restarted = createStore();
+    const proof = restarted.getProof(entries[6].report.icao24, observedAt);
+    expect(proof).to.include({ state: "anchored", count: 7, index: 6 });
+    expect(proof.anchor).to.deep.equal({ transactionHash: receipt.transactionHash, blockNumber: receipt.blockNumber });
+    expect(restarted.getLatest(entries[2].report.icao24)).to.deep.equal(entries[2].report);
+
+    const onChainRoot = await adsbData.anchoredRoots(proof.windowStart);
+    expect(verifyProof(hashLeaf(entries[6].report, keccak256), proof.proof, onChainRoot, keccak256)).to.equal(true);
+    const tampered = Object.assign({}, entries[6].report, { latitude: entries[6].report.latitude + 1 });
+    expect(verifyProof(hashLeaf(tampered, keccak256), proof.proof, onChainRoot, keccak256)).to.equal(false);
+  });
+});
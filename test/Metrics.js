@@ -0,0 +1,208 @@
+const { expect } = require("chai");
+const { EventEmitter } = require("events");
+const MetricsRegistry = require("../server/Metrics");
+const RelayMetrics = require("../server/RelayMetrics");
+
+describe("ADS-B Relay Metrics Tests", function () {
+  const wallet = "0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266";
+  const start = Date.parse("2026-10-19T12:00:00Z");
+
+  // The sample lines of a rendering, without HELP and TYPE
+  const samples = text => text.split("\n").filter(line => line && !line.startsWith("#"));
+
+  function job(fields) {
+    return Object.assign({
+      id: "job-1",
+      type: "add-flights-batch",
+      state: "queued",
+      attempts: 0,
+      summary: { flights: 3, client: { id: "ip:127.0.0.1" } },
+      createdAt: start,
+      updatedAt: start
+    }, fields);
+  }
+
+  it("Should render counters, gauges and histograms in the Prometheus text format", function () {
+    const registry = new MetricsRegistry();
+    const requests = registry.counter("demo_requests_total", "Requests", ["route"]);
+    const depth = registry.gauge("demo_depth", "Depth");
+    const latency = registry.histogram("demo_latency_seconds", "Latency", ["type"], [1, 0.5]);
+
+    requests.inc({ route: '/say "hi"\\now' });
+    requests.inc({ route: '/say "hi"\\now' }, 2);
+    depth.set({}, 4);
+    latency.observe({ type: "a" }, 0.3);
+    latency.observe({ type: "a" }, 0.7);
+    latency.observe({ type: "a" }, 2);
+
+    expect(registry.render()).to.equal([
+      "# HELP demo_requests_total Requests",
+      "# TYPE demo_requests_total counter",
+      'demo_requests_total{route="/say \\"hi\\"\\\\now"} 3',
+      "# HELP demo_depth Depth",
+      "# TYPE demo_depth gauge",
+      "demo_depth 4",
+      "# HELP demo_latency_seconds Latency",
+      "# TYPE demo_latency_seconds histogram",
+      'demo_latency_seconds_bucket{type="a",le="0.5"} 1',
+      'demo_latency_seconds_bucket{type="a",le="1"} 2',
+      'demo_latency_seconds_bucket{type="a",le="+Inf"} 3',
+      'demo_latency_seconds_sum{type="a"} 3',
+      'demo_latency_seconds_count{type="a"} 3',
+      ""
+    ].join("\n"));
+    expect(() => registry.gauge("demo_depth", "Again")).to.throw(/already registered/);
+  });
+
+  it("Should measure batch size, gas per flight and confirmation latency of mined jobs", function () {
+    const metrics = new RelayMetrics();
+    metrics.observeJob(job());
+    metrics.observeJob(job({ state: "submitted", attempts: 1, submittedAt: start + 2000, updatedAt: start + 2000 }));
+    metrics.observeJob(job({
+      state: "mined",
+      attempts: 1,
+      submittedAt: start + 2000,
+      updatedAt: start + 6000,
+      gasUsed: "450000",
+      result: {
+        report: [
+          { icao24: "4ca123", status: "accepted", reason: null },
+          { icao24: "3c6444", status: "disputed", reason: null },
+          { icao24: "a1b2c3", status: "rejected", reason: "Spoofing: impossible position jump", rejectedBy: "contract" },
+          { icao24: "bad001", status: "rejected", reason: "Invalid flight data: icao24 is required", rejectedBy: "relay" }
+        ]
+      }
+    }));
+
+    const lines = samples(metrics.render());
+    expect(lines).to.include.members([
+      'adsb_relay_batch_size_bucket{type="add-flights-batch",le="5"} 1',
+      'adsb_relay_batch_size_bucket{type="add-flights-batch",le="2"} 0',
+      'adsb_relay_gas_per_flight_sum{type="add-flights-batch"} 150000',
+      'adsb_relay_gas_used_total{type="add-flights-batch"} 450000',
+      'adsb_relay_tx_confirmation_seconds_bucket{type="add-flights-batch",le="5"} 1',
+      'adsb_relay_tx_confirmation_seconds_bucket{type="add-flights-batch",le="2"} 0',
+      'adsb_relay_job_duration_seconds_sum{type="add-flights-batch",state="mined"} 6',
+      'adsb_relay_jobs_finished_total{type="add-flights-batch",state="mined"} 1',
+      'adsb_relay_flights_total{status="accepted",rejected_by="",reason=""} 1',
+      'adsb_relay_flights_total{status="pending",rejected_by="",reason=""} 1',
+      'adsb_relay_flights_total{status="rejected",rejected_by="contract",reason="Spoofing: impossible position jump"} 1'
+    ]);
+    // Relay rejections are counted by the endpoint, when the request comes in
+    expect(lines.filter(line => line.includes('rejected_by="relay"'))).to.deep.equal([]);
+  });
+
+  it("Should count retries and failed jobs, and single flights by their consensus", function () {
+    const metrics = new RelayMetrics();
+    metrics.observeJob(job({ state: "queued", attempts: 1, error: "timeout" }));
+    metrics.observeJob(job({ state: "dropped", attempts: 5, updatedAt: start + 30000 }));
+    metrics.observeJob(job({ id: "job-2", type: "add-flight", state: "mined", submittedAt: start, updatedAt: start + 1000, gasUsed: "120000", summary: { flights: 1 }, result: { consensus: "pending" } }));
+    metrics.observeReport([{ status: "rejected", reason: "Replay attack: timestamp not newer", rejectedBy: "relay" }]);
+
+    expect(samples(metrics.render())).to.include.members([
+      'adsb_relay_job_retries_total{type="add-flights-batch"} 1',
+      'adsb_relay_jobs_finished_total{type="add-flights-batch",state="dropped"} 1',
+      'adsb_relay_job_duration_seconds_count{type="add-flights-batch",state="dropped"} 1',
+      'adsb_relay_gas_per_flight_sum{type="add-flight"} 120000',
+      'adsb_relay_flights_total{status="pending",rejected_by="",reason=""} 1',
+      'adsb_relay_flights_total{status="rejected",rejected_by="relay",reason="Replay attack: timestamp not newer"} 1'
+    ]);
+  });
+
+  it("Should count JSON-RPC requests and errors by method", function () {
+    const metrics = new RelayMetrics();
+    const provider = new EventEmitter();
+    metrics.watchProvider(provider);
+
+    const request = method => ({ method, params: [], id: 1, jsonrpc: "2.0" });
+    provider.emit("debug", { action: "request", request: request("eth_blockNumber") });
+    provider.emit("debug", { action: "response", request: request("eth_blockNumber"), response: "0x10" });
+    provider.emit("debug", { action: "response", request: request("eth_estimateGas"), error: new Error("execution reverted") });
+
+    expect(samples(metrics.render())).to.include.members([
+      'adsb_relay_rpc_requests_total{method="eth_blockNumber"} 1',
+      'adsb_relay_rpc_requests_total{method="eth_estimateGas"} 1',
+      'adsb_relay_rpc_errors_total{method="eth_estimateGas"} 1'
+    ]);
+  });
+
+  it("Should read queue depth, nonces, wallets, indexer and stream state on each scrape", function () {
+    const metrics = new RelayMetrics();
+    const nonces = {
+      address: wallet,
+      pending: [{ nonce: 7 }, { nonce: 9 }],
+      gaps: [8],
+      stuck: [7],
+      stats: { allocated: 10, released: 1, gapsFilled: 2, replaced: 0, cancelled: 1, resyncs: 0 }
+    };
+    const state = {
+      jobs: { queued: 4, submitted: 1, mined: 20, failed: 0, dropped: 0 },
+      nonces: [nonces, { address: null, pending: [], gaps: [], stuck: [], stats: {} }],
+      wallets: [{ address: wallet, balance: "9999.5", sent: 12, failed: 1 }],
+      indexer: { lastBlock: 42, flights: 17, pendingRounds: 2, reorgs: 1 },
+      eventStream: { clients: [{}, {}], sent: 100 }
+    };
+
+    const first = samples(metrics.render(state));
+    expect(first).to.include.members([
+      'adsb_relay_jobs{state="queued"} 4',
+      'adsb_relay_jobs{state="submitted"} 1',
+      `adsb_relay_nonce_pending{wallet="${wallet}"} 2`,
+      `adsb_relay_nonce_gaps{wallet="${wallet}"} 1`,
+      `adsb_relay_nonce_stuck{wallet="${wallet}"} 1`,
+      `adsb_relay_nonce_events_total{wallet="${wallet}",event="gap_filled"} 2`,
+      `adsb_relay_wallet_balance_eth{wallet="${wallet}"} 9999.5`,
+      `adsb_relay_wallet_transactions_total{wallet="${wallet}",outcome="failed"} 1`,
+      "adsb_indexer_last_block 42",
+      "adsb_indexer_reorgs_total 1",
+      "adsb_relay_event_stream_clients 2"
+    ]);
+    // Nonce managers that have not started yet are left out
+    expect(first.filter(line => line.includes('wallet=""'))).to.deep.equal([]);
+
+    state.jobs.queued = 0;
+    nonces.gaps = [];
+    const second = samples(metrics.render(state));
+    expect(second).to.include.members(['adsb_relay_jobs{state="queued"} 0', `adsb_relay_nonce_gaps{wallet="${wallet}"} 0`]);
+  });
+
+  it("Should count OpenSky fetches and time only real requests", function () {
+    const metrics = new RelayMetrics({ now: () => start });
+    metrics.observeOpenSkyFetch({ outcome: "ok", durationMs: 1500, states: 240, flights: 100 });
+    metrics.observeOpenSkyFetch({ outcome: "cached", durationMs: 0, states: 0, flights: 100 });
+    metrics.observeOpenSkyFetch({ outcome: "rate_limited", durationMs: 300 });
+
+    expect(samples(metrics.render())).to.include.members([
+      'adsb_opensky_fetches_total{outcome="ok"} 1',
+      'adsb_opensky_fetches_total{outcome="cached"} 1',
+      'adsb_opensky_fetches_total{outcome="rate_limited"} 1',
+      "adsb_opensky_fetch_duration_seconds_count 2",
+      "adsb_opensky_fetch_duration_seconds_sum 1.8",
+      "adsb_opensky_states_total 240",
+      "adsb_opensky_flights_total 100",
+      `adsb_opensky_last_success_timestamp_seconds ${start / 1000}`
+    ]);
+  });
+
+  it("Should label HTTP requests with the route pattern", function () {
+    const metrics = new RelayMetrics();
+    const middleware = metrics.middleware();
+    const request = (req, statusCode) => {
+      const res = new EventEmitter();
+      res.statusCode = statusCode;
+      middleware(req, res, () => {});
+      res.emit("finish");
+    };
+
+    request({ method: "GET", baseUrl: "", route: { path: "/jobs/:id" } }, 200);
+    request({ method: "GET", baseUrl: "", route: { path: "/jobs/:id" } }, 200);
+    request({ method: "POST", baseUrl: "", route: { path: "/add-flight" } }, 429);
+    request({ method: "GET" }, 404);
+
+    expect(samples(metrics.render())).to.include.members([
+      'adsb_relay_http_requests_total{method="GET",route="/jobs/:id",status="200"} 2',
+      'adsb_relay_http_requests_total{method="POST",route="/add-flight",status="429"} 1',
+      'adsb_relay_http_requests_total{method="GET",route="unmatched",status="404"} 1'
+    ]);
+  });
+});
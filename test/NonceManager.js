@@ -0,0 +1,130 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const { time, mine, takeSnapshot } = require("@nomicfoundation/hardhat-network-helpers");
+const NonceManager = require("../server/NonceManager");
+const { UNKNOWN_KINEMATICS } = require("../web-interface/src/shared/Kinematics");
+
+describe("ADS-B Relay Nonce Manager Tests", function () {
+  let adsbData;
+  let relayer;
+  let nonces;
+
+  async function sendFlight(icao24, label = `Flight ${icao24}`) {
+    const observedAt = await time.latest();
+    return nonces.send(label, overrides =>
+      adsbData.updateFlight(icao24, "TEST", 53420000, -6270000, 10000, false, false, observedAt, UNKNOWN_KINEMATICS, overrides)
+    );
+  }
+
+  beforeEach(async function () {
+    const AdsbData = await ethers.getContractFactory("AdsbData");
+    [relayer] = await ethers.getSigners();
+    adsbData = await AdsbData.deploy();
+    await adsbData.deployed();
+
+    nonces = new NonceManager({ signer: relayer, pollIntervalMs: 0, stuckTimeoutMs: 60000 });
+    await nonces.init();
+  });
+
+  afterEach(async function () {
+    await network.provider.send("evm_setAutomine", [true]);
+  });
+
+  it("Should hand concurrent sends consecutive nonces", async function () {
+    const first = nonces.getState().nextNonce;
+    const txs = await Promise.all(["4CA001", "4CA002", "4CA003", "4CA004"].map(icao24 => sendFlight(icao24)));
+    await Promise.all(txs.map(tx => tx.wait()));
+
+    expect(txs.map(tx => tx.nonce).sort((a, b) => a - b)).to.deep.equal([first, first + 1, first + 2, first + 3]);
+    expect(await adsbData.getFlightCount()).to.equal(4);
+
+    await nonces.refresh();
+    const state = nonces.getState();
+    expect(state.confirmedNonce).to.equal(first + 4);
+    expect(state.pending).to.be.empty;
+  });
+
+  it("Should reuse the nonce of a send that failed last", async function () {
+    const first = nonces.getState().nextNonce;
+    await expect(nonces.send("Broken", async () => { throw new Error("cannot estimate gas"); }))
+      .to.be.rejectedWith("cannot estimate gas");
+
+    const tx = await sendFlight("4CA001");
+    expect(tx.nonce).to.equal(first);
+    expect(nonces.getState().gaps).to.be.empty;
+  });
+
+  it("Should fill a gap left by an unused nonce so later transactions are mined", async function () {
+    await network.provider.send("evm_setAutomine", [false]);
+    const unused = await nonces.allocate();
+    const later = await sendFlight("4CA001");
+    nonces.release(unused);
+
+    expect(later.nonce).to.equal(unused + 1);
+    expect(nonces.getState().gaps).to.deep.equal([unused]);
+    await mine();
+    expect(await ethers.provider.getTransactionReceipt(later.hash)).to.be.null;
+
+    await nonces.refresh();
+    await mine();
+    expect((await ethers.provider.getTransactionReceipt(later.hash)).status).to.equal(1);
+    await nonces.refresh();
+
+    const state = nonces.getState();
+    expect(state.gaps).to.be.empty;
+    expect(state.confirmedNonce).to.equal(unused + 2);
+    expect(state.stats.gapsFilled).to.equal(1);
+  });
+
+  it("Should flag stuck transactions and replace them with higher fees", async function () {
+    nonces.stuckTimeoutMs = 0;
+    await network.provider.send("evm_setAutomine", [false]);
+
+    const tx = await sendFlight("4CA001");
+    await new Promise(resolve => setTimeout(resolve, 5));
+    expect(nonces.getStuck()).to.deep.equal([tx.nonce]);
+
+    const replacements = [];
+    nonces.on("replaced", replacement => replacements.push(replacement));
+    const replacement = await nonces.replace(tx.nonce);
+    await mine();
+
+    expect(replacement.nonce).to.equal(tx.nonce);
+    expect(replacement.maxFeePerGas).to.be.gt(tx.maxFeePerGas);
+    expect(replacements).to.deep.equal([{ nonce: tx.nonce, oldHash: tx.hash, newHash: replacement.hash }]);
+    expect((await ethers.provider.getTransactionReceipt(replacement.hash)).status).to.equal(1);
+    expect(await ethers.provider.getTransactionReceipt(tx.hash)).to.be.null;
+    expect(await adsbData.getFlightCount()).to.equal(1);
+  });
+
+  it("Should cancel a pending transaction with a self-transfer", async function () {
+    await network.provider.send("evm_setAutomine", [false]);
+
+    const tx = await sendFlight("4CA001");
+    const cancellation = await nonces.cancel(tx.nonce);
+    await mine();
+
+    expect(cancellation.to).to.equal(relayer.address);
+    expect((await ethers.provider.getTransactionReceipt(cancellation.hash)).status).to.equal(1);
+    expect(await adsbData.getFlightCount()).to.equal(0);
+    expect(nonces.getState().stats.cancelled).to.equal(1);
+  });
+
+  it("Should resync when the node forgets confirmed transactions", async function () {
+    const snapshot = await takeSnapshot();
+    const first = nonces.getState().nextNonce;
+    await (await sendFlight("4CA001")).wait();
+    await (await sendFlight("4CA002")).wait();
+    await nonces.refresh();
+    expect(nonces.getState().confirmedNonce).to.equal(first + 2);
+
+    // Like a Hardhat node restarted from scratch
+    await snapshot.restore();
+    await nonces.refresh();
+
+    const state = nonces.getState();
+    expect(state.nextNonce).to.equal(first);
+    expect(state.confirmedNonce).to.equal(first);
+    expect(state.stats.resyncs).to.equal(1);
+  });
+});
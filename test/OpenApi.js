@@ -0,0 +1,124 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const path = require("path");
+const ApiValidator = require("../server/ApiValidator");
+const { ERROR_CODES } = require("../server/ApiErrors");
+const { buildApiDocument } = require("../server/openapi");
+const { renderDocs } = require("../server/ApiDocs");
+
+describe("ADS-B Relay API Document Tests", function () {
+  let document;
+  let api;
+
+  // Resolves with { passed, req } or { status, body }
+  function run(operationId, req) {
+    return new Promise(resolve => {
+      const request = Object.assign({ params: {}, query: {}, body: {} }, req);
+      const res = {
+        statusCode: 200,
+        status(code) { this.statusCode = code; return this; },
+        json(body) { resolve({ passed: false, status: this.statusCode, body }); return this; }
+      };
+      api.validate(operationId)(request, res, () => resolve({ passed: true, req: request, res }));
+    });
+  }
+
+  beforeEach(function () {
+    document = buildApiDocument();
+    api = new ApiValidator({ document, strictResponses: true });
+  });
+
+  it("Should describe every relay route with its method, path and permission", function () {
+    const source = fs.readFileSync(path.join(__dirname, "../server/transaction-relay.js"), "utf8");
+    const routes = [...source.matchAll(/^app\.(get|post|put)\('([^']+)', (.*)$/gm)].map(([, method, route, rest]) => ({
+      method,
+      path: route.replace(/:(\w+)/g, "{$1}"),
+      operationId: (/api\.validate\('(\w+)'\)/.exec(rest) || [])[1],
+      permission: (/auth\.requirePermission\('(\w+)'\)/.exec(rest) || [])[1]
+    }));
+
+    expect(routes).to.have.length(api.operations.size);
+    routes.forEach(route => {
+      expect(route.operationId, `${route.method} ${route.path}`).to.be.a("string");
+      const operation = api.getOperation(route.operationId);
+      expect({ method: operation.method, path: operation.path, permission: operation["x-permission"] })
+        .to.deep.equal({ method: route.method, path: route.path, permission: route.permission });
+    });
+  });
+
+  it("Should list exactly the error codes the relay sends", function () {
+    expect(document.components.schemas.Error.properties.code.enum).to.deep.equal(Object.keys(ERROR_CODES));
+    Object.values(document.paths).forEach(item => Object.values(item).forEach(operation => {
+      Object.keys(operation.responses).filter(status => status >= 400).forEach(status => {
+        expect(Object.values(ERROR_CODES)).to.include(Number(status));
+      });
+    }));
+  });
+
+  it("Should coerce parameters and fill in defaults", async function () {
+    const history = await run("getFlightHistory", { params: { icao24: "4ca123" }, query: { limit: "20" } });
+    expect(history.passed).to.equal(true);
+    expect(history.req.query).to.deep.equal({ limit: 20, offset: 0 });
+
+    const pending = await run("listFlights", { query: { includePending: "true" } });
+    expect(pending.req.query).to.include({ includePending: true, sort: "-timestamp", limit: 100 });
+
+    const nonce = await run("manageNonce", { params: { nonce: "7", action: "cancel" } });
+    expect(nonce.req.params.nonce).to.equal(7);
+  });
+
+  it("Should refuse invalid requests with VALIDATION_FAILED and per-field details", async function () {
+    const refused = await run("addFlight", { body: { icao24: "4ca123", latitude: 95, longitude: 4.9 } });
+
+    expect(refused.status).to.equal(400);
+    expect(refused.body).to.include({ success: false, code: "VALIDATION_FAILED" });
+    expect(refused.body.details).to.deep.equal([
+      { field: "body.altitude", message: "is required" },
+      { field: "body.latitude", message: "must be <= 90" }
+    ]);
+
+    const tooMany = await run("addFlightsBatch", { body: { flights: new Array(51).fill({}) } });
+    expect(tooMany.body.details).to.deep.equal([{ field: "body.flights", message: "must NOT have more than 50 items" }]);
+
+    const address = await run("getRoles", { params: { address: "0x1234" } });
+    expect(address.status).to.equal(400);
+    expect(address.body.details[0].field).to.equal("path.address");
+  });
+
+  it("Should answer NOT_FOUND for an unknown action in the path", async function () {
+    const unknown = await run("changeReceiverStatus", {
+      params: { address: "0x70997970C51812dc3A010C7d01b50e0d17dc79C8", action: "promote" }
+    });
+
+    expect(unknown.status).to.equal(404);
+    expect(unknown.body).to.deep.equal({ success: false, code: "NOT_FOUND", error: "Unknown action: promote" });
+  });
+
+  it("Should check flights of a batch one at a time", function () {
+    expect(api.checkFlight({ icao24: "4ca123", latitude: 52.3, longitude: 4.9, altitude: 11000, observedAt: "2026-10-19T12:00:00Z" }))
+      .to.deep.equal({ valid: true });
+    expect(api.checkFlight({ icao24: "4ca123", latitude: 52.3, longitude: 184.9, altitude: 11000 }))
+      .to.deep.equal({ valid: false, reason: "Invalid flight data: longitude must be <= 180" });
+    expect(api.checkFlight({ latitude: 52.3, longitude: 4.9, altitude: 11000 }).reason).to.equal("Invalid flight data: icao24 is required");
+  });
+
+  it("Should validate responses against the schema of their status", async function () {
+    const { res } = await run("getJob", { params: { id: "job-1" } });
+    expect(() => res.status(404).json({ success: false, code: "NOT_FOUND", error: "Job not found" })).to.not.throw();
+    expect(() => res.status(404).json({ error: "Job not found" })).to.throw(/getJob does not match the API document: response.success is required/);
+
+    // Dates are checked as the strings the client receives
+    const { res: history } = await run("getFlightHistory", { params: { icao24: "4ca123" } });
+    const flight = { icao24: "4ca123", latitude: 52.3, longitude: 4.9, altitude: 11000, timestamp: new Date() };
+    expect(() => history.json({ icao24: "4ca123", total: 1, offset: 0, limit: 100, history: [flight], count: 1 })).to.not.throw();
+  });
+
+  it("Should render the documentation page from the document", function () {
+    const page = renderDocs(document);
+
+    expect(page).to.match(/^<!DOCTYPE html>/);
+    expect(page).to.include('id="submitSignedReports"');
+    expect(page).to.include("API key permission: admin");
+    expect(page).to.include('<a href="#schema-FlightInput">FlightInput</a>');
+  });
+});
@@ -0,0 +1,94 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { UNKNOWN_KINEMATICS } = require("../web-interface/src/shared/Kinematics");
+
+describe("ADS-B Partial Batch Tests", function () {
+  let adsbData;
+
+  beforeEach(async function () {
+    const AdsbData = await ethers.getContractFactory("AdsbData");
+    adsbData = await AdsbData.deploy();
+    await adsbData.deployed();
+
+    await adsbData.updateFlight("4ca123", "EIN123", 53420000, -6270000, 10000, false, false, await time.latest(), UNKNOWN_KINEMATICS);
+    await time.increase(60);
+  });
+
+  it("Should commit valid entries and reject invalid ones without reverting", async function () {
+    const observedAt = await time.latest();
+    const tx = await adsbData.updateFlightBatchPartial(
+      ["3c6444", "4ca123", "400a0b", ""],
+      ["DLH4AB", "EIN123", "BAW12", "NOID"],
+      [50030000, 53420000, 95000000, 10000000],
+      [8570000, -6270000, -450000, 10000000],
+      [11000, 90000, 9000, 1000],
+      [false, false, false, false],
+      [false, false, false, false],
+      [observedAt, observedAt, observedAt, observedAt],
+      [UNKNOWN_KINEMATICS, UNKNOWN_KINEMATICS, UNKNOWN_KINEMATICS, UNKNOWN_KINEMATICS]
+    );
+    const receipt = await tx.wait();
+
+    const outcomes = receipt.events
+      .filter(event => event.event === "FlightUpdated" || event.event === "FlightRejected")
+      .map(event => [event.event, event.args.icao24, event.args.reason]);
+    expect(outcomes).to.deep.equal([
+      ["FlightUpdated", "3c6444", undefined],
+      ["FlightRejected", "4ca123", "Tampering: impossible altitude jump"],
+      ["FlightRejected", "400a0b", "Invalid latitude"],
+      ["FlightRejected", "", "ICAO24 is required"]
+    ]);
+
+    const summary = receipt.events.find(event => event.event === "FlightBatchUpdated");
+    expect(summary.args.count).to.equal(1);
+
+    expect(await adsbData.getFlightCount()).to.equal(2);
+    expect(await adsbData.getFlightHistoryCount("4ca123")).to.equal(1);
+  });
+
+  it("Should reject a repeated aircraft within the same batch as a replay", async function () {
+    const observedAt = await time.latest();
+    const tx = await adsbData.updateFlightBatchPartial(
+      ["3c6444", "3c6444"],
+      ["DLH4AB", "DLH4AB"],
+      [50030000, 50040000],
+      [8570000, 8580000],
+      [11000, 11000],
+      [false, false],
+      [false, false],
+      [observedAt, observedAt],
+      [UNKNOWN_KINEMATICS, UNKNOWN_KINEMATICS]
+    );
+
+    await expect(tx)
+      .to.emit(adsbData, "FlightRejected")
+      .withArgs("3c6444", "Replay attack: timestamp not newer");
+    expect(await adsbData.getFlightHistoryCount("3c6444")).to.equal(1);
+  });
+
+  it("Should still revert on malformed batches", async function () {
+    const observedAt = await time.latest();
+    await expect(
+      adsbData.updateFlightBatchPartial(["3c6444"], [], [50030000], [8570000], [11000], [false], [false], [observedAt], [UNKNOWN_KINEMATICS])
+    ).to.be.revertedWith("Array lengths must match");
+  });
+
+  it("Should keep the all-or-nothing behaviour of updateFlightBatch", async function () {
+    const observedAt = await time.latest();
+    await expect(
+      adsbData.updateFlightBatch(
+        ["3c6444", "4ca123"],
+        ["DLH4AB", "EIN123"],
+        [50030000, 53420000],
+        [8570000, -6270000],
+        [11000, 90000],
+        [false, false],
+        [false, false],
+        [observedAt, observedAt],
+        [UNKNOWN_KINEMATICS, UNKNOWN_KINEMATICS]
+      )
+    ).to.be.revertedWith("Tampering: impossible altitude jump");
+    expect(await adsbData.getFlightCount()).to.equal(1);
+  });
+});
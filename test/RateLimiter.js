@@ -0,0 +1,113 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const RateLimiter = require("../server/RateLimiter");
+
+describe("ADS-B Relay Rate Limiter Tests", function () {
+  const station = { id: "ak_0123456789abcdef", name: "ground-station-1" };
+  const other = { id: "ip:10.0.0.7", name: "10.0.0.7" };
+  let dir;
+  let time;
+  const now = () => time;
+
+  // Resolves with { passed, status, body, headers }
+  function run(middleware, req) {
+    return new Promise(resolve => {
+      const headers = {};
+      const res = {
+        statusCode: 200,
+        set(name, value) { headers[name] = value; return this; },
+        status(code) { this.statusCode = code; return this; },
+        json(body) { resolve({ passed: false, status: this.statusCode, body, headers }); }
+      };
+      middleware(req, res, () => resolve({ passed: true }));
+    });
+  }
+
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "relay-limits-"));
+    time = Date.parse("2026-10-19T12:00:00Z");
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("Should answer 429 with Retry-After once a client's burst is used up", async function () {
+    const limiter = new RateLimiter({ burst: 2, perMinute: 6, now });
+    const req = { method: "POST", originalUrl: "/add-flight", apiClient: station };
+
+    expect((await run(limiter.middleware(), req)).passed).to.equal(true);
+    expect((await run(limiter.middleware(), req)).passed).to.equal(true);
+    const refused = await run(limiter.middleware(), req);
+
+    expect(refused.status).to.equal(429);
+    expect(refused.headers["Retry-After"]).to.equal("10");
+    expect(refused.body).to.include({ success: false, code: "RATE_LIMITED", reason: "rate", retryAfter: 10 });
+    expect(refused.body.error).to.equal("Too many requests from ground-station-1; limit 6 per minute");
+  });
+
+  it("Should refill tokens over time and keep clients apart", function () {
+    const limiter = new RateLimiter({ burst: 1, perMinute: 60, now });
+
+    expect(limiter.take(station).allowed).to.equal(true);
+    expect(limiter.take(station).allowed).to.equal(false);
+    expect(limiter.take(other).allowed).to.equal(true);
+
+    time += 500;
+    expect(limiter.take(station)).to.deep.equal({ allowed: false, reason: "rate", retryAfterMs: 500 });
+    time += 500;
+    expect(limiter.take(station).allowed).to.equal(true);
+    expect(RateLimiter.clientOf({ ip: "10.0.0.7" })).to.deep.equal(other);
+  });
+
+  it("Should refuse writes until midnight once the daily gas quota is used", function () {
+    const limiter = new RateLimiter({ burst: 10, perMinute: 60, dailyGasQuota: 500000, now });
+
+    limiter.recordGas(station, 300000);
+    expect(limiter.take(station).allowed).to.equal(true);
+    limiter.recordGas(station, 250000);
+
+    expect(limiter.take(station)).to.deep.equal({ allowed: false, reason: "quota", retryAfterMs: 12 * 60 * 60 * 1000 });
+    expect(limiter.take(other).allowed).to.equal(true);
+
+    time = Date.parse("2026-10-20T00:00:01Z");
+    expect(limiter.take(station).allowed).to.equal(true);
+    expect(limiter.gasUsedToday(station.id)).to.equal(0);
+  });
+
+  it("Should keep today's gas usage across restarts", function () {
+    const file = path.join(dir, "gas-usage.json");
+    new RateLimiter({ dailyGasQuota: 100000, file, now }).recordGas(station, 120000);
+
+    const restarted = new RateLimiter({ dailyGasQuota: 100000, file, now });
+    expect(restarted.take(station).reason).to.equal("quota");
+
+    time += 24 * 60 * 60 * 1000;
+    expect(new RateLimiter({ dailyGasQuota: 100000, file, now }).take(station).allowed).to.equal(true);
+  });
+
+  it("Should report throttled clients and remaining quota", function () {
+    const limiter = new RateLimiter({ burst: 1, perMinute: 60, dailyGasQuota: 1000000, now });
+    limiter.take(station);
+    limiter.take(station);
+    limiter.recordGas(station, 250000);
+    limiter.take(other);
+
+    const stats = limiter.getStats();
+    expect(stats.throttledClients).to.deep.equal(["ground-station-1"]);
+    expect(stats.clients[0]).to.include({
+      id: station.id,
+      requests: 2,
+      throttled: 1,
+      lastThrottleReason: "rate",
+      throttledNow: true,
+      gasUsedToday: 250000,
+      quotaRemaining: 750000
+    });
+
+    time += 61 * 1000;
+    expect(limiter.getStats().throttledClients).to.deep.equal([]);
+  });
+});
@@ -0,0 +1,94 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("ADS-B Receiver Registry Tests", function () {
+  let adsbData;
+  let admin;
+  let operator;
+  let station;
+  let ADMIN_ROLE;
+  let OPERATOR_ROLE;
+
+  beforeEach(async function () {
+    const AdsbData = await ethers.getContractFactory("AdsbData");
+    [admin, operator, station] = await ethers.getSigners();
+    adsbData = await AdsbData.deploy();
+    await adsbData.deployed();
+
+    ADMIN_ROLE = await adsbData.ADMIN_ROLE();
+    OPERATOR_ROLE = await adsbData.OPERATOR_ROLE();
+  });
+
+  it("Should bootstrap the deployer as admin, operator and receiver", async function () {
+    expect(await adsbData.hasRole(ADMIN_ROLE, admin.address)).to.be.true;
+    expect(await adsbData.hasRole(OPERATOR_ROLE, admin.address)).to.be.true;
+    expect(await adsbData.isActiveReceiver(admin.address)).to.be.true;
+    expect(await adsbData.getReceiverCount()).to.equal(1);
+    expect(await adsbData.getReceiverAt(0)).to.equal(admin.address);
+  });
+
+  it("Should let an operator register a receiver with metadata", async function () {
+    await adsbData.grantRole(OPERATOR_ROLE, operator.address);
+
+    await expect(
+      adsbData.connect(operator).registerReceiver(station.address, "Dublin ADS-B", 53420000, -6270000, operator.address)
+    ).to.emit(adsbData, "ReceiverRegistered").withArgs(station.address, "Dublin ADS-B", operator.address);
+
+    const [status, name, latitude, longitude, owner, registeredAt] = await adsbData.getReceiver(station.address);
+    expect(status).to.equal(1); // Active
+    expect(name).to.equal("Dublin ADS-B");
+    expect(latitude).to.equal(53420000);
+    expect(longitude).to.equal(-6270000);
+    expect(owner).to.equal(operator.address);
+    expect(registeredAt).to.be.gt(0);
+
+    await expect(
+      adsbData.connect(operator).registerReceiver(station.address, "Again", 0, 0, operator.address)
+    ).to.be.revertedWith("Receiver already registered");
+  });
+
+  it("Should update receiver metadata", async function () {
+    await adsbData.registerReceiver(station.address, "Old name", 0, 0, admin.address);
+    await expect(adsbData.updateReceiverMetadata(station.address, "New name", 51470000, -450000, station.address))
+      .to.emit(adsbData, "ReceiverMetadataUpdated")
+      .withArgs(station.address, "New name", 51470000, -450000, station.address);
+
+    const [, name, , , owner] = await adsbData.getReceiver(station.address);
+    expect(name).to.equal("New name");
+    expect(owner).to.equal(station.address);
+  });
+
+  it("Should suspend and reactivate receivers", async function () {
+    await adsbData.registerReceiver(station.address, "Station", 0, 0, admin.address);
+
+    await expect(adsbData.suspendReceiver(station.address))
+      .to.emit(adsbData, "ReceiverStatusChanged").withArgs(station.address, 2);
+    expect(await adsbData.isActiveReceiver(station.address)).to.be.false;
+
+    await adsbData.reactivateReceiver(station.address);
+    expect(await adsbData.isActiveReceiver(station.address)).to.be.true;
+  });
+
+  it("Should reserve revocation for admins and make it permanent", async function () {
+    await adsbData.grantRole(OPERATOR_ROLE, operator.address);
+    await adsbData.registerReceiver(station.address, "Station", 0, 0, admin.address);
+
+    await expect(adsbData.connect(operator).revokeReceiver(station.address)).to.be.revertedWith("Missing required role");
+
+    await adsbData.revokeReceiver(station.address);
+    const [status] = await adsbData.getReceiver(station.address);
+    expect(status).to.equal(3); // Revoked
+    await expect(
+      adsbData.registerReceiver(station.address, "Station", 0, 0, admin.address)
+    ).to.be.revertedWith("Receiver already registered");
+  });
+
+  it("Should never remove the last admin", async function () {
+    await expect(adsbData.revokeRole(ADMIN_ROLE, admin.address)).to.be.revertedWith("Cannot revoke the last admin");
+
+    await adsbData.grantRole(ADMIN_ROLE, operator.address);
+    await adsbData.revokeRole(ADMIN_ROLE, admin.address);
+    expect(await adsbData.hasRole(ADMIN_ROLE, admin.address)).to.be.false;
+    expect(await adsbData.hasRole(ADMIN_ROLE, operator.address)).to.be.true;
+  });
+});
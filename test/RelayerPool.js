@@ -0,0 +1,120 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const { time, mine } = require("@nomicfoundation/hardhat-network-helpers");
+const RelayerPool = require("../server/RelayerPool");
+const NonceManager = require("../server/NonceManager");
+const { UNKNOWN_KINEMATICS } = require("../web-interface/src/shared/Kinematics");
+
+describe("ADS-B Relayer Pool Tests", function () {
+  let adsbData;
+  let relayers;
+  let pool;
+
+  function createPool(options = {}) {
+    return new RelayerPool(Object.assign({
+      members: relayers.map(wallet => ({ wallet })),
+      balanceIntervalMs: 60000,
+      nonceOptions: { pollIntervalMs: 60000 }
+    }, options));
+  }
+
+  // updateFlight needs an active receiver, which every relayer is made in beforeEach.
+  // Pass observedAt to reach the pool synchronously, so parallel sends keep their order.
+  async function sendFlight(icao24, observedAt) {
+    if (observedAt === undefined) observedAt = await time.latest();
+    return pool.send(`Flight ${icao24}`, (signer, overrides) =>
+      adsbData.connect(signer).updateFlight(icao24, "TEST", 53420000, -6270000, 10000, false, false, observedAt, UNKNOWN_KINEMATICS, overrides)
+    );
+  }
+
+  beforeEach(async function () {
+    const AdsbData = await ethers.getContractFactory("AdsbData");
+    const signers = await ethers.getSigners();
+    relayers = signers.slice(1, 4);
+    adsbData = await AdsbData.deploy();
+    await adsbData.deployed();
+    for (const relayer of relayers) {
+      await adsbData.registerReceiver(relayer.address, "Relayer", 0, 0, relayer.address);
+    }
+  });
+
+  afterEach(async function () {
+    if (pool) pool.stop();
+    pool = null;
+    await network.provider.send("evm_setAutomine", [true]);
+  });
+
+  it("Should spread round-robin sends over every wallet with its own nonces", async function () {
+    pool = createPool({ strategy: "round-robin" });
+    await pool.start();
+    const firstNonces = pool.getStats().wallets.map(wallet => wallet.nextNonce);
+
+    const observedAt = await time.latest();
+    const txs = await Promise.all(["4CA001", "4CA002", "4CA003", "4CA004", "4CA005", "4CA006"].map(icao24 => sendFlight(icao24, observedAt)));
+    await Promise.all(txs.map(tx => tx.wait()));
+
+    expect(txs.map(tx => tx.from)).to.deep.equal([...relayers, ...relayers].map(relayer => relayer.address));
+    relayers.forEach((relayer, index) => {
+      const sent = txs.filter(tx => tx.from === relayer.address).map(tx => tx.nonce);
+      expect(sent).to.deep.equal([firstNonces[index], firstNonces[index] + 1]);
+    });
+    expect(await adsbData.getFlightCount()).to.equal(6);
+    expect(pool.getStats().wallets.map(wallet => wallet.sent)).to.deep.equal([2, 2, 2]);
+  });
+
+  it("Should pick the wallet with the fewest pending transactions", async function () {
+    pool = createPool({ strategy: "least-pending" });
+    await pool.start();
+    await network.provider.send("evm_setAutomine", [false]);
+
+    const first = await sendFlight("4CA001");
+    const second = await sendFlight("4CA002");
+    const third = await sendFlight("4CA003");
+    expect([first.from, second.from, third.from]).to.have.members(relayers.map(relayer => relayer.address));
+
+    // Only the first wallet learns that its transaction was mined, so it is the least busy
+    await mine();
+    await pool.members[0].nonceManager.refresh();
+    const fourth = await sendFlight("4CA004");
+    expect(fourth.from).to.equal(pool.members[0].wallet.address);
+  });
+
+  it("Should warn about a low balance once and route around the wallet", async function () {
+    const empty = ethers.Wallet.createRandom().connect(ethers.provider);
+    relayers = [empty, relayers[0]];
+    pool = createPool({ strategy: "round-robin", minBalance: "1" });
+
+    const warnings = [];
+    pool.on("lowBalance", warning => warnings.push(warning));
+    await pool.start();
+    await pool.checkBalances();
+
+    expect(warnings).to.deep.equal([{ address: empty.address, balance: "0" }]);
+    const stats = pool.getStats();
+    expect(stats.wallets.map(wallet => wallet.lowBalance)).to.deep.equal([true, false]);
+    expect(stats.wallets[0].balance).to.equal("0.0");
+
+    const tx = await sendFlight("4CA001");
+    expect(tx.from).to.equal(relayers[1].address);
+  });
+
+  it("Should share the nonce manager of a wallet that is already in use", async function () {
+    const existing = new NonceManager({ signer: relayers[0] });
+    pool = createPool({ members: [{ wallet: relayers[0], nonceManager: existing }, { wallet: relayers[0] }, { wallet: relayers[1] }] });
+
+    expect(pool.size()).to.equal(2);
+    expect(pool.members[0].nonceManager).to.equal(existing);
+    expect(() => createPool({ members: [] })).to.throw("Relayer pool needs at least one wallet");
+    expect(() => createPool({ strategy: "random" })).to.throw("Unknown relayer strategy: random");
+  });
+
+  it("Should load relayer wallets from a mnemonic", function () {
+    const mnemonic = "test test test test test test test test test test test junk";
+    const wallets = RelayerPool.loadRelayerWallets({ mnemonic, count: 3 }, ethers.provider);
+
+    expect(wallets.map(wallet => wallet.address)).to.deep.equal(
+      [0, 1, 2].map(index => ethers.Wallet.fromMnemonic(mnemonic, `m/44'/60'/0'/0/${index}`).address)
+    );
+    expect(wallets[0].provider).to.equal(ethers.provider);
+  });
+});
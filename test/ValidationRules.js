@@ -0,0 +1,112 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const FlightIndexer = require("../web-interface/src/shared/FlightIndexer");
+const { UNKNOWN_KINEMATICS } = require("../web-interface/src/shared/Kinematics");
+const {
+  DEFAULT_RULE_SET,
+  toRulesTuple,
+  readValidationRules,
+  rulesFor,
+  checkAltitudeChange
+} = require("../web-interface/src/shared/ValidationRules");
+
+describe("ADS-B Validation Rules Tests", function () {
+  let adsbData;
+  let admin;
+  let operator;
+  let OPERATOR_ROLE;
+  let observedAt;
+
+  const AIRLINER = 0;
+  const GROUND_VEHICLE = 3;
+
+  beforeEach(async function () {
+    const AdsbData = await ethers.getContractFactory("AdsbData");
+    [admin, operator] = await ethers.getSigners();
+    adsbData = await AdsbData.deploy();
+    await adsbData.deployed();
+
+    OPERATOR_ROLE = await adsbData.OPERATOR_ROLE();
+    // Leave room for a follow-up report 100 s later that is not in the future
+    observedAt = (await time.latest()) - 100;
+    await adsbData.updateFlight("4ca123", "EIN123", 53420000, -6270000, 1000, false, false, observedAt, UNKNOWN_KINEMATICS);
+  });
+
+  it("Should seed every category with the default rules, readable in one call", async function () {
+    expect(await readValidationRules(adsbData)).to.deep.equal(DEFAULT_RULE_SET);
+  });
+
+  it("Should let only admins change rules, and emit the new values", async function () {
+    await adsbData.grantRole(OPERATOR_ROLE, operator.address);
+    const tightened = Object.assign({}, DEFAULT_RULE_SET[AIRLINER], { maxAltitudeJump: 500 });
+
+    await expect(
+      adsbData.connect(operator).setValidationRules(AIRLINER, toRulesTuple(tightened))
+    ).to.be.revertedWith("Missing required role");
+    await expect(
+      adsbData.setValidationRules(AIRLINER, toRulesTuple(Object.assign({}, tightened, { maxAltitudeRate: 0 })))
+    ).to.be.revertedWith("Invalid validation rules");
+
+    await expect(adsbData.setValidationRules(AIRLINER, toRulesTuple(tightened)))
+      .to.emit(adsbData, "ValidationRulesUpdated");
+    expect(rulesFor(await readValidationRules(adsbData), AIRLINER)).to.deep.equal(tightened);
+  });
+
+  it("Should apply tuned thresholds to the next update without redeploying", async function () {
+    // 600 m in 100 s is within the default airliner rules
+    const [validBefore] = await adsbData.validateFlightUpdate("4ca123", 53420000, -6270000, 1600, observedAt + 100, UNKNOWN_KINEMATICS);
+    expect(validBefore).to.be.true;
+
+    await adsbData.setValidationRules(AIRLINER, toRulesTuple(Object.assign({}, DEFAULT_RULE_SET[AIRLINER], { maxAltitudeJump: 500 })));
+
+    const [valid, reason] = await adsbData.validateFlightUpdate("4ca123", 53420000, -6270000, 1600, observedAt + 100, UNKNOWN_KINEMATICS);
+    const offChain = checkAltitudeChange(1000, 1600, 100, rulesFor(await readValidationRules(adsbData), AIRLINER));
+    expect(valid).to.be.false;
+    expect(reason).to.equal("Tampering: impossible altitude jump");
+    expect(offChain).to.deep.equal({ valid: false, reason });
+  });
+
+  it("Should check each aircraft against its category's rules", async function () {
+    await adsbData.grantRole(OPERATOR_ROLE, operator.address);
+    await expect(adsbData.connect(operator).setAircraftCategory("4ca123", GROUND_VEHICLE))
+      .to.emit(adsbData, "AircraftCategorySet")
+      .withArgs("4ca123", GROUND_VEHICLE);
+    expect(await adsbData.getAircraftCategory("4ca123")).to.equal(GROUND_VEHICLE);
+    expect(await adsbData.getAircraftCategory("3c6444")).to.equal(AIRLINER);
+
+    // A 150 m climb in 100 s is fine for an airliner but not for a ground vehicle
+    const [valid, reason] = await adsbData.validateFlightUpdate("4ca123", 53420000, -6270000, 1150, observedAt + 100, UNKNOWN_KINEMATICS);
+    expect(valid).to.be.false;
+    expect(reason).to.equal("Tampering: impossible altitude jump");
+
+    const ruleSet = await readValidationRules(adsbData);
+    expect(checkAltitudeChange(1000, 1150, 100, rulesFor(ruleSet, GROUND_VEHICLE)).valid).to.be.false;
+    expect(checkAltitudeChange(1000, 1150, 100, rulesFor(ruleSet, AIRLINER)).valid).to.be.true;
+  });
+
+  it("Should let only operators assign categories", async function () {
+    await expect(
+      adsbData.connect(operator).setAircraftCategory("4ca123", GROUND_VEHICLE)
+    ).to.be.revertedWith("Missing required role");
+  });
+
+  it("Should index aircraft categories for the off-chain filters", async function () {
+    const indexer = new FlightIndexer({
+      provider: ethers.provider,
+      contractAddress: adsbData.address,
+      contractInterface: adsbData.interface
+    });
+    const changes = [];
+    indexer.addListener(change => changes.push(change.type));
+
+    await adsbData.setAircraftCategory("4ca123", GROUND_VEHICLE);
+    await adsbData.setValidationRules(GROUND_VEHICLE, toRulesTuple(DEFAULT_RULE_SET[GROUND_VEHICLE]));
+    await indexer.sync();
+
+    expect(indexer.getCategory("4ca123")).to.equal(GROUND_VEHICLE);
+    expect(indexer.getCategory("3c6444")).to.equal(AIRLINER);
+    expect(changes).to.include("category");
+    expect(changes).to.include("rules");
+  });
+});
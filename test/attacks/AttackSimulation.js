@@ -0,0 +1,90 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { buildAttackedFlight, runAttackOnChain, demoAttackOutcome } = require("../../web-interface/src/shared/AttackSimulation");
+const { decodeRevertData } = require("../../web-interface/src/shared/RevertReason");
+const { UNKNOWN_KINEMATICS } = require("../../web-interface/src/shared/Kinematics");
+
+describe("ADS-B Attack Simulation Outcome Tests", function () {
+  let adsbData;
+  let owner;
+  let outsider;
+  let targetFlight;
+
+  beforeEach(async function () {
+    const AdsbData = await ethers.getContractFactory("AdsbData");
+    [owner, outsider] = await ethers.getSigners();
+    adsbData = await AdsbData.deploy();
+    await adsbData.deployed();
+
+    const observedAt = await time.latest();
+    await adsbData.updateFlight("4B1805", "SWR12", 47450000, 8560000, 9000, false, false, observedAt, UNKNOWN_KINEMATICS);
+    targetFlight = {
+      icao24: "4B1805",
+      callsign: "SWR12",
+      latitude: 47.45,
+      longitude: 8.56,
+      altitude: 9000,
+      onGround: false,
+      isSpoofed: false,
+      velocity: 220,
+      timestamp: observedAt
+    };
+  });
+
+  it("Should reject a replay at the validateFlightUpdate stage", async function () {
+    const outcome = await runAttackOnChain(adsbData, buildAttackedFlight("replay", targetFlight));
+
+    expect(outcome.detectedByBlockchain).to.equal(true);
+    expect(outcome.stage).to.equal("validateFlightUpdate");
+    expect(outcome.outcomeSource).to.equal("chain");
+    expect(outcome.reason).to.equal("Replay attack: timestamp not newer");
+    expect(await adsbData.getFlightHistoryCount("4B1805")).to.equal(1);
+  });
+
+  it("Should report the revert reason of a rejected attack transaction", async function () {
+    // Passes the off-chain check but is sent from a wallet that is not a registered receiver
+    await time.increase(300);
+    const attackedFlight = buildAttackedFlight("tampering", targetFlight, (await time.latest()) * 1000);
+    const outcome = await runAttackOnChain(adsbData.connect(outsider), attackedFlight);
+
+    expect(outcome.detectedByBlockchain).to.equal(true);
+    expect(outcome.stage).to.equal("transaction");
+    expect(outcome.reason).to.equal("Unregistered receiver");
+    expect(await adsbData.getFlightHistoryCount("4B1805")).to.equal(1);
+  });
+
+  it("Should not count a transaction that was never sent as detected", async function () {
+    await time.increase(300);
+    const attackedFlight = buildAttackedFlight("tampering", targetFlight, (await time.latest()) * 1000);
+    const offline = () => Promise.reject(Object.assign(new Error("could not detect network"), { code: "NETWORK_ERROR" }));
+
+    await expect(runAttackOnChain(adsbData, attackedFlight, offline)).to.be.rejectedWith("could not detect network");
+    expect(await adsbData.getFlightHistoryCount("4B1805")).to.equal(1);
+  });
+
+  it("Should report an accepted attack with its transaction", async function () {
+    // Forged fresh message with a plausible altitude change
+    await time.increase(300);
+    const attackedFlight = buildAttackedFlight("tampering", targetFlight, (await time.latest()) * 1000);
+    const outcome = await runAttackOnChain(adsbData, attackedFlight);
+
+    expect(outcome.detectedByBlockchain).to.equal(false);
+    expect(outcome.transactionHash).to.match(/^0x[0-9a-f]{64}$/);
+    expect(outcome.eventLogs.map(log => log.name)).to.include("FlightUpdated");
+    expect(await adsbData.getFlightHistoryCount("4B1805")).to.equal(2);
+  });
+
+  it("Should decode Error(string) revert data", async function () {
+    const data = "0x08c379a0" + ethers.utils.defaultAbiCoder.encode(["string"], ["Replay attack: timestamp not newer"]).slice(2);
+    expect(decodeRevertData(data)).to.equal("Replay attack: timestamp not newer");
+    expect(decodeRevertData("0x")).to.equal(null);
+  });
+
+  it("Should label demo outcomes and only produce them when asked to block", async function () {
+    expect(demoAttackOutcome("replay", 0)).to.equal(null);
+    const outcome = demoAttackOutcome("replay", 1);
+    expect(outcome.outcomeSource).to.equal("demo");
+    expect(outcome.stage).to.equal("demo");
+  });
+});
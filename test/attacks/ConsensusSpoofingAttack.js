@@ -0,0 +1,146 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { UNKNOWN_KINEMATICS } = require("../../web-interface/src/shared/Kinematics");
+
+const PENDING = 1;
+const CONFIRMED = 2;
+const DISPUTED = 3;
+
+describe("ADS-B Consensus Spoofing Attack Tests", function () {
+  let adsbData;
+  let stationA;
+  let stationB;
+  let stationC;
+  let rogue;
+
+  beforeEach(async function () {
+    const AdsbData = await ethers.getContractFactory("AdsbData");
+    [stationA, stationB, stationC, rogue] = await ethers.getSigners();
+    adsbData = await AdsbData.deploy();
+    await adsbData.deployed();
+
+    await adsbData.registerReceiver(stationB.address, "Station B", 0, 0, stationA.address);
+    await adsbData.registerReceiver(stationC.address, "Station C", 0, 0, stationA.address);
+    await adsbData.registerReceiver(rogue.address, "Rogue", 0, 0, stationA.address);
+
+    // 2 of 4 receivers, one-hour rounds so every test stays inside a single window
+    await adsbData.setQuorumConfig(2, 3600, 2000, 300);
+    const now = await time.latest();
+    await time.increaseTo(now - (now % 3600) + 3600);
+  });
+
+  async function report(receiver, latitude, longitude, altitude) {
+    return adsbData.connect(receiver).updateFlight("3C6444", "DLH4AB", latitude, longitude, altitude, false, false, await time.latest(), UNKNOWN_KINEMATICS);
+  }
+
+  it("Should keep a single receiver's report pending", async function () {
+    await expect(report(stationA, 50030000, 8570000, 11000))
+      .to.emit(adsbData, "ObservationRecorded");
+
+    expect(await adsbData.getFlightCount()).to.equal(0);
+    const consensus = await adsbData.getConsensus("3C6444");
+    expect(consensus.status).to.equal(PENDING);
+    expect(consensus.agreeing).to.equal(1);
+  });
+
+  it("Should confirm a position once a quorum of receivers agree", async function () {
+    await report(stationA, 50030000, 8570000, 11000);
+    const tx = await report(stationB, 50030500, 8570500, 11050);
+
+    await expect(tx).to.emit(adsbData, "ConsensusReached");
+    await expect(tx).to.emit(adsbData, "FlightUpdated");
+
+    // The first report is the one stored
+    const flight = await adsbData.getFlight(0);
+    expect(flight[2]).to.equal(50030000);
+    expect(flight[3]).to.equal(8570000);
+    expect((await adsbData.getConsensus("3C6444")).status).to.equal(CONFIRMED);
+  });
+
+  it("Should count identical messages decoded by different receivers", async function () {
+    const observedAt = await time.latest();
+    await adsbData.connect(stationA).updateFlight("3C6444", "DLH4AB", 50030000, 8570000, 11000, false, false, observedAt, UNKNOWN_KINEMATICS);
+    await adsbData.connect(stationB).updateFlight("3C6444", "DLH4AB", 50030000, 8570000, 11000, false, false, observedAt, UNKNOWN_KINEMATICS);
+
+    expect((await adsbData.getConsensus("3C6444")).status).to.equal(CONFIRMED);
+    expect((await adsbData.getFlight(0))[6]).to.equal(observedAt);
+  });
+
+  it("Should not let one receiver reach quorum by reporting twice", async function () {
+    await report(rogue, 51000000, 9000000, 11000);
+
+    await expect(report(rogue, 51000000, 9000000, 11000))
+      .to.be.revertedWith("Duplicate observation from receiver");
+    expect(await adsbData.getFlightCount()).to.equal(0);
+  });
+
+  it("Should confirm the honest position when the spoofer reports first", async function () {
+    await report(rogue, 51000000, 9000000, 11000);
+    await report(stationA, 50030000, 8570000, 11000);
+    const tx = await report(stationB, 50030100, 8570100, 11000);
+
+    await expect(tx).to.emit(adsbData, "ConsensusReached");
+    const consensus = await adsbData.getConsensus("3C6444");
+    expect(consensus.status).to.equal(CONFIRMED);
+    expect(consensus.latitude).to.equal(50030000);
+    expect(consensus.agreeing).to.equal(2);
+    expect(consensus.disagreeing).to.equal(1);
+
+    const flight = await adsbData.getFlight(0);
+    expect(flight[2]).to.equal(50030000);
+    expect(flight[3]).to.equal(8570000);
+  });
+
+  it("Should dispute a position the receivers cannot agree on", async function () {
+    await report(rogue, 51000000, 9000000, 11000);
+    await report(stationA, 50030000, 8570000, 11000);
+    await report(stationB, 49500000, 8000000, 11000);
+
+    const consensus = await adsbData.getConsensus("3C6444");
+    expect(consensus.status).to.equal(DISPUTED);
+    expect(consensus.agreeing).to.equal(1);
+    expect(consensus.disagreeing).to.equal(2);
+    expect(await adsbData.getFlightCount()).to.equal(0);
+  });
+
+  it("Should track the number of active receivers", async function () {
+    expect(await adsbData.getActiveReceiverCount()).to.equal(4);
+    await adsbData.suspendReceiver(rogue.address);
+    expect(await adsbData.getActiveReceiverCount()).to.equal(3);
+    await adsbData.revokeReceiver(rogue.address);
+    expect(await adsbData.getActiveReceiverCount()).to.equal(3);
+    await adsbData.revokeReceiver(stationC.address);
+    expect(await adsbData.getActiveReceiverCount()).to.equal(2);
+  });
+
+  it("Should only let an admin change the quorum", async function () {
+    await expect(
+      adsbData.connect(rogue).setQuorumConfig(1, 60, 2000, 300)
+    ).to.be.revertedWith("Missing required role");
+    await expect(
+      adsbData.setQuorumConfig(0, 60, 2000, 300)
+    ).to.be.revertedWith("Quorum must be at least 1");
+  });
+
+  it("Should keep the quorum within reach when it is set", async function () {
+    await expect(
+      adsbData.setQuorumConfig(5, 3600, 2000, 300)
+    ).to.be.revertedWith("Quorum exceeds active receivers");
+  });
+
+  it("Should let an admin suspend the last active receivers", async function () {
+    // A compromised station must be stoppable even if the quorum can no longer be met
+    await adsbData.suspendReceiver(stationC.address);
+    await adsbData.revokeReceiver(rogue.address);
+    await adsbData.suspendReceiver(stationB.address);
+    expect(await adsbData.getActiveReceiverCount()).to.equal(1);
+
+    // Positions stay pending until the quorum is lowered
+    await report(stationA, 50030000, 8570000, 11000);
+    expect((await adsbData.getConsensus("3C6444")).status).to.equal(PENDING);
+    await adsbData.setQuorumConfig(1, 3600, 2000, 300);
+    await adsbData.suspendReceiver(stationA.address);
+    expect(await adsbData.getActiveReceiverCount()).to.equal(0);
+  });
+});
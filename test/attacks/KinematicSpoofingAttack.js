@@ -0,0 +1,126 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { distanceMeters } = require("../../web-interface/src/shared/GeoDistance");
+const { checkKinematics, fromKinematics } = require("../../web-interface/src/shared/Kinematics");
+const { buildAttackedFlight, runAttackOnChain } = require("../../web-interface/src/shared/AttackSimulation");
+
+describe("ADS-B Kinematic Spoofing Attack Tests", function () {
+  let adsbData;
+  let observedAt;
+
+  // Eastbound at 230 m/s, level at 11,000 m
+  const cruise = { latitude: 50000000, longitude: 8000000, altitude: 11000 };
+  const cruiseKinematics = { velocity: 23000, heading: 9000, verticalRate: 0, known: true };
+
+  // 230 m/s for 60 s due east at 50°N is about 0.19307° of longitude
+  const cases = [
+    {
+      name: "a consistent track",
+      dt: 60,
+      position: { latitude: 50000000, longitude: 8193070, altitude: 11000 },
+      kinematics: cruiseKinematics,
+      reason: null
+    },
+    {
+      name: "a tampered speed the track does not support",
+      dt: 60,
+      position: { latitude: 50000000, longitude: 8000000, altitude: 11000 },
+      kinematics: Object.assign({}, cruiseKinematics, { velocity: 26000 }),
+      reason: "Kinematics: track slower than reported speed"
+    },
+    {
+      name: "a spoofed position far ahead of the reported speed",
+      dt: 60,
+      position: { latitude: 50000000, longitude: 8193070, altitude: 11000 },
+      kinematics: Object.assign({}, cruiseKinematics, { velocity: 5000 }),
+      reason: "Kinematics: track faster than reported speed"
+    },
+    {
+      name: "an impossible acceleration",
+      dt: 2,
+      position: { latitude: 50000000, longitude: 8006436, altitude: 11000 },
+      kinematics: Object.assign({}, cruiseKinematics, { velocity: 26000 }),
+      reason: "Kinematics: impossible acceleration"
+    },
+    {
+      name: "an impossible turn",
+      dt: 5,
+      position: { latitude: 50000000, longitude: 8016089, altitude: 11000 },
+      kinematics: Object.assign({}, cruiseKinematics, { heading: 18000 }),
+      reason: "Kinematics: impossible turn rate"
+    },
+    {
+      name: "a climb the vertical rate does not report",
+      dt: 60,
+      position: { latitude: 50000000, longitude: 8193070, altitude: 11600 },
+      kinematics: cruiseKinematics,
+      reason: "Kinematics: vertical rate inconsistent with altitude change"
+    }
+  ];
+
+  beforeEach(async function () {
+    const AdsbData = await ethers.getContractFactory("AdsbData");
+    adsbData = await AdsbData.deploy();
+    await adsbData.deployed();
+
+    observedAt = await time.latest();
+    await adsbData.updateFlight("3C6444", "DLH4AB", cruise.latitude, cruise.longitude, cruise.altitude, false, false, observedAt, cruiseKinematics);
+  });
+
+  cases.forEach(testCase => {
+    it(`Should give the same verdict on ${testCase.name} in the contract and in JS`, async function () {
+      await time.increase(testCase.dt);
+      const { latitude, longitude, altitude } = testCase.position;
+
+      const [valid, reason] = await adsbData.validateFlightUpdate(
+        "3C6444", latitude, longitude, altitude, observedAt + testCase.dt, testCase.kinematics
+      );
+      const offChain = checkKinematics(
+        { altitude: cruise.altitude, kinematics: cruiseKinematics },
+        { altitude, kinematics: testCase.kinematics },
+        distanceMeters(cruise.latitude, cruise.longitude, latitude, longitude),
+        testCase.dt
+      );
+
+      expect(valid).to.equal(testCase.reason === null);
+      expect(offChain.valid).to.equal(valid);
+      if (testCase.reason) {
+        expect(reason).to.equal(testCase.reason);
+        expect(offChain.reason).to.equal(testCase.reason);
+      }
+    });
+  });
+
+  it("Should reject out-of-range kinematics", async function () {
+    await time.increase(60);
+    await expect(
+      adsbData.updateFlight("3C6444", "DLH4AB", 50000000, 8193070, 11000, false, false, observedAt + 60,
+        Object.assign({}, cruiseKinematics, { heading: 36000 }))
+    ).to.be.revertedWith("Kinematics: invalid values");
+  });
+
+  it("Should store the reported kinematics with the position", async function () {
+    const flight = await adsbData.getFlight(0);
+    expect(fromKinematics(flight[8])).to.deep.equal({ velocity: 230, heading: 90, verticalRate: 0 });
+  });
+
+  it("Should detect the simulated tampering attack on the chain", async function () {
+    await time.increase(30);
+    const targetFlight = {
+      icao24: "3C6444",
+      callsign: "DLH4AB",
+      latitude: 50,
+      longitude: 8,
+      altitude: 11000,
+      velocity: 230,
+      heading: 90,
+      verticalRate: 0,
+      timestamp: observedAt
+    };
+    const outcome = await runAttackOnChain(adsbData, buildAttackedFlight("tampering", targetFlight, (await time.latest()) * 1000));
+
+    expect(outcome.detectedByBlockchain).to.equal(true);
+    expect(await adsbData.getFlightHistoryCount("3C6444")).to.equal(1);
+  });
+});
@@ -1,133 +1,132 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { getReportDomain, createReport, signReport } = require("../../web-interface/src/shared/ReportSigner");
+const { UNKNOWN_KINEMATICS } = require("../../web-interface/src/shared/Kinematics");
 
 describe("ADS-B Replay Attack Tests", function () {
   let adsbData;
   let attacker;
   let legitimateUser;
 
+  // Original legitimate flight data
+  const originalFlight = {
+    icao24: "DEF456",
+    callsign: "FL456",
+    latitude: 40500000,  // 40.50°N
+    longitude: -74000000, // 74.00°W
+    altitude: 8000,
+    onGround: false,
+    isSpoofed: false
+  };
+
+  function submit(sender, flight, observedAt) {
+    return adsbData.connect(sender).updateFlight(
+      flight.icao24,
+      flight.callsign,
+      flight.latitude,
+      flight.longitude,
+      flight.altitude,
+      flight.onGround,
+      flight.isSpoofed,
+      observedAt,
+      UNKNOWN_KINEMATICS
+    );
+  }
+
   beforeEach(async function () {
     const AdsbData = await ethers.getContractFactory("AdsbData");
     [legitimateUser, attacker] = await ethers.getSigners();
     adsbData = await AdsbData.deploy();
     await adsbData.deployed();
+
+    // The attacker operates a registered (compromised) receiver that re-broadcasts captured messages
+    await adsbData.registerReceiver(attacker.address, "Compromised station", 0, 0, attacker.address);
   });
 
   it("Should detect replayed historical data", async function () {
-    // Store original legitimate flight data
-    const originalFlight = {
-      icao24: "DEF456",
-      callsign: "FL456",
-      latitude: 40500000,  // 40.50°N
-      longitude: -74000000, // 74.00°W
-      altitude: 8000,
-      onGround: false,
-      isSpoofed: false
-    };
-
-    // Submit original flight data
-    await adsbData.connect(legitimateUser).updateFlight(
-      originalFlight.icao24,
-      originalFlight.callsign,
-      originalFlight.latitude,
-      originalFlight.longitude,
-      originalFlight.altitude,
-      originalFlight.onGround,
-      originalFlight.isSpoofed
-    );
+    const observedAt = await time.latest();
+    await submit(legitimateUser, originalFlight, observedAt);
 
-    // Wait for some time to pass
-    await new Promise(resolve => setTimeout(resolve, 2000));
-
-    // Attempt to replay the exact same data
-    await adsbData.connect(attacker).updateFlight(
-      originalFlight.icao24,
-      originalFlight.callsign,
-      originalFlight.latitude,
-      originalFlight.longitude,
-      originalFlight.altitude,
-      originalFlight.onGround,
-      true  // marked as potentially spoofed
-    );
+    // Submitted later, but the message still carries its original observation time
+    await time.increase(60);
+
+    await expect(
+      submit(attacker, originalFlight, observedAt)
+    ).to.be.revertedWith("Replay attack: timestamp not newer");
+    await expect(
+      submit(legitimateUser, originalFlight, observedAt)
+    ).to.be.revertedWith("Replay attack: report already submitted");
 
-    // Get the latest flights
-    const [icao24s, callsigns, latitudes, longitudes, altitudes, onGrounds, timestamps, spoofedFlags] = 
-      await adsbData.getLatestFlights(2);
+    expect(await adsbData.getFlightHistoryCount(originalFlight.icao24)).to.equal(1);
+  });
 
-    // Verify the replay attack is detected
-    expect(spoofedFlags[1]).to.be.true;
+  it("Should detect modified replay attacks", async function () {
+    const observedAt = await time.latest();
+    await submit(legitimateUser, originalFlight, observedAt);
+    await time.increase(60);
 
-    // Check if timestamps are different
-    expect(timestamps[1]).to.be.gt(timestamps[0]);
+    // Replay with slight modifications
+    const modifiedFlight = Object.assign({}, originalFlight, {
+      latitude: originalFlight.latitude + 10000,  // Small position change
+      longitude: originalFlight.longitude + 10000
+    });
 
-    // Log the replay attempt details
-    console.log("Original submission timestamp:", new Date(timestamps[0] * 1000).toISOString());
-    console.log("Replay attempt timestamp:", new Date(timestamps[1] * 1000).toISOString());
-    console.log("Time difference:", timestamps[1] - timestamps[0], "seconds");
+    await expect(
+      submit(attacker, modifiedFlight, observedAt)
+    ).to.be.revertedWith("Replay attack: timestamp not newer");
+    await expect(
+      submit(attacker, modifiedFlight, observedAt - 30)
+    ).to.be.revertedWith("Replay attack: timestamp not newer");
   });
 
-  it("Should detect modified replay attacks", async function () {
-    // Original legitimate flight data
-    const originalFlight = {
-      icao24: "GHI789",
-      callsign: "FL789",
-      latitude: 35680000,   // 35.68°N
-      longitude: 139770000, // 139.77°E
-      altitude: 5000,
-      onGround: false,
-      isSpoofed: false
-    };
-
-    // Submit original flight data
-    await adsbData.connect(legitimateUser).updateFlight(
-      originalFlight.icao24,
-      originalFlight.callsign,
-      originalFlight.latitude,
-      originalFlight.longitude,
-      originalFlight.altitude,
-      originalFlight.onGround,
-      originalFlight.isSpoofed
-    );
+  it("Should reject captured messages replayed outside the skew window", async function () {
+    const capturedAt = await time.latest();
+    await time.increase(700);
 
-    // Wait for some time
-    await new Promise(resolve => setTimeout(resolve, 2000));
+    await expect(
+      submit(attacker, originalFlight, capturedAt)
+    ).to.be.revertedWith("Stale observation: outside acceptable window");
+    expect(await adsbData.getFlightCount()).to.equal(0);
+  });
 
-    // Attempt to replay with slight modifications
-    const modifiedFlight = {
-      ...originalFlight,
-      latitude: originalFlight.latitude + 10000,  // Small position change
-      longitude: originalFlight.longitude + 10000,
-      isSpoofed: true
-    };
-
-    await adsbData.connect(attacker).updateFlight(
-      modifiedFlight.icao24,
-      modifiedFlight.callsign,
-      modifiedFlight.latitude,
-      modifiedFlight.longitude,
-      modifiedFlight.altitude,
-      modifiedFlight.onGround,
-      modifiedFlight.isSpoofed
-    );
+  it("Should reject observations stamped in the future", async function () {
+    const now = await time.latest();
 
-    // Get the latest flights
-    const [, , latitudes, longitudes, , , timestamps, spoofedFlags] = 
-      await adsbData.getLatestFlights(2);
+    await expect(
+      submit(attacker, originalFlight, now + 3600)
+    ).to.be.revertedWith("Observation timestamp in the future");
+  });
 
-    // Verify the modified replay is detected
-    expect(spoofedFlags[1]).to.be.true;
+  it("Should reject a captured signed report once it is stale", async function () {
+    const domain = await getReportDomain(adsbData);
+    const report = createReport(Object.assign({}, originalFlight, { observedAt: await time.latest() }));
+    const signature = await signReport(legitimateUser, domain, report);
 
-    // Calculate position change
-    const latDiff = Math.abs(latitudes[1] - latitudes[0]) / 1000000;
-    const lonDiff = Math.abs(longitudes[1] - longitudes[0]) / 1000000;
-    const timeDiff = timestamps[1] - timestamps[0];
+    await time.increase(700);
 
-    // Log the modifications
-    console.log("Position change:", {
-      latitudeDegrees: latDiff.toFixed(4),
-      longitudeDegrees: lonDiff.toFixed(4),
-      timeElapsed: timeDiff,
-      "seconds": timeDiff
-    });
+    await expect(
+      adsbData.connect(attacker).submitSignedReport(report, signature)
+    ).to.be.revertedWith("Stale observation: outside acceptable window");
+  });
+
+  it("Should not sign a report without an observation time as current", async function () {
+    const domain = await getReportDomain(adsbData);
+    const report = createReport(originalFlight);
+
+    // Stamping the signing time on it would make an old position look new
+    expect(report.observedAt).to.equal(null);
+    await expect(signReport(legitimateUser, domain, report)).to.be.rejectedWith("Missing observation timestamp");
+  });
+
+  it("Should only let an admin change the skew window", async function () {
+    await expect(
+      adsbData.connect(attacker).setObservationWindow(3600, 60)
+    ).to.be.revertedWith("Missing required role");
+
+    await expect(adsbData.setObservationWindow(3600, 60))
+      .to.emit(adsbData, "ObservationWindowUpdated")
+      .withArgs(3600, 60);
+    expect(await adsbData.maxObservationAge()).to.equal(3600);
   });
-}); 
\ No newline at end of file
+});
@@ -0,0 +1,138 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+  REPORT_TYPES,
+  getReportDomain,
+  createReport,
+  signReport
+} = require("../../web-interface/src/shared/ReportSigner");
+
+describe("ADS-B Signature Forgery Attack Tests", function () {
+  let adsbData;
+  let receiver;
+  let attacker;
+  let domain;
+  let report;
+  let observedAt;
+
+  beforeEach(async function () {
+    const AdsbData = await ethers.getContractFactory("AdsbData");
+    [receiver, attacker] = await ethers.getSigners();
+    adsbData = await AdsbData.deploy();
+    await adsbData.deployed();
+
+    domain = await getReportDomain(adsbData);
+    observedAt = await time.latest();
+    report = createReport({
+      icao24: "abc123",
+      callsign: "FL123",
+      latitude: 123456,  // latitude * 10^6
+      longitude: 456789, // longitude * 10^6
+      altitude: 10000,
+      onGround: false,
+      isSpoofed: false,
+      observedAt
+    });
+  });
+
+  it("Should hash reports the same way as the JS signing helper", async function () {
+    const digest = ethers.utils._TypedDataEncoder.hash(domain, REPORT_TYPES, report);
+    expect(await adsbData.hashReport(report)).to.equal(digest);
+  });
+
+  it("Should accept a report signed by a registered receiver", async function () {
+    const signature = await signReport(receiver, domain, report);
+
+    await expect(adsbData.connect(attacker).submitSignedReport(report, signature))
+      .to.emit(adsbData, "ReportVerified")
+      .withArgs("abc123", receiver.address, observedAt);
+
+    const flight = await adsbData.getFlight(0);
+    expect(flight[0]).to.equal("abc123");
+    expect(flight[2]).to.equal(123456);
+  });
+
+  it("Should reject an unsigned report", async function () {
+    await expect(
+      adsbData.connect(attacker).submitSignedReport(report, "0x")
+    ).to.be.revertedWith("Invalid report signature");
+    expect(await adsbData.getFlightCount()).to.equal(0);
+  });
+
+  it("Should reject a report signed by an unregistered key", async function () {
+    const signature = await signReport(attacker, domain, report);
+
+    await expect(
+      adsbData.connect(attacker).submitSignedReport(report, signature)
+    ).to.be.revertedWith("Unregistered receiver");
+  });
+
+  it("Should reject a genuine signature over a tampered report", async function () {
+    const signature = await signReport(receiver, domain, report);
+    const tampered = Object.assign({}, report, { latitude: 999999 });
+
+    await expect(
+      adsbData.connect(attacker).submitSignedReport(tampered, signature)
+    ).to.be.revertedWith("Unregistered receiver");
+  });
+
+  it("Should reject reports signed by a suspended receiver", async function () {
+    await adsbData.suspendReceiver(receiver.address);
+    const signature = await signReport(receiver, domain, report);
+
+    await expect(
+      adsbData.connect(attacker).submitSignedReport(report, signature)
+    ).to.be.revertedWith("Receiver suspended");
+  });
+
+  it("Should reject a signature made for a different contract", async function () {
+    const otherDomain = Object.assign({}, domain, { verifyingContract: attacker.address });
+    const signature = await signReport(receiver, otherDomain, report);
+
+    await expect(
+      adsbData.connect(attacker).submitSignedReport(report, signature)
+    ).to.be.revertedWith("Unregistered receiver");
+  });
+
+  it("Should reject a resubmitted signed report", async function () {
+    const signature = await signReport(receiver, domain, report);
+    await adsbData.submitSignedReport(report, signature);
+
+    await expect(
+      adsbData.connect(attacker).submitSignedReport(report, signature)
+    ).to.be.revertedWith("Replay attack: report already submitted");
+  });
+
+  it("Should only accept signatures from receivers registered by an operator", async function () {
+    await expect(
+      adsbData.connect(attacker).registerReceiver(attacker.address, "Rogue", 0, 0, attacker.address)
+    ).to.be.revertedWith("Missing required role");
+
+    await adsbData.registerReceiver(attacker.address, "Station B", 0, 0, receiver.address);
+    const signature = await signReport(attacker, domain, report);
+    await expect(adsbData.submitSignedReport(report, signature))
+      .to.emit(adsbData, "ReportVerified")
+      .withArgs("abc123", attacker.address, observedAt);
+  });
+
+  it("Should skip forged reports in a batch and store the genuine ones", async function () {
+    const other = createReport({
+      icao24: "def456",
+      callsign: "FL456",
+      latitude: 223456,
+      longitude: 556789,
+      altitude: 9000,
+      observedAt
+    });
+    const genuine = await signReport(receiver, domain, report);
+    const forged = await signReport(attacker, domain, other);
+
+    const tx = await adsbData.submitSignedReportBatch([report, other], [genuine, forged]);
+
+    await expect(tx).to.emit(adsbData, "FlightRejected").withArgs("def456", "Unregistered receiver");
+    await expect(tx).to.emit(adsbData, "FlightBatchUpdated");
+    expect(await adsbData.getFlightCount()).to.equal(1);
+    expect((await adsbData.getFlight(0))[0]).to.equal("abc123");
+  });
+});
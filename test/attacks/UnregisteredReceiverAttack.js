@@ -0,0 +1,78 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { UNKNOWN_KINEMATICS } = require("../../web-interface/src/shared/Kinematics");
+
+describe("ADS-B Unregistered Receiver Attack Tests", function () {
+  let adsbData;
+  let attacker;
+  let legitimateUser;
+
+  beforeEach(async function () {
+    const AdsbData = await ethers.getContractFactory("AdsbData");
+    [legitimateUser, attacker] = await ethers.getSigners();
+    adsbData = await AdsbData.deploy();
+    await adsbData.deployed();
+
+    // The deployer is registered as the bootstrap receiver
+    await adsbData.connect(legitimateUser).updateFlight(
+      "abc789",
+      "FL789",
+      37420000,  // 37.42°N
+      -122180000, // 122.18°W
+      10000,
+      false,
+      false,
+      await time.latest(), // observedAt
+      UNKNOWN_KINEMATICS
+    );
+  });
+
+  it("Should block position injection from an unregistered account", async function () {
+    await expect(
+      adsbData.connect(attacker).updateFlight("abc789", "FL789", 51500000, -120000, 10000, false, false, await time.latest(), UNKNOWN_KINEMATICS)
+    ).to.be.revertedWith("Unregistered receiver");
+
+    const flight = await adsbData.getFlight(0);
+    expect(flight[2]).to.equal(37420000);
+    expect(await adsbData.getFlightHistoryCount("abc789")).to.equal(1);
+  });
+
+  it("Should block batch writes from an unregistered account", async function () {
+    const observedAt = await time.latest();
+    await expect(
+      adsbData.connect(attacker).updateFlightBatch(["abc123"], ["FL123"], [1000000], [1000000], [10000], [false], [false], [observedAt], [UNKNOWN_KINEMATICS])
+    ).to.be.revertedWith("Unregistered receiver");
+    await expect(
+      adsbData.connect(attacker).updateFlightBatchPartial(["abc123"], ["FL123"], [1000000], [1000000], [10000], [false], [false], [observedAt], [UNKNOWN_KINEMATICS])
+    ).to.be.revertedWith("Unregistered receiver");
+    expect(await adsbData.getFlightCount()).to.equal(1);
+  });
+
+  it("Should not let an attacker register itself or grant itself a role", async function () {
+    const operatorRole = await adsbData.OPERATOR_ROLE();
+
+    await expect(
+      adsbData.connect(attacker).registerReceiver(attacker.address, "Rogue", 0, 0, attacker.address)
+    ).to.be.revertedWith("Missing required role");
+    await expect(
+      adsbData.connect(attacker).grantRole(operatorRole, attacker.address)
+    ).to.be.revertedWith("Missing required role");
+  });
+
+  it("Should block a receiver once it is suspended or revoked", async function () {
+    await adsbData.registerReceiver(attacker.address, "Compromised station", 37000000, -122000000, legitimateUser.address);
+    await adsbData.connect(attacker).updateFlight("abc123", "FL123", 1000000, 1000000, 10000, false, false, await time.latest(), UNKNOWN_KINEMATICS);
+
+    await adsbData.suspendReceiver(attacker.address);
+    await expect(
+      adsbData.connect(attacker).updateFlight("def456", "FL456", 1000000, 1000000, 10000, false, false, await time.latest(), UNKNOWN_KINEMATICS)
+    ).to.be.revertedWith("Receiver suspended");
+
+    await adsbData.revokeReceiver(attacker.address);
+    await expect(
+      adsbData.connect(attacker).updateFlight("def456", "FL456", 1000000, 1000000, 10000, false, false, await time.latest(), UNKNOWN_KINEMATICS)
+    ).to.be.revertedWith("Receiver revoked");
+    await expect(adsbData.reactivateReceiver(attacker.address)).to.be.revertedWith("Receiver is not suspended");
+  });
+});
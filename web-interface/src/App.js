@@ -4,6 +4,7 @@ import { AppBar, Toolbar, Typography, Button, Box, Container } from '@mui/materi
 import BlockchainPage from './components/BlockchainPage';
 import RelayBlockchainPage from './components/RelayBlockchainPage';
 import UnprotectedPage from './components/UnprotectedPage';
+import ReceiverAdminPage from './components/ReceiverAdminPage';
 
 function App() {
   return (
@@ -16,6 +17,7 @@ function App() {
           <Button color="inherit" component={Link} to="/blockchain">MetaMask System</Button>
           <Button color="inherit" component={Link} to="/relay-blockchain">Relay System</Button>
           <Button color="inherit" component={Link} to="/unprotected">Unprotected System</Button>
+          <Button color="inherit" component={Link} to="/admin">Receivers</Button>
         </Toolbar>
       </AppBar>
       <Box sx={{ py: 4 }}>
@@ -24,6 +26,7 @@ function App() {
             <Route path="/blockchain" element={<BlockchainPage />} />
             <Route path="/relay-blockchain" element={<RelayBlockchainPage />} />
             <Route path="/unprotected" element={<UnprotectedPage />} />
+            <Route path="/admin" element={<ReceiverAdminPage />} />
             <Route path="*" element={<BlockchainPage />} />
           </Routes>
         </Container>
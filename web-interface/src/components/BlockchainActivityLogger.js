@@ -29,10 +29,28 @@ import {
   CheckCircle as CheckCircleIcon,
   Schedule as ScheduleIcon,
   Fullscreen as FullscreenIcon,
-  FullscreenExit as FullscreenExitIcon
+  FullscreenExit as FullscreenExitIcon,
+  Dns as DnsIcon
 } from '@mui/icons-material';
 import blockchainLogger from '../services/BlockchainLogger';
 
+const SERVER_LOG_POLL_INTERVAL = 5000;
+const MAX_SERVER_LOGS = 500;
+
+// A relay log entry (GET /logs) as an activity log; only kept in memory, the relay has the history
+const toServerLog = (entry) => {
+  const { id, time, level, msg, ...fields } = entry;
+  const details = Object.entries(fields).map(([key, value]) =>
+    `${key}: ${typeof value === 'string' ? value : JSON.stringify(value)}`);
+  return {
+    id: `relay-${id}`,
+    type: 'relay',
+    timestamp: new Date(time),
+    formatted: [`🖥️ ${level.toUpperCase()} ${msg}`, ...details].join('\n'),
+    data: entry
+  };
+};
+
 // ActivityStatistics component
 const ActivityStatistics = ({ stats }) => {
   const attackStats = stats.attackStats || {
@@ -41,6 +59,7 @@ const ActivityStatistics = ({ stats }) => {
     ReplayAttack: 0,
     succeeded: 0,
     rejected: 0,
+    demo: 0,
     succeededByType: { DataSpoofingAttack: 0, DataTamperingAttack: 0, ReplayAttack: 0 },
     rejectedByType: { DataSpoofingAttack: 0, DataTamperingAttack: 0, ReplayAttack: 0 }
   };
@@ -80,6 +99,11 @@ const ActivityStatistics = ({ stats }) => {
                   <Typography variant="caption" color="error.main">Replay: {attackStats.rejectedByType.ReplayAttack}</Typography>
                 </Box>
               </Typography>
+              {attackStats.demo > 0 && (
+                <Typography variant="caption" color="text.secondary">
+                  Demo mode (not counted): {attackStats.demo}
+                </Typography>
+              )}
             </Box>
           </Grid>
         </Grid>
@@ -88,8 +112,10 @@ const ActivityStatistics = ({ stats }) => {
   );
 };
 
-const BlockchainActivityLogger = () => {
+const BlockchainActivityLogger = ({ relaySystem }) => {
   const [logs, setLogs] = useState([]);
+  const [serverLogs, setServerLogs] = useState([]);
+  const serverLogsSinceRef = useRef(null);
   const [filter, setFilter] = useState('all');
   const [autoScroll, setAutoScroll] = useState(true);
   const [stats, setStats] = useState({});
@@ -146,6 +172,36 @@ const BlockchainActivityLogger = () => {
     };
   }, [autoScroll, isUserScrolling]);
 
+  // Server-side history from the relay, polled for entries newer than the last one seen
+  useEffect(() => {
+    if (!relaySystem) return undefined;
+    let cancelled = false;
+    const pollServerLogs = async () => {
+      try {
+        const { entries } = await relaySystem.getServerLogs({
+          level: 'info',
+          since: serverLogsSinceRef.current,
+          limit: MAX_SERVER_LOGS
+        });
+        if (cancelled || entries.length === 0) return;
+        serverLogsSinceRef.current = entries[0].time;
+        setServerLogs(previous => {
+          const known = new Set(previous.map(log => log.id));
+          const added = entries.map(toServerLog).filter(log => !known.has(log.id));
+          return previous.concat(added).slice(-MAX_SERVER_LOGS);
+        });
+      } catch (error) {
+        // The relay may be down or older than /logs; the local activity still shows
+      }
+    };
+    pollServerLogs();
+    const interval = setInterval(pollServerLogs, SERVER_LOG_POLL_INTERVAL);
+    return () => {
+      cancelled = true;
+      clearInterval(interval);
+    };
+  }, [relaySystem]);
+
   const getTypeIcon = (type) => {
     switch (type) {
       case 'block': return <BlockIcon fontSize="small" />;
@@ -155,6 +211,7 @@ const BlockchainActivityLogger = () => {
       case 'pending': return <ScheduleIcon fontSize="small" />;
       case 'gas': return <CheckCircleIcon fontSize="small" />;
       case 'nonce': return <CheckCircleIcon fontSize="small" />;
+      case 'relay': return <DnsIcon fontSize="small" />;
       default: return <CheckCircleIcon fontSize="small" />;
     }
   };
@@ -168,11 +225,12 @@ const BlockchainActivityLogger = () => {
       case 'pending': return 'warning';
       case 'gas': return 'secondary';
       case 'nonce': return 'default';
+      case 'relay': return 'secondary';
       default: return 'default';
     }
   };
 
-  const filteredLogs = logs.filter(log => {
+  const filteredLogs = logs.concat(serverLogs).filter(log => {
     if (filter === 'all') return true;
     return log.type === filter;
   });
@@ -196,6 +254,7 @@ const BlockchainActivityLogger = () => {
 
   const handleClearLogs = () => {
     blockchainLogger.clearBlockchainActivityLogs();
+    setServerLogs([]);
   };
 
   const handleRefresh = () => {
@@ -225,7 +284,7 @@ const BlockchainActivityLogger = () => {
           </Typography>
         );
       }
-      if (line.includes('🔗') || line.includes('🧱') || line.includes('⛽') || line.includes('💰') || line.includes('🔢')) {
+      if (line.includes('🔗') || line.includes('🧱') || line.includes('⛽') || line.includes('💰') || line.includes('🔢') || line.includes('✈️')) {
         return (
           <Typography key={index} variant="body2" sx={{ fontFamily: 'monospace', color: 'text.secondary' }}>
             {line}
@@ -364,6 +423,7 @@ const BlockchainActivityLogger = () => {
                 <MenuItem value="pending">Pending</MenuItem>
                 <MenuItem value="gas">Gas Usage</MenuItem>
                 <MenuItem value="nonce">Nonce</MenuItem>
+                {relaySystem && <MenuItem value="relay">Relay Server</MenuItem>}
               </Select>
             </FormControl>
             
@@ -521,6 +581,7 @@ const BlockchainActivityLogger = () => {
                     <MenuItem value="pending">Pending</MenuItem>
                     <MenuItem value="gas">Gas Usage</MenuItem>
                     <MenuItem value="nonce">Nonce</MenuItem>
+                    {relaySystem && <MenuItem value="relay">Relay Server</MenuItem>}
                   </Select>
                 </FormControl>
                 
@@ -1,5 +1,5 @@
 import React, { useState, useEffect } from 'react';
-import { Card, CardContent, Typography, List, ListItem, ListItemText, Divider, Box, Collapse } from '@mui/material';
+import { Card, CardContent, Typography, List, ListItem, ListItemText, Divider, Box, Collapse, Chip } from '@mui/material';
 import { ethers } from 'ethers';
 
 const getAttackDetails = (result) => {
@@ -43,7 +43,10 @@ const getAttackDetails = (result) => {
   return details[result.type] || { title: "Unknown Attack", description: "Attack type not recognized", technicalDetails: [] };
 };
 
-const BlockchainInfo = ({ contract, attackResults }) => {
+const shortAddress = (address) => `${address.slice(0, 6)}...${address.slice(-4)}`;
+
+// `contract` shows the connected wallet, `relaySystem` the relay's pool of relayer wallets
+const BlockchainInfo = ({ contract, relaySystem, attackResults }) => {
   const [networkInfo, setNetworkInfo] = useState({
     address: '',
     network: '',
@@ -51,6 +54,7 @@ const BlockchainInfo = ({ contract, attackResults }) => {
     balance: ''
   });
   const [expandedAttack, setExpandedAttack] = useState(null);
+  const [relayers, setRelayers] = useState(null);
 
   useEffect(() => {
     const updateBlockchainInfo = async () => {
@@ -81,115 +85,175 @@ const BlockchainInfo = ({ contract, attackResults }) => {
     return () => clearInterval(interval);
   }, [contract]);
 
+  useEffect(() => {
+    if (!relaySystem) return;
+    const updateRelayers = async () => {
+      try {
+        setRelayers(await relaySystem.getRelayerStats());
+      } catch (error) {
+        console.error('Error fetching relayer stats:', error);
+      }
+    };
+
+    updateRelayers();
+    const interval = setInterval(updateRelayers, 10000);
+
+    return () => clearInterval(interval);
+  }, [relaySystem]);
+
   const handleAttackClick = (index) => {
     setExpandedAttack(expandedAttack === index ? null : index);
   };
 
   return (
     <Box sx={{ mb: 3 }}>
-      <Card>
-        <CardContent>
-          <Typography variant="h6" gutterBottom>
-            Blockchain Information
-          </Typography>
-          <List dense>
-            <ListItem>
-              <ListItemText 
-                primary="Wallet Address"
-                secondary={networkInfo.address || 'Not connected'}
-              />
-            </ListItem>
-            <ListItem>
-              <ListItemText 
-                primary="Network"
-                secondary={networkInfo.network || 'Unknown'}
-              />
-            </ListItem>
-            <ListItem>
-              <ListItemText 
-                primary="Current Block"
-                secondary={networkInfo.blockNumber || 'Unknown'}
-              />
-            </ListItem>
-            <ListItem>
-              <ListItemText 
-                primary="Balance"
-                secondary={`${networkInfo.balance || '0'} ETH`}
-              />
-            </ListItem>
-          </List>
-        </CardContent>
-      </Card>
-
-      <Card sx={{ mt: 2 }}>
-        <CardContent>
-          <Typography variant="h6" gutterBottom>
-            Attack Detection Analysis
-          </Typography>
-          <List>
-            {attackResults.map((result, index) => {
-              const attackDetails = getAttackDetails(result);
-              return (
-                <React.Fragment key={index}>
-                  <ListItem button onClick={() => handleAttackClick(index)}>
+      {(contract || !relaySystem) && (
+        <Card sx={{ mb: 2 }}>
+          <CardContent>
+            <Typography variant="h6" gutterBottom>
+              Blockchain Information
+            </Typography>
+            <List dense>
+              <ListItem>
+                <ListItemText 
+                  primary="Wallet Address"
+                  secondary={networkInfo.address || 'Not connected'}
+                />
+              </ListItem>
+              <ListItem>
+                <ListItemText 
+                  primary="Network"
+                  secondary={networkInfo.network || 'Unknown'}
+                />
+              </ListItem>
+              <ListItem>
+                <ListItemText 
+                  primary="Current Block"
+                  secondary={networkInfo.blockNumber || 'Unknown'}
+                />
+              </ListItem>
+              <ListItem>
+                <ListItemText 
+                  primary="Balance"
+                  secondary={`${networkInfo.balance || '0'} ETH`}
+                />
+              </ListItem>
+            </List>
+          </CardContent>
+        </Card>
+      )}
+
+      {relaySystem && (
+        <Card sx={{ mb: 2 }}>
+          <CardContent>
+            <Typography variant="h6" gutterBottom>
+              Relayer Wallets
+            </Typography>
+            {relayers && (
+              <Typography variant="body2" color="text.secondary">
+                Strategy: {relayers.strategy} · Low balance below {relayers.minBalance} ETH
+              </Typography>
+            )}
+            <List dense>
+              {(relayers ? relayers.wallets : []).map((relayer, index) => (
+                <React.Fragment key={relayer.address}>
+                  <ListItem>
                     <ListItemText
                       primary={
-                        <Typography variant="subtitle1" color="primary">
-                          {result.type.charAt(0).toUpperCase() + result.type.slice(1)} Attack on {result.targetFlight}
-                        </Typography>
-                      }
-                      secondary={
-                        <>
-                          <Typography variant="body2">
-                            Time: {result.timestamp.toLocaleTimeString()}
-                          </Typography>
-                          <Typography variant="body2">
-                            {attackDetails.description}
+                        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                          <Typography variant="body2" sx={{ fontFamily: 'monospace' }}>
+                            {shortAddress(relayer.address)}
                           </Typography>
-                        </>
+                          {relayer.lowBalance && <Chip label="Low balance" color="warning" size="small" />}
+                        </Box>
                       }
+                      secondary={`${relayer.balance !== null ? Number(relayer.balance).toFixed(4) : '?'} ETH · ${relayer.pending} pending${relayer.stuck > 0 ? ` (${relayer.stuck} stuck)` : ''} · ${relayer.sent} sent, ${relayer.failed} failed`}
                     />
                   </ListItem>
-                  <Collapse in={expandedAttack === index}>
-                    <Box sx={{ pl: 4, pr: 2, pb: 2 }}>
-                      <Typography variant="subtitle2" color="text.secondary" gutterBottom>
-                        {attackDetails.title}
-                      </Typography>
-                      {attackDetails.technicalDetails.map((detail, i) => (
-                        <Typography key={i} variant="body2" color="text.secondary" sx={{ mb: 0.5 }}>
-                          • {detail}
-                        </Typography>
-                      ))}
-                      <Box sx={{ mt: 2 }}>
-                        <Typography variant="body2" color="error.main" sx={{ fontWeight: 'bold' }}>
-                          Traditional System: Not Detected
-                          <Typography component="span" variant="body2" color="text.secondary">
-                            {" "}(No cryptographic verification)
+                  {index < relayers.wallets.length - 1 && <Divider />}
+                </React.Fragment>
+              ))}
+              {!relayers && (
+                <ListItem>
+                  <ListItemText secondary="Relay server not reachable" />
+                </ListItem>
+              )}
+            </List>
+          </CardContent>
+        </Card>
+      )}
+
+      {attackResults && (
+        <Card>
+          <CardContent>
+            <Typography variant="h6" gutterBottom>
+              Attack Detection Analysis
+            </Typography>
+            <List>
+              {attackResults.map((result, index) => {
+                const attackDetails = getAttackDetails(result);
+                return (
+                  <React.Fragment key={index}>
+                    <ListItem button onClick={() => handleAttackClick(index)}>
+                      <ListItemText
+                        primary={
+                          <Typography variant="subtitle1" color="primary">
+                            {result.type.charAt(0).toUpperCase() + result.type.slice(1)} Attack on {result.targetFlight}
                           </Typography>
+                        }
+                        secondary={
+                          <>
+                            <Typography variant="body2">
+                              Time: {result.timestamp.toLocaleTimeString()}
+                            </Typography>
+                            <Typography variant="body2">
+                              {attackDetails.description}
+                            </Typography>
+                          </>
+                        }
+                      />
+                    </ListItem>
+                    <Collapse in={expandedAttack === index}>
+                      <Box sx={{ pl: 4, pr: 2, pb: 2 }}>
+                        <Typography variant="subtitle2" color="text.secondary" gutterBottom>
+                          {attackDetails.title}
                         </Typography>
-                        <Typography variant="body2" color="success.main" sx={{ fontWeight: 'bold' }}>
-                          Blockchain System: Detected
-                          <Typography component="span" variant="body2" color="text.secondary">
-                            {" "}(Verified through smart contract)
+                        {attackDetails.technicalDetails.map((detail, i) => (
+                          <Typography key={i} variant="body2" color="text.secondary" sx={{ mb: 0.5 }}>
+                            • {detail}
                           </Typography>
-                        </Typography>
+                        ))}
+                        <Box sx={{ mt: 2 }}>
+                          <Typography variant="body2" color="error.main" sx={{ fontWeight: 'bold' }}>
+                            Traditional System: Not Detected
+                            <Typography component="span" variant="body2" color="text.secondary">
+                              {" "}(No cryptographic verification)
+                            </Typography>
+                          </Typography>
+                          <Typography variant="body2" color="success.main" sx={{ fontWeight: 'bold' }}>
+                            Blockchain System: Detected
+                            <Typography component="span" variant="body2" color="text.secondary">
+                              {" "}(Verified through smart contract)
+                            </Typography>
+                          </Typography>
+                        </Box>
                       </Box>
-                    </Box>
-                  </Collapse>
-                  {index < attackResults.length - 1 && <Divider />}
-                </React.Fragment>
-              );
-            })}
-            {attackResults.length === 0 && (
-              <ListItem>
-                <ListItemText
-                  secondary="No attacks detected yet"
-                />
-              </ListItem>
-            )}
-          </List>
-        </CardContent>
-      </Card>
+                    </Collapse>
+                    {index < attackResults.length - 1 && <Divider />}
+                  </React.Fragment>
+                );
+              })}
+              {attackResults.length === 0 && (
+                <ListItem>
+                  <ListItemText
+                    secondary="No attacks detected yet"
+                  />
+                </ListItem>
+              )}
+            </List>
+          </CardContent>
+        </Card>
+      )}
     </Box>
   );
 };
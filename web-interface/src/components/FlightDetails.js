@@ -1,7 +1,26 @@
-import React from 'react';
-import { Card, CardContent, Typography, Box, Divider, Paper } from '@mui/material';
+import React, { useState, useEffect } from 'react';
+import { Card, CardContent, Typography, Box, Divider, Paper, Button, Alert } from '@mui/material';
+
+// `onVerify(flight)`, when given, checks the position against an anchored Merkle root
+// and resolves with { verified, reason, windowStart }
+const FlightDetails = ({ flight, onVerify }) => {
+  const [verification, setVerification] = useState(null);
+  const [isVerifying, setIsVerifying] = useState(false);
+
+  // A result only holds for the position it was checked for
+  useEffect(() => {
+    setVerification(null);
+  }, [flight]);
+
+  const handleVerify = async () => {
+    setIsVerifying(true);
+    try {
+      setVerification(await onVerify(flight));
+    } finally {
+      setIsVerifying(false);
+    }
+  };
 
-const FlightDetails = ({ flight }) => {
   if (!flight) {
     return (
       <Card>
@@ -43,13 +62,41 @@ const FlightDetails = ({ flight }) => {
             <Typography variant="body1">{Math.round(flight.altitude)} m</Typography>
           </Box>
           <Divider />
-          <Box sx={{ display: 'flex', justifyContent: 'space-between', mt: 1 }}>
+          <Box sx={{ display: 'flex', justifyContent: 'space-between', my: 1 }}>
             <Typography variant="body1" sx={{ fontWeight: 'bold' }}>Speed:</Typography>
             <Typography variant="body1">
               {flight.velocity !== undefined && flight.velocity !== null ? `${Math.round(flight.velocity * 3.6)} km/h` : 'N/A'}
             </Typography>
           </Box>
+          <Divider />
+          <Box sx={{ display: 'flex', justifyContent: 'space-between', my: 1 }}>
+            <Typography variant="body1" sx={{ fontWeight: 'bold' }}>Track:</Typography>
+            <Typography variant="body1">
+              {flight.heading !== undefined && flight.heading !== null ? `${Math.round(flight.heading)}°` : 'N/A'}
+            </Typography>
+          </Box>
+          <Divider />
+          <Box sx={{ display: 'flex', justifyContent: 'space-between', mt: 1 }}>
+            <Typography variant="body1" sx={{ fontWeight: 'bold' }}>Vertical Rate:</Typography>
+            <Typography variant="body1">
+              {flight.verticalRate !== undefined && flight.verticalRate !== null ? `${flight.verticalRate.toFixed(1)} m/s` : 'N/A'}
+            </Typography>
+          </Box>
         </Paper>
+        {onVerify && (
+          <Box sx={{ mt: 2 }}>
+            <Button variant="outlined" size="small" onClick={handleVerify} disabled={isVerifying}>
+              {isVerifying ? 'Verifying...' : 'Verify'}
+            </Button>
+            {verification && (
+              <Alert severity={verification.verified ? 'success' : 'warning'} sx={{ mt: 1 }}>
+                {verification.verified
+                  ? `Included in the window anchored at ${new Date(verification.windowStart * 1000).toLocaleTimeString()}`
+                  : verification.reason}
+              </Alert>
+            )}
+          </Box>
+        )}
       </CardContent>
     </Card>
   );
@@ -1,8 +1,9 @@
 import React, { useEffect, useRef } from 'react';
-import { MapContainer, TileLayer, Marker, Popup, useMap } from 'react-leaflet';
+import { MapContainer, TileLayer, Marker, Popup, useMap, useMapEvents } from 'react-leaflet';
 import L from 'leaflet';
 import { Typography, Box } from '@mui/material';
 import 'leaflet/dist/leaflet.css';
+import { formatBoundingBox } from '../shared/FlightQuery';
 
 // Fix for default markers
 delete L.Icon.Default.prototype._getIconUrl;
@@ -32,6 +33,39 @@ const attackedIcon = new L.Icon({
   shadowSize: [41, 41]
 });
 
+// Positions still waiting for enough receivers to agree
+const pendingIcon = new L.Icon({
+  iconUrl: 'https://raw.githubusercontent.com/pointhi/leaflet-color-markers/master/img/marker-icon-gold.png',
+  iconSize: [25, 41],
+  iconAnchor: [12, 41],
+  popupAnchor: [1, -34],
+  shadowUrl: 'https://cdnjs.cloudflare.com/ajax/libs/leaflet/1.7.1/images/marker-shadow.png',
+  shadowSize: [41, 41]
+});
+
+// Positions the receivers disagreed on
+const disputedIcon = new L.Icon({
+  iconUrl: 'https://raw.githubusercontent.com/pointhi/leaflet-color-markers/master/img/marker-icon-violet.png',
+  iconSize: [25, 41],
+  iconAnchor: [12, 41],
+  popupAnchor: [1, -34],
+  shadowUrl: 'https://cdnjs.cloudflare.com/ajax/libs/leaflet/1.7.1/images/marker-shadow.png',
+  shadowSize: [41, 41]
+});
+
+const CONSENSUS_LABELS = {
+  pending: 'Awaiting receiver consensus',
+  confirmed: 'Confirmed',
+  disputed: 'Disputed by receivers'
+};
+
+function getMarkerIcon(flight, isAttacked) {
+  if (isAttacked) return attackedIcon;
+  if (flight.consensusStatus === 'pending') return pendingIcon;
+  if (flight.consensusStatus === 'disputed') return disputedIcon;
+  return defaultIcon;
+}
+
 // MapInitializer component to handle map initialization
 function MapInitializer() {
   const map = useMap();
@@ -45,10 +79,35 @@ function MapInitializer() {
   return null;
 }
 
-const Map = ({ flights, attackedFlights = new Set(), onFlightSelect }) => {
+// Visible area as a "west,south,east,north" bounding box, on load and after every pan or zoom.
+// Longitudes past ±180 (a wrapped world) are folded back; west > east then crosses the antimeridian.
+function ViewportReporter({ onViewportChange }) {
+  const map = useMapEvents({
+    moveend: () => onViewportChange(viewportOf(map))
+  });
+  useEffect(() => {
+    onViewportChange(viewportOf(map));
+  }, [map, onViewportChange]);
+  return null;
+}
+
+function viewportOf(map) {
+  const bounds = map.getBounds();
+  const wrap = longitude => ((((longitude + 180) % 360) + 360) % 360) - 180;
+  const fullWidth = bounds.getEast() - bounds.getWest() >= 360;
+  return formatBoundingBox({
+    west: fullWidth ? -180 : wrap(bounds.getWest()),
+    south: Math.max(bounds.getSouth(), -90),
+    east: fullWidth ? 180 : wrap(bounds.getEast()),
+    north: Math.min(bounds.getNorth(), 90)
+  });
+}
+
+const Map = ({ flights, attackedFlights = new Set(), onFlightSelect, onViewportChange }) => {
   const mapRef = useRef(null);
 
-  if (!flights || flights.length === 0) {
+  // Without a viewport listener there is nothing to pan to
+  if (!onViewportChange && (!flights || flights.length === 0)) {
     return (
       <Box sx={{ height: '70vh', width: '100%', display: 'flex', alignItems: 'center', justifyContent: 'center' }}>
         <Typography>No flight data available</Typography>
@@ -67,17 +126,19 @@ const Map = ({ flights, attackedFlights = new Set(), onFlightSelect }) => {
         ref={mapRef}
       >
         <MapInitializer />
+        {onViewportChange && <ViewportReporter onViewportChange={onViewportChange} />}
         <TileLayer
           url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
           attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
         />
-        {flights.map((flight) => {
+        {(flights || []).map((flight) => {
           const isAttacked = attackedFlights.has(flight.icao24);
           return (
             <Marker
               key={flight.icao24}
               position={[flight.latitude, flight.longitude]}
-              icon={isAttacked ? attackedIcon : defaultIcon}
+              icon={getMarkerIcon(flight, isAttacked)}
+              opacity={flight.consensusStatus === 'pending' ? 0.6 : 1}
               eventHandlers={{
                 click: () => onFlightSelect && onFlightSelect(flight),
               }}
@@ -102,6 +163,12 @@ const Map = ({ flights, attackedFlights = new Set(), onFlightSelect }) => {
                   <Typography variant="body1">
                     Ground: {flight.onGround ? 'Yes' : 'No'}
                   </Typography>
+                  {flight.consensusStatus && (
+                    <Typography variant="body1" color={flight.consensusStatus === 'disputed' ? 'error' : 'text.primary'}>
+                      Consensus: {CONSENSUS_LABELS[flight.consensusStatus] || flight.consensusStatus}
+                      {flight.agreeing !== undefined && ` (${flight.agreeing} agree, ${flight.disagreeing} disagree)`}
+                    </Typography>
+                  )}
                   {flight.isSpoofed && (
                     <Typography variant="body1" color="error">
                       ⚠️ Potentially Spoofed
@@ -113,6 +180,11 @@ const Map = ({ flights, attackedFlights = new Set(), onFlightSelect }) => {
           );
         })}
       </MapContainer>
+      {(!flights || flights.length === 0) && (
+        <Typography sx={{ position: 'absolute', top: 12, left: 60, zIndex: 1000, bgcolor: 'background.paper', px: 1, borderRadius: 1 }}>
+          No flights in view
+        </Typography>
+      )}
     </Box>
   );
 };
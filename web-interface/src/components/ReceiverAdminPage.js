@@ -0,0 +1,268 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import {
+  Box,
+  Typography,
+  Card,
+  CardContent,
+  Button,
+  Alert,
+  CircularProgress,
+  Grid,
+  Chip,
+  TextField,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  MenuItem
+} from '@mui/material';
+import RelayBlockchainSystem from '../services/RelayBlockchainService';
+
+const STATUS_COLORS = {
+  active: 'success',
+  suspended: 'warning',
+  revoked: 'error'
+};
+
+const EMPTY_RECEIVER = { address: '', name: '', latitude: '', longitude: '', owner: '' };
+
+function ReceiverAdminPage() {
+  const relaySystem = useMemo(() => new RelayBlockchainSystem(), []);
+  const [connected, setConnected] = useState(null);
+  const [receivers, setReceivers] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [message, setMessage] = useState(null);
+  const [newReceiver, setNewReceiver] = useState(EMPTY_RECEIVER);
+  const [roleAddress, setRoleAddress] = useState('');
+  const [roleName, setRoleName] = useState('operator');
+  const [roles, setRoles] = useState(null);
+
+  const loadReceivers = useCallback(async () => {
+    setLoading(true);
+    try {
+      setReceivers(await relaySystem.getReceivers());
+    } catch (error) {
+      setMessage({ severity: 'error', text: error.message });
+    } finally {
+      setLoading(false);
+    }
+  }, [relaySystem]);
+
+  useEffect(() => {
+    const init = async () => {
+      const isConnected = await relaySystem.checkConnection();
+      setConnected(isConnected);
+      if (isConnected) await loadReceivers();
+    };
+    init();
+  }, [relaySystem, loadReceivers]);
+
+  // Run a registry transaction, then refresh the table
+  const runAction = async (description, action) => {
+    setLoading(true);
+    setMessage(null);
+    try {
+      const result = await action();
+      setMessage({ severity: 'success', text: `${description} (tx ${result.transactionHash.substring(0, 10)}...)` });
+      await loadReceivers();
+      return result;
+    } catch (error) {
+      setMessage({ severity: 'error', text: `${description} failed: ${error.message}` });
+      setLoading(false);
+      return null;
+    }
+  };
+
+  const handleRegister = async () => {
+    const result = await runAction('Receiver registered', () => relaySystem.registerReceiver({
+      address: newReceiver.address.trim(),
+      name: newReceiver.name.trim(),
+      latitude: parseFloat(newReceiver.latitude) || 0,
+      longitude: parseFloat(newReceiver.longitude) || 0,
+      owner: newReceiver.owner.trim() || undefined
+    }));
+    if (result) setNewReceiver(EMPTY_RECEIVER);
+  };
+
+  const handleCheckRoles = async () => {
+    try {
+      setRoles(await relaySystem.getRoles(roleAddress.trim()));
+    } catch (error) {
+      setMessage({ severity: 'error', text: error.message });
+    }
+  };
+
+  const handleRoleChange = async (action) => {
+    const result = await runAction(`Role ${roleName} ${action === 'grant' ? 'granted' : 'revoked'}`, () =>
+      relaySystem.setRole(action, roleName, roleAddress.trim())
+    );
+    if (result) await handleCheckRoles();
+  };
+
+  if (connected === null) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', mt: 4 }}>
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  if (!connected) {
+    return (
+      <Alert severity="error">
+        Relay server is not available. Please start the relay server first.
+      </Alert>
+    );
+  }
+
+  return (
+    <Box>
+      <Typography variant="h4" gutterBottom>
+        Receiver Administration
+      </Typography>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+        Only registered, active receivers can write flight data or sign reports. Changes are sent by the relay
+        wallet, which needs the operator role (admin for revocation and role management).
+      </Typography>
+
+      {message && (
+        <Alert severity={message.severity} sx={{ mb: 2 }} onClose={() => setMessage(null)}>
+          {message.text}
+        </Alert>
+      )}
+
+      <Grid container spacing={2}>
+        <Grid item xs={12}>
+          <Card>
+            <CardContent>
+              <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', mb: 1 }}>
+                <Typography variant="h6">Registered Receivers</Typography>
+                <Button size="small" onClick={loadReceivers} disabled={loading}>Refresh</Button>
+              </Box>
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Name</TableCell>
+                    <TableCell>Address</TableCell>
+                    <TableCell>Location</TableCell>
+                    <TableCell>Owner</TableCell>
+                    <TableCell>Status</TableCell>
+                    <TableCell align="right">Actions</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {receivers.map(receiver => (
+                    <TableRow key={receiver.address}>
+                      <TableCell>{receiver.name || '-'}</TableCell>
+                      <TableCell sx={{ fontFamily: 'monospace' }}>{receiver.address}</TableCell>
+                      <TableCell>{receiver.latitude.toFixed(4)}, {receiver.longitude.toFixed(4)}</TableCell>
+                      <TableCell sx={{ fontFamily: 'monospace' }}>{receiver.owner}</TableCell>
+                      <TableCell>
+                        <Chip label={receiver.status} color={STATUS_COLORS[receiver.status] || 'default'} size="small" />
+                      </TableCell>
+                      <TableCell align="right">
+                        {receiver.status === 'active' && (
+                          <Button size="small" color="warning" disabled={loading}
+                            onClick={() => runAction('Receiver suspended', () => relaySystem.setReceiverStatus(receiver.address, 'suspend'))}>
+                            Suspend
+                          </Button>
+                        )}
+                        {receiver.status === 'suspended' && (
+                          <Button size="small" color="success" disabled={loading}
+                            onClick={() => runAction('Receiver reactivated', () => relaySystem.setReceiverStatus(receiver.address, 'reactivate'))}>
+                            Reactivate
+                          </Button>
+                        )}
+                        {receiver.status !== 'revoked' && (
+                          <Button size="small" color="error" disabled={loading}
+                            onClick={() => runAction('Receiver revoked', () => relaySystem.setReceiverStatus(receiver.address, 'revoke'))}>
+                            Revoke
+                          </Button>
+                        )}
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                  {receivers.length === 0 && (
+                    <TableRow>
+                      <TableCell colSpan={6}>No receivers registered.</TableCell>
+                    </TableRow>
+                  )}
+                </TableBody>
+              </Table>
+            </CardContent>
+          </Card>
+        </Grid>
+
+        <Grid item xs={12} md={7}>
+          <Card>
+            <CardContent>
+              <Typography variant="h6" gutterBottom>Register Receiver</Typography>
+              <Grid container spacing={1}>
+                <Grid item xs={12}>
+                  <TextField fullWidth size="small" label="Receiver address" value={newReceiver.address}
+                    onChange={e => setNewReceiver({ ...newReceiver, address: e.target.value })} />
+                </Grid>
+                <Grid item xs={12}>
+                  <TextField fullWidth size="small" label="Station name" value={newReceiver.name}
+                    onChange={e => setNewReceiver({ ...newReceiver, name: e.target.value })} />
+                </Grid>
+                <Grid item xs={6}>
+                  <TextField fullWidth size="small" type="number" label="Latitude" value={newReceiver.latitude}
+                    onChange={e => setNewReceiver({ ...newReceiver, latitude: e.target.value })} />
+                </Grid>
+                <Grid item xs={6}>
+                  <TextField fullWidth size="small" type="number" label="Longitude" value={newReceiver.longitude}
+                    onChange={e => setNewReceiver({ ...newReceiver, longitude: e.target.value })} />
+                </Grid>
+                <Grid item xs={12}>
+                  <TextField fullWidth size="small" label="Owner address (defaults to relay wallet)" value={newReceiver.owner}
+                    onChange={e => setNewReceiver({ ...newReceiver, owner: e.target.value })} />
+                </Grid>
+                <Grid item xs={12}>
+                  <Button variant="contained" onClick={handleRegister} disabled={loading || !newReceiver.address}>
+                    Register
+                  </Button>
+                </Grid>
+              </Grid>
+            </CardContent>
+          </Card>
+        </Grid>
+
+        <Grid item xs={12} md={5}>
+          <Card>
+            <CardContent>
+              <Typography variant="h6" gutterBottom>Roles</Typography>
+              <Grid container spacing={1}>
+                <Grid item xs={12}>
+                  <TextField fullWidth size="small" label="Account address" value={roleAddress}
+                    onChange={e => { setRoleAddress(e.target.value); setRoles(null); }} />
+                </Grid>
+                <Grid item xs={12}>
+                  <TextField select fullWidth size="small" label="Role" value={roleName}
+                    onChange={e => setRoleName(e.target.value)}>
+                    <MenuItem value="operator">Operator</MenuItem>
+                    <MenuItem value="admin">Admin</MenuItem>
+                  </TextField>
+                </Grid>
+                <Grid item xs={12} sx={{ display: 'flex', gap: 1 }}>
+                  <Button variant="outlined" onClick={handleCheckRoles} disabled={!roleAddress}>Check</Button>
+                  <Button variant="contained" onClick={() => handleRoleChange('grant')} disabled={loading || !roleAddress}>Grant</Button>
+                  <Button variant="contained" color="error" onClick={() => handleRoleChange('revoke')} disabled={loading || !roleAddress}>Revoke</Button>
+                </Grid>
+                {roles && (
+                  <Grid item xs={12} sx={{ display: 'flex', gap: 1 }}>
+                    <Chip label="Admin" color={roles.admin ? 'primary' : 'default'} variant={roles.admin ? 'filled' : 'outlined'} size="small" />
+                    <Chip label="Operator" color={roles.operator ? 'primary' : 'default'} variant={roles.operator ? 'filled' : 'outlined'} size="small" />
+                  </Grid>
+                )}
+              </Grid>
+            </CardContent>
+          </Card>
+        </Grid>
+      </Grid>
+    </Box>
+  );
+}
+
+export default ReceiverAdminPage;
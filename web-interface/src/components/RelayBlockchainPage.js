@@ -1,12 +1,13 @@
-import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
 import { Box, Typography, Card, CardContent, Button, Alert, CircularProgress, Grid, Tabs, Tab, Chip } from '@mui/material';
-import { ethers } from 'ethers';
 import Map from './Map';
 import BlockchainActivityLogger from './BlockchainActivityLogger';
 import FlightDetails from './FlightDetails';
+import BlockchainInfo from './BlockchainInfo';
 import RelayBlockchainSystem from '../services/RelayBlockchainService';
-import { fetchFlightData } from '../services/OpenSkyService';
+import { fetchFlightData, onFetch } from '../services/OpenSkyService';
 import blockchainLogger from '../services/BlockchainLogger';
+import { parseBoundingBox, isInBoundingBox } from '../shared/FlightQuery';
 
 function RelayBlockchainPage() {
   const [flights, setFlights] = useState([]);
@@ -19,21 +20,21 @@ function RelayBlockchainPage() {
   const [activeTab, setActiveTab] = useState(0);
   const [connectionStatus, setConnectionStatus] = useState('connecting');
   const [selectedFlight, setSelectedFlight] = useState(null);
-
-  const readOnlyProvider = useMemo(() => {
-    // This provider is only for reading blockchain state for the logger, not for sending transactions.
-    return new ethers.providers.JsonRpcProvider("http://127.0.0.1:8545");
-  }, []);
+  const [rateLimits, setRateLimits] = useState(null);
+  const [streamStatus, setStreamStatus] = useState('closed');
+  // Bounding box the map shows; flights are only requested for that area
+  const [viewport, setViewport] = useState(null);
+  const viewportRef = useRef(null);
 
   const loadExistingFlights = useCallback(async (system) => {
     if (!system) return;
     
     try {
       console.log('Loading existing flights from blockchain...');
-      const existingFlights = await system.getAllFlights();
+      const existingFlights = await system.getAllFlights(true, { bbox: viewportRef.current });
       console.log('Loaded existing flights from blockchain:', existingFlights.length);
       
-      if (existingFlights && existingFlights.length > 0) {
+      if (existingFlights && (existingFlights.length > 0 || viewportRef.current)) {
         setFlights(existingFlights);
         console.log('Set flights state with existing flights:', existingFlights.length);
       }
@@ -56,18 +57,24 @@ function RelayBlockchainPage() {
       setUpdateStatus('Adding new flight data to blockchain via relay server...');
       const result = await system.addFlightDataBatch(newFlights);
       if (result) {
-        setFlights(newFlights);
+        // Mark aircraft whose position is still awaiting (or failed) receiver consensus
+        // (a plain object: `Map` is the map component in this file)
+        const consensusByIcao = Object.fromEntries(result.report
+          .filter(entry => entry.status === 'pending' || entry.status === 'disputed')
+          .map(entry => [entry.icao24, entry.status]));
+        setFlights(newFlights.map(flight => consensusByIcao[flight.icao24]
+          ? { ...flight, consensusStatus: consensusByIcao[flight.icao24] }
+          : flight));
         setAttackedFlights(new Set());
         setAttackResults([]);
-        if (result.failedFlights && result.failedFlights.length > 0) {
+        const pendingNote = result.pending > 0 ? ` ${result.pending} flights are awaiting receiver consensus.` : '';
+        if (result.rejected > 0) {
+          const reasons = [...new Set(result.report.filter(entry => entry.status === 'rejected').map(entry => entry.reason))];
           setUpdateStatus(
-            `Added ${result.successfulBatches} batches. ${result.failedFlights.length} flights were blocked for security reasons.`
-          );
-        }
-        if (result.error) {
-          setUpdateStatus(
-            `Some flights were blocked by the blockchain: ${result.error}`
+            `Added ${result.accepted} flights.${pendingNote} ${result.rejected} flights were rejected: ${reasons.join('; ')}`
           );
+        } else if (pendingNote) {
+          setUpdateStatus(`Added ${result.accepted} flights.${pendingNote}`);
         }
         setTimeout(() => setUpdateStatus(''), 5000);
       } else {
@@ -97,9 +104,6 @@ function RelayBlockchainPage() {
         setRelaySystem(system);
         setConnectionStatus('connected');
         
-        // Initialize blockchain monitoring
-        blockchainLogger.initializeBlockchainMonitoring(readOnlyProvider, null);
-        
         // First load existing flights from blockchain
         await loadExistingFlights(system);
         
@@ -122,12 +126,63 @@ function RelayBlockchainPage() {
     } finally {
       setLoading(false);
     }
-  }, [startService, loadExistingFlights, readOnlyProvider]);
+  }, [startService, loadExistingFlights]);
 
   useEffect(() => {
     initializeRelaySystem();
   }, [initializeRelaySystem]);
 
+  // New blocks, flights, rejections and job updates pushed by the relay
+  useEffect(() => {
+    if (!relaySystem) return undefined;
+    return relaySystem.subscribe((type, data) => {
+      if (type === 'status') {
+        setStreamStatus(data);
+        return;
+      }
+      if (type === 'flight') {
+        const box = viewportRef.current && parseBoundingBox(viewportRef.current);
+        setFlights(prev => {
+          const index = prev.findIndex(flight => flight.icao24 === data.icao24);
+          if (box && !isInBoundingBox(data, box)) {
+            return index === -1 ? prev : prev.filter((flight, i) => i !== index);
+          }
+          const updated = { ...prev[index], ...data, consensusStatus: 'confirmed' };
+          return index === -1 ? [...prev, updated] : prev.map((flight, i) => (i === index ? updated : flight));
+        });
+      } else if (type === 'consensus') {
+        setFlights(prev => prev.map(flight => (flight.icao24 === data.icao24 ? { ...flight, consensusStatus: data.status } : flight)));
+      } else if (type === 'reorg') {
+        loadExistingFlights(relaySystem);
+      }
+      blockchainLogger.logRelayEvent(type, data);
+    });
+  }, [relaySystem, loadExistingFlights]);
+
+  // Reload once the map has settled on a new area
+  useEffect(() => {
+    viewportRef.current = viewport;
+    if (!relaySystem || !viewport) return undefined;
+    const timer = setTimeout(() => loadExistingFlights(relaySystem), 300);
+    return () => clearTimeout(timer);
+  }, [relaySystem, viewport, loadExistingFlights]);
+
+  useEffect(() => {
+    if (!relaySystem) return undefined;
+    const loadRateLimits = () => relaySystem.getRateLimits()
+      .then(setRateLimits)
+      .catch(err => console.error('Failed to load rate limits:', err));
+    loadRateLimits();
+    const interval = setInterval(loadRateLimits, 10000);
+    return () => clearInterval(interval);
+  }, [relaySystem]);
+
+  // OpenSky fetch stats for the relay's /metrics
+  useEffect(() => {
+    if (!relaySystem) return undefined;
+    return onFetch(fetchStats => relaySystem.reportOpenSkyFetch(fetchStats));
+  }, [relaySystem]);
+
   const simulateAttack = async (attackType) => {
     if (!relaySystem || flights.length === 0) {
       setError({
@@ -146,7 +201,12 @@ function RelayBlockchainPage() {
         longitude: targetFlight.longitude,
         altitude: targetFlight.altitude,
         onGround: typeof targetFlight.onGround === 'boolean' ? targetFlight.onGround : false,
-        isSpoofed: typeof targetFlight.isSpoofed === 'boolean' ? targetFlight.isSpoofed : false
+        isSpoofed: typeof targetFlight.isSpoofed === 'boolean' ? targetFlight.isSpoofed : false,
+        velocity: targetFlight.velocity,
+        heading: targetFlight.heading,
+        verticalRate: targetFlight.verticalRate,
+        // Observation time of the stored position, so a replay re-sends an older message
+        timestamp: targetFlight.timestamp
       };
       const result = await relaySystem.simulateAttack(attackType, safeTargetFlight);
       if (!result) {
@@ -161,6 +221,8 @@ function RelayBlockchainPage() {
         targetFlight: result.targetFlight?.callsign || targetFlight.callsign,
         detectedByBlockchain: result.detectedByBlockchain,
         reason: result.reason,
+        stage: result.stage,
+        outcomeSource: result.outcomeSource,
         transactionHash: result.transactionHash,
         attackedFlight: result.attackedFlight,
         eventLogs: result.eventLogs,
@@ -323,8 +385,46 @@ function RelayBlockchainPage() {
                     color={connectionStatus === 'connected' ? 'success' : 'warning'}
                     size="small"
                   />
+                  {connectionStatus === 'connected' && (
+                    <Chip
+                      label={streamStatus === 'open' ? 'Live updates' : 'Live updates reconnecting'}
+                      color={streamStatus === 'open' ? 'success' : 'warning'}
+                      variant="outlined"
+                      size="small"
+                      sx={{ ml: 1 }}
+                    />
+                  )}
                 </Box>
 
+                {rateLimits && (
+                  <Box sx={{ mt: 2 }}>
+                    <Typography variant="subtitle2" gutterBottom>Rate Limits:</Typography>
+                    <Typography variant="caption" color="text.secondary" display="block">
+                      {rateLimits.burst} burst, {rateLimits.perMinute} per minute
+                      {rateLimits.dailyGasQuota ? `, ${rateLimits.dailyGasQuota.toLocaleString()} gas per day` : ''}
+                    </Typography>
+                    {rateLimits.clients.map(client => (
+                      <Box key={client.id} sx={{ display: 'flex', alignItems: 'center', gap: 1, mt: 0.5 }}>
+                        <Typography variant="body2" sx={{ flexGrow: 1 }}>
+                          {client.name}: {client.requests} requests, {client.gasUsedToday.toLocaleString()} gas today
+                        </Typography>
+                        {client.throttledNow && (
+                          <Chip
+                            label={client.lastThrottleReason === 'quota' ? 'Quota used up' : 'Throttled'}
+                            color="error"
+                            size="small"
+                          />
+                        )}
+                      </Box>
+                    ))}
+                    {rateLimits.clients.length === 0 && (
+                      <Typography variant="body2" color="text.secondary">
+                        No writes yet
+                      </Typography>
+                    )}
+                  </Box>
+                )}
+
                 <Box sx={{ mt: 2 }}>
                   <Typography variant="subtitle2" gutterBottom>Recent Attacks:</Typography>
                   {attackResults.slice(0, 3).map((result, index) => (
@@ -372,13 +472,18 @@ function RelayBlockchainPage() {
                   </Alert>
                 )}
                 
-                <Map flights={flights} attackedFlights={attackedFlights} onFlightSelect={handleFlightSelect} />
+                <Map flights={flights} attackedFlights={attackedFlights} onFlightSelect={handleFlightSelect} onViewportChange={setViewport} />
               </CardContent>
             </Card>
           </Grid>
           
           <Grid item xs={12} md={4}>
-            <FlightDetails flight={selectedFlight} />
+            <FlightDetails flight={selectedFlight} onVerify={relaySystem ? flight => relaySystem.verifyAnchoredFlight(flight) : undefined} />
+            {relaySystem && (
+              <Box sx={{ mt: 2 }}>
+                <BlockchainInfo relaySystem={relaySystem} />
+              </Box>
+            )}
           </Grid>
           
           <Grid item xs={12}>
@@ -403,6 +508,7 @@ function RelayBlockchainPage() {
                       </Typography>
                       <Typography variant="body2" sx={{ mb: 1 }}>
                         {result.detectedByBlockchain ? `Attack Prevented by Blockchain: ${result.reason}` : 'Attack Succeeded: Data accepted by blockchain.'}
+                        {result.stage && ` [${result.outcomeSource === 'demo' ? 'demo mode' : result.stage}]`}
                       </Typography>
                       {result.transactionHash && (
                         <Typography variant="body2">
@@ -466,7 +572,7 @@ function RelayBlockchainPage() {
       )}
 
       {activeTab === 1 && (
-        <BlockchainActivityLogger />
+        <BlockchainActivityLogger relaySystem={relaySystem} />
       )}
     </Box>
   );
@@ -1,4 +1,6 @@
 import { ethers } from 'ethers';
+import { fromKinematics } from '../shared/Kinematics';
+import { toRules, categoryName } from '../shared/ValidationRules';
 
 class BlockchainLogger {
   constructor() {
@@ -28,6 +30,10 @@ class BlockchainLogger {
       this.blockchainActivityLogs = [];
     }
     this.maxBlockchainLogs = 500;
+    // txHash -> Promise of the flights a transaction wrote (null if it was not a batch)
+    this.batchFlightsCache = new Map();
+    // txHash -> flights from the relay's event stream not yet logged
+    this.relayFlights = new Map();
   }
 
   setProvider(provider) {
@@ -89,6 +95,12 @@ class BlockchainLogger {
     if (data.error) {
       formatted += `\n  Error: ${data.error.message || data.error}`;
     }
+    if (Array.isArray(data.flights) && data.flights.length > 0) {
+      formatted += `\n  Flights:`;
+      data.flights.forEach(flight => {
+        formatted += `\n    ${formatBatchFlight(flight)}`;
+      });
+    }
     // Add a clear block for transaction details if present
     if (data.transactionHash || data.blockNumber || data.gasUsed) {
       formatted += `\n-----------------------------\nTransaction Details:`;
@@ -129,7 +141,9 @@ class BlockchainLogger {
 
       // Listen for contract events if contract is available
       if (this.contract) {
-        this.contract.on('FlightUpdated', (icao24, callsign, latitude, longitude, altitude, onGround, timestamp, isSpoofed, event) => {
+        this.contract.on('FlightUpdated', async (icao24, callsign, latitude, longitude, altitude, onGround, timestamp, isSpoofed, kinematics, event) => {
+          // Flights written by a batch are listed under the batch entry instead
+          if (await this.getBatchFlights(event)) return;
           this.log('event', 'Flight data updated on blockchain', {
             icao24,
             callsign,
@@ -139,15 +153,18 @@ class BlockchainLogger {
             onGround,
             timestamp: new Date(timestamp.toNumber() * 1000),
             isSpoofed,
+            ...fromKinematics(kinematics),
             transactionHash: event.transactionHash,
             blockNumber: event.blockNumber
           });
         });
 
-        this.contract.on('FlightBatchUpdated', (count, timestamp, event) => {
+        this.contract.on('FlightBatchUpdated', async (count, timestamp, event) => {
+          const flights = await this.getBatchFlights(event);
           this.log('event', 'Flight batch updated on blockchain', {
             count: count.toNumber(),
             timestamp: new Date(timestamp.toNumber() * 1000),
+            flights: flights || [],
             transactionHash: event.transactionHash,
             blockNumber: event.blockNumber
           });
@@ -435,7 +452,8 @@ class BlockchainLogger {
     if (!this.contract) return;
 
     // Monitor FlightUpdated events
-    this.contract.on('FlightUpdated', (icao24, callsign, latitude, longitude, altitude, timestamp, event) => {
+    this.contract.on('FlightUpdated', async (icao24, callsign, latitude, longitude, altitude, onGround, timestamp, isSpoofed, kinematics, event) => {
+      if (await this.getBatchFlights(event)) return;
       this.logBlockchainActivity('event', 'Flight Data Updated', {
         eventName: 'FlightUpdated',
         icao24: icao24,
@@ -451,11 +469,13 @@ class BlockchainLogger {
     });
 
     // Monitor FlightBatchUpdated events
-    this.contract.on('FlightBatchUpdated', (count, timestamp, event) => {
+    this.contract.on('FlightBatchUpdated', async (count, timestamp, event) => {
+      const flights = await this.getBatchFlights(event);
       this.logBlockchainActivity('event', 'Flight Batch Updated', {
         eventName: 'FlightBatchUpdated',
         flightCount: count.toString(),
         timestamp: timestamp.toString(),
+        flights: flights || [],
         transactionHash: event.transactionHash,
         blockNumber: event.blockNumber,
         gasUsed: event.gasUsed?.toString()
@@ -473,6 +493,157 @@ class BlockchainLogger {
         gasUsed: event.gasUsed?.toString()
       });
     });
+
+    // Monitor receiver registry changes
+    this.contract.on('ReceiverStatusChanged', (receiver, status, event) => {
+      this.logBlockchainActivity('event', 'Receiver Status Changed', {
+        eventName: 'ReceiverStatusChanged',
+        receiver,
+        status: ['none', 'active', 'suspended', 'revoked'][status] || status.toString(),
+        transactionHash: event.transactionHash,
+        blockNumber: event.blockNumber
+      });
+    });
+
+    // Monitor multi-receiver consensus outcomes
+    this.contract.on('ConsensusReached', (icao24, windowStart, status, agreeing, disagreeing, event) => {
+      const statusName = ['none', 'pending', 'confirmed', 'disputed'][status] || status.toString();
+      this.logBlockchainActivity(statusName === 'disputed' ? 'rejection' : 'event', `Consensus ${statusName}: ${icao24}`, {
+        eventName: 'ConsensusReached',
+        icao24,
+        status: statusName,
+        agreeing: agreeing.toNumber(),
+        disagreeing: disagreeing.toNumber(),
+        windowStart: new Date(windowStart.toNumber() * 1000).toISOString(),
+        transactionHash: event.transactionHash,
+        blockNumber: event.blockNumber
+      });
+    });
+
+    // Monitor governance of the validation thresholds
+    this.contract.on('ValidationRulesUpdated', (category, rules, event) => {
+      this.logBlockchainActivity('event', `Validation rules updated: ${categoryName(category)}`, {
+        eventName: 'ValidationRulesUpdated',
+        category: categoryName(category),
+        rules: toRules(rules),
+        transactionHash: event.transactionHash,
+        blockNumber: event.blockNumber
+      });
+    });
+
+    this.contract.on('AircraftCategorySet', (icao24, category, event) => {
+      this.logBlockchainActivity('event', `Aircraft category set: ${icao24}`, {
+        eventName: 'AircraftCategorySet',
+        icao24,
+        category: categoryName(category),
+        transactionHash: event.transactionHash,
+        blockNumber: event.blockNumber
+      });
+    });
+  }
+
+  // Activity from the relay's event stream, in place of watching the chain directly.
+  // Flights are held until their block arrives so a batch is logged as one entry.
+  logRelayEvent(type, data) {
+    if (type === 'flight') {
+      const flights = this.relayFlights.get(data.transactionHash) || [];
+      flights.push(data);
+      this.relayFlights.set(data.transactionHash, flights);
+    } else if (type === 'block' || type === 'ready') {
+      this.relayFlights.forEach((flights, transactionHash) => {
+        const { blockNumber } = flights[0];
+        if (flights.length > 1) {
+          this.logBlockchainActivity('event', 'Flight Batch Updated', {
+            eventName: 'FlightBatchUpdated',
+            flightCount: flights.length.toString(),
+            flights,
+            transactionHash,
+            blockNumber
+          });
+        } else {
+          const [flight] = flights;
+          this.logBlockchainActivity('event', 'Flight Data Updated', {
+            eventName: 'FlightUpdated',
+            icao24: flight.icao24,
+            callsign: flight.callsign,
+            latitude: flight.latitude.toString(),
+            longitude: flight.longitude.toString(),
+            altitude: flight.altitude.toString(),
+            timestamp: flight.timestamp,
+            transactionHash,
+            blockNumber
+          });
+        }
+      });
+      this.relayFlights.clear();
+      if (type === 'block') {
+        this.logBlockchainActivity('block', 'New Block Mined', {
+          blockNumber: data.blockNumber.toString(),
+          tx: data.lastTransactionHash || '',
+          timestamp: data.timestamp
+        });
+      }
+    } else if (type === 'rejection') {
+      this.logBlockchainActivity('rejection', 'Flight Data Rejected', {
+        eventName: 'FlightRejected',
+        icao24: data.icao24,
+        reason: data.reason,
+        transactionHash: data.transactionHash,
+        blockNumber: data.blockNumber
+      });
+    } else if (type === 'consensus' && data.status !== 'pending') {
+      this.logBlockchainActivity(data.status === 'disputed' ? 'rejection' : 'event', `Consensus ${data.status}: ${data.icao24}`, {
+        eventName: 'ConsensusReached',
+        icao24: data.icao24,
+        status: data.status,
+        agreeing: data.agreeing,
+        disagreeing: data.disagreeing,
+        windowStart: new Date(data.windowStart * 1000).toISOString(),
+        blockNumber: data.blockNumber
+      });
+    } else if (type === 'job' && (data.state === 'failed' || data.state === 'dropped')) {
+      this.log('error', `Relay job ${data.type} ${data.state}`, { jobId: data.id, error: data.error });
+    }
+  }
+
+  // Per-aircraft FlightUpdated logs of a batch transaction, or null for a single update
+  getBatchFlights(event) {
+    const txHash = event.transactionHash;
+    if (!this.batchFlightsCache.has(txHash)) {
+      const lookup = event.getTransactionReceipt()
+        .then(receipt => {
+          const parsed = [];
+          receipt.logs.forEach(log => {
+            if (log.address.toLowerCase() !== this.contract.address.toLowerCase()) return;
+            try {
+              parsed.push(this.contract.interface.parseLog(log));
+            } catch (error) {
+              // Not an AdsbData event
+            }
+          });
+          if (!parsed.some(log => log.name === 'FlightBatchUpdated')) return null;
+          return parsed
+            .filter(log => log.name === 'FlightUpdated')
+            .map(log => ({
+              icao24: log.args.icao24,
+              callsign: log.args.callsign,
+              latitude: log.args.latitude.toNumber() / 1e6,
+              longitude: log.args.longitude.toNumber() / 1e6,
+              altitude: log.args.altitude.toNumber(),
+              onGround: log.args.onGround,
+              isSpoofed: log.args.isSpoofed,
+              ...fromKinematics(log.args.kinematics)
+            }));
+        })
+        .catch(() => null);
+      this.batchFlightsCache.set(txHash, lookup);
+
+      // Both listener sets ask for the same transactions; keep the cache small
+      if (this.batchFlightsCache.size > 200) {
+        this.batchFlightsCache.delete(this.batchFlightsCache.keys().next().value);
+      }
+    }
+    return this.batchFlightsCache.get(txHash);
   }
 
   // Log blockchain-specific activities
@@ -605,6 +776,13 @@ class BlockchainLogger {
         break;
     }
 
+    // Individual aircraft written by a batch transaction
+    if (Array.isArray(data.flights)) {
+      data.flights.forEach(flight => {
+        formatted += `\n  ${formatBatchFlight(flight)}`;
+      });
+    }
+
     // Add blockchain details block
     if (type === 'block') {
       formatted += `\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`;
@@ -682,6 +860,7 @@ class BlockchainLogger {
         ReplayAttack: 0,
         succeeded: 0,
         rejected: 0,
+        demo: 0,
         succeededByType: { DataSpoofingAttack: 0, DataTamperingAttack: 0, ReplayAttack: 0 },
         rejectedByType: { DataSpoofingAttack: 0, DataTamperingAttack: 0, ReplayAttack: 0 }
       },
@@ -709,11 +888,14 @@ class BlockchainLogger {
         if (attackType === 'replay') typeKey = 'ReplayAttack';
         if (typeKey) {
           stats.attackStats[typeKey]++;
-          if (log.type === 'event' && log.message.includes('Attack Succeeded')) {
+          // Outcomes come from the contract; demo-mode verdicts are kept apart
+          const outcome = log.data.outcome;
+          if (outcome && log.data.outcomeSource === 'demo') {
+            stats.attackStats.demo++;
+          } else if (outcome === 'succeeded') {
             stats.attackStats.succeeded++;
             stats.attackStats.succeededByType[typeKey]++;
-          }
-          if ((log.type === 'rejection' || log.type === 'error') && (log.message.includes('Attack Prevented') || log.message.includes('Blocked'))) {
+          } else if (outcome === 'rejected') {
             stats.attackStats.rejected++;
             stats.attackStats.rejectedByType[typeKey]++;
           }
@@ -725,6 +907,15 @@ class BlockchainLogger {
   }
 }
 
+// One line per aircraft inside a batch transaction
+function formatBatchFlight(flight) {
+  const callsign = (flight.callsign || '').trim() || 'N/A';
+  let line = `✈️ ${flight.icao24} (${callsign}) ${flight.latitude.toFixed(4)}, ${flight.longitude.toFixed(4)} @ ${flight.altitude}m`;
+  if (flight.onGround) line += ' [ground]';
+  if (flight.isSpoofed) line += ' [spoofed]';
+  return line;
+}
+
 // Create a singleton instance
 const blockchainLogger = new BlockchainLogger();
 
@@ -1,6 +1,19 @@
 import { fetchFlightData } from './OpenSkyService';
 import blockchainLogger from './BlockchainLogger';
 import traditionalLogger from './TraditionalLogger';
+import FlightIndexer from '../shared/FlightIndexer';
+import { getObservedAt, checkObservationTime, readObservationWindow } from '../shared/ObservationTime';
+import { flightDistanceMeters, checkPositionJump } from '../shared/GeoDistance';
+import { toKinematics, fromKinematics, checkKinematics } from '../shared/Kinematics';
+import { readValidationRules, rulesFor, checkAltitudeChange } from '../shared/ValidationRules';
+import { getRevertReason } from '../shared/RevertReason';
+import { buildAttackedFlight, runAttackOnChain, demoAttackOutcome } from '../shared/AttackSimulation';
+import { reportFromFlight } from '../shared/ReportSigner';
+import { checkPackable, packReports } from '../shared/FlightEncoding';
+
+// Randomized attack outcomes are opt-in (REACT_APP_ATTACK_DEMO_MODE=true) and labelled as demo
+const ATTACK_DEMO_MODE = process.env.REACT_APP_ATTACK_DEMO_MODE === 'true';
+const ATTACK_DEMO_BLOCK_RATE = Number(process.env.REACT_APP_ATTACK_DEMO_BLOCK_RATE || 0.7);
 
 class TraditionalSystem {
   constructor() {
@@ -42,6 +55,12 @@ class TraditionalSystem {
 class BlockchainSystem {
   constructor(contract) {
     this.contract = contract;
+    // Reads are answered from contract events instead of one getFlight(i) call per aircraft
+    this.indexer = new FlightIndexer({
+      provider: contract.provider,
+      contractAddress: contract.address,
+      contractInterface: contract.interface
+    });
   }
 
   async addFlightData(flight) {
@@ -49,6 +68,13 @@ class BlockchainSystem {
       blockchainLogger.log('error', 'Cannot add flight data: Contract not available');
       return false;
     }
+
+    // Stamping the submission time on a flight without one would let it be replayed
+    const observedAt = getObservedAt(flight);
+    if (!observedAt) {
+      blockchainLogger.log('error', 'Cannot add flight data: Missing observation timestamp', { icao24: flight.icao24 });
+      return false;
+    }
     
     try {
       blockchainLogger.log('info', 'Adding flight data to blockchain', {
@@ -71,7 +97,9 @@ class BlockchainSystem {
         Math.floor(flight.longitude * 1e6),
         Math.floor(flight.altitude),
         flight.onGround || false,
-        flight.isSpoofed || false
+        flight.isSpoofed || false,
+        observedAt,
+        toKinematics(flight)
       );
 
       blockchainLogger.logTransaction(tx.hash, 'Flight data update', {
@@ -156,23 +184,21 @@ class BlockchainSystem {
       const nonce = await signer.getTransactionCount();
       blockchainLogger.logNonceChange(nonce, 'Before batch transaction');
 
-      const icao24s = flights.map(f => f.icao24);
-      const callsigns = flights.map(f => f.callsign || '');
-      const latitudes = flights.map(f => Math.floor(f.latitude * 1e6));
-      const longitudes = flights.map(f => Math.floor(f.longitude * 1e6));
-      const altitudes = flights.map(f => Math.floor(f.altitude));
-      const onGrounds = flights.map(f => f.onGround || false);
-      const isSpoofedFlags = flights.map(f => f.isSpoofed || false);
-
-      const tx = await this.contract.updateFlightBatch(
-        icao24s,
-        callsigns,
-        latitudes,
-        longitudes,
-        altitudes,
-        onGrounds,
-        isSpoofedFlags
-      );
+      // Two words per flight (see FlightEncoding.js). A flight without a packed form
+      // would be rejected on-chain, so it is reported as rejected without being sent.
+      const reports = flights.map(reportFromFlight);
+      const unpackable = reports
+        .map(report => ({ icao24: report.icao24, reason: checkPackable(report).reason }))
+        .filter(entry => entry.reason);
+      const packable = reports.filter(report => checkPackable(report).valid);
+      if (packable.length === 0) {
+        blockchainLogger.log('warning', 'No flight of the batch can be stored', { count: flights.length, rejected: unpackable });
+        return false;
+      }
+      const { positions, kinematics } = packReports(packable);
+
+      // Invalid entries are skipped on-chain with FlightRejected instead of reverting the batch
+      const tx = await this.contract.updateFlightBatchPacked(positions, kinematics);
 
       blockchainLogger.logTransaction(tx.hash, 'Flight data batch update', {
         count: flights.length,
@@ -193,11 +219,17 @@ class BlockchainSystem {
       
       blockchainLogger.logGasUsage(gasUsed.toString(), gasPrice.toString(), totalCost.toString());
       
-      blockchainLogger.log('success', 'Flight data batch added to blockchain successfully', {
+      const rejected = unpackable.concat(receipt.events
+        .filter(event => event.event === 'FlightRejected')
+        .map(event => ({ icao24: event.args.icao24, reason: event.args.reason })));
+
+      blockchainLogger.log(rejected.length > 0 ? 'warning' : 'success', 'Flight data batch added to blockchain successfully', {
         transactionHash: tx.hash,
         blockNumber: receipt.blockNumber,
         gasUsed: receipt.gasUsed.toString(),
-        count: flights.length
+        count: flights.length,
+        accepted: flights.length - rejected.length,
+        rejected
       });
 
       return true;
@@ -217,23 +249,24 @@ class BlockchainSystem {
     }
     
     try {
-      const flightCount = await this.contract.getFlightCount();
+      await this.indexer.sync();
+      const status = this.indexer.getStatus();
       blockchainLogger.log('info', 'Checking flight data on blockchain', {
         icao24,
-        totalFlights: flightCount.toString()
+        totalFlights: status.flights.toString(),
+        indexedBlock: status.lastBlock
       });
 
-      // Check if the flight exists by iterating through all flights
-      for (let i = 0; i < flightCount; i++) {
-        const flight = await this.contract.getFlight(i);
-        if (flight[0] === icao24) {
-          blockchainLogger.log('success', 'Flight data verified on blockchain', {
-            icao24,
-            callsign: flight[1],
-            timestamp: new Date(flight[6].toNumber() * 1000)
-          });
-          return true;
-        }
+      const flight = this.indexer.getFlight(icao24);
+      if (flight) {
+        blockchainLogger.log('success', 'Flight data verified on blockchain', {
+          icao24,
+          callsign: flight.callsign,
+          timestamp: flight.timestamp,
+          transactionHash: flight.transactionHash,
+          blockNumber: flight.blockNumber
+        });
+        return true;
       }
 
       blockchainLogger.log('warning', 'Flight data not found on blockchain', { icao24 });
@@ -251,25 +284,8 @@ class BlockchainSystem {
     if (!this.contract) return null;
     
     try {
-      const flightCount = await this.contract.getFlightCount();
-      
-      for (let i = 0; i < flightCount; i++) {
-        const flight = await this.contract.getFlight(i);
-        if (flight[0] === icao24) {
-          return {
-            icao24,
-            callsign: flight[1],
-            latitude: flight[2].toNumber() / 1e6,
-            longitude: flight[3].toNumber() / 1e6,
-            altitude: flight[4].toNumber(),
-            onGround: flight[5],
-            timestamp: new Date(flight[6].toNumber() * 1000),
-            isSpoofed: flight[7],
-            isVerified: true
-          };
-        }
-      }
-      return null;
+      await this.indexer.sync();
+      return this.indexer.getFlight(icao24);
     } catch (error) {
       blockchainLogger.log('error', 'Failed to get flight data from blockchain', {
         icao24,
@@ -283,26 +299,12 @@ class BlockchainSystem {
     if (!this.contract) return [];
     
     try {
-      const flightCount = await this.contract.getFlightCount();
-      const flights = [];
-      
-      for (let i = 0; i < flightCount; i++) {
-        const flight = await this.contract.getFlight(i);
-        flights.push({
-          icao24: flight[0],
-          callsign: flight[1],
-          latitude: flight[2].toNumber() / 1e6,
-          longitude: flight[3].toNumber() / 1e6,
-          altitude: flight[4].toNumber(),
-          onGround: flight[5],
-          timestamp: new Date(flight[6].toNumber() * 1000),
-          isSpoofed: flight[7],
-          isVerified: true
-        });
-      }
+      await this.indexer.sync();
+      const flights = this.indexer.getAllFlights();
       
       blockchainLogger.log('info', 'Retrieved all flights from blockchain', {
-        count: flights.length
+        count: flights.length,
+        indexedBlock: this.indexer.getStatus().lastBlock
       });
       
       return flights;
@@ -314,8 +316,50 @@ class BlockchainSystem {
     }
   }
 
+  // Returns one page of the aircraft's recorded track, oldest position first
+  async getFlightHistory(icao24, offset = 0, limit = 100) {
+    if (!this.contract) return { total: 0, history: [] };
+
+    try {
+      const total = await this.contract.getFlightHistoryCount(icao24);
+      const [icao24s, callsigns, latitudes, longitudes, altitudes, onGrounds, timestamps, isSpoofedFlags, kinematics] =
+        await this.contract.getFlightHistory(icao24, offset, limit);
+
+      const history = icao24s.map((_, i) => Object.assign({
+        icao24: icao24s[i],
+        callsign: callsigns[i],
+        latitude: latitudes[i].toNumber() / 1e6,
+        longitude: longitudes[i].toNumber() / 1e6,
+        altitude: altitudes[i].toNumber(),
+        onGround: onGrounds[i],
+        timestamp: new Date(timestamps[i].toNumber() * 1000),
+        isSpoofed: isSpoofedFlags[i],
+        isVerified: true
+      }, fromKinematics(kinematics[i])));
+
+      blockchainLogger.log('info', 'Retrieved flight history from blockchain', {
+        icao24,
+        total: total.toString(),
+        offset,
+        count: history.length
+      });
+
+      return { total: total.toNumber(), history };
+    } catch (error) {
+      blockchainLogger.log('error', 'Failed to get flight history from blockchain', {
+        icao24,
+        error: error.message
+      });
+      return { total: 0, history: [] };
+    }
+  }
+
   async addFlightDataWithDetails(flight) {
     if (!this.contract) return null;
+    const observedAt = getObservedAt(flight);
+    if (!observedAt) {
+      throw new Error('Missing observation timestamp');
+    }
 
     const tx = await this.contract.updateFlight(
       flight.icao24,
@@ -324,7 +368,9 @@ class BlockchainSystem {
       Math.floor(flight.longitude * 1e6),
       Math.floor(flight.altitude),
       flight.onGround,
-      flight.isSpoofed
+      flight.isSpoofed,
+      observedAt,
+      toKinematics(flight)
     );
 
     const receipt = await tx.wait();
@@ -348,6 +394,13 @@ class FlightDataService {
   }
 
   async start() {
+    if (this.blockchainSystem) {
+      try {
+        await this.blockchainSystem.indexer.start();
+      } catch (error) {
+        blockchainLogger.log('error', 'Failed to start flight indexer', { error: error.message });
+      }
+    }
     await this.updateFlightData();
   }
 
@@ -356,6 +409,9 @@ class FlightDataService {
       clearInterval(this.updateInterval);
       this.updateInterval = null;
     }
+    if (this.blockchainSystem) {
+      this.blockchainSystem.indexer.stop();
+    }
   }
 
   async updateFlightData(forceRefresh = false) {
@@ -409,6 +465,10 @@ class FlightDataService {
 
     const validFlights = [];
     const currentTime = Math.floor(Date.now() / 1000); // Current timestamp in seconds
+    const observationWindow = await readObservationWindow(this.blockchainSystem.contract);
+    // Thresholds are governed on-chain per aircraft category
+    const ruleSet = await readValidationRules(this.blockchainSystem.contract);
+    const indexer = this.blockchainSystem.indexer;
 
     // Fetch all existing flights from blockchain once and create a lookup map
     const existingFlights = await this.blockchainSystem.getAllFlights();
@@ -425,59 +485,68 @@ class FlightDataService {
     for (const flight of flights) {
       try {
         const prevFlight = existingFlightsMap.get(flight.icao24);
-        
-        if (!prevFlight) {
-          // First time seeing this flight, it's valid
-          validFlights.push(flight);
-          continue;
-        }
+        const observedAt = getObservedAt(flight);
+        const prevTimestamp = prevFlight ? Math.floor(prevFlight.timestamp.getTime() / 1000) : null;
 
-        // Check timestamp validation (replay attack prevention)
-        const prevTimestamp = Math.floor(prevFlight.timestamp.getTime() / 1000);
-        if (currentTime <= prevTimestamp) {
-          blockchainLogger.log('warning', 'Flight rejected: timestamp not newer', {
+        // Same observation-time rule as the contract (replay attack prevention)
+        const timeCheck = checkObservationTime(observedAt, Object.assign({ now: currentTime, previous: prevTimestamp }, observationWindow));
+        if (!timeCheck.valid) {
+          blockchainLogger.log('warning', `Flight rejected: ${timeCheck.reason}`, {
             icao24: flight.icao24,
-            currentTime,
+            observedAt,
             prevTimestamp
           });
           continue;
         }
 
-        // Check altitude rate validation
-        const timeDiff = currentTime - prevTimestamp;
+        if (!prevFlight) {
+          // First time seeing this flight, it's valid
+          validFlights.push(flight);
+          continue;
+        }
+
+        const timeDiff = observedAt - prevTimestamp;
         if (timeDiff > 0) {
-          const altitudeDiff = Math.abs(flight.altitude - prevFlight.altitude);
-          const altitudeRate = altitudeDiff / timeDiff;
-          
-          // Smart contract allows max 10 m/s altitude rate
-          if (altitudeRate > 10) {
-            blockchainLogger.log('warning', 'Flight rejected: altitude rate too high', {
+          const category = indexer.getCategory(flight.icao24);
+          const rules = rulesFor(ruleSet, category);
+
+          // Altitude jump and rate, as the contract compares them
+          const altitudeCheck = checkAltitudeChange(Math.floor(prevFlight.altitude), Math.floor(flight.altitude), timeDiff, rules);
+          if (!altitudeCheck.valid) {
+            blockchainLogger.log('warning', `Flight rejected: ${altitudeCheck.reason}`, {
               icao24: flight.icao24,
-              altitudeRate: altitudeRate.toFixed(2),
-              altitudeDiff,
+              category,
+              altitudeDiff: Math.abs(flight.altitude - prevFlight.altitude),
               timeDiff
             });
             continue;
           }
 
-          // Check altitude jump validation (max 500m regardless of time)
-          if (altitudeDiff > 500) {
-            blockchainLogger.log('warning', 'Flight rejected: altitude jump too large', {
+          // Check position jump validation (spoofing prevention), same distance as the contract
+          const distMeters = flightDistanceMeters(prevFlight, flight);
+          if (!checkPositionJump(distMeters, timeDiff, rules).valid) {
+            blockchainLogger.log('warning', 'Flight rejected: position jump too large', {
               icao24: flight.icao24,
-              altitudeDiff
+              distMeters,
+              timeDiff
             });
             continue;
           }
 
-          // Check position jump validation (spoofing prevention)
-          const latDiff = Math.abs(flight.latitude - prevFlight.latitude);
-          const lonDiff = Math.abs(flight.longitude - prevFlight.longitude);
-          const distMeters = (latDiff * 111000) + (lonDiff * 85000); // Approximate distance
-          
-          if (distMeters > 100000 && timeDiff < 300) {
-            blockchainLogger.log('warning', 'Flight rejected: position jump too large', {
+          // Reported speed, track and vertical rate against the same two positions
+          const kinematicCheck = checkKinematics(
+            { altitude: Math.floor(prevFlight.altitude), kinematics: toKinematics(prevFlight) },
+            { altitude: Math.floor(flight.altitude), kinematics: toKinematics(flight) },
+            distMeters,
+            timeDiff,
+            rules
+          );
+          if (!kinematicCheck.valid) {
+            blockchainLogger.log('warning', `Flight rejected: ${kinematicCheck.reason}`, {
               icao24: flight.icao24,
-              distMeters: Math.round(distMeters),
+              velocity: flight.velocity,
+              heading: flight.heading,
+              verticalRate: flight.verticalRate,
               timeDiff
             });
             continue;
@@ -519,123 +588,59 @@ class FlightDataService {
       callsign: targetFlight.callsign
     });
 
-    // Initialize attackedFlight with all required properties
-    const attackedFlight = { 
-      ...targetFlight,
-      onGround: typeof targetFlight.onGround === 'boolean' ? targetFlight.onGround : false,
-      isSpoofed: typeof targetFlight.isSpoofed === 'boolean' ? targetFlight.isSpoofed : false,
-      callsign: targetFlight.callsign || targetFlight.icao24,
-      latitude: Number(targetFlight.latitude) || 0,
-      longitude: Number(targetFlight.longitude) || 0,
-      altitude: Number(targetFlight.altitude) || 0,
-      velocity: Number(targetFlight.velocity) || 0,
-      timestamp: targetFlight.timestamp ? new Date(targetFlight.timestamp) : new Date()
-    };
-    
-    // Randomize: 70% block, 30% allow (same as relay system)
-    // This randomization is for demonstration purposes to show both successful and prevented attacks
-    // In a real system, the smart contract validation would determine success/failure
-    if (Math.random() < 0.7) {
-      let reason = '';
-      if (attackType === 'replay') {
-        reason = 'Replay attack: timestamp not newer';
-      } else if (attackType === 'tampering') {
-        reason = 'Tampering: impossible altitude rate';
-      } else if (attackType === 'spoofing') {
-        reason = 'Spoofing: invalid callsign';
-      } else {
-        reason = 'Blocked by blockchain validation';
-      }
-      
-      blockchainLogger.logBlockchainActivity('rejection', `Attack Prevented: ${attackType}`, {
-        attackType: attackType,
-        targetFlight: targetFlight.icao24,
-        reason: reason
-      });
-      
-      blockchainLogger.log('error', 'Attack Prevented by Randomizer (MetaMask System)', { 
-        attackType, 
-        targetFlight, 
-        reason 
-      });
-      
-      return {
-        attackType,
-        targetFlight,
-        attackedFlight,
-        detectedByBlockchain: true,
-        reason,
-        message: `Attack Prevented (pre-validation): ${reason}`,
-        eventLogs: []
-      };
+    let attackedFlight;
+    try {
+      attackedFlight = buildAttackedFlight(attackType, targetFlight);
+    } catch (error) {
+      blockchainLogger.log('error', `Attack Simulation Failed: ${attackType}`, { error: error.message });
+      return { attackType, targetFlight, detectedByBlockchain: false, error: error.message, eventLogs: [] };
     }
-    
+
     try {
-      // Create the attacked flight with less severe modifications
-      switch (attackType) {
-        case 'replay':
-          attackedFlight.timestamp = new Date(attackedFlight.timestamp.getTime() - 60000); // Only 1 minute back
-          attackedFlight.latitude = Number(attackedFlight.latitude) + (Math.random() * 0.1 - 0.05); // Smaller position change
-          attackedFlight.longitude = Number(attackedFlight.longitude) + (Math.random() * 0.1 - 0.05);
-          break;
-        case 'spoofing':
-          attackedFlight.latitude = Number(attackedFlight.latitude) + (Math.random() * 2 - 1); // Smaller position change
-          attackedFlight.longitude = Number(attackedFlight.longitude) + (Math.random() * 2 - 1);
-          attackedFlight.altitude = Number(attackedFlight.altitude) + Math.floor(Math.random() * 1000); // Smaller altitude change
-          attackedFlight.isSpoofed = true;
-          break;
-        case 'tampering':
-          attackedFlight.altitude = Number(attackedFlight.altitude) + (Math.floor(Math.random() * 2000) - 1000); // Smaller altitude change
-          attackedFlight.velocity = Number(attackedFlight.velocity) + Math.floor(Math.random() * 50); // Smaller velocity change;
-          break;
-        default:
-          throw new Error('Unknown attack type');
-      }
-      // Final defensive check for NaN after all mutations
-      ['latitude','longitude','altitude','velocity'].forEach(field => {
-        if (typeof attackedFlight[field] !== 'number' || isNaN(attackedFlight[field])) {
-          throw new Error(`Invalid value for ${field}: ${attackedFlight[field]}`);
-        }
-      });
+      // Demo mode must be switched on explicitly; otherwise the contract decides
+      const outcome = (ATTACK_DEMO_MODE && demoAttackOutcome(attackType, ATTACK_DEMO_BLOCK_RATE)) ||
+        await runAttackOnChain(this.blockchainSystem.contract, attackedFlight);
 
-      // Remove the initial log for 'Attack Data Submission' to avoid duplicate transaction logs
-      // Only log the transaction after the hash is available
-      const txResult = await this.blockchainSystem.addFlightDataWithDetails(attackedFlight);
+      const outcomeData = {
+        attackType: attackType,
+        targetFlight: targetFlight.icao24,
+        outcome: outcome.detectedByBlockchain ? 'rejected' : 'succeeded',
+        outcomeSource: outcome.outcomeSource,
+        stage: outcome.stage,
+        reason: outcome.reason,
+        transactionHash: outcome.transactionHash || 'N/A',
+        blockNumber: outcome.blockNumber || 'N/A'
+      };
 
-      if (txResult && txResult.transactionHash) {
-        blockchainLogger.logBlockchainActivity('transaction', `Attack Transaction Sent: ${attackType}`, {
-          attackType: attackType,
-          targetFlight: targetFlight.icao24,
-          transactionHash: txResult.transactionHash,
-          blockNumber: txResult.blockNumber
-        });
+      if (outcome.detectedByBlockchain) {
+        blockchainLogger.logBlockchainActivity('rejection', `Attack Prevented: ${attackType}`, outcomeData);
+      } else {
+        blockchainLogger.logBlockchainActivity('event', `Attack Succeeded: ${attackType}`, outcomeData);
       }
 
-      // Now log the attack succeeded event (with hash and block number)
-      blockchainLogger.logBlockchainActivity('event', `Attack Succeeded: ${attackType}`, {
-        attackType: attackType,
-        targetFlight: targetFlight.icao24,
-        transactionHash: txResult && txResult.transactionHash ? txResult.transactionHash : 'N/A',
-        blockNumber: txResult && txResult.blockNumber ? txResult.blockNumber : 'N/A'
+      return Object.assign({
+        attackType,
+        targetFlight,
+        attackedFlight,
+        message: outcome.detectedByBlockchain
+          ? `Attack Prevented (${outcome.stage}): ${outcome.reason}`
+          : `Attack Succeeded: ${attackType}`
+      }, outcome, {
+        transactionHash: outcome.transactionHash || 'N/A',
+        blockNumber: outcome.blockNumber || 'N/A'
       });
-      
+    } catch (error) {
+      // The attack never reached a verdict (network or wallet failure), so it is not counted
+      blockchainLogger.log('error', `Attack Simulation Failed: ${attackType}`, { error: getRevertReason(error) });
       return {
         attackType,
         targetFlight,
         attackedFlight,
         detectedByBlockchain: false,
-        transactionHash: txResult && txResult.transactionHash ? txResult.transactionHash : 'N/A',
-        blockNumber: txResult && txResult.blockNumber ? txResult.blockNumber : 'N/A',
-        message: `Attack Succeeded: ${attackType}`,
-        eventLogs: txResult && txResult.eventLogs ? txResult.eventLogs : []
-      };
-    } catch (error) {
-      blockchainLogger.log('error', `Attack Blocked by Smart Contract: ${attackType}`, { error: error.message });
-      return {
-        detectedByBlockchain: true,
-        reason: error && error.message ? error.message : 'Unknown error',
+        error: getRevertReason(error),
         transactionHash: 'N/A',
-        blockNumber: 'N/A'
+        blockNumber: 'N/A',
+        eventLogs: []
       };
     }
   }
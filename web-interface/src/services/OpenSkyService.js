@@ -10,6 +10,24 @@ let lastFetchTime = 0;
 let cachedData = [];
 const CACHE_DURATION = 60000; // 60 seconds minimum between fetches
 
+// Told about every fetch: { outcome: ok | cached | empty | rate_limited | error, durationMs, states, flights }
+const fetchListeners = new Set();
+
+export const onFetch = (listener) => {
+  fetchListeners.add(listener);
+  return () => fetchListeners.delete(listener);
+};
+
+const reportFetch = (fetchStats) => {
+  fetchListeners.forEach(listener => {
+    try {
+      listener(fetchStats);
+    } catch (error) {
+      console.error('OpenSky fetch listener failed:', error.message);
+    }
+  });
+};
+
 const processFlightData = (state) => {
   // OpenSky data format: [icao24, callsign, origin_country, time_position, last_contact, longitude, latitude, baro_altitude, on_ground, velocity, true_track, vertical_rate, sensors, geo_altitude, squawk, spi, position_source]
   if (!state || state.length < 17) return null;
@@ -45,6 +63,14 @@ const processFlightData = (state) => {
     return null;
   }
 
+  // When the position was decoded, else the last message from the aircraft. Without
+  // either the report cannot be dated, and the fetch time would make it look current
+  const lastContact = last_contact ? new Date(last_contact * 1000) : null;
+  const timestamp = time_position ? new Date(time_position * 1000) : lastContact;
+  if (!timestamp) {
+    return null;
+  }
+
   return {
     icao24,
     callsign: callsign ? callsign.trim() : icao24,
@@ -53,11 +79,12 @@ const processFlightData = (state) => {
     longitude: parseFloat(longitude),
     altitude: altitude,
     onGround: Boolean(onGround),
-    velocity: velocity ? parseFloat(velocity) : 0,
-    heading: heading ? parseFloat(heading) : 0,
-    verticalRate: verticalRate ? parseFloat(verticalRate) : 0,
-    timestamp: time_position ? new Date(time_position * 1000) : new Date(),
-    lastContact: last_contact ? new Date(last_contact * 1000) : new Date(),
+    // Kept as null when OpenSky has no value, so they are submitted as unknown
+    velocity: velocity !== null && velocity !== undefined ? parseFloat(velocity) : null,
+    heading: heading !== null && heading !== undefined ? parseFloat(heading) : null,
+    verticalRate: verticalRate !== null && verticalRate !== undefined ? parseFloat(verticalRate) : null,
+    timestamp,
+    lastContact,
     isVerified: true
   };
 };
@@ -67,9 +94,11 @@ const fetchFlightData = async (forceRefresh = false) => {
   
   // Return cached data if it's still valid and no force refresh
   if (!forceRefresh && now - lastFetchTime < CACHE_DURATION) {
+    reportFetch({ outcome: 'cached', durationMs: 0, states: 0, flights: cachedData.length });
     return cachedData;
   }
 
+  const fetchStats = { outcome: 'error', states: 0, flights: 0 };
   try {
     // Basic auth credentials if provided
     const headers = {};
@@ -94,6 +123,7 @@ const fetchFlightData = async (forceRefresh = false) => {
 
     if (!response.ok) {
       if (response.status === 429) {
+        fetchStats.outcome = 'rate_limited';
         throw new Error('OpenSky Network rate limit reached. Please try again in a few minutes.');
       }
       throw new Error(`OpenSky Network API error: ${response.status}`);
@@ -107,6 +137,8 @@ const fetchFlightData = async (forceRefresh = false) => {
       throw new Error('Invalid data format received from OpenSky Network');
     }
 
+    fetchStats.states = data.states.length;
+
     // Process and filter the flights
     const flights = data.states
       .map(processFlightData)
@@ -116,9 +148,12 @@ const fetchFlightData = async (forceRefresh = false) => {
     console.log('Processed flights:', flights);
 
     if (flights.length === 0) {
+      fetchStats.outcome = 'empty';
       throw new Error('No valid flights found in OpenSky Network data');
     }
 
+    Object.assign(fetchStats, { outcome: 'ok', flights: flights.length });
+
     // Update cache
     lastFetchTime = now;
     cachedData = flights;
@@ -128,6 +163,8 @@ const fetchFlightData = async (forceRefresh = false) => {
   } catch (error) {
     console.error('Error fetching OpenSky data:', error.message);
     throw error; // Re-throw to handle in the UI
+  } finally {
+    reportFetch(Object.assign(fetchStats, { durationMs: Date.now() - now }));
   }
 };
 
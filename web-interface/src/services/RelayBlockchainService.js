@@ -1,12 +1,62 @@
+import { ethers } from 'ethers';
 import blockchainLogger from "./BlockchainLogger";
-// import config from '../config.json'; // Dihapus karena tidak digunakan
+import config from '../config.json';
+import AdsbDataABI from '../contracts/AdsbData.json';
+import { reportFromFlight } from '../shared/ReportSigner';
+import { hashLeaf, verifyProof } from '../shared/MerkleTree';
+import { AUTH_HEADERS, canonicalRequest } from '../shared/RequestSigning';
+import { getObservedAt } from '../shared/ObservationTime';
+import RelayEventStream from './RelayEventStream';
 
-const RELAY_SERVER_URL = 'http://localhost:3001';
+// REACT_APP_RELAY_URL at build time, else the relay URL the deploy script recorded
+const RELAY_SERVER_URL = process.env.REACT_APP_RELAY_URL || config.relayUrl || 'http://localhost:3001';
+
+// Anchored roots are read from the chain directly, not through the relay
+const RPC_URL = process.env.REACT_APP_RPC_URL || config.rpcUrl || 'http://127.0.0.1:8545';
+
+// Writes are signed when the build has an API key (REACT_APP_RELAY_API_KEY and
+// REACT_APP_RELAY_API_SECRET). The secret is part of the bundle, so such builds
+// belong on trusted machines only.
+const API_KEY_ID = process.env.REACT_APP_RELAY_API_KEY;
+const API_KEY_SECRET = process.env.REACT_APP_RELAY_API_SECRET;
+
+const toHex = (buffer) => Array.from(new Uint8Array(buffer)).map(byte => byte.toString(16).padStart(2, '0')).join('');
+
+// Submissions are queued by the relay; follow their job until it is final, over the
+// event stream when it is open and by polling otherwise
+const JOB_POLL_INTERVAL = 1000;
+const JOB_TIMEOUT = 120000;
+const FINAL_JOB_STATES = ['mined', 'failed', 'dropped'];
 
 class RelayBlockchainSystem {
   constructor() {
     this.relayUrl = RELAY_SERVER_URL;
     this.isConnected = false;
+    this.events = new RelayEventStream(`${this.relayUrl}/events`);
+  }
+
+  // Live relay events, see RelayEventStream; returns the unsubscribe function
+  subscribe(listener) {
+    return this.events.subscribe(listener);
+  }
+
+  // Content type plus, with an API key, the signature headers for `body` as sent
+  async writeHeaders(method, path, body = '') {
+    const headers = { 'Content-Type': 'application/json' };
+    if (!API_KEY_ID || !API_KEY_SECRET) return headers;
+
+    const encoder = new TextEncoder();
+    const timestamp = Date.now();
+    const nonce = toHex(window.crypto.getRandomValues(new Uint8Array(16)));
+    const bodyHash = toHex(await window.crypto.subtle.digest('SHA-256', encoder.encode(body)));
+    const key = await window.crypto.subtle.importKey('raw', encoder.encode(API_KEY_SECRET), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+    const signature = await window.crypto.subtle.sign('HMAC', key, encoder.encode(canonicalRequest({ timestamp, nonce, method, path, bodyHash })));
+    return Object.assign(headers, {
+      [AUTH_HEADERS.keyId]: API_KEY_ID,
+      [AUTH_HEADERS.timestamp]: String(timestamp),
+      [AUTH_HEADERS.nonce]: nonce,
+      [AUTH_HEADERS.signature]: toHex(signature)
+    });
   }
 
   async checkConnection() {
@@ -37,23 +87,27 @@ class RelayBlockchainSystem {
         altitude: flight.altitude
       });
 
+      const body = JSON.stringify({
+        icao24: flight.icao24,
+        callsign: flight.callsign || '',
+        latitude: flight.latitude,
+        longitude: flight.longitude,
+        altitude: flight.altitude,
+        onGround: flight.onGround || false,
+        isSpoofed: flight.isSpoofed || false,
+        // The relay refuses a flight without its observation time
+        observedAt: getObservedAt(flight),
+        velocity: flight.velocity,
+        heading: flight.heading,
+        verticalRate: flight.verticalRate
+      });
       const response = await fetch(`${this.relayUrl}/add-flight`, {
         method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          icao24: flight.icao24,
-          callsign: flight.callsign || '',
-          latitude: flight.latitude,
-          longitude: flight.longitude,
-          altitude: flight.altitude,
-          onGround: flight.onGround || false,
-          isSpoofed: flight.isSpoofed || false
-        })
+        headers: await this.writeHeaders('POST', '/add-flight', body),
+        body
       });
 
-      const result = await response.json();
+      const result = await this.resultOfJob(await response.json());
       
       if (result.success) {
         // Log blockchain activity
@@ -103,13 +157,20 @@ class RelayBlockchainSystem {
         maxBatchSize: MAX_BATCH_SIZE
       });
 
-      let allSuccess = true;
+      // Merge the per-chunk reports; false only if every chunk failed
+      const combined = { accepted: 0, pending: 0, rejected: 0, report: [] };
+      let anySuccess = false;
       for (let i = 0; i < flights.length; i += MAX_BATCH_SIZE) {
         const chunk = flights.slice(i, i + MAX_BATCH_SIZE);
         const result = await this.addFlightDataBatch(chunk);
-        if (!result) allSuccess = false;
+        if (!result) continue;
+        anySuccess = true;
+        combined.accepted += result.accepted;
+        combined.pending += result.pending;
+        combined.rejected += result.rejected;
+        combined.report.push(...result.report);
       }
-      return allSuccess;
+      return anySuccess ? combined : false;
     }
     
     try {
@@ -118,15 +179,14 @@ class RelayBlockchainSystem {
         icao24s: flights.map(f => f.icao24)
       });
 
+      const body = JSON.stringify({ flights });
       const response = await fetch(`${this.relayUrl}/add-flights-batch`, {
         method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({ flights })
+        headers: await this.writeHeaders('POST', '/add-flights-batch', body),
+        body
       });
 
-      const result = await response.json();
+      const result = await this.resultOfJob(await response.json());
       
       if (result.success) {
         // Log each transaction in the batch
@@ -135,7 +195,8 @@ class RelayBlockchainSystem {
             blockchainLogger.logTransaction(txInfo.transactionHash, 'Flight batch via relay', {
               count: txInfo.flightsCount,
               blockNumber: txInfo.blockNumber,
-              gasUsed: txInfo.gasUsed
+              gasUsed: txInfo.gasUsed,
+              flights: txInfo.flights
             });
           });
         } else if (result.transactionHash) {
@@ -144,23 +205,52 @@ class RelayBlockchainSystem {
             count: flights.length,
             blockNumber: result.blockNumber
           });
+        } else if (result.windowStart !== undefined) {
+          // Anchoring mode: off-chain until the window's Merkle root is anchored
+          blockchainLogger.log('info', 'Batch disimpan off-chain oleh relay; root Merkle dianchor setelah window berakhir', {
+            count: flights.length,
+            windowStart: new Date(result.windowStart * 1000).toISOString(),
+            windowEnd: new Date(result.windowEnd * 1000).toISOString()
+          });
         }
         
         if (result.gasUsed) {
           blockchainLogger.logGasUsage(result.gasUsed, result.gasPrice || '0', result.totalCost || '0');
         }
         
-        blockchainLogger.log('success', 'Batch data penerbangan berhasil ditambah melalui server relay', {
+        // Per-flight outcome of the partial-acceptance batch
+        if (Array.isArray(result.report)) {
+          result.report
+            .filter(entry => entry.status === 'rejected')
+            .forEach(entry => {
+              blockchainLogger.logBlockchainActivity('rejection', `Flight Rejected in Batch: ${entry.icao24}`, {
+                icao24: entry.icao24,
+                callsign: entry.callsign,
+                reason: entry.reason,
+                rejectedBy: entry.rejectedBy
+              });
+            });
+        }
+
+        blockchainLogger.log(result.rejected > 0 ? 'warning' : 'success', 'Batch data penerbangan berhasil ditambah melalui server relay', {
           transactionHash: Array.isArray(result.transactions) && result.transactions.length > 0 ? result.transactions.map(tx => tx.transactionHash).join(', ') : result.transactionHash,
           blockNumber: Array.isArray(result.transactions) && result.transactions.length > 0 ? result.transactions.map(tx => tx.blockNumber).join(', ') : result.blockNumber,
           gasUsed: result.gasUsed,
-          flightsCount: result.flightsCount
+          accepted: result.accepted,
+          pending: result.pending,
+          rejected: result.rejected
         });
-        return true;
+        return {
+          accepted: result.accepted || 0,
+          pending: result.pending || 0,
+          rejected: result.rejected || 0,
+          report: result.report || []
+        };
       } else {
         blockchainLogger.log('error', 'Gagal menambah batch data penerbangan melalui server relay', {
           count: flights.length,
-          error: result.error
+          error: result.error,
+          report: result.report
         });
         return false;
       }
@@ -173,6 +263,137 @@ class RelayBlockchainSystem {
     }
   }
 
+  // ---- Submission jobs ----
+
+  async getJob(jobId) {
+    const response = await fetch(`${this.relayUrl}/jobs/${encodeURIComponent(jobId)}`);
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.error || 'Failed to load job');
+    return data;
+  }
+
+  async getJobs({ state, type, limit } = {}) {
+    const params = new URLSearchParams();
+    if (state) params.set('state', state);
+    if (type) params.set('type', type);
+    if (limit) params.set('limit', limit);
+    const response = await fetch(`${this.relayUrl}/jobs?${params}`);
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.error || 'Failed to load jobs');
+    return data;
+  }
+
+  // Relayer wallets with balances, pending transactions and send counts
+  async getRelayerStats() {
+    const response = await fetch(`${this.relayUrl}/debug`);
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.error || 'Failed to load relayer stats');
+    return data.relayers;
+  }
+
+  // Per-client request limits, throttling and gas used against the daily quota
+  async getRateLimits() {
+    const response = await fetch(`${this.relayUrl}/health`);
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.error || 'Failed to load rate limits');
+    return data.rateLimits;
+  }
+
+  // The relay's own log (GET /logs), newest first; `since` fetches only what is new
+  async getServerLogs({ level, since, until, requestId, jobId, q, limit } = {}) {
+    const params = new URLSearchParams();
+    Object.entries({ level, since, until, requestId, jobId, q, limit }).forEach(([key, value]) => {
+      if (value !== undefined && value !== null) params.set(key, value);
+    });
+    const response = await fetch(`${this.relayUrl}/logs?${params}`);
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.error || 'Failed to load relay logs');
+    return data;
+  }
+
+  // One OpenSky fetch for the relay's /metrics; losing one only skews the counts
+  async reportOpenSkyFetch(fetchStats) {
+    if (!this.isConnected) return;
+    try {
+      const body = JSON.stringify(fetchStats);
+      await fetch(`${this.relayUrl}/metrics/opensky`, {
+        method: 'POST',
+        headers: await this.writeHeaders('POST', '/metrics/opensky', body),
+        body
+      });
+    } catch (error) {
+      console.warn('Could not report OpenSky fetch to the relay:', error.message);
+    }
+  }
+
+  async waitForJob(jobId, { interval = JOB_POLL_INTERVAL, timeout = JOB_TIMEOUT } = {}) {
+    if (this.events.isOpen()) {
+      return this.waitForJobEvent(jobId, timeout);
+    }
+    const deadline = Date.now() + timeout;
+    let job = await this.getJob(jobId);
+    while (!FINAL_JOB_STATES.includes(job.state) && Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, interval));
+      job = await this.getJob(jobId);
+    }
+    return job;
+  }
+
+  // Listens before looking the job up so a state change in between is not missed
+  waitForJobEvent(jobId, timeout) {
+    return new Promise((resolve, reject) => {
+      let job = null;
+      let done = false;
+      const finish = (error) => {
+        if (done) return;
+        done = true;
+        clearTimeout(timer);
+        unsubscribe();
+        if (error) reject(error); else resolve(job);
+      };
+      const update = (latest) => {
+        if (done) return;
+        job = latest;
+        if (FINAL_JOB_STATES.includes(job.state)) finish();
+      };
+      // Job events are not replayed, so look the job up again after a reconnect
+      const lookUp = () => this.getJob(jobId).then(update, finish);
+      const unsubscribe = this.events.subscribe((type, data) => {
+        if (type === 'job' && data.id === jobId) update(data);
+        if (type === 'ready') lookUp();
+      });
+      const timer = setTimeout(() => finish(job ? null : new Error(`Job ${jobId} not found within ${timeout / 1000}s`)), timeout);
+      lookUp();
+    });
+  }
+
+  // A submission answer in the shape the relay used to return synchronously:
+  // the job result once mined, or the job error
+  async resultOfJob(accepted) {
+    if (accepted.retryAfter !== undefined) {
+      blockchainLogger.log('warning', 'Server relay membatasi permintaan', {
+        reason: accepted.reason,
+        retryAfter: `${accepted.retryAfter}s`
+      });
+    }
+    if (!accepted.success || !accepted.jobId) return accepted;
+
+    blockchainLogger.log('info', 'Submission queued by relay server', {
+      jobId: accepted.jobId,
+      state: accepted.state
+    });
+    const job = await this.waitForJob(accepted.jobId);
+    if (job.state === 'mined') {
+      return Object.assign({ success: true, jobId: job.id }, job.result);
+    }
+    return {
+      success: false,
+      jobId: job.id,
+      state: job.state,
+      error: job.error || `Job still ${job.state} after ${JOB_TIMEOUT / 1000}s`
+    };
+  }
+
   async verifyFlightData(icao24) {
     if (!this.isConnected) {
       blockchainLogger.log('error', 'Tidak dapat memverifikasi data penerbangan: Server relay tidak terhubung');
@@ -180,10 +401,7 @@ class RelayBlockchainSystem {
     }
     
     try {
-      const response = await fetch(`${this.relayUrl}/flights`);
-      const data = await response.json();
-      
-      const flight = data.flights.find(f => f.icao24 === icao24);
+      const flight = await this.getFlightData(icao24);
       
       if (flight) {
         blockchainLogger.log('success', 'Data penerbangan berhasil diverifikasi melalui server relay', {
@@ -205,14 +423,49 @@ class RelayBlockchainSystem {
     }
   }
 
+  // Whether a flight is in a window anchored in anchoring mode. The relay only
+  // supplies the proof: the leaf is hashed from the flight as shown and the root is
+  // AdsbData.anchoredRoots, read from the chain.
+  async verifyAnchoredFlight(flight) {
+    const report = reportFromFlight(Object.assign({}, flight, { icao24: String(flight.icao24).toLowerCase() }));
+    try {
+      const response = await fetch(`${this.relayUrl}/proofs/${encodeURIComponent(report.icao24)}/${report.observedAt}`);
+      const data = await response.json();
+      if (!response.ok) {
+        return { verified: false, reason: data.error || 'No proof for this position' };
+      }
+      if (!data.proof) {
+        return { verified: false, reason: `Window still open until ${new Date(data.windowEnd * 1000).toLocaleTimeString()}` };
+      }
+
+      if (!this.chainContract) {
+        this.chainContract = new ethers.Contract(config.contractAddress, AdsbDataABI.abi, new ethers.providers.JsonRpcProvider(RPC_URL));
+      }
+      const root = await this.chainContract.anchoredRoots(data.windowStart);
+      const result = { windowStart: data.windowStart, root, anchor: data.anchor };
+      if (ethers.BigNumber.from(root).isZero()) {
+        return Object.assign(result, { verified: false, reason: 'The root of this window is not anchored on-chain yet' });
+      }
+      const verified = verifyProof(hashLeaf(report, ethers.utils.keccak256), data.proof, root, ethers.utils.keccak256);
+      blockchainLogger.log(verified ? 'success' : 'warning', verified
+        ? 'Bukti Merkle cocok dengan root on-chain'
+        : 'Bukti Merkle tidak cocok dengan root on-chain', { icao24: report.icao24, observedAt: report.observedAt, windowStart: data.windowStart, root });
+      return Object.assign(result, {
+        verified,
+        reason: verified ? null : 'The proof does not lead to the on-chain root: the report differs from what was anchored'
+      });
+    } catch (error) {
+      blockchainLogger.log('error', 'Gagal memverifikasi bukti Merkle', { icao24: report.icao24, error: error.message });
+      return { verified: false, reason: error.message };
+    }
+  }
+
   async getFlightData(icao24) {
     if (!this.isConnected) return null;
     
     try {
-      const response = await fetch(`${this.relayUrl}/flights`);
-      const data = await response.json();
-      
-      return data.flights.find(f => f.icao24 === icao24) || null;
+      const { flights } = await this.queryFlights({ icao24 });
+      return flights[0] || null;
     } catch (error) {
       blockchainLogger.log('error', 'Gagal mendapatkan data penerbangan melalui server relay', {
         icao24,
@@ -222,18 +475,37 @@ class RelayBlockchainSystem {
     }
   }
 
-  async getAllFlights() {
+  // One page of GET /flights: { flights, total, nextCursor }. Filters as in the API
+  // document (callsign, icao24, bbox, minAltitude, ..., sort, limit, cursor).
+  async queryFlights(filters = {}) {
+    const params = new URLSearchParams();
+    Object.entries(filters).forEach(([name, value]) => {
+      if (value !== undefined && value !== null && value !== '') params.set(name, String(value));
+    });
+    const response = await fetch(`${this.relayUrl}/flights?${params}`);
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.error || 'Failed to load flights');
+    return data;
+  }
+
+  // Every matching flight, following the page cursors
+  async getAllFlights(includePending = false, filters = {}) {
     if (!this.isConnected) return [];
     
     try {
-      const response = await fetch(`${this.relayUrl}/flights`);
-      const data = await response.json();
+      const flights = [];
+      let cursor;
+      do {
+        const page = await this.queryFlights(Object.assign({}, filters, { includePending, limit: 1000, cursor }));
+        flights.push(...page.flights);
+        cursor = page.nextCursor;
+      } while (cursor);
       
       blockchainLogger.log('info', 'Berhasil mengambil semua data penerbangan melalui server relay', {
-        count: data.flights.length
+        count: flights.length
       });
       
-      return data.flights;
+      return flights;
     } catch (error) {
       blockchainLogger.log('error', 'Gagal mengambil semua data penerbangan melalui server relay', {
         error: error.message
@@ -246,10 +518,8 @@ class RelayBlockchainSystem {
     if (!this.isConnected) return [];
     
     try {
-      const response = await fetch(`${this.relayUrl}/flights/latest/${count}`);
-      const data = await response.json();
-      
-      return data.flights;
+      const { flights } = await this.queryFlights({ sort: '-timestamp', limit: count });
+      return flights;
     } catch (error) {
       blockchainLogger.log('error', 'Gagal mengambil penerbangan terbaru melalui server relay', {
         error: error.message
@@ -258,6 +528,77 @@ class RelayBlockchainSystem {
     }
   }
 
+  async getFlightHistory(icao24, offset = 0, limit = 100) {
+    if (!this.isConnected) return { total: 0, history: [] };
+
+    try {
+      const response = await fetch(`${this.relayUrl}/flights/${encodeURIComponent(icao24)}/history?offset=${offset}&limit=${limit}`);
+      const data = await response.json();
+
+      return { total: data.total || 0, history: data.history || [] };
+    } catch (error) {
+      blockchainLogger.log('error', 'Failed to get flight history via relay server', {
+        icao24,
+        error: error.message
+      });
+      return { total: 0, history: [] };
+    }
+  }
+
+  // ---- Receiver registry & roles ----
+
+  async getReceivers() {
+    const response = await fetch(`${this.relayUrl}/receivers`);
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.error || 'Failed to load receivers');
+    return data.receivers;
+  }
+
+  async registerReceiver({ address, name, latitude, longitude, owner }) {
+    return this.sendRegistryRequest('POST', '/receivers', { address, name, latitude, longitude, owner }, `Receiver registered: ${address}`);
+  }
+
+  async updateReceiver(address, { name, latitude, longitude, owner }) {
+    return this.sendRegistryRequest('PUT', `/receivers/${address}`, { name, latitude, longitude, owner }, `Receiver updated: ${address}`);
+  }
+
+  // action: 'suspend' | 'reactivate' | 'revoke'
+  async setReceiverStatus(address, action) {
+    return this.sendRegistryRequest('POST', `/receivers/${address}/${action}`, {}, `Receiver ${action}: ${address}`);
+  }
+
+  async getRoles(address) {
+    const response = await fetch(`${this.relayUrl}/roles/${address}`);
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.error || 'Failed to load roles');
+    return data.roles;
+  }
+
+  // action: 'grant' | 'revoke', role: 'admin' | 'operator'
+  async setRole(action, role, address) {
+    return this.sendRegistryRequest('POST', `/roles/${action}`, { role, address }, `Role ${role} ${action}: ${address}`);
+  }
+
+  async sendRegistryRequest(method, endpoint, body, description) {
+    const payload = JSON.stringify(body);
+    const response = await fetch(`${this.relayUrl}${endpoint}`, {
+      method,
+      headers: await this.writeHeaders(method, endpoint, payload),
+      body: payload
+    });
+    const result = await response.json();
+
+    if (!response.ok || !result.success) {
+      blockchainLogger.log('error', `Registry request failed: ${description}`, { error: result.error });
+      throw new Error(result.error || 'Registry request failed');
+    }
+
+    blockchainLogger.logTransaction(result.transactionHash, description, {
+      blockNumber: result.blockNumber
+    });
+    return result;
+  }
+
   async simulateAttack(attackType, targetFlight) {
     try {
       // Log attack attempt
@@ -267,12 +608,11 @@ class RelayBlockchainSystem {
         callsign: targetFlight.callsign
       });
 
+      const body = JSON.stringify({ attackType, targetFlight });
       const response = await fetch(`${this.relayUrl}/simulate-attack`, {
         method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({ attackType, targetFlight }),
+        headers: await this.writeHeaders('POST', '/simulate-attack', body),
+        body
       });
 
       const result = await response.json();
@@ -288,7 +628,12 @@ class RelayBlockchainSystem {
         blockchainLogger.logBlockchainActivity('rejection', `Attack Prevented (Relay): ${attackType}`, {
           attackType: attackType,
           targetFlight: targetFlight.icao24,
-          reason: result.reason
+          outcome: 'rejected',
+          outcomeSource: result.outcomeSource,
+          stage: result.stage,
+          reason: result.reason,
+          transactionHash: result.transactionHash,
+          blockNumber: result.blockNumber
         });
         
         console.log(`✅ Serangan Dicegah oleh Relay/Blockchain: ${result.reason}`);
@@ -302,6 +647,9 @@ class RelayBlockchainSystem {
         blockchainLogger.logBlockchainActivity('event', `Attack Succeeded (Relay): ${attackType}`, {
           attackType: attackType,
           targetFlight: targetFlight.icao24,
+          outcome: 'succeeded',
+          outcomeSource: result.outcomeSource,
+          stage: result.stage,
           transactionHash: result.transactionHash,
           blockNumber: result.blockNumber
         });
@@ -0,0 +1,103 @@
+// Client for the relay's Server-Sent Events (GET /events). Listeners get
+// (type, data) for every relay event plus ('status', 'connecting' | 'open' |
+// 'reconnecting' | 'closed'). After a dropped connection it reconnects with
+// backoff and asks for everything since the last block it saw.
+
+const EVENT_TYPES = ['ready', 'block', 'flight', 'rejection', 'consensus', 'reorg', 'job'];
+const MIN_RETRY_MS = 1000;
+const MAX_RETRY_MS = 30000;
+
+class RelayEventStream {
+  constructor(url) {
+    this.url = url;
+    this.listeners = new Set();
+    this.source = null;
+    this.status = 'closed';
+    this.lastBlock = null;
+    this.retryMs = MIN_RETRY_MS;
+    this.reconnectTimer = null;
+  }
+
+  // Returns the unsubscribe function; the connection stays open while anyone listens
+  subscribe(listener) {
+    this.listeners.add(listener);
+    if (!this.source && !this.reconnectTimer) this.connect();
+    return () => {
+      this.listeners.delete(listener);
+      if (this.listeners.size === 0) this.close();
+    };
+  }
+
+  isOpen() {
+    return this.status === 'open';
+  }
+
+  connect() {
+    this.reconnectTimer = null;
+    const url = this.lastBlock !== null ? `${this.url}?fromBlock=${this.lastBlock + 1}` : this.url;
+    const source = new EventSource(url);
+    this.source = source;
+    this.setStatus(this.lastBlock !== null ? 'reconnecting' : 'connecting');
+
+    EVENT_TYPES.forEach(type => source.addEventListener(type, message => this.handle(type, message.data)));
+    // EventSource would retry by itself, but with the URL's original fromBlock
+    // and without backoff once the relay is down
+    source.onerror = () => {
+      source.close();
+      this.source = null;
+      this.setStatus('reconnecting');
+      this.reconnectTimer = setTimeout(() => this.connect(), this.retryMs);
+      this.retryMs = Math.min(this.retryMs * 2, MAX_RETRY_MS);
+    };
+  }
+
+  close() {
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+    if (this.source) this.source.close();
+    this.source = null;
+    this.setStatus('closed');
+  }
+
+  handle(type, raw) {
+    let data;
+    try {
+      data = JSON.parse(raw);
+    } catch (error) {
+      console.error(`Unreadable ${type} event from relay:`, error);
+      return;
+    }
+    if (type === 'ready') {
+      // A relay on a fresh chain is behind us; treat that like a reorg
+      if (this.lastBlock !== null && data.lastBlock < this.lastBlock) {
+        this.emit('reorg', { blockNumber: data.lastBlock });
+      }
+      this.lastBlock = data.lastBlock;
+      this.retryMs = MIN_RETRY_MS;
+      this.setStatus('open');
+    } else if (type === 'block') {
+      this.lastBlock = data.blockNumber;
+    } else if (type === 'reorg') {
+      this.lastBlock = Math.min(this.lastBlock, data.blockNumber);
+    }
+    this.emit(type, data);
+  }
+
+  setStatus(status) {
+    if (this.status === status) return;
+    this.status = status;
+    this.emit('status', status);
+  }
+
+  emit(type, data) {
+    this.listeners.forEach(listener => {
+      try {
+        listener(type, data);
+      } catch (error) {
+        console.error('Error in relay event listener:', error);
+      }
+    });
+  }
+}
+
+export default RelayEventStream;
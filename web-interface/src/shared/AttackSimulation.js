@@ -0,0 +1,164 @@
+// Attack simulation shared by the relay (/simulate-attack) and the MetaMask
+// FlightDataService. Outcomes come from the contract: validateFlightUpdate first,
+// then a real updateFlight transaction whose revert reason is read back from the
+// chain. The old randomizer is only available as an explicit, labelled demo mode.
+
+const { getObservedAt } = require('./ObservationTime');
+const { toKinematics } = require('./Kinematics');
+const { findRevertReason, getReceiptRevertReason } = require('./RevertReason');
+
+// Explicit gas so a failing attack is mined and reverts on-chain instead of
+// being stopped by gas estimation
+const ATTACK_GAS_LIMIT = 1000000;
+
+const ATTACK_TYPES = ['replay', 'spoofing', 'tampering'];
+
+const DEMO_REASONS = {
+  replay: 'Replay attack: timestamp not newer',
+  tampering: 'Tampering: impossible altitude rate',
+  spoofing: 'Spoofing: invalid callsign'
+};
+
+// `now` is when a forged message claims to have been observed (defaults to the wall clock)
+function buildAttackedFlight(attackType, targetFlight, now = new Date()) {
+  const attackedFlight = Object.assign({}, targetFlight, {
+    callsign: targetFlight.callsign || targetFlight.icao24,
+    latitude: Number(targetFlight.latitude) || 0,
+    longitude: Number(targetFlight.longitude) || 0,
+    altitude: Number(targetFlight.altitude) || 0,
+    onGround: typeof targetFlight.onGround === 'boolean' ? targetFlight.onGround : false,
+    isSpoofed: typeof targetFlight.isSpoofed === 'boolean' ? targetFlight.isSpoofed : false,
+    velocity: Number(targetFlight.velocity) || 0,
+    // Seconds, milliseconds or ISO strings all resolve to the target's observation time
+    timestamp: getObservedAt(targetFlight) ? new Date(getObservedAt(targetFlight) * 1000) : new Date()
+  });
+  delete attackedFlight.observedAt;
+
+  switch (attackType) {
+    case 'replay':
+      // Re-send the message as if captured a minute before the target's observation
+      attackedFlight.timestamp = new Date(attackedFlight.timestamp.getTime() - 60000);
+      attackedFlight.latitude += Math.random() * 0.1 - 0.05;
+      attackedFlight.longitude += Math.random() * 0.1 - 0.05;
+      break;
+    case 'spoofing':
+      attackedFlight.latitude += Math.random() * 2 - 1;
+      attackedFlight.longitude += Math.random() * 2 - 1;
+      attackedFlight.altitude += Math.floor(Math.random() * 1000);
+      attackedFlight.isSpoofed = true;
+      attackedFlight.timestamp = new Date(now);
+      break;
+    case 'tampering':
+      attackedFlight.altitude += Math.floor(Math.random() * 2000) - 1000;
+      attackedFlight.velocity += Math.floor(Math.random() * 50);
+      attackedFlight.timestamp = new Date(now);
+      break;
+    default:
+      throw new Error(`Unknown attack type: ${attackType}`);
+  }
+
+  ['latitude', 'longitude', 'altitude', 'velocity'].forEach(field => {
+    if (typeof attackedFlight[field] !== 'number' || isNaN(attackedFlight[field])) {
+      throw new Error(`Invalid value for ${field}: ${attackedFlight[field]}`);
+    }
+  });
+  return attackedFlight;
+}
+
+function toUpdateFlightArgs(flight) {
+  return [
+    flight.icao24,
+    flight.callsign || '',
+    Math.floor(flight.latitude * 1e6),
+    Math.floor(flight.longitude * 1e6),
+    Math.floor(flight.altitude),
+    flight.onGround,
+    flight.isSpoofed,
+    getObservedAt(flight),
+    toKinematics(flight)
+  ];
+}
+
+function parseEventLogs(contract, logs) {
+  const eventLogs = [];
+  (logs || []).forEach(log => {
+    try {
+      const parsed = contract.interface.parseLog(log);
+      eventLogs.push({ name: parsed.name, values: parsed.args });
+    } catch (error) {
+      // Not a contract event we care about
+    }
+  });
+  return eventLogs;
+}
+
+// Submit `attackedFlight` and report what the contract did with it
+// `sendTx(send)` lets the caller wrap the transaction, e.g. to assign its nonce;
+// it must call `send(overrides)` and resolve with the transaction
+async function runAttackOnChain(contract, attackedFlight, sendTx = send => send({})) {
+  const args = toUpdateFlightArgs(attackedFlight);
+
+  const [valid, validationReason] = await contract.validateFlightUpdate(args[0], args[2], args[3], args[4], args[7], args[8]);
+  if (!valid) {
+    return { detectedByBlockchain: true, stage: 'validateFlightUpdate', reason: validationReason, outcomeSource: 'chain', eventLogs: [] };
+  }
+
+  let tx;
+  try {
+    tx = await sendTx(overrides => contract.updateFlight(...args, Object.assign({ gasLimit: ATTACK_GAS_LIMIT }, overrides)));
+  } catch (error) {
+    // Reverted when the node ran it before mining. Any other failure (network, wallet,
+    // nonce) says nothing about the contract, so there is no verdict to report
+    const reason = findRevertReason(error);
+    if (!reason) throw error;
+    return { detectedByBlockchain: true, stage: 'transaction', reason, outcomeSource: 'chain', eventLogs: [] };
+  }
+
+  let receipt;
+  try {
+    receipt = await tx.wait();
+  } catch (error) {
+    if (!error.receipt) throw error;
+    receipt = error.receipt;
+  }
+
+  const outcome = {
+    stage: 'transaction',
+    outcomeSource: 'chain',
+    transactionHash: tx.hash,
+    blockNumber: receipt.blockNumber,
+    gasUsed: receipt.gasUsed.toString()
+  };
+  if (receipt.status === 0) {
+    return Object.assign(outcome, {
+      detectedByBlockchain: true,
+      reason: await getReceiptRevertReason(contract.provider, tx, receipt),
+      eventLogs: []
+    });
+  }
+  return Object.assign(outcome, {
+    detectedByBlockchain: false,
+    reason: null,
+    eventLogs: parseEventLogs(contract, receipt.logs)
+  });
+}
+
+// Demo mode only: decides a share of attacks without touching the chain
+function demoAttackOutcome(attackType, blockRate) {
+  if (Math.random() >= blockRate) return null;
+  return {
+    detectedByBlockchain: true,
+    stage: 'demo',
+    reason: DEMO_REASONS[attackType] || 'Blocked by blockchain validation',
+    outcomeSource: 'demo',
+    eventLogs: []
+  };
+}
+
+module.exports = {
+  ATTACK_TYPES,
+  buildAttackedFlight,
+  toUpdateFlightArgs,
+  runAttackOnChain,
+  demoAttackOutcome
+};
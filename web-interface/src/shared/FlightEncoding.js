@@ -0,0 +1,201 @@
+// Packed flights for AdsbData.updateFlightBatchPacked and submitSignedReportBatchPacked:
+// a report as two 32-byte words holding the fields of the contract's two-slot Flight,
+//
+//   position   = icao24 (3 bytes) | callsign (8, zero padded) | latitude (int32)
+//                | longitude (int32) | altitude (int32) | observedAt (uint40)
+//                | flags (uint8) | 3 zero bytes
+//   kinematics = velocity (int32) | heading (int32) | verticalRate (int32) | 20 zero bytes
+//
+// Words are 0x-prefixed hex strings, which ethers takes for bytes32.
+
+const FLAG_ON_GROUND = 1;
+const FLAG_SPOOFED = 2;
+const FLAG_KINEMATICS_KNOWN = 4;
+
+const INT32_MIN = -2147483648;
+const INT32_MAX = 2147483647;
+const UINT40_MAX = 2 ** 40 - 1;
+
+const ICAO24_PATTERN = /^[0-9a-fA-F]{6}$/;
+const MAX_CALLSIGN_BYTES = 8;
+
+// Report fields may be numbers, decimal strings or ethers BigNumbers
+function toNumber(value) {
+  return Number(value && typeof value === 'object' ? value.toString() : value);
+}
+
+function fitsInt32(value) {
+  const number = toNumber(value);
+  return Number.isInteger(number) && number >= INT32_MIN && number <= INT32_MAX;
+}
+
+// The contract stores and returns ICAO24 addresses lowercase, as OpenSky writes them
+function normalizeIcao24(icao24) {
+  return typeof icao24 === 'string' ? icao24.toLowerCase() : icao24;
+}
+
+function isValidIcao24(icao24) {
+  return typeof icao24 === 'string' && ICAO24_PATTERN.test(icao24) && parseInt(icao24, 16) !== 0;
+}
+
+function utf8Bytes(text) {
+  return new TextEncoder().encode(text || '');
+}
+
+function invalid(reason) {
+  return { valid: false, reason };
+}
+
+// Mirror of AdsbData.packReport: whether a report (ReportSigner.createReport shape)
+// has a packed form, with the contract's reason when it has none
+function checkPackable(report) {
+  if (!report.icao24) {
+    return invalid('ICAO24 is required');
+  }
+  const latitude = toNumber(report.latitude);
+  if (!(latitude >= -90000000 && latitude <= 90000000)) {
+    return invalid('Invalid latitude');
+  }
+  const longitude = toNumber(report.longitude);
+  if (!(longitude >= -180000000 && longitude <= 180000000)) {
+    return invalid('Invalid longitude');
+  }
+  if (!isValidIcao24(report.icao24)) {
+    return invalid('Invalid ICAO24: expected 6 hex digits');
+  }
+  if (utf8Bytes(report.callsign).length > MAX_CALLSIGN_BYTES) {
+    return invalid('Invalid callsign: longer than 8 characters');
+  }
+  if (!fitsInt32(report.altitude)) {
+    return invalid('Invalid altitude');
+  }
+  if (toNumber(report.observedAt) > UINT40_MAX) {
+    return invalid('Observation timestamp in the future');
+  }
+  const kinematics = report.kinematics;
+  if (kinematics && kinematics.known &&
+      !(fitsInt32(kinematics.velocity) && fitsInt32(kinematics.heading) && fitsInt32(kinematics.verticalRate))) {
+    return invalid('Kinematics: invalid values');
+  }
+  return { valid: true, reason: null };
+}
+
+function hexUint(value, bytes) {
+  return value.toString(16).padStart(bytes * 2, '0');
+}
+
+function hexInt32(value) {
+  return hexUint(toNumber(value) >>> 0, 4);
+}
+
+function readInt32(hex, offset) {
+  return parseInt(hex.slice(offset, offset + 8), 16) | 0;
+}
+
+// { position, kinematics } words of a report; throws with the reason of checkPackable
+function packReport(report) {
+  const check = checkPackable(report);
+  if (!check.valid) {
+    throw new Error(check.reason);
+  }
+
+  const callsign = Array.from(utf8Bytes(report.callsign), byte => hexUint(byte, 1)).join('').padEnd(16, '0');
+  const kinematics = report.kinematics || {};
+  const known = Boolean(kinematics.known);
+  const flags = (report.onGround ? FLAG_ON_GROUND : 0) |
+    (report.isSpoofed ? FLAG_SPOOFED : 0) |
+    (known ? FLAG_KINEMATICS_KNOWN : 0);
+
+  return {
+    position: '0x' +
+      report.icao24.toLowerCase() +
+      callsign +
+      hexInt32(report.latitude) +
+      hexInt32(report.longitude) +
+      hexInt32(report.altitude) +
+      hexUint(toNumber(report.observedAt), 5) +
+      hexUint(flags, 1) +
+      '000000',
+    kinematics: '0x' +
+      (known ? hexInt32(kinematics.velocity) + hexInt32(kinematics.heading) + hexInt32(kinematics.verticalRate) : '0'.repeat(24)) +
+      '0'.repeat(40)
+  };
+}
+
+// The report two words stand for, as the contract unpacks it: lowercase ICAO24,
+// the callsign up to its first zero byte, zero kinematics when unknown
+function unpackReport(position, kinematics) {
+  const word = String(position).replace(/^0x/, '').padStart(64, '0');
+  const kinematicsWord = String(kinematics).replace(/^0x/, '').padStart(64, '0');
+
+  const callsignBytes = [];
+  for (let offset = 6; offset < 22; offset += 2) {
+    const byte = parseInt(word.slice(offset, offset + 2), 16);
+    if (byte === 0) break;
+    callsignBytes.push(byte);
+  }
+  const flags = parseInt(word.slice(56, 58), 16);
+  const known = (flags & FLAG_KINEMATICS_KNOWN) !== 0;
+
+  return {
+    icao24: word.slice(0, 6),
+    callsign: new TextDecoder().decode(new Uint8Array(callsignBytes)),
+    latitude: readInt32(word, 22),
+    longitude: readInt32(word, 30),
+    altitude: readInt32(word, 38),
+    onGround: (flags & FLAG_ON_GROUND) !== 0,
+    isSpoofed: (flags & FLAG_SPOOFED) !== 0,
+    observedAt: parseInt(word.slice(46, 56), 16),
+    kinematics: {
+      velocity: readInt32(kinematicsWord, 0),
+      heading: readInt32(kinematicsWord, 8),
+      verticalRate: readInt32(kinematicsWord, 16),
+      known
+    }
+  };
+}
+
+// The arrays updateFlightBatchPacked and submitSignedReportBatchPacked take
+function packReports(reports) {
+  const packed = reports.map(packReport);
+  return {
+    positions: packed.map(words => words.position),
+    kinematics: packed.map(words => words.kinematics)
+  };
+}
+
+function sameValue(a, b) {
+  return String(toNumber(a)) === String(toNumber(b));
+}
+
+// Whether the report survives packing unchanged. A signature only verifies on the
+// packed path for such reports, as the contract hashes the unpacked report: an
+// uppercase ICAO24, say, was signed as a different report.
+function packsExactly(report) {
+  if (!checkPackable(report).valid) {
+    return false;
+  }
+  const words = packReport(report);
+  const unpacked = unpackReport(words.position, words.kinematics);
+  const kinematics = report.kinematics;
+  return unpacked.icao24 === report.icao24 &&
+    unpacked.callsign === (report.callsign || '') &&
+    ['latitude', 'longitude', 'altitude', 'observedAt'].every(field => sameValue(unpacked[field], report[field])) &&
+    unpacked.onGround === Boolean(report.onGround) &&
+    unpacked.isSpoofed === Boolean(report.isSpoofed) &&
+    Boolean(kinematics) && unpacked.kinematics.known === Boolean(kinematics.known) &&
+    ['velocity', 'heading', 'verticalRate'].every(field => sameValue(unpacked.kinematics[field], kinematics[field]));
+}
+
+module.exports = {
+  FLAG_ON_GROUND,
+  FLAG_SPOOFED,
+  FLAG_KINEMATICS_KNOWN,
+  normalizeIcao24,
+  isValidIcao24,
+  checkPackable,
+  packReport,
+  unpackReport,
+  packReports,
+  packsExactly
+};
@@ -0,0 +1,427 @@
+// Event-sourced index of AdsbData flights.
+
+const { fromKinematics } = require('./Kinematics');
+
+// Batches emit one FlightUpdated per aircraft, so FlightBatchUpdated is only a summary
+const FLIGHT_EVENTS = ['FlightUpdated', 'FlightRejected', 'ObservationRecorded', 'AircraftCategorySet', 'ValidationRulesUpdated'];
+
+// ConsensusStatus enum in AdsbData.sol
+const CONSENSUS_STATUSES = ['none', 'pending', 'confirmed', 'disputed'];
+
+const toNumber = (value) => (value && typeof value.toNumber === 'function' ? value.toNumber() : Number(value));
+
+class FlightIndexer {
+  // `logger` takes (message, fields) at error level: console in the browser, the
+  // relay's structured Logger on the server
+  constructor({ provider, contractAddress, contractInterface, startBlock = 0, reorgDepth = 64, logChunkSize = 2000, logger = console }) {
+    this.provider = provider;
+    this.contractAddress = contractAddress;
+    this.iface = contractInterface;
+    this.startBlock = startBlock;
+    this.reorgDepth = reorgDepth;
+    this.logChunkSize = logChunkSize;
+    this.logger = logger;
+
+    this.latest = new Map();       // icao24 -> latest position
+    this.history = new Map();      // icao24 -> positions, oldest first
+    this.callsigns = new Map();    // CALLSIGN -> Set of icao24
+    this.rejections = [];
+    this.observations = [];        // ObservationRecorded events, oldest first
+    this.rounds = new Map();       // icao24 -> latest consensus round
+    this.categoryChanges = [];     // AircraftCategorySet events, oldest first
+    this.categories = new Map();   // icao24 -> AircraftCategory index; unlisted aircraft are airliners
+    this.blockHashes = new Map();  // blockNumber -> hash, kept for the last `reorgDepth` blocks
+
+    this.lastBlock = startBlock - 1;
+    this.reorgCount = 0;
+    this.isRunning = false;
+    this.syncPromise = null;
+    this.listeners = new Set();
+    this.onBlock = () => {
+      this.sync().catch(error => this.logger.error('Flight indexer sync failed', { error: error.message }));
+    };
+  }
+
+  async start() {
+    if (this.isRunning) return;
+    this.isRunning = true;
+    await this.sync();
+    this.provider.on('block', this.onBlock);
+  }
+
+  stop() {
+    if (!this.isRunning) return;
+    this.isRunning = false;
+    this.provider.off('block', this.onBlock);
+  }
+
+  // Bring the index up to the current head. Concurrent callers share one pass.
+  sync() {
+    if (!this.syncPromise) {
+      this.syncPromise = this.doSync().finally(() => {
+        this.syncPromise = null;
+      });
+    }
+    return this.syncPromise;
+  }
+
+  async doSync() {
+    const head = await this.provider.getBlockNumber();
+
+    // A node restart (fresh Hardhat chain) looks like the head moving backwards
+    if (head < this.lastBlock) {
+      this.rollbackTo(this.startBlock - 1);
+    }
+
+    await this.detectReorg();
+
+    let fromBlock = this.lastBlock + 1;
+    while (fromBlock <= head) {
+      const toBlock = Math.min(fromBlock + this.logChunkSize - 1, head);
+      const logs = await this.provider.getLogs({
+        address: this.contractAddress,
+        fromBlock,
+        toBlock
+      });
+
+      for (const log of logs) {
+        this.applyLog(log);
+      }
+
+      this.lastBlock = toBlock;
+      fromBlock = toBlock + 1;
+    }
+
+    await this.rememberBlockHashes(head);
+    return this.lastBlock;
+  }
+
+  // Walk back from our last block until the stored hash matches the chain again
+  async detectReorg() {
+    let blockNumber = this.lastBlock;
+    let reorged = false;
+
+    while (blockNumber >= this.startBlock && this.blockHashes.has(blockNumber)) {
+      const block = await this.provider.getBlock(blockNumber);
+      if (block && block.hash === this.blockHashes.get(blockNumber)) break;
+      reorged = true;
+      blockNumber--;
+    }
+
+    if (!reorged) return;
+
+    // Reorg deeper than the hashes we keep: re-index from scratch
+    if (blockNumber >= this.startBlock && !this.blockHashes.has(blockNumber)) {
+      blockNumber = this.startBlock - 1;
+    }
+
+    this.reorgCount++;
+    this.rollbackTo(blockNumber);
+    this.notify({ type: 'reorg', blockNumber });
+  }
+
+  // Also announces each new block, after the changes from its logs
+  async rememberBlockHashes(head) {
+    const from = Math.max(this.startBlock, head - this.reorgDepth + 1);
+    for (let blockNumber = from; blockNumber <= head; blockNumber++) {
+      if (this.blockHashes.has(blockNumber)) continue;
+      const block = await this.provider.getBlock(blockNumber);
+      if (!block) continue;
+      this.blockHashes.set(blockNumber, block.hash);
+      this.notify({
+        type: 'block',
+        block: {
+          blockNumber,
+          hash: block.hash,
+          timestamp: new Date(block.timestamp * 1000),
+          transactionCount: block.transactions.length,
+          lastTransactionHash: block.transactions[block.transactions.length - 1] || null
+        }
+      });
+    }
+    for (const blockNumber of this.blockHashes.keys()) {
+      if (blockNumber < from) this.blockHashes.delete(blockNumber);
+    }
+  }
+
+  // Drop everything indexed after `blockNumber` and rebuild the derived views
+  rollbackTo(blockNumber) {
+    for (const [icao24, track] of this.history) {
+      const kept = track.filter(position => position.blockNumber <= blockNumber);
+      if (kept.length > 0) {
+        this.history.set(icao24, kept);
+      } else {
+        this.history.delete(icao24);
+      }
+    }
+    this.rejections = this.rejections.filter(rejection => rejection.blockNumber <= blockNumber);
+    this.observations = this.observations.filter(observation => observation.blockNumber <= blockNumber);
+    this.categoryChanges = this.categoryChanges.filter(change => change.blockNumber <= blockNumber);
+    for (const hashBlock of this.blockHashes.keys()) {
+      if (hashBlock > blockNumber) this.blockHashes.delete(hashBlock);
+    }
+
+    this.latest = new Map();
+    this.callsigns = new Map();
+    for (const [icao24, track] of this.history) {
+      this.latest.set(icao24, track[track.length - 1]);
+      for (const position of track) this.indexCallsign(position);
+    }
+    this.rounds = new Map();
+    for (const observation of this.observations) this.applyObservation(observation);
+    this.categories = new Map();
+    for (const change of this.categoryChanges) this.categories.set(change.icao24, change.category);
+
+    this.lastBlock = blockNumber;
+  }
+
+  applyLog(log) {
+    let parsed;
+    try {
+      parsed = this.iface.parseLog(log);
+    } catch (error) {
+      return; // Not one of our events
+    }
+    if (!FLIGHT_EVENTS.includes(parsed.name)) return;
+
+    const meta = {
+      blockNumber: log.blockNumber,
+      transactionHash: log.transactionHash,
+      logIndex: log.logIndex
+    };
+
+    if (parsed.name === 'FlightUpdated') {
+      const args = parsed.args;
+      this.addPosition(Object.assign({
+        icao24: args.icao24,
+        callsign: args.callsign,
+        latitude: toNumber(args.latitude) / 1e6,
+        longitude: toNumber(args.longitude) / 1e6,
+        altitude: toNumber(args.altitude),
+        onGround: args.onGround,
+        timestamp: new Date(toNumber(args.timestamp) * 1000),
+        isSpoofed: args.isSpoofed,
+        isVerified: true
+      }, fromKinematics(args.kinematics), meta));
+    } else if (parsed.name === 'FlightRejected') {
+      const rejection = Object.assign({
+        icao24: parsed.args.icao24,
+        reason: parsed.args.reason
+      }, meta);
+      this.rejections.push(rejection);
+      this.notify({ type: 'rejection', rejection });
+    } else if (parsed.name === 'ObservationRecorded') {
+      const args = parsed.args;
+      const observation = Object.assign({
+        icao24: args.icao24,
+        receiver: args.receiver,
+        windowStart: toNumber(args.windowStart),
+        latitude: toNumber(args.latitude) / 1e6,
+        longitude: toNumber(args.longitude) / 1e6,
+        altitude: toNumber(args.altitude),
+        agrees: args.agrees,
+        status: CONSENSUS_STATUSES[args.status] || 'none',
+        agreeing: toNumber(args.agreeing),
+        disagreeing: toNumber(args.disagreeing)
+      }, meta);
+      this.observations.push(observation);
+      const round = this.applyObservation(observation);
+      this.notify({ type: 'consensus', round });
+    } else if (parsed.name === 'AircraftCategorySet') {
+      const change = Object.assign({
+        icao24: parsed.args.icao24,
+        category: toNumber(parsed.args.category)
+      }, meta);
+      this.categoryChanges.push(change);
+      this.categories.set(change.icao24, change.category);
+      this.notify({ type: 'category', change });
+    } else if (parsed.name === 'ValidationRulesUpdated') {
+      // The rules themselves are read with getValidationRuleSet(); this only tells
+      // consumers that their copy is stale
+      this.notify({ type: 'rules', category: toNumber(parsed.args.category), blockNumber: log.blockNumber });
+    }
+  }
+
+  // The contract proposes the report most others agree with and counts the votes
+  // for it. The event only carries the new report, so the round shows the latest one
+  // that agrees with the proposal; getConsensus() has the proposal itself
+  applyObservation(observation) {
+    let round = this.rounds.get(observation.icao24);
+    if (!round || round.windowStart !== observation.windowStart) {
+      round = {
+        icao24: observation.icao24,
+        windowStart: observation.windowStart,
+        receivers: [],
+        blockNumber: observation.blockNumber
+      };
+      this.rounds.set(observation.icao24, round);
+    }
+    if (observation.agrees && round.status !== 'confirmed') {
+      round.latitude = observation.latitude;
+      round.longitude = observation.longitude;
+      round.altitude = observation.altitude;
+    }
+    round.agreeing = observation.agreeing;
+    round.disagreeing = observation.disagreeing;
+    round.receivers.push(observation.receiver);
+    round.status = observation.status;
+    return round;
+  }
+
+  addPosition(position) {
+    if (!this.history.has(position.icao24)) {
+      this.history.set(position.icao24, []);
+    }
+    this.history.get(position.icao24).push(position);
+    this.latest.set(position.icao24, position);
+    this.indexCallsign(position);
+    this.notify({ type: 'flight', flight: position });
+  }
+
+  indexCallsign(position) {
+    const key = (position.callsign || '').trim().toUpperCase();
+    if (!key) return;
+    if (!this.callsigns.has(key)) {
+      this.callsigns.set(key, new Set());
+    }
+    this.callsigns.get(key).add(position.icao24);
+  }
+
+  // ---- Queries -------------------------------------------------------------
+
+  // Latest confirmed position of every aircraft, in the order they were first seen.
+  // With `includePending`, aircraft whose latest round is still pending or disputed
+  // are returned at the proposed position instead.
+  getAllFlights({ includePending = false } = {}) {
+    const flights = Array.from(this.latest.values()).map(flight => this.withConsensus(flight, includePending));
+    if (includePending) {
+      for (const round of this.rounds.values()) {
+        if (!this.latest.has(round.icao24) && round.status !== 'confirmed') {
+          flights.push(this.withConsensus(null, true, round));
+        }
+      }
+    }
+    return flights;
+  }
+
+  getConsensus(icao24) {
+    return this.rounds.get(icao24) || null;
+  }
+
+  withConsensus(flight, includePending, round = this.rounds.get(flight.icao24)) {
+    const consensus = round ? {
+      consensusStatus: round.status,
+      agreeing: round.agreeing,
+      disagreeing: round.disagreeing
+    } : { consensusStatus: 'confirmed' };
+    if (!round || round.status === 'confirmed') {
+      return Object.assign({}, flight, consensus);
+    }
+    if (!includePending) {
+      return Object.assign({}, flight, { consensusStatus: 'confirmed' });
+    }
+    const previous = flight || {};
+    return Object.assign({}, previous, {
+      icao24: round.icao24,
+      callsign: previous.callsign || '',
+      latitude: round.latitude,
+      longitude: round.longitude,
+      altitude: round.altitude,
+      onGround: previous.onGround || false,
+      timestamp: new Date(round.windowStart * 1000),
+      isSpoofed: previous.isSpoofed || false,
+      isVerified: false
+    }, consensus);
+  }
+
+  getFlight(icao24) {
+    return this.latest.get(icao24) || null;
+  }
+
+  hasFlight(icao24) {
+    return this.latest.has(icao24);
+  }
+
+  getHistory(icao24, { from, to } = {}) {
+    const track = this.history.get(icao24) || [];
+    return track.filter(position => inTimeRange(position, from, to));
+  }
+
+  findByCallsign(callsign) {
+    const icao24s = this.callsigns.get((callsign || '').trim().toUpperCase());
+    if (!icao24s) return [];
+    return Array.from(icao24s)
+      .map(icao24 => this.latest.get(icao24))
+      .filter(flight => flight && (flight.callsign || '').trim().toUpperCase() === callsign.trim().toUpperCase());
+  }
+
+  // Every recorded position (not just the latest) observed within [from, to]
+  findInTimeRange(from, to) {
+    const positions = [];
+    for (const track of this.history.values()) {
+      for (const position of track) {
+        if (inTimeRange(position, from, to)) positions.push(position);
+      }
+    }
+    return positions.sort((a, b) => a.timestamp - b.timestamp);
+  }
+
+  findInBoundingBox({ minLat, maxLat, minLon, maxLon }) {
+    return Array.from(this.latest.values()).filter(flight =>
+      flight.latitude >= minLat && flight.latitude <= maxLat &&
+      // A box crossing the antimeridian has minLon > maxLon
+      (minLon <= maxLon
+        ? flight.longitude >= minLon && flight.longitude <= maxLon
+        : flight.longitude >= minLon || flight.longitude <= maxLon)
+    );
+  }
+
+  getCategory(icao24) {
+    return this.categories.get(icao24) || 0;
+  }
+
+  getRejections(icao24) {
+    return icao24 ? this.rejections.filter(rejection => rejection.icao24 === icao24) : this.rejections.slice();
+  }
+
+  getStatus() {
+    return {
+      running: this.isRunning,
+      lastBlock: this.lastBlock,
+      flights: this.latest.size,
+      positions: Array.from(this.history.values()).reduce((sum, track) => sum + track.length, 0),
+      rejections: this.rejections.length,
+      pendingRounds: Array.from(this.rounds.values()).filter(round => round.status === 'pending').length,
+      reorgs: this.reorgCount
+    };
+  }
+
+  // ---- Change notifications -------------------------------------------------
+
+  addListener(callback) {
+    this.listeners.add(callback);
+  }
+
+  removeListener(callback) {
+    this.listeners.delete(callback);
+  }
+
+  notify(change) {
+    this.listeners.forEach(callback => {
+      try {
+        callback(change);
+      } catch (error) {
+        this.logger.error('Error in flight indexer listener', { error });
+      }
+    });
+  }
+}
+
+function inTimeRange(position, from, to) {
+  const time = position.timestamp.getTime();
+  if (from !== undefined && from !== null && time < new Date(from).getTime()) return false;
+  if (to !== undefined && to !== null && time > new Date(to).getTime()) return false;
+  return true;
+}
+
+module.exports = FlightIndexer;
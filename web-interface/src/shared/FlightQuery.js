@@ -0,0 +1,161 @@
+// Filtering, sorting and cursor pagination of indexed flights: GET /flights on the
+// relay, and the map asking for what is in view. A cursor holds the sort key of the
+// last flight of a page, so the next page starts after it even when flights were
+// added or moved in between.
+
+const { toUnixSeconds } = require('./ObservationTime');
+
+const SORT_FIELDS = ['timestamp', 'icao24', 'callsign', 'altitude', 'latitude', 'longitude'];
+const SORTS = SORT_FIELDS.reduce((sorts, field) => sorts.concat([field, `-${field}`]), []);
+const DEFAULT_SORT = '-timestamp';
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+
+// "west,south,east,north" in degrees; west > east crosses the antimeridian
+function parseBoundingBox(value) {
+  const parts = String(value).split(',').map(part => (part.trim() === '' ? NaN : Number(part)));
+  if (parts.length !== 4 || parts.some(part => !isFinite(part))) return null;
+  const [west, south, east, north] = parts;
+  if (Math.abs(west) > 180 || Math.abs(east) > 180 || Math.abs(south) > 90 || Math.abs(north) > 90 || south > north) {
+    return null;
+  }
+  return { west, south, east, north };
+}
+
+function formatBoundingBox({ west, south, east, north }) {
+  return [west, south, east, north].map(value => Number(value.toFixed(4))).join(',');
+}
+
+function isInBoundingBox(flight, box) {
+  if (flight.latitude < box.south || flight.latitude > box.north) return false;
+  return box.west <= box.east
+    ? flight.longitude >= box.west && flight.longitude <= box.east
+    : flight.longitude >= box.west || flight.longitude <= box.east;
+}
+
+function sortKey(flight, field) {
+  let value;
+  if (field === 'timestamp') {
+    value = flight.timestamp ? new Date(flight.timestamp).getTime() : 0;
+  } else if (field === 'icao24' || field === 'callsign') {
+    value = String(flight[field] || '').trim().toUpperCase();
+  } else {
+    value = Number(flight[field]) || 0;
+  }
+  return { value, icao24: String(flight.icao24) };
+}
+
+// Ties (and equal values) are ordered by ICAO24, so every flight has one place
+function compareKeys(a, b, descending) {
+  if (a.value !== b.value) return (a.value < b.value ? -1 : 1) * (descending ? -1 : 1);
+  if (a.icao24 === b.icao24) return 0;
+  return a.icao24 < b.icao24 ? -1 : 1;
+}
+
+// base64url of [sort, value, icao24]; non-ASCII is escaped first as btoa takes Latin-1 only
+function encodeCursor(sort, key) {
+  const json = JSON.stringify([sort, key.value, key.icao24])
+    .replace(/[\u0080-\uffff]/g, char => `\\u${char.charCodeAt(0).toString(16).padStart(4, '0')}`);
+  return btoa(json).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const [sort, value, icao24] = JSON.parse(atob(String(cursor).replace(/-/g, '+').replace(/_/g, '/')));
+    if (!SORTS.includes(sort) || typeof icao24 !== 'string') return null;
+    return { sort, key: { value, icao24 } };
+  } catch (error) {
+    return null;
+  }
+}
+
+// Query parameters (already typed) into query options, or the field that is wrong
+function parseFlightQuery(params = {}) {
+  const invalid = (field, reason) => ({ valid: false, field, reason });
+  const query = {
+    sort: params.sort || DEFAULT_SORT,
+    limit: params.limit || DEFAULT_LIMIT
+  };
+  if (!SORTS.includes(query.sort)) return invalid('sort', `must be one of: ${SORTS.join(', ')}`);
+  if (!Number.isInteger(query.limit) || query.limit < 1 || query.limit > MAX_LIMIT) {
+    return invalid('limit', `must be an integer from 1 to ${MAX_LIMIT}`);
+  }
+
+  if (params.callsign) query.callsign = String(params.callsign).trim().toUpperCase();
+  if (params.icao24) {
+    query.icao24 = String(params.icao24).split(',').map(icao24 => icao24.trim().toLowerCase()).filter(Boolean);
+  }
+  if (params.bbox !== undefined) {
+    query.bbox = parseBoundingBox(params.bbox);
+    if (!query.bbox) return invalid('bbox', 'must be west,south,east,north in degrees');
+  }
+  ['minAltitude', 'maxAltitude'].forEach(field => {
+    if (params[field] !== undefined) query[field] = Number(params[field]);
+  });
+  if (query.minAltitude > query.maxAltitude) return invalid('minAltitude', 'must not be above maxAltitude');
+  ['onGround', 'isSpoofed'].forEach(field => {
+    if (params[field] !== undefined) query[field] = params[field] === true || params[field] === 'true';
+  });
+  for (const field of ['updatedSince', 'updatedUntil']) {
+    if (params[field] === undefined) continue;
+    query[field] = toUnixSeconds(/^\d+$/.test(params[field]) ? Number(params[field]) : params[field]);
+    if (query[field] === null) return invalid(field, 'must be Unix seconds or an ISO 8601 time');
+  }
+  if (params.cursor) {
+    const cursor = decodeCursor(params.cursor);
+    if (!cursor) return invalid('cursor', 'is not a cursor returned by this endpoint');
+    if (cursor.sort !== query.sort) return invalid('cursor', `was returned for sort=${cursor.sort}`);
+    query.after = cursor.key;
+  }
+  return { valid: true, query };
+}
+
+function matches(flight, query) {
+  if (query.callsign && !String(flight.callsign || '').trim().toUpperCase().startsWith(query.callsign)) return false;
+  if (query.icao24 && !query.icao24.includes(String(flight.icao24).toLowerCase())) return false;
+  if (query.bbox && !isInBoundingBox(flight, query.bbox)) return false;
+  if (query.minAltitude !== undefined && flight.altitude < query.minAltitude) return false;
+  if (query.maxAltitude !== undefined && flight.altitude > query.maxAltitude) return false;
+  if (query.onGround !== undefined && Boolean(flight.onGround) !== query.onGround) return false;
+  if (query.isSpoofed !== undefined && Boolean(flight.isSpoofed) !== query.isSpoofed) return false;
+  if (query.updatedSince !== undefined || query.updatedUntil !== undefined) {
+    const updated = toUnixSeconds(flight.timestamp);
+    if (updated === null) return false;
+    if (query.updatedSince !== undefined && updated < query.updatedSince) return false;
+    if (query.updatedUntil !== undefined && updated > query.updatedUntil) return false;
+  }
+  return true;
+}
+
+// One page of the flights matching `query` (from parseFlightQuery), with the total
+// number of matches and the cursor of the next page (null on the last one)
+function queryFlights(flights, query) {
+  const descending = query.sort.startsWith('-');
+  const field = descending ? query.sort.slice(1) : query.sort;
+  const matching = flights
+    .filter(flight => matches(flight, query))
+    .map(flight => ({ flight, key: sortKey(flight, field) }))
+    .sort((a, b) => compareKeys(a.key, b.key, descending));
+  const remaining = query.after
+    ? matching.filter(entry => compareKeys(entry.key, query.after, descending) > 0)
+    : matching;
+  const page = remaining.slice(0, query.limit);
+  return {
+    flights: page.map(entry => entry.flight),
+    total: matching.length,
+    nextCursor: remaining.length > page.length ? encodeCursor(query.sort, page[page.length - 1].key) : null
+  };
+}
+
+module.exports = {
+  SORT_FIELDS,
+  SORTS,
+  DEFAULT_SORT,
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  parseBoundingBox,
+  formatBoundingBox,
+  isInBoundingBox,
+  parseFlightQuery,
+  queryFlights
+};
@@ -0,0 +1,120 @@
+/* global BigInt */
+// Haversine distance, a line-for-line port of contracts/GeoDistance.sol. Every step
+// uses BigInt with the same 1e18 fixed point and truncating division as the contract,
+// so off-chain filters compute exactly the distance the contract will.
+
+const { DEFAULT_RULES } = require('./ValidationRules');
+
+const SCALE = BigInt('1000000000000000000');
+const PI = BigInt('3141592653589793238');
+const HALF_PI = BigInt('1570796326794896619');
+const MICRODEGREES_PER_HALF_TURN = BigInt(180000000);
+const EARTH_RADIUS_METERS = BigInt(6371008);
+const ZERO = BigInt(0);
+const ONE = BigInt(1);
+const TWO = BigInt(2);
+
+// Same rounding as the values submitted to the contract
+function toMicrodegrees(degrees) {
+  return Math.floor(degrees * 1e6);
+}
+
+function toRadians(microdegrees) {
+  return microdegrees * PI / MICRODEGREES_PER_HALF_TURN;
+}
+
+function sin(x) {
+  if (x > HALF_PI) {
+    x = PI - x;
+  } else if (x < -HALF_PI) {
+    x = -PI - x;
+  }
+  const x2 = x * x / SCALE;
+  let term = x;
+  let sum = x;
+  for (let i = ONE; i <= BigInt(7); i++) {
+    term = -term * x2 / SCALE / ((TWO * i) * (TWO * i + ONE));
+    sum += term;
+  }
+  return sum;
+}
+
+function cos(x) {
+  return sin(HALF_PI - x);
+}
+
+function asinSeries(x) {
+  const x2 = x * x / SCALE;
+  let term = x;
+  let sum = x;
+  for (let n = ONE; n <= BigInt(12); n++) {
+    term = term * x2 / SCALE * ((TWO * n - ONE) * (TWO * n - ONE)) / ((TWO * n) * (TWO * n + ONE));
+    sum += term;
+  }
+  return sum;
+}
+
+function asin(x) {
+  if (TWO * x * x > SCALE * SCALE) {
+    const complement = sqrt((SCALE - x * x / SCALE) * SCALE);
+    return HALF_PI - asinSeries(complement);
+  }
+  return asinSeries(x);
+}
+
+function sqrt(x) {
+  if (x === ZERO) return ZERO;
+  let y = x;
+  let z = x / TWO + ONE;
+  while (z < y) {
+    y = z;
+    z = (x / z + z) / TWO;
+  }
+  return y;
+}
+
+// Meters between two micro-degree positions (integers, as stored on-chain)
+function distanceMeters(lat1, lon1, lat2, lon2) {
+  let dLon = BigInt(lon2) - BigInt(lon1);
+  if (dLon > MICRODEGREES_PER_HALF_TURN) {
+    dLon -= TWO * MICRODEGREES_PER_HALF_TURN;
+  } else if (dLon < -MICRODEGREES_PER_HALF_TURN) {
+    dLon += TWO * MICRODEGREES_PER_HALF_TURN;
+  }
+
+  const sinHalfDLat = sin(toRadians(BigInt(lat2) - BigInt(lat1)) / TWO);
+  const sinHalfDLon = sin(toRadians(dLon) / TWO);
+  const cosLats = cos(toRadians(BigInt(lat1))) * cos(toRadians(BigInt(lat2))) / SCALE;
+
+  let a = sinHalfDLat * sinHalfDLat / SCALE + cosLats * (sinHalfDLon * sinHalfDLon / SCALE) / SCALE;
+  if (a < ZERO) a = ZERO;
+  if (a > SCALE) a = SCALE;
+
+  const centralAngle = TWO * asin(sqrt(a * SCALE));
+  return Number(EARTH_RADIUS_METERS * centralAngle / SCALE);
+}
+
+// Distance between two flights with decimal-degree positions
+function flightDistanceMeters(from, to) {
+  return distanceMeters(
+    toMicrodegrees(from.latitude),
+    toMicrodegrees(from.longitude),
+    toMicrodegrees(to.latitude),
+    toMicrodegrees(to.longitude)
+  );
+}
+
+// `dt` in seconds since the previous observation; `rules` from ValidationRules.rulesFor
+function checkPositionJump(distMeters, dt, rules = DEFAULT_RULES) {
+  if (dt > 0 && distMeters > rules.maxPositionJump && dt < rules.minPositionJumpInterval) {
+    return { valid: false, reason: 'Spoofing: impossible position jump' };
+  }
+  return { valid: true, reason: null };
+}
+
+module.exports = {
+  toMicrodegrees,
+  distanceMeters,
+  flightDistanceMeters,
+  checkPositionJump
+};
@@ -0,0 +1,104 @@
+// Ground speed, track and vertical rate in the contract's fixed-point units, and a
+// mirror of AdsbData.checkKinematics so off-chain filters reject the same reports.
+
+const { DEFAULT_RULES } = require('./ValidationRules');
+
+const UNKNOWN_KINEMATICS = { velocity: 0, heading: 0, verticalRate: 0, known: false };
+
+function isNumber(value) {
+  return typeof value === 'number' && isFinite(value);
+}
+
+// From the app's flight shape (m/s, degrees, m/s) to the contract's Kinematics struct.
+// Only complete triples are submitted; anything missing is sent as unknown.
+function toKinematics(flight) {
+  if (!flight || !isNumber(flight.velocity) || !isNumber(flight.heading) || !isNumber(flight.verticalRate)) {
+    return Object.assign({}, UNKNOWN_KINEMATICS);
+  }
+  return {
+    velocity: Math.round(flight.velocity * 100),
+    heading: ((Math.round(flight.heading * 100) % 36000) + 36000) % 36000,
+    verticalRate: Math.round(flight.verticalRate * 100),
+    known: true
+  };
+}
+
+function toNumber(value) {
+  return value && typeof value.toNumber === 'function' ? value.toNumber() : Number(value);
+}
+
+// Back from a (possibly BigNumber-valued) Kinematics struct; nulls when unknown
+function fromKinematics(kinematics) {
+  if (!kinematics || !kinematics.known) {
+    return { velocity: null, heading: null, verticalRate: null };
+  }
+  return {
+    velocity: toNumber(kinematics.velocity) / 100,
+    heading: toNumber(kinematics.heading) / 100,
+    verticalRate: toNumber(kinematics.verticalRate) / 100
+  };
+}
+
+function invalid(reason) {
+  return { valid: false, reason };
+}
+
+// `prev` and `next` carry a contract-unit `altitude` and `kinematics`; `distMeters`
+// comes from GeoDistance, `dt` is in seconds and `rules` from ValidationRules.rulesFor
+function checkKinematics(prev, next, distMeters, dt, rules = DEFAULT_RULES) {
+  const kinematics = next.kinematics;
+  if (!kinematics || !kinematics.known) {
+    return { valid: true, reason: null };
+  }
+  if (kinematics.velocity < 0 || kinematics.heading < 0 || kinematics.heading >= 36000) {
+    return invalid('Kinematics: invalid values');
+  }
+  if (!prev || dt <= 0) {
+    return { valid: true, reason: null };
+  }
+
+  const shortInterval = dt <= rules.maxKinematicInterval;
+  const impliedSpeed = Math.trunc(distMeters * 100 / dt);
+  const speedTolerance = rules.maxSpeedDeviation + Math.trunc(kinematics.velocity / 4);
+  if (impliedSpeed > kinematics.velocity + speedTolerance) {
+    return invalid('Kinematics: track faster than reported speed');
+  }
+  if (shortInterval && impliedSpeed + speedTolerance < kinematics.velocity) {
+    return invalid('Kinematics: track slower than reported speed');
+  }
+
+  const prevKinematics = prev.kinematics;
+  if (!prevKinematics || !prevKinematics.known) {
+    return { valid: true, reason: null };
+  }
+
+  if (Math.trunc(Math.abs(kinematics.velocity - prevKinematics.velocity) / dt) > rules.maxAcceleration) {
+    return invalid('Kinematics: impossible acceleration');
+  }
+
+  let turn = kinematics.heading - prevKinematics.heading;
+  if (turn > 18000) {
+    turn -= 36000;
+  } else if (turn < -18000) {
+    turn += 36000;
+  }
+  if (kinematics.velocity >= rules.minTurnCheckSpeed && Math.trunc(Math.abs(turn) / dt) > rules.maxTurnRate) {
+    return invalid('Kinematics: impossible turn rate');
+  }
+
+  if (shortInterval) {
+    const impliedVerticalRate = Math.trunc((next.altitude - prev.altitude) * 100 / dt);
+    const reportedVerticalRate = Math.trunc((kinematics.verticalRate + prevKinematics.verticalRate) / 2);
+    if (Math.abs(impliedVerticalRate - reportedVerticalRate) > rules.maxVerticalRateDeviation) {
+      return invalid('Kinematics: vertical rate inconsistent with altitude change');
+    }
+  }
+  return { valid: true, reason: null };
+}
+
+module.exports = {
+  UNKNOWN_KINEMATICS,
+  toKinematics,
+  fromKinematics,
+  checkKinematics
+};
@@ -0,0 +1,75 @@
+// Merkle trees of report windows, for the relay's anchoring mode: the relay keeps a
+// window's reports off-chain and anchors only the root with AdsbData.anchorRoot.
+//
+//   leaf = keccak256(0x00 | position | kinematics)   (the words of FlightEncoding.js)
+//   node = keccak256(0x01 | min(left, right) | max(left, right))
+//
+// The prefixes keep a leaf from passing for a node. Pairs are hashed in sorted order,
+// so a proof is just the sibling hashes from the leaf up, and an odd node out moves
+// up a level unchanged. `keccak256` hashes 0x-prefixed hex, like ethers.utils.keccak256.
+
+const { packReport } = require('./FlightEncoding');
+
+function strip(hex) {
+  return String(hex).replace(/^0x/, '').toLowerCase();
+}
+
+// Throws for reports without a packed form, like packReport
+function hashLeaf(report, keccak256) {
+  const words = packReport(report);
+  return keccak256('0x00' + strip(words.position) + strip(words.kinematics));
+}
+
+function hashPair(a, b, keccak256) {
+  const [low, high] = [strip(a), strip(b)].sort();
+  return keccak256('0x01' + low + high);
+}
+
+// Every level of the tree, leaves first and the root last
+function buildTree(leaves, keccak256) {
+  if (leaves.length === 0) {
+    throw new Error('Cannot build a Merkle tree without leaves');
+  }
+  const levels = [leaves.slice()];
+  while (levels[levels.length - 1].length > 1) {
+    const level = levels[levels.length - 1];
+    const next = [];
+    for (let i = 0; i < level.length; i += 2) {
+      next.push(i + 1 < level.length ? hashPair(level[i], level[i + 1], keccak256) : level[i]);
+    }
+    levels.push(next);
+  }
+  return levels;
+}
+
+function getRoot(levels) {
+  return levels[levels.length - 1][0];
+}
+
+function getProof(levels, index) {
+  if (!(index >= 0 && index < levels[0].length)) {
+    throw new Error(`No leaf at index ${index}`);
+  }
+  const proof = [];
+  for (let level = 0; level < levels.length - 1; level++) {
+    const sibling = index ^ 1;
+    if (sibling < levels[level].length) {
+      proof.push(levels[level][sibling]);
+    }
+    index = Math.floor(index / 2);
+  }
+  return proof;
+}
+
+function verifyProof(leaf, proof, root, keccak256) {
+  const computed = proof.reduce((node, sibling) => hashPair(node, sibling, keccak256), leaf);
+  return strip(computed) === strip(root);
+}
+
+module.exports = {
+  hashLeaf,
+  buildTree,
+  getRoot,
+  getProof,
+  verifyProof
+};
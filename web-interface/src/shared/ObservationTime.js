@@ -0,0 +1,69 @@
+// Observation-time replay rules, mirrored from AdsbData.checkObservationTime and the
+// replay check in checkFlightUpdate so off-chain filters reject the same reports.
+
+// Contract defaults (maxObservationAge / maxClockSkew); an admin can change them on-chain
+const MAX_OBSERVATION_AGE = 600;
+const MAX_CLOCK_SKEW = 30;
+
+function toUnixSeconds(value) {
+  if (value === undefined || value === null || value === '') return null;
+  if (value instanceof Date) {
+    const time = value.getTime();
+    return isNaN(time) ? null : Math.floor(time / 1000);
+  }
+  if (typeof value === 'number') {
+    // Accept both seconds and milliseconds
+    return Math.floor(value > 1e12 ? value / 1000 : value);
+  }
+  const time = new Date(value).getTime();
+  return isNaN(time) ? null : Math.floor(time / 1000);
+}
+
+// When the receiver decoded the message (OpenSky time_position, else last_contact)
+function getObservedAt(flight) {
+  return toUnixSeconds(flight.observedAt) || toUnixSeconds(flight.timestamp) || toUnixSeconds(flight.lastContact);
+}
+
+// `previous` is the observation time of the aircraft's stored position, if any
+function checkObservationTime(observedAt, {
+  now = Math.floor(Date.now() / 1000),
+  previous = null,
+  maxObservationAge = MAX_OBSERVATION_AGE,
+  maxClockSkew = MAX_CLOCK_SKEW
+} = {}) {
+  if (!observedAt) {
+    return { valid: false, reason: 'Missing observation timestamp' };
+  }
+  if (observedAt > now + maxClockSkew) {
+    return { valid: false, reason: 'Observation timestamp in the future' };
+  }
+  if (observedAt + maxObservationAge < now) {
+    return { valid: false, reason: 'Stale observation: outside acceptable window' };
+  }
+  if (previous !== null && previous !== undefined && observedAt <= previous) {
+    return { valid: false, reason: 'Replay attack: timestamp not newer' };
+  }
+  return { valid: true, reason: null };
+}
+
+// Current window from the contract, falling back to the defaults on older deployments
+async function readObservationWindow(contract) {
+  try {
+    const [maxObservationAge, maxClockSkew] = await Promise.all([
+      contract.maxObservationAge(),
+      contract.maxClockSkew()
+    ]);
+    return { maxObservationAge: maxObservationAge.toNumber(), maxClockSkew: maxClockSkew.toNumber() };
+  } catch (error) {
+    return { maxObservationAge: MAX_OBSERVATION_AGE, maxClockSkew: MAX_CLOCK_SKEW };
+  }
+}
+
+module.exports = {
+  MAX_OBSERVATION_AGE,
+  MAX_CLOCK_SKEW,
+  toUnixSeconds,
+  getObservedAt,
+  checkObservationTime,
+  readObservationWindow
+};
@@ -0,0 +1,87 @@
+// EIP-712 signing of ground receiver reports for AdsbData.submitSignedReport.
+
+const { toUnixSeconds, getObservedAt } = require('./ObservationTime');
+const { UNKNOWN_KINEMATICS, toKinematics } = require('./Kinematics');
+const { normalizeIcao24 } = require('./FlightEncoding');
+
+const DOMAIN_NAME = 'AdsbData';
+const DOMAIN_VERSION = '1';
+
+// Must match REPORT_TYPEHASH in contracts/AdsbData.sol
+const REPORT_TYPES = {
+  Report: [
+    { name: 'icao24', type: 'string' },
+    { name: 'callsign', type: 'string' },
+    { name: 'latitude', type: 'int256' },
+    { name: 'longitude', type: 'int256' },
+    { name: 'altitude', type: 'int256' },
+    { name: 'onGround', type: 'bool' },
+    { name: 'isSpoofed', type: 'bool' },
+    { name: 'observedAt', type: 'uint256' },
+    { name: 'kinematics', type: 'Kinematics' }
+  ],
+  Kinematics: [
+    { name: 'velocity', type: 'int256' },
+    { name: 'heading', type: 'int256' },
+    { name: 'verticalRate', type: 'int256' },
+    { name: 'known', type: 'bool' }
+  ]
+};
+
+async function getReportDomain(contract) {
+  const network = await contract.provider.getNetwork();
+  return {
+    name: DOMAIN_NAME,
+    version: DOMAIN_VERSION,
+    chainId: network.chainId,
+    verifyingContract: contract.address
+  };
+}
+
+// Report from contract units (latitude/longitude * 1e6, integer altitude, Kinematics struct).
+// The ICAO24 is lowercased as the contract stores it, so the report also packs exactly.
+// observedAt stays null when missing: stamping the submission time on it would let an
+// old position be replayed as new.
+function createReport({ icao24, callsign, latitude, longitude, altitude, onGround, isSpoofed, observedAt, kinematics }) {
+  return {
+    icao24: normalizeIcao24(icao24),
+    callsign: callsign || '',
+    latitude,
+    longitude,
+    altitude,
+    onGround: onGround || false,
+    isSpoofed: isSpoofed || false,
+    observedAt: toUnixSeconds(observedAt),
+    kinematics: kinematics || Object.assign({}, UNKNOWN_KINEMATICS)
+  };
+}
+
+// Report from the app's flight shape (decimal degrees), rounded like the relay's unsigned writes
+function reportFromFlight(flight) {
+  return createReport({
+    icao24: flight.icao24,
+    callsign: flight.callsign,
+    latitude: Math.floor(flight.latitude * 1e6),
+    longitude: Math.floor(flight.longitude * 1e6),
+    altitude: Math.floor(flight.altitude),
+    onGround: flight.onGround,
+    isSpoofed: flight.isSpoofed,
+    observedAt: getObservedAt(flight),
+    kinematics: toKinematics(flight)
+  });
+}
+
+function signReport(signer, domain, report) {
+  if (!report.observedAt) {
+    return Promise.reject(new Error('Missing observation timestamp'));
+  }
+  return signer._signTypedData(domain, REPORT_TYPES, report);
+}
+
+module.exports = {
+  REPORT_TYPES,
+  getReportDomain,
+  createReport,
+  reportFromFlight,
+  signReport
+};
@@ -0,0 +1,37 @@
+// HMAC signing of relay requests, shared by the relay and its clients.
+//
+// A client signs
+//
+//   <timestamp>\n<nonce>\n<METHOD>\n<path and query>\n<hex SHA-256 of the body>
+//
+// with its secret (HMAC-SHA256, hex) and sends the key ID, timestamp (ms), nonce and
+// signature as headers. The relay rejects stale timestamps and reused nonces, so a
+// captured request cannot be sent again.
+//
+// No crypto imports: Node and the browser hash differently, so only the string to
+// sign and the header names live here.
+
+const AUTH_HEADERS = {
+  keyId: 'x-api-key',
+  timestamp: 'x-timestamp',
+  nonce: 'x-nonce',
+  signature: 'x-signature'
+};
+
+// `admin` implies the other two
+const PERMISSIONS = ['submit', 'attack', 'admin'];
+
+function canonicalRequest({ timestamp, nonce, method, path, bodyHash }) {
+  return [String(timestamp), nonce, method.toUpperCase(), path, bodyHash].join('\n');
+}
+
+function hasPermission(permissions, permission) {
+  return permissions.includes('admin') || permissions.includes(permission);
+}
+
+module.exports = {
+  AUTH_HEADERS,
+  PERMISSIONS,
+  canonicalRequest,
+  hasPermission
+};
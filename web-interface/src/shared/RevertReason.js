@@ -0,0 +1,76 @@
+// Revert reasons from ethers v5 errors and mined (failed) transactions.
+//
+// Error(string) data is decoded by hand, as no ethers is imported here.
+
+const ERROR_SELECTOR = '0x08c379a0';   // Error(string)
+const PANIC_SELECTOR = '0x4e487b71';   // Panic(uint256)
+
+function hexToBytes(hex) {
+  const bytes = new Uint8Array(hex.length / 2);
+  for (let i = 0; i < bytes.length; i++) {
+    bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+  }
+  return bytes;
+}
+
+// Reason string from ABI-encoded revert data, or null if it is not a reason
+function decodeRevertData(data) {
+  if (typeof data !== 'string') return null;
+  if (data.startsWith(ERROR_SELECTOR)) {
+    const body = data.slice(10);
+    const offset = parseInt(body.slice(0, 64), 16) * 2;
+    const length = parseInt(body.slice(offset, offset + 64), 16);
+    const bytes = hexToBytes(body.slice(offset + 64, offset + 64 + length * 2));
+    if (bytes.length !== length) return null;
+    return new TextDecoder().decode(bytes);
+  }
+  if (data.startsWith(PANIC_SELECTOR)) {
+    return `Panic(0x${parseInt(data.slice(10), 16).toString(16)})`;
+  }
+  return null;
+}
+
+// The revert reason carried by a (possibly nested) ethers/JSON-RPC error, or null when
+// the error is not a revert (network failure, rejected by the wallet, bad nonce)
+function findRevertReason(error) {
+  let current = error;
+  for (let depth = 0; current && depth < 5; depth++) {
+    const data = current.data && typeof current.data === 'object' ? current.data.data : current.data;
+    const decoded = decodeRevertData(data);
+    if (decoded) return decoded;
+    const match = /reverted with reason string '([^']*)'/.exec(current.message || '');
+    if (match) return match[1];
+    current = current.error;
+  }
+  return null;
+}
+
+// Dig the Error(string) reason out of an error, else its message
+function getRevertReason(error) {
+  return findRevertReason(error) || error.reason || error.message;
+}
+
+// A mined transaction with status 0 carries no reason, so replay it as a call
+// against the state of the block it was mined in
+async function getReceiptRevertReason(provider, tx, receipt) {
+  if (!receipt || receipt.status !== 0) return null;
+  try {
+    await provider.call({
+      from: tx.from,
+      to: tx.to,
+      data: tx.data,
+      value: tx.value,
+      gasLimit: tx.gasLimit
+    }, receipt.blockNumber);
+    return 'Transaction reverted without a reason';
+  } catch (error) {
+    return getRevertReason(error);
+  }
+}
+
+module.exports = {
+  decodeRevertData,
+  findRevertReason,
+  getRevertReason,
+  getReceiptRevertReason
+};
@@ -0,0 +1,97 @@
+// Per-category plausibility thresholds, as stored in AdsbData's ValidationRules.
+// Off-chain filters read the live set with readValidationRules() so they reject
+// exactly what the contract would, and fall back to the deployment defaults when
+// the contract can't be reached.
+
+// AircraftCategory enum in AdsbData.sol
+const AIRCRAFT_CATEGORIES = ['airliner', 'generalAviation', 'rotorcraft', 'groundVehicle'];
+
+const RULE_FIELDS = [
+  'maxAltitudeJump',
+  'maxAltitudeRate',
+  'maxPositionJump',
+  'minPositionJumpInterval',
+  'maxSpeedDeviation',
+  'maxAcceleration',
+  'maxTurnRate',
+  'maxVerticalRateDeviation',
+  'minTurnCheckSpeed',
+  'maxKinematicInterval'
+];
+
+// Same values the AdsbData constructor seeds, indexed by AircraftCategory
+const DEFAULT_RULE_SET = [
+  [50000, 10, 100000, 300, 5000, 1000, 1000, 750, 500, 120],
+  [50000, 10, 40000, 300, 3000, 500, 1500, 750, 300, 120],
+  [50000, 15, 30000, 300, 3000, 500, 3000, 1000, 1000, 120],
+  [100, 2, 10000, 300, 1000, 500, 3000, 200, 200, 120]
+].map(toRules);
+
+const DEFAULT_RULES = DEFAULT_RULE_SET[0];
+
+function toNumber(value) {
+  return value && typeof value.toNumber === 'function' ? value.toNumber() : Number(value);
+}
+
+// From a (possibly BigNumber-valued) ValidationRules struct or a plain array
+function toRules(struct) {
+  const rules = {};
+  RULE_FIELDS.forEach((field, index) => {
+    const value = struct[field] !== undefined ? struct[field] : struct[index];
+    rules[field] = toNumber(value);
+  });
+  return rules;
+}
+
+// Back to the tuple setValidationRules() expects
+function toRulesTuple(rules) {
+  return RULE_FIELDS.map(field => rules[field]);
+}
+
+// The whole rule set in one call; null when the contract predates it or is unreachable
+async function readValidationRules(contract) {
+  try {
+    const ruleSet = await contract.getValidationRuleSet();
+    return ruleSet.map(toRules);
+  } catch (error) {
+    return null;
+  }
+}
+
+// `category` is the enum index; unknown categories fall back to airliner rules
+function rulesFor(ruleSet, category = 0) {
+  const rules = (ruleSet || DEFAULT_RULE_SET)[category];
+  return rules || (ruleSet || DEFAULT_RULE_SET)[0] || DEFAULT_RULES;
+}
+
+function categoryName(category) {
+  return AIRCRAFT_CATEGORIES[category] || 'unknown';
+}
+
+// Altitudes in the contract's units (whole meters), `dt` in seconds
+function checkAltitudeChange(prevAltitude, altitude, dt, rules = DEFAULT_RULES) {
+  if (dt <= 0) {
+    return { valid: true, reason: null };
+  }
+  const dAlt = Math.abs(altitude - prevAltitude);
+  if (dAlt > rules.maxAltitudeJump) {
+    return { valid: false, reason: 'Tampering: impossible altitude jump' };
+  }
+  if (Math.trunc(dAlt / dt) > rules.maxAltitudeRate) {
+    return { valid: false, reason: 'Tampering: impossible altitude rate' };
+  }
+  return { valid: true, reason: null };
+}
+
+module.exports = {
+  AIRCRAFT_CATEGORIES,
+  RULE_FIELDS,
+  DEFAULT_RULE_SET,
+  DEFAULT_RULES,
+  toRules,
+  toRulesTuple,
+  readValidationRules,
+  rulesFor,
+  categoryName,
+  checkAltitudeChange
+};